@@ -6,23 +6,68 @@
  */
 
 const { ABTestTool } = require('../src/lib/abtest/ABTestTool');
+const { PromptTournament } = require('../src/lib/abtest/PromptTournament');
+const { PromptBisector } = require('../src/lib/abtest/PromptBisector');
 const { PromptRoleManager } = require('../src/lib/evaluation/PromptRoleManager');
 const { ExpertEvaluationIntegration } = require('../src/lib/evaluation/ExpertEvaluationIntegration');
+const { ExpertValidator, EXPERT_SCHEMA } = require('../src/lib/evaluation/ExpertValidator');
+const { ExpertRegistry } = require('../src/lib/evaluation/ExpertRegistry');
+const { createProvider } = require('../src/lib/providers/ProviderFactory');
+const { LLMProvider } = require('../src/lib/providers/LLMProvider');
+const { createContentSource } = require('../src/lib/sources/ContentSourceFactory');
+const { ContentSource } = require('../src/lib/sources/ContentSource');
+const { PathParser } = require('../src/lib/sources/PathParser');
+const { ReportWriter } = require('../src/lib/reports/ReportWriter');
+const { createResultStore } = require('../src/lib/results/ResultStoreFactory');
+const { EvaluationResultStore } = require('../src/lib/results/EvaluationResultStore');
+const { UsageTracker } = require('../src/lib/usage/UsageTracker');
+const { BudgetGuard } = require('../src/lib/usage/BudgetGuard');
+const { CallScheduler } = require('../src/lib/usage/CallScheduler');
 
 module.exports = {
   // Core Tools
   ABTestTool,
+  PromptTournament,
+  PromptBisector,
   PromptRoleManager,
   ExpertEvaluationIntegration,
+
+  // Expert definitions
+  ExpertValidator,
+  EXPERT_SCHEMA,
+  ExpertRegistry,
+
+  // Model providers
+  createProvider,
+  LLMProvider,
+
+  // Content sources
+  createContentSource,
+  ContentSource,
+  PathParser,
+
+  // Report artifacts
+  ReportWriter,
+
+  // Evaluation history
+  createResultStore,
+  EvaluationResultStore,
+
+  // Token usage, cost, budgets and call limits
+  UsageTracker,
+  BudgetGuard,
+  CallScheduler,
   
   // Version info
   version: require('../package.json').version,
   
-  // Helper to run as CLI
-  cli: () => {
-    console.log('Prompt Expert Bank CLI');
-    console.log('Use as GitHub Action or import as module');
-    console.log('Version:', require('../package.json').version);
+  // Run the prompt-expert CLI (resolves to the exit code)
+  cli: (argv = process.argv.slice(2)) => {
+    const PromptExpertCLI = require('../src/scripts/prompt-expert-cli');
+    return new PromptExpertCLI().run(argv).then(code => {
+      process.exitCode = code;
+      return code;
+    });
   }
 };
 
@@ -38,7 +83,7 @@ if (require.main === module) {
       process.exit(1);
     });
   } else {
-    // Show CLI help
+    // Run the CLI with the command line arguments
     module.exports.cli();
   }
 }
\ No newline at end of file
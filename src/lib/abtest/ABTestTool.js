@@ -3,6 +3,15 @@
  * @description Performs expert evaluation comparing two prompt versions with LLM-as-Judge methodology
  * @module ABTestTool
  * @requires @octokit/rest
+ * @requires ../providers/ProviderFactory
+ * @requires ../sources/ContentSourceFactory
+ * @requires ../sources/RefResolver
+ * @requires ../sources/PathParser
+ * @requires ../evaluation/TextDiff
+ * @requires ../usage/UsageTracker
+ * @requires ../usage/BudgetGuard
+ * @requires ../usage/CallScheduler
+ * @requires ./TestContextLoader
  * @author Prompt Expert Team
  * @version 2.0.0
  */
@@ -10,35 +19,93 @@
 const { Octokit } = require('@octokit/rest');
 const path = require('path');
 const fs = require('fs').promises;
+const { createProvider } = require('../providers/ProviderFactory');
+const { Statistics } = require('./Statistics');
+const { StructuredJudge } = require('../evaluation/StructuredJudge');
+const { ExpertDefinitionParser } = require('../evaluation/ExpertDefinitionParser');
+const { TestSuiteRunner } = require('./TestSuiteRunner');
+const { createContentSource } = require('../sources/ContentSourceFactory');
+const { RefResolver } = require('../sources/RefResolver');
+const { PathParser, PATH_ERRORS } = require('../sources/PathParser');
+const { TextDiff } = require('../evaluation/TextDiff');
+const { UsageTracker } = require('../usage/UsageTracker');
+const { BudgetGuard } = require('../usage/BudgetGuard');
+const { CallScheduler } = require('../usage/CallScheduler');
+const { TestContextLoader } = require('./TestContextLoader');
+
+/**
+ * Default number of independent judge samples per prompt
+ * @const {number}
+ */
+const DEFAULT_SAMPLES = 3;
+
+/**
+ * Upper bound on judge samples per prompt (each sample costs three model calls)
+ * @const {number}
+ */
+const MAX_SAMPLES = 20;
 
 /**
  * @class ABTestTool
  * @description Manages A/B testing of prompts using expert evaluation methodology
  * @property {Octokit} octokit - GitHub API client
- * @property {Anthropic} anthropic - Anthropic Claude API client
+ * @property {ContentSource} contentSource - Backend experts, prompts and test context are read from
+ * @property {LLMProvider} provider - Model provider used for all evaluation calls
  * @property {string} repoOwner - Repository owner
  * @property {string} repoName - Repository name
  * @property {string} workspace - Local workspace path
+ * @property {EvaluationResultStore|null} resultStore - Evaluation history store
  * @property {Map} contentCache - Content cache with TTL
  * @property {number} cacheTimeout - Cache timeout in milliseconds
  * @property {Object} metrics - Performance metrics tracking
+ * @property {UsageTracker} usage - Token usage and estimated cost of the current run
+ * @property {BudgetGuard} budget - Token and cost caps every model request is checked against
  */
 class ABTestTool {
   /**
    * @constructor
    * @param {Object} options - Configuration options
-   * @param {Octokit} options.octokit - GitHub API client
-   * @param {Anthropic} options.anthropic - Anthropic API client
+   * @param {Octokit} [options.octokit] - GitHub API client
+   * @param {ContentSource} [options.contentSource] - Ready-made content source
+   * @param {string} [options.source] - Content source name: 'github' (default with an octokit
+   *   client) or 'local' (default without one)
+   * @param {string} [options.rootDir] - Checkout read by the local source (defaults to workspace)
+   * @param {Object<string, string>} [options.repositories] - Other local checkouts by "owner/repo"
+   * @param {LLMProvider} [options.provider] - Model provider (defaults to config/providers.json)
+   * @param {Anthropic} [options.anthropic] - Anthropic API client, reused by the anthropic provider
    * @param {string} options.repoOwner - Repository owner
    * @param {string} options.repoName - Repository name
    * @param {string} options.workspace - Workspace directory
+   * @param {EvaluationResultStore} [options.resultStore] - Persists every A/B test run
+   * @param {Object} [options.pricing] - Price table for cost estimates (defaults to config/pricing.json)
+   * @param {BudgetGuard} [options.budget] - Shared budget (defaults to a guard for this tool's
+   *   lifetime using the preset and strategy of config/abtest-limits.json)
+   * @param {CallScheduler} [options.scheduler] - Shared concurrency and rate limits for model
+   *   calls (defaults to a scheduler for this tool using config/abtest-limits.json)
    */
   constructor(options) {
     this.octokit = options.octokit;
-    this.anthropic = options.anthropic;
+    this.contentSource = createContentSource({
+      contentSource: options.contentSource,
+      source: options.source,
+      octokit: options.octokit,
+      rootDir: options.rootDir || options.workspace,
+      repositories: options.repositories,
+      repoOwner: options.repoOwner,
+      repoName: options.repoName
+    });
+    // A local checkout is already at the head being tested and may lack refs/pull/<n>/head
+    this.refResolver = new RefResolver({
+      contentSource: this.contentSource,
+      headRef: this.contentSource.name === 'local-git' ? 'HEAD' : undefined
+    });
+    this.provider = createProvider({ provider: options.provider, anthropic: options.anthropic });
+    this.judge = new StructuredJudge({ callModel: (payload, scope) => this.callClaudeWithRetry(payload, scope) });
+    this.testRunner = new TestSuiteRunner({ callModel: (payload, scope) => this.callClaudeWithRetry(payload, scope), judge: this.judge });
     this.repoOwner = options.repoOwner;
     this.repoName = options.repoName;
     this.workspace = options.workspace;
+    this.resultStore = options.resultStore || null;
     
     // Template paths - templates are in src/lib/templates
     this.templateDir = path.join(__dirname, '..', 'templates');
@@ -49,13 +116,36 @@ class ABTestTool {
     
     // Performance tracking
     this.startTime = null;
-    this.metrics = {
+    this.metrics = ABTestTool.emptyMetrics();
+    this.pricing = options.pricing;
+    this.resetUsage();
+    this.budget = options.budget || new BudgetGuard({ pricing: options.pricing });
+    this.scheduler = options.scheduler || new CallScheduler();
+  }
+
+  /**
+   * @static
+   * @method emptyMetrics
+   * @returns {Object} Zeroed timings (ms) for one A/B test
+   */
+  static emptyMetrics() {
+    return {
       fetchTime: 0,
       evaluationTime: 0,
       totalTime: 0
     };
   }
 
+  /**
+   * @method resetUsage
+   * @description Starts token accounting for a new run
+   * @returns {UsageTracker} The new tracker
+   */
+  resetUsage() {
+    this.usage = new UsageTracker({ pricing: this.pricing, model: this.provider.model });
+    return this.usage;
+  }
+
   /**
    * @method executeABTest
    * @async
@@ -74,16 +164,26 @@ class ABTestTool {
    *   Example: "prompts/code-reviewer.md" fetches current PR version
    * @param {Array<string>} [testContextPaths=[]] - Optional array of paths to reference materials for testing
    * @param {number} [iterationCount=0] - Number of previous improvement iterations (for leniency adjustment)
+   * @param {Object} [options={}] - Evaluation options
+   * @param {number} [options.samples=3] - Independent judge samples per prompt; the verdict is
+   *   decided by a bootstrap test over the per-sample aggregate scores
+   * @param {boolean} [options.swapOrder=false] - Run the expert comparison in both A/B and B/A
+   *   order and mark the verdict inconclusive when the judge's preference flips with position
+   * @param {string} [options.testSuitePath] - YAML/JSON test suite (same path format as prompts);
+   *   both prompts are run on every case and pass/fail is reported next to the judge score
    * @returns {Promise<Object>} Comparative analysis results with expert verdict
    * @throws {Error} If path verification fails or content cannot be fetched
    */
-  async executeABTest(pathToExpertPromptDefinition, pathToPromptA, pathToPromptB, testContextPaths = [], iterationCount = 0) {
+  async executeABTest(pathToExpertPromptDefinition, pathToPromptA, pathToPromptB, testContextPaths = [], iterationCount = 0, options = {}) {
     try {
       // Start performance tracking
       this.startTime = Date.now();
+      this.metrics = ABTestTool.emptyMetrics();
+      this.resetUsage();
       
       // Input validation
       this.validateInputs(pathToExpertPromptDefinition, pathToPromptA, pathToPromptB, testContextPaths);
+      const sampleCount = this.normalizeSampleCount(options.samples);
       
       // Check if comparing identical versions
       if (pathToPromptA === pathToPromptB) {
@@ -97,10 +197,23 @@ class ABTestTool {
       
       console.log('Starting A/B test...');
       
-      // Parse paths to extract file path and version info
-      const expertInfo = this.parsePath(pathToExpertPromptDefinition);
-      const promptAInfo = this.parsePath(pathToPromptA);
-      const promptBInfo = this.parsePath(pathToPromptB);
+      // Parse paths to extract file path and version info; relative refs become commit SHAs
+      const expertInfo = await this.resolvePath(pathToExpertPromptDefinition);
+      const promptAInfo = await this.resolvePath(pathToPromptA);
+      const promptBInfo = await this.resolvePath(pathToPromptB);
+      const testSuiteInfo = options.testSuitePath ? await this.resolvePath(options.testSuitePath) : null;
+
+      if (promptAInfo.ref || promptBInfo.ref) {
+        console.log(`Resolved versions: A ${promptAInfo.ref || promptAInfo.version} -> ${promptAInfo.version}, B ${promptBInfo.ref || promptBInfo.version} -> ${promptBInfo.version}`);
+        if (this.contentSource.location(promptAInfo) === this.contentSource.location(promptBInfo)) {
+          return {
+            success: false,
+            error: 'Identical versions provided',
+            details: `${pathToPromptA} and ${pathToPromptB} both resolve to ${this.contentSource.location(promptAInfo)}.`,
+            suggestion: 'Use references that point to different commits'
+          };
+        }
+      }
 
       // VERIFICATION PHASE: Check all paths exist before processing
       console.log('Verifying all paths exist...');
@@ -108,6 +221,7 @@ class ABTestTool {
         expert: expertInfo,
         promptA: promptAInfo,
         promptB: promptBInfo,
+        prompts: testSuiteInfo ? [{ label: 'Test suite', info: testSuiteInfo }] : [],
         testContextPaths: testContextPaths
       });
       
@@ -142,6 +256,11 @@ class ABTestTool {
 
       // Fetch test context materials if provided
       const testContext = await this.fetchTestContext(testContextPaths);
+
+      // Fetch and validate the test suite if provided
+      const testSuite = testSuiteInfo
+        ? TestSuiteRunner.parse((await this.fetchContent(testSuiteInfo)).content, testSuiteInfo.filePath)
+        : null;
       
       this.metrics.fetchTime = Date.now() - fetchStart;
       console.log(`Content fetched in ${(this.metrics.fetchTime/1000).toFixed(1)}s`);
@@ -155,9 +274,25 @@ class ABTestTool {
         console.log(`Iteration #${iterationCount + 1} - Adjusting evaluation for improvement cycles`);
       }
       
-      // Run 3-thread evaluation for each prompt with test context
-      const evaluationA = await this.runThreeThreadEvaluation(expertPrompt, promptA, promptAInfo, testContext, iterationCount);
-      const evaluationB = await this.runThreeThreadEvaluation(expertPrompt, promptB, promptBInfo, testContext, iterationCount);
+      // Execute both prompts on the test suite cases
+      let testResultsA = null;
+      let testResultsB = null;
+      if (testSuite) {
+        console.log(`Running test suite "${testSuite.name}" (${testSuite.cases.length} cases) on both prompts`);
+        [testResultsA, testResultsB] = await CallScheduler.all([
+          this.testRunner.run(testSuite, promptA.content),
+          this.testRunner.run(testSuite, promptB.content)
+        ]);
+        console.log(`Test cases passed: A ${testResultsA.passed}/${testResultsA.total}, B ${testResultsB.passed}/${testResultsB.total}`);
+      }
+
+      // Run 3-thread evaluation for each prompt with test context, repeated per sample.
+      // Both prompts are evaluated in parallel; the scheduler bounds the calls in flight.
+      console.log(`Collecting ${sampleCount} judge sample(s) per prompt`);
+      const [evaluationA, evaluationB] = await CallScheduler.all([
+        this.runSampledEvaluation(expertPrompt, promptA, promptAInfo, testContext, iterationCount, sampleCount, testResultsA),
+        this.runSampledEvaluation(expertPrompt, promptB, promptBInfo, testContext, iterationCount, sampleCount, testResultsB)
+      ]);
       
       this.metrics.evaluationTime = Date.now() - evalStart;
       console.log(`Evaluations completed in ${(this.metrics.evaluationTime/1000).toFixed(1)}s`);
@@ -168,7 +303,8 @@ class ABTestTool {
         evaluationA,
         evaluationB,
         promptAInfo,
-        promptBInfo
+        promptBInfo,
+        { swapOrder: Boolean(options.swapOrder), contents: [promptA.content, promptB.content] }
       );
 
       // Generate expert verdict
@@ -179,27 +315,82 @@ class ABTestTool {
         promptBInfo
       );
 
-      return {
+      const changes = this.describeChanges(promptA, promptB, promptAInfo, promptBInfo);
+
+      const result = {
         success: true,
         testConfiguration: {
           expert: expertInfo,
           promptA: promptAInfo,
           promptB: promptBInfo,
-          testContext: testContextPaths
+          testContext: testContextPaths,
+          testSuite: options.testSuitePath || null,
+          samples: sampleCount,
+          swapOrder: Boolean(options.swapOrder)
         },
         evaluations: {
           promptA: evaluationA,
           promptB: evaluationB
         },
         comparison: comparison,
+        statistics: comparison.statistics,
         verdict: verdict,
-        summary: this.generateSummary(verdict)
+        summary: this.generateSummary(verdict, changes),
+        changes,
+        testContext: ABTestTool.describeTestContext(testContext),
+        prompts: {
+          expert: this.describeContent(expertPrompt),
+          promptA: { ...this.describeContent(promptA), content: promptA.content },
+          promptB: { ...this.describeContent(promptB), content: promptB.content }
+        },
+        metrics: { ...this.metrics, usage: this.usage.summary(), totalTime: Date.now() - this.startTime }
       };
+
+      await this.recordResult(result, expertInfo);
+      return result;
     } catch (error) {
       return this.handleError(error);
     }
   }
 
+  /**
+   * @method recordResult
+   * @async
+   * @description Persists an A/B test run for the variant prompt (with the baseline's score)
+   * in the result store. Storage failures are logged and do not fail the test.
+   * @param {Object} result - Successful executeABTest result
+   * @param {Object} expertInfo - Parsed expert path
+   * @returns {Promise<void>}
+   * @private
+   */
+  async recordResult(result, expertInfo) {
+    if (!this.resultStore) return;
+
+    const { prompts, evaluations, testConfiguration } = result;
+    try {
+      await this.resultStore.record({
+        kind: 'abtest',
+        file: prompts.promptB.path,
+        ref: testConfiguration.promptB.version,
+        sha: prompts.promptB.sha,
+        decision: ABTestTool.interpretResults(result).action,
+        score: evaluations.promptB.aggregateScore,
+        criteria: evaluations.promptB.criteria.map(c => ({ name: c.name, weight: c.weight, score: c.score })),
+        expert: expertInfo.filePath,
+        baseline: {
+          file: prompts.promptA.path,
+          ref: testConfiguration.promptA.version,
+          sha: prompts.promptA.sha,
+          score: evaluations.promptA.aggregateScore
+        },
+        repository: this.repoOwner && this.repoName ? `${this.repoOwner}/${this.repoName}` : undefined,
+        runId: process.env.GITHUB_RUN_ID
+      });
+    } catch (error) {
+      console.warn(`Could not record A/B test result: ${error.message}`);
+    }
+  }
+
   /**
    * @method validateInputs
    * @description Validates input paths and parameters
@@ -207,7 +398,7 @@ class ABTestTool {
    * @param {string} promptA - First prompt path
    * @param {string} promptB - Second prompt path
    * @param {Array} testPaths - Test context paths
-   * @throws {Error} If any validation fails
+   * @throws {Error} If any validation fails; malformed paths carry the PathParser error code
    * @private
    */
   validateInputs(expertPath, promptA, promptB, testPaths) {
@@ -222,17 +413,9 @@ class ABTestTool {
     }
     
     // Validate path formats
-    const pathRegex = /^([a-zA-Z0-9_-]+\/[a-zA-Z0-9_-]+:)?[a-zA-Z0-9_\-\/\.]+(@[a-zA-Z0-9_\-\.]+)?$/;
-    
-    if (!pathRegex.test(expertPath)) {
-      throw new Error(`Invalid expert path format: ${expertPath}`);
-    }
-    if (!pathRegex.test(promptA)) {
-      throw new Error(`Invalid promptA path format: ${promptA}`);
-    }
-    if (!pathRegex.test(promptB)) {
-      throw new Error(`Invalid promptB path format: ${promptB}`);
-    }
+    this.checkPath('expert', expertPath);
+    this.checkPath('promptA', promptA);
+    this.checkPath('promptB', promptB);
     
     // Validate test paths if provided
     if (testPaths && !Array.isArray(testPaths)) {
@@ -242,8 +425,50 @@ class ABTestTool {
     if (testPaths && testPaths.length > 20) {
       throw new Error('Too many test context paths (max 20)');
     }
+
+    (testPaths || []).forEach((testPath, index) => this.checkPath(`test context path ${index + 1}`, testPath));
+  }
+
+  /**
+   * @method checkPath
+   * @description Parses a path so that malformed input is rejected before anything is fetched
+   * @param {string} label - Which argument the path was given as
+   * @param {string} pathString - Path string
+   * @throws {Error} The PathParser error, with the label in the message
+   * @private
+   */
+  checkPath(label, pathString) {
+    try {
+      this.parsePath(pathString);
+    } catch (error) {
+      error.message = `${label}: ${error.message}`;
+      throw error;
+    }
   }
   
+  /**
+   * @method normalizeSampleCount
+   * @description Validates the requested number of judge samples
+   * @param {number|string} [samples] - Requested samples per prompt
+   * @returns {number} Sample count between 1 and MAX_SAMPLES
+   * @throws {Error} If samples is not a positive integer or exceeds the maximum
+   * @private
+   */
+  normalizeSampleCount(samples) {
+    if (samples === undefined || samples === null) {
+      return DEFAULT_SAMPLES;
+    }
+
+    const count = Number(samples);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`samples must be a positive integer, got: ${samples}`);
+    }
+    if (count > MAX_SAMPLES) {
+      throw new Error(`samples cannot exceed ${MAX_SAMPLES} (got ${count})`);
+    }
+    return count;
+  }
+
   /**
    * @method handleError
    * @description Handles errors with contextual information and suggestions
@@ -255,11 +480,22 @@ class ABTestTool {
     const errorResponse = {
       success: false,
       error: error.message || 'Unknown error',
-      details: error.stack || 'No stack trace available'
+      details: error.stack || 'No stack trace available',
+      metrics: { ...this.metrics, usage: this.usage.summary() }
     };
     
     // Add helpful context based on error type
-    if (error.message.includes('Not Found')) {
+    if (PATH_ERRORS[error.code]) {
+      errorResponse.code = error.code;
+      errorResponse.suggestion = 'Use [owner/repo:]path[@ref][#Lstart-Lend] with a path relative to the repository root';
+    } else if (error.code === 'BUDGET_EXCEEDED') {
+      errorResponse.code = error.code;
+      errorResponse.budget = error.budget;
+      errorResponse.suggestion = 'Run stopped by the budget guard - choose a larger budget preset or use fewer samples, test cases or context';
+    } else if (error.code === 'UNRESOLVED_REF') {
+      errorResponse.code = error.code;
+      errorResponse.suggestion = 'Check the version reference: Ncommits-ago, HEAD~N, base, pr-head, latest-tag or a YYYY-MM-DD date';
+    } else if (error.message.includes('Not Found')) {
       errorResponse.suggestion = 'Verify the file path and repository permissions';
       errorResponse.checklist = [
         'Ensure file exists in the repository',
@@ -280,144 +516,86 @@ class ABTestTool {
   }
   
   /**
-   * Fetch test context materials
-   * Supports files, directories, and cross-repository references
+   * @method fetchTestContext
+   * @async
+   * @description Loads test context materials (files, directory trees, cross-repository
+   * references) within the file-type and aggregate limits of config/abtest-limits.json,
+   * using the preset and strategy of the budget
+   * @param {Array<string>} contextPaths - Context paths (same format as prompt paths)
+   * @returns {Promise<Object>} Loaded files and directories, with what was skipped and why
+   *   (see TestContextLoader.load)
    */
   async fetchTestContext(contextPaths) {
-    const context = {
-      files: [],
-      directories: [],
-      totalSize: 0,
-      maxSize: 102400, // 100KB limit
-      summary: []
-    };
-
-    for (const path of contextPaths) {
-      try {
-        const pathInfo = this.parsePath(path);
-        
-        // Check if it's a directory by trying to list contents
-        try {
-          const { data } = await this.octokit.repos.getContent({
-            owner: pathInfo.owner,
-            repo: pathInfo.repo,
-            path: pathInfo.filePath,
-            ref: pathInfo.version
-          });
-
-          if (Array.isArray(data)) {
-            // It's a directory
-            context.directories.push({
-              path: pathInfo.filePath,
-              fileCount: data.length,
-              files: data.map(f => f.name)
-            });
-            
-            // Fetch first few files as samples
-            const samples = data.slice(0, 3);
-            for (const file of samples) {
-              if (file.type === 'file') {
-                const content = await this.fetchContent({
-                  ...pathInfo,
-                  filePath: file.path
-                });
-                // Check size limit
-                if (context.totalSize + content.size > context.maxSize) {
-                  context.summary.push(`⚠ Skipped ${file.path} - would exceed size limit`);
-                  continue;
-                }
-                
-                context.files.push({
-                  path: file.path,
-                  name: file.name,
-                  content: content.content.substring(0, 1000) + '...',
-                  size: content.size
-                });
-                context.totalSize += content.size;
-              }
-            }
-          } else {
-            // It's a file
-            const content = await this.fetchContent(pathInfo);
-            context.files.push({
-              path: pathInfo.filePath,
-              name: pathInfo.filePath.split('/').pop(),
-              content: content.content,
-              size: content.size
-            });
-            context.totalSize += content.size;
-          }
-        } catch (error) {
-          // Try as single file
-          const content = await this.fetchContent(pathInfo);
-          context.files.push({
-            path: pathInfo.filePath,
-            name: pathInfo.filePath.split('/').pop(),
-            content: content.content,
-            size: content.size
-          });
-          context.totalSize += content.size;
-        }
+    const loader = new TestContextLoader({
+      getEntry: pathInfo => this.contentSource.getContent(pathInfo),
+      fetchContent: pathInfo => this.fetchContent(pathInfo),
+      preset: this.budget.settings.preset,
+      strategy: this.budget.settings.strategy
+    });
+    return loader.load(await Promise.all(contextPaths.map(contextPath => this.resolvePath(contextPath))));
+  }
 
-        context.summary.push(`✓ Loaded: ${pathInfo.filePath}`);
-      } catch (error) {
-        context.summary.push(`✗ Failed: ${path} - ${error.message}`);
-      }
+  /**
+   * @static
+   * @method describeTestContext
+   * @param {Object} context - Result of fetchTestContext
+   * @returns {Object|null} `{ files, totalSize, skipped, warnings, limits }` without file
+   *   contents, or null when no context was given
+   */
+  static describeTestContext(context) {
+    if (!context || (context.files.length === 0 && context.skipped.length === 0)) {
+      return null;
     }
-
-    return context;
+    return {
+      files: context.files.map(f => ({ path: f.path, type: f.type, size: f.size, truncated: f.truncated })),
+      totalSize: context.totalSize,
+      skipped: context.skipped,
+      warnings: context.warnings,
+      limits: context.limits
+    };
   }
 
   /**
-   * Parse path to extract file path and version information
-   * Supports formats:
+   * @method parsePath
+   * @description Parses a path string into components (see PathParser for the grammar).
+   * Supported forms:
    * - "path/to/file.md" (latest version)
-   * - "path/to/file.md@v1" (tag)
-   * - "path/to/file.md@branch-name" (branch)
-   * - "path/to/file.md@3a5f8e2" (commit SHA)
+   * - "path/to/file.md@v1", "@branch-name", "@feature/branch", "@3a5f8e2" (tag, branch, commit)
    * - "owner/repo:path/to/file.md@version" (cross-repo)
-   */
-  /**
-   * @method parsePath
-   * @description Parses GitHub path string into components
+   * - "path/to/file.md@3commits-ago", "@HEAD~2", "@base", "@pr-head", "@latest-tag",
+   *   "@2026-01-01" (relative refs, resolved to a commit SHA by resolvePath)
+   * - "path/to/file.md#L10-L20" (line range, 1-based and inclusive)
    * @param {string} pathString - Path string to parse
    * @returns {Object} Parsed path information
    * @returns {string} returns.owner - Repository owner
    * @returns {string} returns.repo - Repository name
    * @returns {string} returns.filePath - File path
    * @returns {string} returns.version - Version reference
+   * @returns {boolean} returns.explicitVersion - Whether the path named a version
+   *   (the local source reads the working tree otherwise)
+   * @returns {Object|null} returns.lines - `{ start, end }` when a line range was given
    * @returns {string} returns.fullPath - Original full path
+   * @throws {Error} With a PATH_ERRORS code and status 400 when the path is malformed
    * @private
    */
   parsePath(pathString) {
-    let owner = this.repoOwner;
-    let repo = this.repoName;
-    let filePath = pathString;
-    let version = 'HEAD';
-
-    // Check for cross-repo format
-    if (pathString.includes(':')) {
-      const [repopart, filepart] = pathString.split(':');
-      if (repopart.includes('/')) {
-        [owner, repo] = repopart.split('/');
-        filePath = filepart;
-      }
-    }
-
-    // Check for version specification
-    if (filePath.includes('@')) {
-      const parts = filePath.split('@');
-      filePath = parts[0];
-      version = parts[1];
-    }
+    return PathParser.parse(pathString, { owner: this.repoOwner, repo: this.repoName });
+  }
 
-    return {
-      owner,
-      repo,
-      filePath,
-      version,
-      fullPath: pathString
-    };
+  /**
+   * @method resolvePath
+   * @async
+   * @description Parses a path and resolves a relative version (`@3commits-ago`, `@HEAD~2`,
+   * `@base`, `@pr-head`, `@latest-tag`, `@2026-01-01`) to a commit SHA through the content
+   * source's history
+   * @param {string} pathString - Path string to parse
+   * @returns {Promise<Object>} Parsed path (see parsePath); resolved paths carry the SHA in
+   *   `version` and the original reference in `ref`
+   * @throws {Error} UNRESOLVED_REF when the reference cannot be resolved
+   * @private
+   */
+  async resolvePath(pathString) {
+    return this.refResolver.resolve(this.parsePath(pathString));
   }
 
   /**
@@ -426,8 +604,9 @@ class ABTestTool {
    * @description Verifies that all paths exist before processing to fail fast
    * @param {Object} paths - Object containing all paths to verify
    * @param {Object} paths.expert - Expert definition path info
-   * @param {Object} paths.promptA - PromptA path info
-   * @param {Object} paths.promptB - PromptB path info
+   * @param {Object} [paths.promptA] - PromptA path info
+   * @param {Object} [paths.promptB] - PromptB path info
+   * @param {Array<Object>} [paths.prompts] - Further prompts as `{ label, info }`
    * @param {Array<string>} [paths.testContextPaths] - Test context paths
    * @returns {Promise<Object>} Verification results
    * @returns {boolean} returns.success - Whether all paths exist
@@ -452,17 +631,7 @@ class ABTestTool {
             await new Promise(resolve => setTimeout(resolve, delay));
           }
           
-          const response = await this.octokit.repos.getContent({
-            owner: pathInfo.owner,
-            repo: pathInfo.repo,
-            path: pathInfo.filePath,
-            ref: pathInfo.version === 'HEAD' ? undefined : pathInfo.version
-          });
-          
-          // Check if we got an HTML error page instead of JSON
-          if (typeof response === 'string' && response.includes('<!DOCTYPE html>')) {
-            throw new Error('Received HTML error page instead of JSON response - GitHub API server error');
-          }
+          await this.contentSource.getContent(pathInfo);
           
           return true; // Path exists
         } catch (error) {
@@ -470,10 +639,9 @@ class ABTestTool {
           
           // Check if this is a 404 - file genuinely doesn't exist
           if (error.status === 404) {
-            const fullPath = `${pathInfo.owner}/${pathInfo.repo}:${pathInfo.filePath}${pathInfo.version !== 'HEAD' ? '@' + pathInfo.version : ''}`;
             missingPaths.push({
               label,
-              path: fullPath,
+              path: this.contentSource.location(pathInfo),
               error: 'Not found',
               httpStatus: 404
             });
@@ -485,7 +653,7 @@ class ABTestTool {
           
           if (!isRetryable || attempt === maxRetries) {
             // Not retryable or final attempt
-            const fullPath = `${pathInfo.owner}/${pathInfo.repo}:${pathInfo.filePath}${pathInfo.version !== 'HEAD' ? '@' + pathInfo.version : ''}`;
+            const fullPath = this.contentSource.location(pathInfo);
             const errorMsg = error.message || error.toString();
             
             // Determine concise error type
@@ -520,17 +688,33 @@ class ABTestTool {
     await checkPath(paths.expert, 'Expert definition');
     
     // Verify promptA
-    console.log(`Verifying promptA: ${paths.promptA.filePath}`);
-    await checkPath(paths.promptA, 'PromptA');
+    if (paths.promptA) {
+      console.log(`Verifying promptA: ${paths.promptA.filePath}`);
+      await checkPath(paths.promptA, 'PromptA');
+    }
     
     // Verify promptB
-    console.log(`Verifying promptB: ${paths.promptB.filePath}`);
-    await checkPath(paths.promptB, 'PromptB');
+    if (paths.promptB) {
+      console.log(`Verifying promptB: ${paths.promptB.filePath}`);
+      await checkPath(paths.promptB, 'PromptB');
+    }
+
+    // Verify additional labelled prompts (tournament candidates)
+    for (const { label, info } of paths.prompts || []) {
+      console.log(`Verifying ${label}: ${info.filePath}`);
+      await checkPath(info, label);
+    }
     
     // Verify test context paths if provided
     if (paths.testContextPaths && paths.testContextPaths.length > 0) {
       for (const testPath of paths.testContextPaths) {
-        const testPathInfo = this.parsePath(testPath);
+        let testPathInfo;
+        try {
+          testPathInfo = await this.resolvePath(testPath);
+        } catch (error) {
+          missingPaths.push({ label: `Test context: ${testPath}`, path: testPath, error: error.message, httpStatus: error.status || 'unknown' });
+          continue;
+        }
         console.log(`Verifying test context: ${testPathInfo.filePath}`);
         await checkPath(testPathInfo, `Test context: ${testPath}`);
       }
@@ -545,19 +729,24 @@ class ABTestTool {
   /**
    * @method fetchContent
    * @async
-   * @description Fetches content from GitHub with version support, caching, and retry logic
+   * @description Fetches content from the content source with version support, caching, and retry logic
    * @param {Object} pathInfo - Parsed path information
    * @param {string} pathInfo.owner - Repository owner
    * @param {string} pathInfo.repo - Repository name
    * @param {string} pathInfo.filePath - File path in repository
    * @param {string} pathInfo.version - Version reference (branch/tag/commit)
+   * @param {Object} [pathInfo.lines] - Line range to keep (`{ start, end }`)
    * @returns {Promise<string>} File content
-   * @throws {Error} If content cannot be fetched after retries
+   * @throws {Error} If content cannot be fetched after retries, or the line range starts past the end of the file
    * @private
    */
   async fetchContent(pathInfo) {
+    if (pathInfo.lines) {
+      return ABTestTool.selectLines(await this.fetchContent({ ...pathInfo, lines: null }), pathInfo);
+    }
+
     // Check cache first
-    const cacheKey = `${pathInfo.owner}/${pathInfo.repo}/${pathInfo.filePath}@${pathInfo.version}`;
+    const cacheKey = `${this.contentSource.name}:${this.contentSource.location(pathInfo)}`;
     const cached = this.contentCache.get(cacheKey);
     
     if (cached && (Date.now() - cached.timestamp < this.cacheTimeout)) {
@@ -579,21 +768,12 @@ class ABTestTool {
           await new Promise(resolve => setTimeout(resolve, delay));
         }
         
-        // Make the API request
-        const { data } = await this.octokit.repos.getContent({
-          owner: pathInfo.owner,
-          repo: pathInfo.repo,
-          path: pathInfo.filePath,
-          ref: pathInfo.version === 'HEAD' ? undefined : pathInfo.version
-        });
-
-        // Validate response is not HTML error page
-        if (typeof data === 'string' && data.includes('<!DOCTYPE html>')) {
-          throw new Error('Received HTML error page instead of JSON response - GitHub API server error');
+        // Read from the content source (GitHub API or local checkout)
+        const data = await this.contentSource.getContent(pathInfo);
+        if (data.type !== 'file') {
+          throw new Error(`${pathInfo.filePath} is a directory, not a file`);
         }
-
-        // Decode base64 content
-        const content = Buffer.from(data.content, 'base64').toString('utf-8');
+        const content = data.content;
         
         // Validate content is not empty
         if (!content || content.trim().length === 0) {
@@ -611,7 +791,7 @@ class ABTestTool {
           size: data.size,
           path: pathInfo.filePath,
           version: pathInfo.version,
-          url: data.html_url
+          url: data.url
         };
         
         // Cache the result
@@ -630,7 +810,7 @@ class ABTestTool {
         if (!isRetryable || attempt === maxRetries) {
           // Not retryable or final attempt - throw the error
           const errorMsg = `Failed to fetch ${pathInfo.fullPath} after ${attempt + 1} attempts:\n` +
-                          `  Repository: ${pathInfo.owner}/${pathInfo.repo}\n` +
+                          `  Source: ${this.contentSource.name}${pathInfo.owner ? ` (${pathInfo.owner}/${pathInfo.repo})` : ''}\n` +
                           `  File: ${pathInfo.filePath}\n` +
                           `  Version: ${pathInfo.version}\n` +
                           `  Error: ${error.message || error.toString()}\n` +
@@ -650,6 +830,32 @@ class ABTestTool {
     throw lastError || new Error('Failed to fetch content after all retries');
   }
   
+  /**
+   * @static
+   * @method selectLines
+   * @description Narrows fetched content to the path's line range (an end past the last line
+   * is clamped)
+   * @param {Object} fetched - Result of fetchContent for the whole file
+   * @param {Object} pathInfo - Parsed path with `lines`
+   * @returns {Object} The fetched record with only the selected lines and their size
+   * @throws {Error} INVALID_LINE_RANGE when the range starts past the end of the file
+   */
+  static selectLines(fetched, pathInfo) {
+    const lines = fetched.content.split('\n');
+    const { start, end } = pathInfo.lines;
+    if (start > lines.length) {
+      throw PathParser.invalid('INVALID_LINE_RANGE', pathInfo.fullPath,
+        `${pathInfo.filePath} has ${lines.length} lines, the range starts at line ${start}`);
+    }
+    const content = lines.slice(start - 1, end).join('\n');
+    return {
+      ...fetched,
+      content,
+      size: Buffer.byteLength(content, 'utf8'),
+      lines: { start, end: Math.min(end, lines.length) }
+    };
+  }
+
   /**
    * @method isRetryableError
    * @description Determines if an error is retryable based on HTTP status codes
@@ -693,26 +899,34 @@ class ABTestTool {
   }
 
   /**
-   * Run 3-thread evaluation for a prompt
+   * Run 3-thread evaluation for a prompt.
+   * Every thread scores each criterion declared in the expert definition; the aggregate is
+   * the weighted sum of the per-criterion means. Experts without numbered criteria fall
+   * back to the mean of the three thread scores. The threads are independent and run in
+   * parallel.
    */
-  async runThreeThreadEvaluation(expertPrompt, promptContent, promptInfo, testContext = null, iterationCount = 0) {
+  async runThreeThreadEvaluation(expertPrompt, promptContent, promptInfo, testContext = null, iterationCount = 0, testResults = null) {
     // Adjust evaluation based on iteration count
     const leniencyFactor = iterationCount >= 3 ? 0.5 : iterationCount >= 2 ? 0.3 : 0;
     
     // Simulate evaluation with three different approaches
-    const threads = [];
-
-    // Thread 1: Structural analysis
-    threads.push(await this.evaluateStructure(expertPrompt, promptContent, testContext, iterationCount));
-
-    // Thread 2: Domain expertise analysis
-    threads.push(await this.evaluateDomainExpertise(expertPrompt, promptContent, testContext, iterationCount));
-
-    // Thread 3: Effectiveness analysis with test context
-    threads.push(await this.evaluateEffectiveness(expertPrompt, promptContent, testContext, iterationCount));
-
-    // Aggregate scores with leniency adjustment
-    let aggregateScore = threads.reduce((sum, t) => sum + t.score, 0) / threads.length;
+    const threads = await CallScheduler.all([
+      // Thread 1: Structural analysis
+      this.evaluateStructure(expertPrompt, promptContent, testContext, iterationCount),
+      // Thread 2: Domain expertise analysis
+      this.evaluateDomainExpertise(expertPrompt, promptContent, testContext, iterationCount),
+      // Thread 3: Effectiveness analysis with test context
+      this.evaluateEffectiveness(expertPrompt, promptContent, testContext, iterationCount, testResults)
+    ]);
+
+    // Aggregate scores: weights declared in the expert file, else the thread average
+    const rubric = this.getExpertRubric(expertPrompt).criteria;
+    const scores = this.aggregateCriteria(rubric, threads);
+    const weighted = ExpertDefinitionParser.weightedScore(rubric, scores);
+    const criteria = rubric.map(({ name, weight }, index) => ({ name, weight, score: scores[index].score }));
+    let aggregateScore = weighted
+      ? weighted.score
+      : threads.reduce((sum, t) => sum + t.score, 0) / threads.length;
     
     // Apply leniency for multiple iterations
     if (leniencyFactor > 0) {
@@ -724,22 +938,218 @@ class ABTestTool {
       promptInfo,
       threads,
       aggregateScore,
+      scoring: weighted ? 'weighted-criteria' : 'thread-average',
+      criteria,
       strengths: this.extractStrengths(threads),
       weaknesses: this.extractWeaknesses(threads),
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * @method runSampledEvaluation
+   * @async
+   * @description Repeats the 3-thread evaluation (in parallel) to collect independent judge
+   * samples and merges them into a single evaluation with per-thread mean and variance
+   * @param {Object} expertPrompt - Expert definition content
+   * @param {Object} promptContent - Prompt content
+   * @param {Object} promptInfo - Parsed prompt path
+   * @param {Object|null} testContext - Test context materials
+   * @param {number} iterationCount - Previous improvement iterations
+   * @param {number} sampleCount - Number of samples to collect
+   * @param {Object|null} [testResults=null] - Test suite results for this prompt
+   * @returns {Promise<Object>} Merged evaluation; `scoreSamples` holds the per-sample aggregate scores
+   * @private
+   */
+  async runSampledEvaluation(expertPrompt, promptContent, promptInfo, testContext, iterationCount, sampleCount, testResults = null) {
+    const runs = await CallScheduler.all(Array.from({ length: sampleCount }, () =>
+      this.runThreeThreadEvaluation(expertPrompt, promptContent, promptInfo, testContext, iterationCount, testResults)
+    ));
+
+    const threads = runs[0].threads.map((thread, index) => {
+      const sampled = runs.map(run => run.threads[index]);
+      const scores = sampled.map(t => t.score);
+
+      // An aspect holds when it held in the majority of samples
+      const aspects = {};
+      for (const aspect of Object.keys(thread.aspects)) {
+        const votes = sampled.filter(t => t.aspects[aspect]).length;
+        aspects[aspect] = votes * 2 > sampled.length;
+      }
+
+      // Per-criterion mean across samples, keyed by criterion name
+      const criteriaScores = new Map();
+      for (const t of sampled) {
+        for (const criterion of t.criteria || []) {
+          if (!criteriaScores.has(criterion.name)) criteriaScores.set(criterion.name, []);
+          criteriaScores.get(criterion.name).push(criterion.score);
+        }
+      }
+
+      const unique = field => [...new Set(sampled.flatMap(t => t[field] || []))];
+
+      return {
+        type: thread.type,
+        evaluation: thread.evaluation,
+        evaluations: sampled.map(t => t.evaluation),
+        score: Statistics.mean(scores),
+        scores,
+        variance: Statistics.variance(scores),
+        criteria: [...criteriaScores].map(([name, values]) => ({ name, score: Statistics.mean(values), scores: values })),
+        strengths: unique('strengths'),
+        weaknesses: unique('weaknesses'),
+        redFlags: unique('redFlags'),
+        aspects
+      };
+    });
+
+    const scoreSamples = runs.map(run => run.aggregateScore);
+
+    // Per-criterion mean across samples (criteria are in the same order in every run)
+    const criteria = runs[0].criteria.map((criterion, index) => {
+      const values = runs.map(run => run.criteria[index].score).filter(v => v !== null);
+      return { ...criterion, score: values.length > 0 ? Statistics.mean(values) : null };
+    });
+
+    return {
+      promptInfo,
+      threads,
+      aggregateScore: Statistics.mean(scoreSamples),
+      scoring: runs[0].scoring,
+      criteria,
+      scoreSamples,
+      variance: Statistics.variance(scoreSamples),
+      standardDeviation: Statistics.standardDeviation(scoreSamples),
+      sampleCount,
+      strengths: this.extractStrengths(threads),
+      weaknesses: this.extractWeaknesses(threads),
+      redFlags: [...new Set(threads.flatMap(t => t.redFlags))],
+      testResults,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * @method getExpertRubric
+   * @description Parses (once) the weighted criteria declared in the expert definition
+   * @param {Object} expertPrompt - Expert definition content
+   * @returns {Object} Parsed definition `{ frontmatter, criteria, weightSource }`
+   * @private
+   */
+  getExpertRubric(expertPrompt) {
+    if (!expertPrompt.rubric) {
+      expertPrompt.rubric = ExpertDefinitionParser.parse(expertPrompt.content);
+      const { criteria, weightSource } = expertPrompt.rubric;
+      if (criteria.length > 0) {
+        console.log(`Expert declares ${criteria.length} criteria (weights: ${weightSource})`);
+      }
+    }
+    return expertPrompt.rubric;
+  }
+
+  /**
+   * @method aggregateCriteria
+   * @description Averages each declared criterion over the threads that scored it
+   * @param {Array<Object>} criteria - Criteria parsed from the expert definition
+   * @param {Array<Object>} threads - Thread results with `criteria`
+   * @returns {Array<Object>} `{ name, score }` per declared criterion, in the same order
+   *   (score is null when no thread scored it)
+   * @private
+   */
+  aggregateCriteria(criteria, threads) {
+    return criteria.map(({ name }) => {
+      const scores = threads
+        .flatMap(t => t.criteria || [])
+        .filter(c => c.name === name)
+        .map(c => c.score);
+      return { name, score: scores.length > 0 ? Statistics.mean(scores) : null };
+    });
+  }
+
+  /**
+   * @method runEvaluationJudge
+   * @async
+   * @description Runs one evaluation thread through the structured judge, requiring a
+   * score for every criterion the expert declares
+   * @param {Object} expertPrompt - Expert definition content
+   * @param {string} systemMessage - Thread-specific system prompt
+   * @param {string} userContent - Thread-specific user message
+   * @param {string} scope - Thread type, used for usage accounting
+   * @returns {Promise<Object>} Validated `evaluation` judge output
+   * @private
+   */
+  async runEvaluationJudge(expertPrompt, systemMessage, userContent, scope) {
+    const { criteria } = this.getExpertRubric(expertPrompt);
+    const names = criteria.map(c => c.name);
+
+    let system = systemMessage;
+    if (criteria.length > 0) {
+      const list = criteria
+        .map(c => `- ${c.name} (${Math.round(c.weight * 100)}% weight)`)
+        .join('\n');
+      system += `\n\nScore the prompt on each of the expert's criteria from your perspective (0-10), using these exact names:\n${list}`;
+    }
+
+    const { data } = await this.judge.run('evaluation', {
+      max_tokens: 2000,
+      messages: [{
+        role: 'user',
+        content: userContent
+      }],
+      system
+    }, { criteria: names, scope });
+
+    return data;
+  }
+
+  /**
+   * @method recordUsage
+   * @description Adds a model response's token usage to the current run
+   * @param {Object} response - Messages API response
+   * @param {string} scope - Evaluation thread or judge step the call belongs to
+   * @private
+   */
+  recordUsage(response, scope) {
+    this.usage.record(response, scope);
+    this.budget.record(response, scope);
+  }
+
+  /**
+   * @method describeContent
+   * @param {Object} fetched - Content returned by fetchContent
+   * @returns {Object} `{ path, version, sha, size, url }` identifying the exact revision evaluated
+   * @private
+   */
+  describeContent(fetched) {
+    return {
+      path: fetched.path,
+      version: fetched.version,
+      sha: fetched.sha,
+      size: fetched.size,
+      url: fetched.url
+    };
+  }
+
   /**
    * @method callClaudeWithRetry
    * @async
-   * @description Calls Claude API with retry logic and exponential backoff
+   * @description Calls Claude API with retry logic and exponential backoff. Each attempt
+   * waits for the scheduler's concurrency and rate limits; the request's estimate is held
+   * against the budget until it completes.
    * @param {Object} payload - API request payload
+   * @param {string} [scope='other'] - Usage scope (thread type, judge schema or 'test-suite')
    * @returns {Promise<Object>} Claude API response
-   * @throws {Error} If all retry attempts fail
+   * @throws {Error} If all retry attempts fail, or BUDGET_EXCEEDED before sending a request
+   *   the budget does not allow
    * @private
    */
-  async callClaudeWithRetry(payload) {
+  async callClaudeWithRetry(payload, scope = 'other') {
+    const budget = this.budget.check(payload, this.provider);
+    if (budget.notice) {
+      console.warn(budget.notice);
+    }
+    const release = this.budget.reserve(budget.estimate);
+
     const maxRetries = 3;
     const baseDelay = 2000; // 2 seconds base delay for Claude API
     let lastError = null;
@@ -753,8 +1163,10 @@ class ABTestTool {
           await new Promise(resolve => setTimeout(resolve, delay));
         }
         
-        // Make the API call
-        const response = await this.anthropic.messages.create(payload);
+        // Make the API call once a concurrency slot and the rate limit allow it
+        const response = await this.scheduler.schedule(() => this.provider.createMessage(payload));
+        this.recordUsage(response, scope);
+        release();
         
         // Success - return the response
         if (attempt > 0) {
@@ -771,6 +1183,7 @@ class ABTestTool {
         if (!isRetryable || attempt === maxRetries) {
           // Not retryable or final attempt - throw the error
           console.error(`Claude API call failed after ${attempt + 1} attempts:`, error.message);
+          release();
           throw error;
         }
         
@@ -907,23 +1320,13 @@ class ABTestTool {
       ? `Evaluate this prompt's structure with the following test context:\n\n${promptContent.content}\n\nTest Context Summary:\n${testContext.summary.join('\n')}`
       : `Evaluate this prompt's structure:\n\n${promptContent.content}`;
 
-    const response = await this.callClaudeWithRetry({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      messages: [{
-        role: 'user',
-        content: userContent
-      }],
-      system: systemMessage
-    });
+    const data = await this.runEvaluationJudge(expertPrompt, systemMessage, userContent, 'structural');
 
-    const evaluation = response.content[0].text;
-    const score = this.extractScore(evaluation);
+    const score = data.score;
 
     return {
       type: 'structural',
-      evaluation,
-      score,
+      ...this.toThreadResult(data),
       aspects: {
         clarity: score >= 7,
         organization: score >= 7,
@@ -951,29 +1354,19 @@ Evaluate the prompt for:
 
     let userContent = `Evaluate this prompt's domain expertise:\n\n${promptContent.content}`;
     
-    if (testContext && testContext.files.length > 0) {
+    const sampleFile = testContext && testContext.files.find(f => !f.binary);
+    if (sampleFile) {
       // Include sample test file for context
-      const sampleFile = testContext.files[0];
       userContent += `\n\nSample test context (${sampleFile.name}):\n${sampleFile.content.substring(0, 500)}...`;
     }
 
-    const response = await this.callClaudeWithRetry({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      messages: [{
-        role: 'user',
-        content: userContent
-      }],
-      system: systemMessage
-    });
+    const data = await this.runEvaluationJudge(expertPrompt, systemMessage, userContent, 'domain');
 
-    const evaluation = response.content[0].text;
-    const score = this.extractScore(evaluation);
+    const score = data.score;
 
     return {
       type: 'domain',
-      evaluation,
-      score,
+      ...this.toThreadResult(data),
       aspects: {
         accuracy: score >= 8,
         depth: score >= 7,
@@ -983,9 +1376,10 @@ Evaluate the prompt for:
   }
 
   /**
-   * Evaluate effectiveness of the prompt
+   * Evaluate effectiveness of the prompt.
+   * When a test suite ran, the judge sees the actual per-case results of the prompt.
    */
-  async evaluateEffectiveness(expertPrompt, promptContent, testContext, iterationCount = 0) {
+  async evaluateEffectiveness(expertPrompt, promptContent, testContext, iterationCount = 0, testResults = null) {
     const contextInfo = testContext ? `\n\nTest scenarios available for practical evaluation` : '';
     
     const systemMessage = `You are evaluating prompt effectiveness.
@@ -1003,6 +1397,9 @@ Evaluate the prompt for:
     
     if (testContext) {
       userContent += `\n\nTest Context Overview:\n- Files: ${testContext.files.length}\n- Directories: ${testContext.directories.length}\n- Total size: ${(testContext.totalSize / 1024).toFixed(2)} KB`;
+      if (testContext.skipped.length > 0) {
+        userContent += `\n- Skipped by context limits: ${testContext.skipped.length}`;
+      }
       
       if (testContext.directories.length > 0) {
         const dir = testContext.directories[0];
@@ -1010,23 +1407,23 @@ Evaluate the prompt for:
       }
     }
 
-    const response = await this.callClaudeWithRetry({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      messages: [{
-        role: 'user',
-        content: userContent
-      }],
-      system: systemMessage
-    });
+    if (testResults) {
+      userContent += `\n\nTest suite results when this prompt was run (${testResults.passed}/${testResults.total} cases passed):\n`;
+      userContent += testResults.cases.map(c => {
+        const failures = c.error
+          ? [`error: ${c.error}`]
+          : c.checks.filter(check => !check.passed).map(check => `${check.type}: ${check.detail}`);
+        return `- ${c.id}: ${c.passed ? 'PASS' : `FAIL (${failures.join('; ')})`}`;
+      }).join('\n');
+    }
 
-    const evaluation = response.content[0].text;
-    const score = this.extractScore(evaluation);
+    const data = await this.runEvaluationJudge(expertPrompt, systemMessage, userContent, 'effectiveness');
+
+    const score = data.score;
 
     return {
       type: 'effectiveness',
-      evaluation,
-      score,
+      ...this.toThreadResult(data),
       aspects: {
         outputQuality: score >= 7,
         taskCompletion: score >= 8,
@@ -1036,11 +1433,58 @@ Evaluate the prompt for:
   }
 
   /**
-   * Compare two evaluations
+   * @method toThreadResult
+   * @description Maps validated judge output to the common thread result fields
+   * @param {Object} data - Output of the `evaluation` judge schema
+   * @returns {Object} evaluation text, score, criteria, strengths, weaknesses and redFlags
+   * @private
+   */
+  toThreadResult(data) {
+    return {
+      evaluation: StructuredJudge.toMarkdown(data),
+      score: data.score,
+      criteria: data.criteria,
+      strengths: data.strengths,
+      weaknesses: data.weaknesses,
+      redFlags: data.redFlags
+    };
+  }
+
+  /**
+   * @method compareEvaluations
+   * @async
+   * @description Compares two evaluations thread by thread and asks the expert for a detailed
+   * comparison. In swap mode the expert comparison runs twice, once with each prompt shown
+   * first, to detect positional bias.
+   * @param {Object} expertPrompt - Expert definition content
+   * @param {Object} evalA - Evaluation of prompt A
+   * @param {Object} evalB - Evaluation of prompt B
+   * @param {Object} infoA - Parsed path of prompt A
+   * @param {Object} infoB - Parsed path of prompt B
+   * @param {Object} [options={}] - Comparison options
+   * @param {boolean} [options.swapOrder=false] - Compare in both A/B and B/A order
+   * @param {Array<string>} [options.contents] - Texts of prompts A and B, shown to the expert
+   *   next to their evaluations
+   * @returns {Promise<Object>} Comparison with improvements, regressions, statistics,
+   *   detailed text and (in swap mode) positionBias
    */
-  async compareEvaluations(expertPrompt, evalA, evalB, infoA, infoB) {
+  async compareEvaluations(expertPrompt, evalA, evalB, infoA, infoB, options = {}) {
     const comparison = {
       scoreDifference: evalB.aggregateScore - evalA.aggregateScore,
+      statistics: Statistics.compareSamples(
+        evalA.scoreSamples || [evalA.aggregateScore],
+        evalB.scoreSamples || [evalB.aggregateScore]
+      ),
+      criteria: (evalA.criteria || []).map((criterion, index) => {
+        const scoreB = evalB.criteria && evalB.criteria[index] ? evalB.criteria[index].score : null;
+        return {
+          name: criterion.name,
+          weight: criterion.weight,
+          scoreA: criterion.score,
+          scoreB,
+          difference: criterion.score !== null && scoreB !== null ? scoreB - criterion.score : null
+        };
+      }),
       improvements: [],
       regressions: [],
       unchanged: []
@@ -1071,43 +1515,137 @@ Evaluate the prompt for:
       }
     }
 
+    if (evalA.testResults && evalB.testResults) {
+      comparison.testResults = TestSuiteRunner.compareResults(evalA.testResults, evalB.testResults);
+    }
+
+    if (options.swapOrder) {
+      comparison.positionBias = await this.runPositionSwapComparison(expertPrompt, evalA, evalB, options.contents);
+      comparison.expertPreference = comparison.positionBias.preferred;
+      comparison.detailed = comparison.positionBias.orderings
+        .map(o => `### Presented ${o.order === 'AB' ? 'A first' : 'B first'}\n\n${o.text}`)
+        .join('\n\n');
+      return comparison;
+    }
+
     // Detailed comparison using expert perspective
     const detailedComparison = await this.getDetailedComparison(
       expertPrompt,
       evalA,
       evalB,
       infoA,
-      infoB
+      infoB,
+      { contents: options.contents }
     );
 
-    comparison.detailed = detailedComparison;
+    comparison.detailed = StructuredJudge.toMarkdown(detailedComparison);
+    comparison.expertPreference = { FIRST: 'A', SECOND: 'B', TIE: 'TIE' }[detailedComparison.preferred];
 
     return comparison;
   }
 
   /**
-   * Get detailed comparison from expert perspective
+   * @method runPositionSwapComparison
+   * @async
+   * @description Runs the expert comparison with A first and with B first. Prompts are shown
+   * as FIRST/SECOND without version labels and the judge states which one it prefers. Each
+   * ordering's preference is mapped back to A/B; the pair's preference is TIE unless both
+   * orderings agree.
+   * @param {Object} expertPrompt - Expert definition content
+   * @param {Object} evalA - Evaluation of prompt A
+   * @param {Object} evalB - Evaluation of prompt B
+   * @param {Array<string>} [contents=[]] - Texts of prompts A and B; each ordering shows them
+   *   in the same order as their evaluations
+   * @returns {Promise<Object>} Orderings, agreed preference (A, B or TIE), position-consistency
+   * score (0-1) and inconclusive flag
+   * @private
+   */
+  async runPositionSwapComparison(expertPrompt, evalA, evalB, contents = []) {
+    const [contentA, contentB] = contents;
+    const orderings = await CallScheduler.all(['AB', 'BA'].map(async order => {
+      const [first, second] = order === 'AB' ? [evalA, evalB] : [evalB, evalA];
+      const result = await this.getDetailedComparison(
+        expertPrompt,
+        first,
+        second,
+        { version: 'FIRST' },
+        { version: 'SECOND' },
+        { blind: true, contents: order === 'AB' ? [contentA, contentB] : [contentB, contentA] }
+      );
+
+      const position = result.preferred;
+      let preferred = position;
+      if (position === 'FIRST') preferred = order[0];
+      if (position === 'SECOND') preferred = order[1];
+
+      return { order, position, preferred, text: StructuredJudge.toMarkdown(result) };
+    }));
+
+    const [ab, ba] = orderings.map(o => o.preferred);
+    let consistency;
+    if (ab === ba) {
+      consistency = 1;
+    } else if (ab === 'TIE' || ba === 'TIE') {
+      consistency = 0.5;
+    } else {
+      consistency = 0;
+    }
+
+    const flipped = consistency === 0;
+
+    return {
+      mode: 'swap',
+      orderings,
+      preferred: consistency === 1 ? ab : 'TIE',
+      consistency,
+      consistent: consistency === 1,
+      inconclusive: flipped,
+      note: flipped
+        ? `Judge preferred the ${orderings[0].position} prompt in both orderings - preference follows position, not content`
+        : null
+    };
+  }
+
+  /**
+   * @method getDetailedComparison
+   * @async
+   * @description Gets a detailed comparison from the expert perspective
+   * @param {Object} expertPrompt - Expert definition content
+   * @param {Object} evalA - Evaluation shown first
+   * @param {Object} evalB - Evaluation shown second
+   * @param {Object} infoA - Label info for the first prompt
+   * @param {Object} infoB - Label info for the second prompt
+   * @param {Object} [options={}] - Comparison options
+   * @param {boolean} [options.blind=false] - Label prompts FIRST/SECOND instead of A/B with versions
+   * @param {Array<string>} [options.contents] - Texts of the first and second prompt, shown
+   *   with their evaluations so the judge compares the prompts, not only their scores
+   * @returns {Promise<Object>} Output of the `comparison` judge schema; `preferred` is
+   *   FIRST (evalA), SECOND (evalB) or TIE
+   * @private
    */
-  async getDetailedComparison(expertPrompt, evalA, evalB, infoA, infoB) {
+  async getDetailedComparison(expertPrompt, evalA, evalB, infoA, infoB, options = {}) {
     const systemMessage = `You are the expert defined by this prompt:
 ${expertPrompt.content}
 
 Provide a detailed comparison of two prompt evaluations.`;
 
-    const response = await this.callClaudeWithRetry({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1500,
+    const labelA = options.blind ? 'FIRST PROMPT' : `PROMPT A (${infoA.version})`;
+    const labelB = options.blind ? 'SECOND PROMPT' : `PROMPT B (${infoB.version})`;
+    const [textA, textB] = (options.contents || []).map(text => (text ? `Prompt text:\n${text}\n\n` : ''));
+
+    const { data } = await this.judge.run('comparison', {
+      max_tokens: 2000,
       messages: [{
         role: 'user',
         content: `Compare these two prompt evaluations:
 
-PROMPT A (${infoA.version}):
-Score: ${evalA.aggregateScore}
+${labelA}:
+${textA || ''}Score: ${evalA.aggregateScore}${this.formatCriteriaScores(evalA)}
 Strengths: ${evalA.strengths.join(', ')}
 Weaknesses: ${evalA.weaknesses.join(', ')}
 
-PROMPT B (${infoB.version}):
-Score: ${evalB.aggregateScore}
+${labelB}:
+${textB || ''}Score: ${evalB.aggregateScore}${this.formatCriteriaScores(evalB)}
 Strengths: ${evalB.strengths.join(', ')}
 Weaknesses: ${evalB.weaknesses.join(', ')}
 
@@ -1115,26 +1653,105 @@ Provide detailed comparison focusing on:
 1. Key differences
 2. Trade-offs
 3. Use case suitability
-4. Overall improvement or regression`
+4. Overall improvement or regression
+
+Set "preferred" to FIRST if ${labelA} is better overall, SECOND if ${labelB} is better, or TIE.`
       }],
       system: systemMessage
     });
 
-    return response.content[0].text;
+    return data;
+  }
+
+  /**
+   * @method formatCriteriaScores
+   * @description Formats per-criterion scores of an evaluation for judge prompts
+   * @param {Object} evaluation - Prompt evaluation
+   * @returns {string} Criterion lines prefixed with a newline, or empty string
+   * @private
+   */
+  formatCriteriaScores(evaluation) {
+    const scored = (evaluation.criteria || []).filter(c => c.score !== null);
+    if (scored.length === 0) return '';
+    return '\n' + scored
+      .map(c => `- ${c.name} (${Math.round(c.weight * 100)}%): ${c.score.toFixed(1)}`)
+      .join('\n');
+  }
+
+  /**
+   * @method determineStatisticalVerdict
+   * @description Decides winner and confidence from the bootstrap comparison of judge samples.
+   * Winner is the prompt with the higher mean score (A keeps its place on an exact tie).
+   * Confidence is high when p < 0.01 and the confidence interval excludes zero, medium when
+   * p < 0.05, and low otherwise or when there are fewer than two samples per prompt.
+   * @param {Object} statistics - Result of Statistics.compareSamples
+   * @returns {Object} winner, confidence, significant flag and an optional note
+   * @private
+   */
+  determineStatisticalVerdict(statistics) {
+    const winner = statistics.meanDifference > 0 ? 'B' : 'A';
+
+    if (!statistics.sufficientSamples) {
+      return {
+        winner,
+        confidence: 'low',
+        significant: false,
+        note: 'Insufficient samples for significance testing (need at least 2 per prompt)'
+      };
+    }
+
+    const { lower, upper } = statistics.confidenceInterval;
+    const intervalExcludesZero = lower > 0 || upper < 0;
+    let confidence = 'low';
+    if (statistics.pValue < 0.01 && intervalExcludesZero) {
+      confidence = 'high';
+    } else if (statistics.pValue < 0.05) {
+      confidence = 'medium';
+    }
+
+    return {
+      winner,
+      confidence,
+      significant: statistics.pValue < 0.05,
+      note: null
+    };
+  }
+
+  /**
+   * @method formatStatistics
+   * @description One-line summary of the significance test for prompts and summaries
+   * @param {Object} statistics - Result of Statistics.compareSamples
+   * @returns {string} Human readable statistics
+   * @private
+   */
+  formatStatistics(statistics) {
+    const { promptA, promptB, meanDifference, confidenceInterval, pValue } = statistics;
+    const base = `A mean ${promptA.mean.toFixed(2)} (sd ${promptA.standardDeviation.toFixed(2)}, n=${promptA.n}), ` +
+      `B mean ${promptB.mean.toFixed(2)} (sd ${promptB.standardDeviation.toFixed(2)}, n=${promptB.n}), ` +
+      `difference ${meanDifference >= 0 ? '+' : ''}${meanDifference.toFixed(2)}`;
+
+    if (pValue === null) {
+      return `${base}; not enough samples for a significance test`;
+    }
+
+    return `${base}, ${Math.round(confidenceInterval.level * 100)}% CI ` +
+      `[${confidenceInterval.lower.toFixed(2)}, ${confidenceInterval.upper.toFixed(2)}], p = ${pValue.toFixed(4)}`;
   }
 
   /**
    * Generate expert verdict
    */
   async generateExpertVerdict(expertPrompt, comparison, infoA, infoB) {
+    const statistics = comparison.statistics;
+    const decision = this.determineStatisticalVerdict(statistics);
+
     const systemMessage = `You are the expert defined by this prompt:
 ${expertPrompt.content}
 
 You must provide a clear verdict on which prompt version is better.`;
 
-    const response = await this.callClaudeWithRetry({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
+    const { data } = await this.judge.run('verdict', {
+      max_tokens: 1500,
       messages: [{
         role: 'user',
         content: `Based on this comparison, provide your expert verdict:
@@ -1142,35 +1759,55 @@ You must provide a clear verdict on which prompt version is better.`;
 ${comparison.detailed}
 
 Score difference: ${comparison.scoreDifference}
+Statistics across judge samples: ${this.formatStatistics(statistics)}
+Statistically preferred version: ${decision.winner} (${decision.confidence} confidence)
 Improvements: ${comparison.improvements.length}
-Regressions: ${comparison.regressions.length}
+Regressions: ${comparison.regressions.length}${comparison.testResults ? `
+Test cases passed: A ${comparison.testResults.promptA.passed}/${comparison.testResults.promptA.total}, B ${comparison.testResults.promptB.passed}/${comparison.testResults.promptB.total}
+Cases B newly fails: ${comparison.testResults.newlyFailing.join(', ') || 'none'}` : ''}
 
 PROVIDE CLEAR VERDICT:
-1. Which version is better: A (${infoA.version}) or B (${infoB.version})?
-2. Why is it better?
-3. Confidence level (high/medium/low)
-4. Recommendation for production use`
+1. Explain why version ${decision.winner} (${decision.winner === 'A' ? infoA.version : infoB.version}) scored better
+2. Key trade-offs between A (${infoA.version}) and B (${infoB.version})
+3. Recommendation for production use`
       }],
       system: systemMessage
     });
 
-    const verdictText = response.content[0].text;
-    
-    // Parse verdict
-    const winner = verdictText.toLowerCase().includes('version b') || 
-                   verdictText.toLowerCase().includes('prompt b') ? 'B' : 'A';
-    
-    const confidence = verdictText.toLowerCase().includes('high') ? 'high' :
-                      verdictText.toLowerCase().includes('low') ? 'low' : 'medium';
+    const { winner, significant } = decision;
+    let { confidence, note } = decision;
+
+    const testResults = comparison.testResults || null;
+
+    // A judge whose preference follows presentation order cannot be trusted for this pair
+    const positionBias = comparison.positionBias || null;
+    const inconclusive = Boolean(positionBias && positionBias.inconclusive);
+    if (inconclusive) {
+      confidence = 'low';
+      note = [note, positionBias.note].filter(Boolean).join('; ');
+    }
 
     return {
       winner,
       winnerVersion: winner === 'A' ? infoA.version : infoB.version,
       confidence,
-      reasoning: verdictText,
+      significant,
+      sufficientSamples: statistics.sufficientSamples,
+      inconclusive,
+      positionConsistency: positionBias ? positionBias.consistency : null,
+      expertPreference: comparison.expertPreference || null,
+      pValue: statistics.pValue,
+      confidenceInterval: statistics.confidenceInterval,
+      note,
+      reasoning: data.reasoning,
+      risks: data.risks,
       scoreDifference: comparison.scoreDifference,
-      recommendProduction: verdictText.toLowerCase().includes('recommend') && 
-                          verdictText.toLowerCase().includes('production')
+      testResults: testResults ? { promptA: testResults.promptA, promptB: testResults.promptB } : null,
+      newlyFailingCases: testResults ? testResults.newlyFailing : [],
+      // Production recommendation requires a significant win for B, not just the judge's opinion,
+      // and no test case that A passed may fail with B
+      recommendProduction: winner === 'B' && significant && !inconclusive && data.recommendProduction &&
+        !(testResults && testResults.newlyFailing.length > 0)
     };
   }
 
@@ -1328,33 +1965,6 @@ PROVIDE CLEAR VERDICT:
 4. Recommendation for production use`;
   }
 
-  /**
-   * Extract score from evaluation text
-   */
-  extractScore(evaluation) {
-    // Look for score patterns like "8/10", "Score: 8", "8 out of 10"
-    const patterns = [
-      /(\d+(?:\.\d+)?)\s*\/\s*10/i,
-      /score[:\s]+(\d+(?:\.\d+)?)/i,
-      /(\d+(?:\.\d+)?)\s*out\s*of\s*10/i
-    ];
-
-    for (const pattern of patterns) {
-      const match = evaluation.match(pattern);
-      if (match) {
-        return parseFloat(match[1]);
-      }
-    }
-
-    // Default score based on sentiment
-    if (evaluation.toLowerCase().includes('excellent')) return 9;
-    if (evaluation.toLowerCase().includes('good')) return 7;
-    if (evaluation.toLowerCase().includes('adequate')) return 5;
-    if (evaluation.toLowerCase().includes('poor')) return 3;
-    
-    return 5; // Default middle score
-  }
-
   /**
    * Extract strengths from threads
    */
@@ -1389,14 +1999,67 @@ PROVIDE CLEAR VERDICT:
     return weaknesses;
   }
 
+  /**
+   * @method describeChanges
+   * @description Line and word diff from prompt A to prompt B
+   * @param {Object} promptA - Fetched baseline content
+   * @param {Object} promptB - Fetched variant content
+   * @param {Object} promptAInfo - Parsed baseline path
+   * @param {Object} promptBInfo - Parsed variant path
+   * @returns {Object} `{ from, to, stats, summary, modified, unified }`
+   */
+  describeChanges(promptA, promptB, promptAInfo, promptBInfo) {
+    // Unversioned paths read the working tree (local) or default branch (GitHub)
+    const label = info => `${info.filePath}${info.explicitVersion ? `@${info.version}` : ''}`;
+    const diff = TextDiff.compare(promptA.content, promptB.content);
+    return {
+      from: label(promptAInfo),
+      to: label(promptBInfo),
+      stats: diff.stats,
+      summary: TextDiff.formatStats(diff.stats),
+      modified: diff.modified,
+      unified: TextDiff.toUnified(diff.hunks, { oldLabel: label(promptAInfo), newLabel: label(promptBInfo) })
+    };
+  }
+
+  /**
+   * Format the prompt diff of an A/B test as a collapsible Markdown block for PR comments.
+   * Long diffs are cut at maxLines.
+   */
+  static formatChanges(abTestResult, maxLines = 200) {
+    const changes = abTestResult.changes;
+    if (!changes) {
+      return '';
+    }
+    const title = `Changes ${changes.from} → ${changes.to}: ${changes.summary}`;
+    if (!changes.unified) {
+      return `${title} (identical content)`;
+    }
+
+    const lines = changes.unified.split('\n');
+    const shown = lines.slice(0, maxLines);
+    if (lines.length > maxLines) {
+      shown.push(`... ${lines.length - maxLines} more diff lines`);
+    }
+    return `<details><summary>${title}</summary>\n\n\`\`\`\`diff\n${shown.join('\n')}\n\`\`\`\`\n\n</details>`;
+  }
+
   /**
    * Generate summary of the AB test
    */
-  generateSummary(verdict) {
+  generateSummary(verdict, changes = null) {
+    const significance = verdict.pValue === null || verdict.pValue === undefined
+      ? (verdict.note || 'not tested')
+      : `p = ${verdict.pValue.toFixed(4)}, ${Math.round(verdict.confidenceInterval.level * 100)}% CI [${verdict.confidenceInterval.lower.toFixed(2)}, ${verdict.confidenceInterval.upper.toFixed(2)}]`;
+
     return `AB Test Complete: Version ${verdict.winnerVersion} is ${verdict.winner === 'B' ? 'BETTER' : 'WORSE'} than the baseline.
 Confidence: ${verdict.confidence}
 Score Difference: ${verdict.scoreDifference > 0 ? '+' : ''}${verdict.scoreDifference.toFixed(1)}
-Production Ready: ${verdict.recommendProduction ? 'YES' : 'NO'}`;
+Significance: ${significance}${verdict.positionConsistency === null || verdict.positionConsistency === undefined ? '' : `
+Position Consistency: ${verdict.positionConsistency}${verdict.inconclusive ? ' (INCONCLUSIVE - judge flipped with A/B order)' : ''}`}${verdict.testResults ? `
+Test Cases: A ${verdict.testResults.promptA.passed}/${verdict.testResults.promptA.total} passed, B ${verdict.testResults.promptB.passed}/${verdict.testResults.promptB.total} passed${verdict.newlyFailingCases.length > 0 ? ` (B newly fails: ${verdict.newlyFailingCases.join(', ')})` : ''}` : ''}
+${changes ? `Changes: ${changes.summary}
+` : ''}Production Ready: ${verdict.recommendProduction ? 'YES' : 'NO'}`;
   }
 
   /**
@@ -1413,6 +2076,27 @@ Production Ready: ${verdict.recommendProduction ? 'YES' : 'NO'}`;
     }
 
     const { verdict, evaluations, comparison } = abTestResult;
+
+    // Judge preference depended on presentation order
+    if (verdict.inconclusive) {
+      return {
+        action: 'REVIEW',
+        message: 'Inconclusive - the expert judge changed its preference when A/B order was swapped',
+        positionConsistency: verdict.positionConsistency,
+        verdict: verdict,
+        comparison: comparison
+      };
+    }
+
+    // One judge sample per prompt allows no significance test, so neither a win nor a regression is established
+    if (verdict.sufficientSamples === false) {
+      return {
+        action: 'REVIEW',
+        message: 'Inconclusive - one judge sample per prompt cannot be tested for significance; rerun with 2 or more samples',
+        verdict: verdict,
+        comparison: comparison
+      };
+    }
     
     // High confidence winner
     if (verdict.confidence === 'high' && verdict.recommendProduction) {
@@ -1489,22 +2173,26 @@ KEY FEATURES:
 • 3-thread evaluation (structure, domain expertise, effectiveness)
 • Expert-based scoring with domain-specific criteria  
 • Test context integration for real-world scenarios
-• Clear verdict with confidence level
+• Multiple independent judge samples per prompt (default 3)
+• Verdict from a bootstrap significance test: confidence interval and p-value
+• Optional positional-bias check (swapOrder) that judges both A/B and B/A orderings
+• Optional test suite execution (testSuitePath) with per-case pass/fail assertions
 • Support for version control (commits, tags, branches)
 • Cross-repository comparison capability
 
 WHEN TO USE THIS TOOL:
 1. Before deploying prompt changes to production
 2. Comparing different implementation approaches
-3. Tracking down when a regression was introduced
+3. Checking a suspected regression between two versions (use bisect_prompt to find the commit)
 4. Validating prompt improvements after updates
 5. Cross-team prompt comparison and standardization
 
 INPUT VALIDATION:
+• Paths follow [owner/repo:]path[@ref][#Lstart-Lend]; URLs, absolute, Windows/UNC and ".." paths, whitespace and shell metacharacters are rejected with a specific error code
 • All paths must exist and be accessible
 • Cannot compare identical versions
-• Test context limited to 100KB total
-• Maximum 20 test context files
+• Maximum 20 test context paths; directories are walked recursively
+• Test context is limited by config/abtest-limits.json (size per file type, total size, file count, folder depth, files per folder); skipped files are listed in the result
 
 VERSION FORMATS:
 • "prompts/file.md" → Latest version (HEAD)
@@ -1512,7 +2200,12 @@ VERSION FORMATS:
 • "prompts/file.md@main" → Specific branch  
 • "prompts/file.md@3a5f8e2" → Specific commit
 • "owner/repo:prompts/file.md" → Cross-repository
-• "prompts/file.md@3commits-ago" → Relative reference
+• "prompts/file.md@3commits-ago" → 3 changes to the file before the latest
+• "prompts/file.md@HEAD~2" → 2 first-parent commits before HEAD (the PR head in a PR)
+• "prompts/file.md@base" / "@pr-head" → PR base branch / PR head
+• "prompts/file.md@latest-tag" → Highest version tag
+• "prompts/file.md@2026-01-01" → Last change on or before that date (UTC)
+• "prompts/file.md@main#L10-L40" → Only lines 10-40
 
 HOW TO SPECIFY EXPERTS:
 AVAILABLE EXPERTS:
@@ -1563,11 +2256,26 @@ OUTPUT STRUCTURE:
   success: true/false,
   verdict: {
     winner: "A" or "B",
-    confidence: "high"/"medium"/"low",
+    confidence: "high" (p<0.01, CI excludes 0) / "medium" (p<0.05) / "low",
+    pValue: numeric or null,
+    confidenceInterval: { level: 0.95, lower, upper },
+    sufficientSamples: false with fewer than 2 samples per prompt (no significance test, action REVIEW),
+    positionConsistency: 1 / 0.5 / 0 or null (swapOrder only),
+    expertPreference: "A", "B" or "TIE" - the judge's preference (TIE when the swapOrder orderings disagree),
+    inconclusive: true when the judge flips with A/B order,
     scoreDifference: numeric,
+    testResults: { promptA: { passed, total }, promptB: { passed, total } } or null,
+    newlyFailingCases: ["case ids B fails but A passed"],
     reasoning: "detailed explanation",
     recommendProduction: true/false
   },
+  changes: {
+    from: "prompt A path", to: "prompt B path",
+    stats: { linesAdded, linesRemoved, linesModified, linesUnchanged, wordsAdded, wordsRemoved },
+    summary: "+3 -1 ~2 lines (+14/-6 words)",
+    modified: [{ oldLine, newLine, old, new, words: [{ type: "equal"/"delete"/"insert", text }] }],
+    unified: "unified diff of A → B"
+  },
   summary: "concise result statement"
 }
 
@@ -1591,7 +2299,7 @@ BEST PRACTICES:
 ✓ Document comparison purpose
 ✓ Save results for tracking
 ✗ Don't compare unrelated prompts
-✗ Don't use test context > 100KB
+✗ Don't rely on test context the limits in config/abtest-limits.json would skip
 ✗ Don't ignore low confidence
 ✗ Don't deploy without testing`,
       input_schema: {
@@ -1611,7 +2319,7 @@ BEST PRACTICES:
           },
           testContextPaths: {
             type: 'array',
-            description: 'Optional array of paths to test files or directories for evaluation context. Each path can be a file, directory, or use version specifiers like prompts. Example: ["test-scenarios/", "examples/test.js@v1.0"]. Limit total size to 100KB.',
+            description: 'Optional array of paths to test files or directories for evaluation context. Each path can be a file, directory, or use version specifiers like prompts. Example: ["test-scenarios/", "examples/test.js@v1.0"]. Bounded by config/abtest-limits.json: a maxSizeMB per file type, maxFoldersDepth and maxFilesPerFolder for directories, and maxTotalSizeMB and maxTotalFiles (of the budget preset, else the aggregate limits) for the whole context. Files left out are listed with the reason in testContext.skipped.',
             items: {
               type: 'string'
             }
@@ -1619,6 +2327,18 @@ BEST PRACTICES:
           iterationCount: {
             type: 'number',
             description: 'Optional: Number of previous improvement iterations. Used to apply leniency after multiple attempts. Defaults to 0.'
+          },
+          swapOrder: {
+            type: 'boolean',
+            description: 'Optional: Run the expert comparison in both A/B and B/A order to detect positional bias. The verdict is marked inconclusive when the judge prefers whichever prompt is shown first (or second) in both orders. Costs one extra model call. Defaults to false.'
+          },
+          samples: {
+            type: 'number',
+            description: `Optional: Independent judge samples per prompt (1-${MAX_SAMPLES}). More samples give tighter confidence intervals at 3 model calls per sample per prompt. Defaults to ${DEFAULT_SAMPLES}; fewer than 2 disables the significance test and makes the verdict inconclusive.`
+          },
+          testSuitePath: {
+            type: 'string',
+            description: 'Optional: Path to a YAML/JSON test suite (same format as prompt paths). Both prompts are run on every case and checked with mustContain / mustNotContain / regex / notRegex / minLength / maxLength / rubric assertions; per-case pass/fail is reported next to the judge score and B may not newly fail a case A passed to be recommended. Example: "test-suites/code-reviewer.yaml"'
           }
         },
         required: ['pathToExpertPromptDefinition', 'pathToPromptA', 'pathToPromptB']
@@ -1627,4 +2347,4 @@ BEST PRACTICES:
   }
 }
 
-module.exports = { ABTestTool };
\ No newline at end of file
+module.exports = { ABTestTool, DEFAULT_SAMPLES, MAX_SAMPLES };
\ No newline at end of file
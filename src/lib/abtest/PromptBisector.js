@@ -0,0 +1,431 @@
+/**
+ * @fileoverview Prompt Bisector
+ * @description Finds the commit that introduced a prompt regression by binary search over
+ * the prompt's git history, running an A/B test against the known-good version at each step
+ * @module PromptBisector
+ * @requires ./ABTestTool
+ * @requires ../evaluation/PromptStructure
+ * @requires ../usage/UsageTracker
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { ABTestTool, DEFAULT_SAMPLES, MAX_SAMPLES } = require('./ABTestTool');
+const { PromptStructure } = require('../evaluation/PromptStructure');
+const { UsageTracker } = require('../usage/UsageTracker');
+
+/**
+ * Commits of the prompt's history searched for the known-good version (GitHub's page limit)
+ * @const {number}
+ */
+const MAX_HISTORY = 100;
+
+/**
+ * Score drop against the known-good version that counts as a regression
+ * @const {number}
+ */
+const DEFAULT_MIN_SCORE_DROP = 0.5;
+
+/**
+ * @class PromptBisector
+ * @description Bisects a prompt's history like `git bisect`. The commits between a known-good
+ * and a known-bad ref are taken from `PromptVersionManager.getVersionHistory`; each probe is an
+ * `executeABTest` of the known-good version (A) against the probed commit (B). A commit is bad
+ * when B's aggregate score is at least `minScoreDrop` below A's, or when B newly fails
+ * test-suite cases that A passes. The known-bad ref is tested first, so the search only runs
+ * when the regression reproduces.
+ * @property {ABTestTool} abTestTool - Tool running each A/B test
+ * @property {PromptVersionManager} versionManager - Source of the prompt's commit history
+ * @property {UsageTracker|null} usage - Token usage of the current bisection, by tested commit
+ */
+class PromptBisector {
+  /**
+   * @constructor
+   * @param {Object} options - Bisector options
+   * @param {ABTestTool} options.abTestTool - Configured A/B test tool
+   * @param {PromptVersionManager} options.versionManager - Version manager with GitHub access
+   */
+  constructor(options = {}) {
+    if (!options.abTestTool || !options.versionManager) {
+      throw new Error('PromptBisector requires an abTestTool and a versionManager');
+    }
+    this.abTestTool = options.abTestTool;
+    this.versionManager = options.versionManager;
+    this.usage = null;
+  }
+
+  /**
+   * @method execute
+   * @async
+   * @description Finds the first commit between goodRef and badRef where the prompt regressed
+   * @param {string} pathToExpertPromptDefinition - Expert definition path (same format as ab_test)
+   * @param {string} promptPath - Prompt file path without a ref
+   * @param {string} goodRef - Commit SHA (or prefix) of a version without the regression
+   * @param {string} badRef - Branch, tag or commit with the regression
+   * @param {Object} [options={}] - Bisection options
+   * @param {string} [options.testSuitePath] - Test suite run on both prompts at every step
+   * @param {Array<string>} [options.testContextPaths=[]] - Test context paths
+   * @param {number} [options.samples=3] - Judge samples per prompt evaluation
+   * @param {number} [options.minScoreDrop=0.5] - Score drop that counts as a regression
+   * @returns {Promise<Object>} First bad commit, tested steps, report markdown and summary
+   */
+  async execute(pathToExpertPromptDefinition, promptPath, goodRef, badRef, options = {}) {
+    const tool = this.abTestTool;
+    const startTime = Date.now();
+    this.usage = new UsageTracker({ pricing: tool.pricing, model: tool.provider.model });
+    const minScoreDrop = options.minScoreDrop === undefined ? DEFAULT_MIN_SCORE_DROP : Number(options.minScoreDrop);
+
+    try {
+      this.validateInputs(promptPath, goodRef, badRef, minScoreDrop);
+
+      const commits = await this.loadRange(promptPath, goodRef, badRef);
+      const good = commits[0];
+      const bad = commits[commits.length - 1];
+      console.log(`Bisecting ${promptPath}: ${commits.length - 2} commit(s) between ${good.version} and ${bad.version}`);
+
+      const steps = [];
+      const probe = async commit => {
+        const step = await this.testCommit(pathToExpertPromptDefinition, promptPath, good, commit, minScoreDrop, options);
+        steps.push(step);
+        return step;
+      };
+      const metrics = () => ({ totalTime: Date.now() - startTime, usage: this.usage.summary() });
+
+      const testConfiguration = {
+        expert: pathToExpertPromptDefinition,
+        prompt: promptPath,
+        good: PromptBisector.describeCommit(good),
+        bad: PromptBisector.describeCommit(bad),
+        testSuite: options.testSuitePath || null,
+        testContext: options.testContextPaths || [],
+        samples: tool.normalizeSampleCount(options.samples),
+        minScoreDrop
+      };
+
+      // The known-bad version must actually regress, otherwise there is nothing to find
+      const badStep = await probe(bad);
+      if (badStep.error) {
+        return { ...PromptBisector.failure(badStep, steps, testConfiguration), metrics: metrics() };
+      }
+      if (!badStep.regressed) {
+        const result = { success: true, regression: false, testConfiguration, steps, firstBad: null, lastGood: null, metrics: metrics() };
+        result.summary = `No regression: ${promptPath}@${bad.version} scored ${PromptBisector.formatDrop(badStep.drop)} against ${good.version} ` +
+          `(threshold ${minScoreDrop.toFixed(1)}), so the range was not bisected.`;
+        result.report = PromptBisector.formatReport(result);
+        return result;
+      }
+
+      // Invariant: commits[low] is good, commits[high] is bad
+      let low = 0;
+      let high = commits.length - 1;
+      while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        console.log(`Bisect step ${steps.length + 1}: testing ${commits[middle].version} (${high - low - 1} commit(s) left)`);
+        const step = await probe(commits[middle]);
+        if (step.error) {
+          return { ...PromptBisector.failure(step, steps, testConfiguration), metrics: metrics() };
+        }
+        if (step.regressed) {
+          high = middle;
+        } else {
+          low = middle;
+        }
+      }
+
+      const firstBad = commits[high];
+      const lastGood = commits[low];
+      const result = {
+        success: true,
+        regression: true,
+        testConfiguration,
+        steps,
+        firstBad: {
+          ...PromptBisector.describeCommit(firstBad),
+          drop: steps.find(step => step.sha === firstBad.sha).drop
+        },
+        lastGood: PromptBisector.describeCommit(lastGood),
+        changes: {
+          ...this.versionManager.calculateChanges(lastGood.content, firstBad.content),
+          structure: PromptStructure.compare(lastGood.content, firstBad.content).summary
+        },
+        metrics: metrics()
+      };
+
+      result.summary = `Bisect Complete: ${promptPath} regressed in ${firstBad.version} ("${firstBad.message.split('\n')[0]}" by ${firstBad.author}), ` +
+        `${PromptBisector.formatDrop(result.firstBad.drop)} against ${good.version}; found in ${steps.length} A/B test(s) over ${commits.length - 2} intermediate commit(s).`;
+      result.report = PromptBisector.formatReport(result);
+      return result;
+    } catch (error) {
+      return tool.handleError(error);
+    }
+  }
+
+  /**
+   * @method validateInputs
+   * @description Validates the bisection arguments
+   * @param {string} promptPath - Prompt file path
+   * @param {string} goodRef - Known-good ref
+   * @param {string} badRef - Known-bad ref
+   * @param {number} minScoreDrop - Regression threshold
+   * @throws {Error} If an argument is missing or malformed
+   * @private
+   */
+  validateInputs(promptPath, goodRef, badRef, minScoreDrop) {
+    if (!promptPath || typeof promptPath !== 'string') {
+      throw new Error('promptPath is required');
+    }
+    if (promptPath.includes('@')) {
+      throw new Error('promptPath must not include a ref; pass the refs as goodRef and badRef');
+    }
+    if (!goodRef || !badRef) {
+      throw new Error('Both goodRef and badRef are required');
+    }
+    if (goodRef === badRef) {
+      throw new Error('goodRef and badRef must differ');
+    }
+    if (!Number.isFinite(minScoreDrop) || minScoreDrop <= 0) {
+      throw new Error('minScoreDrop must be a positive number');
+    }
+  }
+
+  /**
+   * @method loadRange
+   * @async
+   * @description Loads the prompt's history from badRef back to goodRef
+   * @param {string} promptPath - Prompt file path
+   * @param {string} goodRef - Known-good commit SHA or prefix
+   * @param {string} badRef - Known-bad ref
+   * @returns {Promise<Array<Object>>} Versions from good to bad (oldest first), endpoints included
+   * @throws {Error} If the history is unavailable or goodRef is not in it
+   * @private
+   */
+  async loadRange(promptPath, goodRef, badRef) {
+    const history = await this.versionManager.getVersionHistory(promptPath, MAX_HISTORY, { ref: badRef });
+    if (history.length === 0) {
+      throw new Error(`No history found for ${promptPath} at ${badRef}`);
+    }
+
+    const goodIndex = history.findIndex(version => version.sha.startsWith(goodRef) || version.version === goodRef);
+    if (goodIndex === -1) {
+      throw new Error(`goodRef ${goodRef} is not a commit that changed ${promptPath} in the last ${history.length} commit(s) before ${badRef}`);
+    }
+    if (goodIndex === 0) {
+      throw new Error(`goodRef ${goodRef} is the latest version of ${promptPath} at ${badRef}; nothing to bisect`);
+    }
+
+    return history.slice(0, goodIndex + 1).reverse();
+  }
+
+  /**
+   * @method testCommit
+   * @async
+   * @description Runs one A/B test of the known-good version against a commit
+   * @param {string} expertPath - Expert definition path
+   * @param {string} promptPath - Prompt file path
+   * @param {Object} good - Known-good version
+   * @param {Object} commit - Version under test
+   * @param {number} minScoreDrop - Regression threshold
+   * @param {Object} options - Bisection options
+   * @returns {Promise<Object>} Step `{ version, sha, scoreGood, score, drop, newlyFailingCases, regressed, action }`
+   *   or `{ version, sha, error }` when the A/B test failed
+   * @private
+   */
+  async testCommit(expertPath, promptPath, good, commit, minScoreDrop, options) {
+    const result = await this.abTestTool.executeABTest(
+      expertPath,
+      `${promptPath}@${good.sha}`,
+      `${promptPath}@${commit.sha}`,
+      options.testContextPaths || [],
+      0,
+      { samples: options.samples, testSuitePath: options.testSuitePath }
+    );
+
+    if (result.metrics) {
+      this.usage.merge(result.metrics.usage, commit.version);
+    }
+    if (!result.success) {
+      return { version: commit.version, sha: commit.sha, error: result.error || 'A/B test failed', details: result };
+    }
+
+    const scoreGood = result.evaluations.promptA.aggregateScore;
+    const score = result.evaluations.promptB.aggregateScore;
+    const newlyFailingCases = result.verdict.newlyFailingCases || [];
+
+    return {
+      version: commit.version,
+      sha: commit.sha,
+      scoreGood,
+      score,
+      drop: scoreGood - score,
+      newlyFailingCases,
+      regressed: scoreGood - score >= minScoreDrop || newlyFailingCases.length > 0,
+      action: ABTestTool.interpretResults(result).action
+    };
+  }
+
+  /**
+   * @static
+   * @method failure
+   * @param {Object} step - Step whose A/B test failed
+   * @param {Array<Object>} steps - Steps so far
+   * @param {Object} testConfiguration - Bisection settings
+   * @returns {Object} Failed bisection result (with `code` and `budget` when the budget
+   *   guard stopped the A/B test)
+   * @private
+   */
+  static failure(step, steps, testConfiguration) {
+    const { code, budget } = step.details || {};
+    return {
+      success: false,
+      error: `A/B test of ${step.version} failed: ${step.error}`,
+      ...(code ? { code, budget } : {}),
+      testConfiguration,
+      steps,
+      summary: `Bisect aborted after ${steps.length} A/B test(s)`
+    };
+  }
+
+  /**
+   * @static
+   * @method describeCommit
+   * @param {Object} version - Version from getVersionHistory
+   * @returns {Object} `{ version, sha, date, author, message }` without content
+   * @private
+   */
+  static describeCommit(version) {
+    return {
+      version: version.version,
+      sha: version.sha,
+      date: version.date,
+      author: version.author,
+      message: version.message
+    };
+  }
+
+  /**
+   * @static
+   * @method formatDrop
+   * @param {number} drop - Score drop (negative when the commit scored higher)
+   * @returns {string} Signed score difference, e.g. "-1.4"
+   * @private
+   */
+  static formatDrop(drop) {
+    return `${drop > 0 ? '-' : '+'}${Math.abs(drop).toFixed(1)}`;
+  }
+
+  /**
+   * @static
+   * @method formatReport
+   * @description Renders the bisection as markdown for PR comments
+   * @param {Object} result - Bisection result
+   * @returns {string} Markdown report
+   */
+  static formatReport(result) {
+    const { testConfiguration: config } = result;
+    const lines = [`### 🔎 Prompt Bisect: \`${config.prompt}\``, ''];
+
+    if (result.firstBad) {
+      lines.push(
+        `First bad commit: **${result.firstBad.version}** ${result.firstBad.message.split('\n')[0]} (${result.firstBad.author}, ${result.firstBad.date})`,
+        `Last good commit: ${result.lastGood.version}`,
+        ''
+      );
+    } else {
+      lines.push(`No regression between ${config.good.version} and ${config.bad.version}.`, '');
+    }
+
+    lines.push('| Step | Commit | Score (good → commit) | Result |', '|------|--------|-----------------------|--------|');
+    result.steps.forEach((step, index) => {
+      const failing = step.newlyFailingCases.length > 0 ? `, newly fails ${step.newlyFailingCases.join(', ')}` : '';
+      lines.push(`| ${index + 1} | ${step.version} | ${step.scoreGood.toFixed(1)} → ${step.score.toFixed(1)} (${PromptBisector.formatDrop(step.drop)}) | ${step.regressed ? 'bad' : 'good'}${failing} |`);
+    });
+
+    if (result.changes) {
+      lines.push('', `Changes in ${result.firstBad.version}: ${result.changes.summary}`);
+      lines.push(...result.changes.structure.map(change => `- ${change}`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @static
+   * @method getToolDefinition
+   * @description Returns the tool definition for Claude integration
+   * @returns {Object} Tool definition object for Claude
+   */
+  static getToolDefinition() {
+    return {
+      name: 'bisect_prompt',
+      description: `Find the commit that introduced a regression in a prompt, like git bisect.
+
+PURPOSE:
+A prompt scored well at a known-good commit and worse at a known-bad ref. The tool walks the prompt file's commit history between the two with binary search, running an ab_test of the known-good version against each probed commit, and reports the first commit where the score dropped.
+
+REGRESSION:
+A commit is bad when its aggregate score is at least minScoreDrop (default ${DEFAULT_MIN_SCORE_DROP}) below the known-good version, or when it newly fails test-suite cases the known-good version passes. The known-bad ref is tested first; if it does not regress, the range is not searched.
+
+REFS:
+• goodRef: SHA (or prefix) of a commit that changed the prompt, within the last ${MAX_HISTORY} changes before badRef
+• badRef: branch, tag or commit SHA
+
+COST:
+About log2(commits in range) + 1 A/B tests.
+
+OUTPUT STRUCTURE:
+{
+  success: true/false,
+  regression: true/false,
+  firstBad: { version, sha, date, author, message, drop },
+  lastGood: { version, sha, date, author, message },
+  steps: [{ version, scoreGood, score, drop, regressed, newlyFailingCases }],
+  changes: { summary: "+3 -1 ~2 lines ...", structure: ["Rule relaxed ..."] },
+  report: "markdown",
+  summary: "concise result statement"
+}`,
+      input_schema: {
+        type: 'object',
+        properties: {
+          pathToExpertPromptDefinition: {
+            type: 'string',
+            description: 'GitHub repository path to expert definition MD file. Example: "experts/programming-expert.md"'
+          },
+          promptPath: {
+            type: 'string',
+            description: 'Prompt file path without a ref. Example: "prompts/code-reviewer.md"'
+          },
+          goodRef: {
+            type: 'string',
+            description: 'Commit SHA (or prefix) of a prompt version without the regression'
+          },
+          badRef: {
+            type: 'string',
+            description: 'Branch, tag or commit SHA where the regression is present. Example: "main"'
+          },
+          testSuitePath: {
+            type: 'string',
+            description: 'Optional: YAML/JSON test suite run on both prompts at every step, same format as ab_test'
+          },
+          testContextPaths: {
+            type: 'array',
+            description: 'Optional array of paths to test files or directories for evaluation context.',
+            items: {
+              type: 'string'
+            }
+          },
+          samples: {
+            type: 'number',
+            description: `Optional: Independent judge samples per prompt evaluation (1-${MAX_SAMPLES}). Defaults to ${DEFAULT_SAMPLES}.`
+          },
+          minScoreDrop: {
+            type: 'number',
+            description: `Optional: Score drop against the known-good version that counts as a regression. Defaults to ${DEFAULT_MIN_SCORE_DROP}.`
+          }
+        },
+        required: ['pathToExpertPromptDefinition', 'promptPath', 'goodRef', 'badRef']
+      }
+    };
+  }
+}
+
+module.exports = { PromptBisector, MAX_HISTORY, DEFAULT_MIN_SCORE_DROP };
@@ -0,0 +1,412 @@
+/**
+ * @fileoverview Prompt Tournament
+ * @description Ranks three or more candidate prompts with pairwise expert comparisons
+ * and a Bradley-Terry rating, reusing the ABTestTool evaluation pipeline
+ * @module PromptTournament
+ * @requires ./ABTestTool
+ * @requires ./Ranking
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { ABTestTool, DEFAULT_SAMPLES, MAX_SAMPLES } = require('./ABTestTool');
+const { Ranking } = require('./Ranking');
+
+/**
+ * Upper bound on candidates (round-robin needs n(n-1)/2 comparisons)
+ * @const {number}
+ */
+const MAX_CANDIDATES = 8;
+
+/**
+ * Supported match schedules
+ * @const {Array<string>}
+ */
+const MODES = ['round-robin', 'pairwise'];
+
+/**
+ * @class PromptTournament
+ * @description Runs a tournament between prompt versions. Every candidate gets the usual
+ * sampled 3-thread evaluation; candidates are then compared head to head by the expert
+ * judge and ranked by a Bradley-Terry fit of the judge's preferences.
+ * - round-robin: every pair of candidates meets once
+ * - pairwise: every candidate meets the first (baseline) candidate
+ * @property {ABTestTool} abTestTool - Tool providing fetching, evaluation and comparison
+ */
+class PromptTournament {
+  /**
+   * @constructor
+   * @param {Object} options - Tournament options
+   * @param {ABTestTool} options.abTestTool - Configured A/B test tool
+   */
+  constructor(options = {}) {
+    if (!options.abTestTool) {
+      throw new Error('PromptTournament requires an abTestTool');
+    }
+    this.abTestTool = options.abTestTool;
+  }
+
+  /**
+   * @method execute
+   * @async
+   * @description Evaluates all candidates, plays the scheduled matches and ranks the candidates
+   * @param {string} pathToExpertPromptDefinition - Expert definition path (same format as ab_test)
+   * @param {Array<string>} promptPaths - Candidate prompt paths; the first one is the baseline
+   * @param {Array<string>} [testContextPaths=[]] - Test context paths
+   * @param {number} [iterationCount=0] - Previous improvement iterations
+   * @param {Object} [options={}] - Tournament options
+   * @param {string} [options.mode='round-robin'] - round-robin or pairwise
+   * @param {number} [options.samples=3] - Judge samples per candidate evaluation
+   * @param {boolean} [options.swapOrder=false] - Judge every match in both presentation orders;
+   *   a match whose preference flips with position counts as a tie
+   * @returns {Promise<Object>} Standings, matches, leaderboard markdown and summary
+   */
+  async execute(pathToExpertPromptDefinition, promptPaths, testContextPaths = [], iterationCount = 0, options = {}) {
+    const tool = this.abTestTool;
+    const startTime = Date.now();
+    tool.resetUsage();
+
+    try {
+      const mode = options.mode || 'round-robin';
+      this.validateInputs(pathToExpertPromptDefinition, promptPaths, mode);
+      tool.validateInputs(pathToExpertPromptDefinition, promptPaths[0], promptPaths[1], testContextPaths);
+      const sampleCount = tool.normalizeSampleCount(options.samples);
+
+      const candidates = await Promise.all(promptPaths.map(async (promptPath, index) => ({
+        id: PromptTournament.label(index),
+        path: promptPath,
+        info: await tool.resolvePath(promptPath)
+      })));
+      const expertInfo = await tool.resolvePath(pathToExpertPromptDefinition);
+
+      console.log(`Starting ${mode} tournament with ${candidates.length} candidates...`);
+
+      const verification = await tool.verifyPathsExist({
+        expert: expertInfo,
+        prompts: candidates.map(c => ({ label: `Candidate ${c.id}`, info: c.info })),
+        testContextPaths
+      });
+
+      if (!verification.success) {
+        const missingFiles = verification.missingPaths.map(mp => ({
+          file: mp.path,
+          status: mp.httpStatus,
+          type: mp.label
+        }));
+        return {
+          success: false,
+          error: 'File verification failed',
+          missingFiles,
+          summary: `${missingFiles.length} file(s) could not be accessed`
+        };
+      }
+
+      const expertPrompt = await tool.fetchContent(expertInfo);
+      for (const candidate of candidates) {
+        candidate.content = await tool.fetchContent(candidate.info);
+      }
+      const testContext = await tool.fetchTestContext(testContextPaths);
+
+      console.log(`Collecting ${sampleCount} judge sample(s) per candidate`);
+      for (const candidate of candidates) {
+        candidate.evaluation = await tool.runSampledEvaluation(
+          expertPrompt,
+          candidate.content,
+          candidate.info,
+          testContext,
+          iterationCount,
+          sampleCount
+        );
+      }
+
+      const schedule = PromptTournament.schedule(candidates.length, mode);
+      console.log(`Playing ${schedule.length} match(es)`);
+
+      const matches = [];
+      for (const [i, j] of schedule) {
+        matches.push(await this.playMatch(expertPrompt, candidates[i], candidates[j], matches.length, options));
+      }
+
+      const standings = Ranking.rank(candidates.map(c => c.id), matches, {
+        tiebreak: Object.fromEntries(candidates.map(c => [c.id, c.evaluation.aggregateScore]))
+      }).map(entry => {
+        const candidate = candidates.find(c => c.id === entry.id);
+        return {
+          ...entry,
+          path: candidate.path,
+          version: candidate.info.version,
+          meanScore: candidate.evaluation.aggregateScore
+        };
+      });
+
+      const result = {
+        success: true,
+        mode,
+        testConfiguration: {
+          expert: expertInfo,
+          candidates: candidates.map(c => ({ id: c.id, path: c.path, info: c.info })),
+          testContext: testContextPaths,
+          samples: sampleCount,
+          swapOrder: Boolean(options.swapOrder)
+        },
+        evaluations: Object.fromEntries(candidates.map(c => [c.id, c.evaluation])),
+        matches,
+        standings,
+        winner: standings[0],
+        testContext: ABTestTool.describeTestContext(testContext),
+        metrics: { totalTime: Date.now() - startTime, usage: tool.usage.summary() }
+      };
+
+      result.leaderboard = PromptTournament.formatLeaderboard(result);
+      result.summary = PromptTournament.generateSummary(result);
+      return result;
+    } catch (error) {
+      return tool.handleError(error);
+    }
+  }
+
+  /**
+   * @method validateInputs
+   * @description Validates the candidate list and mode
+   * @param {string} expertPath - Expert definition path
+   * @param {Array<string>} promptPaths - Candidate paths
+   * @param {string} mode - Match schedule
+   * @throws {Error} If the inputs cannot form a tournament
+   * @private
+   */
+  validateInputs(expertPath, promptPaths, mode) {
+    if (!Array.isArray(promptPaths) || promptPaths.length < 2) {
+      throw new Error('A tournament needs at least 2 prompt paths');
+    }
+    if (promptPaths.length > MAX_CANDIDATES) {
+      throw new Error(`Too many candidates (max ${MAX_CANDIDATES}, got ${promptPaths.length})`);
+    }
+    if (new Set(promptPaths).size !== promptPaths.length) {
+      throw new Error('Prompt paths must be distinct');
+    }
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown tournament mode "${mode}". Use one of: ${MODES.join(', ')}`);
+    }
+    for (const promptPath of promptPaths.slice(2)) {
+      // The first two are checked by ABTestTool.validateInputs; same format rules apply
+      this.abTestTool.validateInputs(expertPath, promptPaths[0], promptPath, []);
+    }
+  }
+
+  /**
+   * @method playMatch
+   * @async
+   * @description Asks the expert judge which of two candidates is better. Without swapOrder
+   * the presentation order alternates between matches to spread positional bias evenly.
+   * @param {Object} expertPrompt - Expert definition content
+   * @param {Object} first - Candidate scheduled first
+   * @param {Object} second - Candidate scheduled second
+   * @param {number} index - Match number (used to alternate presentation order)
+   * @param {Object} options - Tournament options
+   * @returns {Promise<Object>} `{ a, b, result, preferred, ... }` with result 1 / 0.5 / 0 for `a`
+   * @private
+   */
+  async playMatch(expertPrompt, first, second, index, options) {
+    const tool = this.abTestTool;
+
+    if (options.swapOrder) {
+      const bias = await tool.runPositionSwapComparison(expertPrompt, first.evaluation, second.evaluation,
+        [first.content.content, second.content.content]);
+      const preferred = { A: first.id, B: second.id }[bias.preferred] || 'TIE';
+      return {
+        a: first.id,
+        b: second.id,
+        result: PromptTournament.resultFor(first.id, preferred),
+        preferred,
+        positionConsistency: bias.consistency,
+        inconclusive: bias.inconclusive
+      };
+    }
+
+    const [shownFirst, shownSecond] = index % 2 === 0 ? [first, second] : [second, first];
+    const comparison = await tool.getDetailedComparison(
+      expertPrompt,
+      shownFirst.evaluation,
+      shownSecond.evaluation,
+      { version: 'FIRST' },
+      { version: 'SECOND' },
+      { blind: true, contents: [shownFirst.content.content, shownSecond.content.content] }
+    );
+    const preferred = { FIRST: shownFirst.id, SECOND: shownSecond.id }[comparison.preferred] || 'TIE';
+
+    return {
+      a: first.id,
+      b: second.id,
+      result: PromptTournament.resultFor(first.id, preferred),
+      preferred,
+      presentedFirst: shownFirst.id
+    };
+  }
+
+  /**
+   * @static
+   * @method resultFor
+   * @param {string} id - Candidate id
+   * @param {string} preferred - Preferred candidate id or TIE
+   * @returns {number} 1 if the candidate won, 0.5 for a tie, 0 if it lost
+   * @private
+   */
+  static resultFor(id, preferred) {
+    if (preferred === 'TIE') return 0.5;
+    return preferred === id ? 1 : 0;
+  }
+
+  /**
+   * @static
+   * @method schedule
+   * @description Builds the list of matches as index pairs
+   * @param {number} count - Number of candidates
+   * @param {string} mode - round-robin or pairwise
+   * @returns {Array<Array<number>>} Index pairs
+   */
+  static schedule(count, mode) {
+    const pairs = [];
+    if (mode === 'pairwise') {
+      for (let j = 1; j < count; j++) pairs.push([0, j]);
+      return pairs;
+    }
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) pairs.push([i, j]);
+    }
+    return pairs;
+  }
+
+  /**
+   * @static
+   * @method label
+   * @param {number} index - Candidate position
+   * @returns {string} Candidate label (A, B, C, ...)
+   */
+  static label(index) {
+    return String.fromCharCode(65 + index);
+  }
+
+  /**
+   * @static
+   * @method formatLeaderboard
+   * @description Renders the standings as a markdown table for PR comments
+   * @param {Object} result - Tournament result
+   * @returns {string} Markdown leaderboard
+   */
+  static formatLeaderboard(result) {
+    const lines = [
+      `### 🏆 Prompt Tournament Leaderboard (${result.mode})`,
+      '',
+      '| Rank | Candidate | Prompt | Rating | W-L-T | Mean Score |',
+      '|------|-----------|--------|--------|-------|------------|'
+    ];
+
+    for (const entry of result.standings) {
+      lines.push(`| ${entry.rank} | ${entry.id} | \`${entry.path}\` | ${Math.round(entry.rating)} | ${entry.wins}-${entry.losses}-${entry.ties} | ${entry.meanScore.toFixed(1)}/10 |`);
+    }
+
+    const inconclusive = result.matches.filter(m => m.inconclusive).length;
+    lines.push('');
+    lines.push(`<sub>Bradley-Terry ratings on the Elo scale (1500 = average) from ${result.matches.length} expert comparison(s)` +
+      `${inconclusive > 0 ? `; ${inconclusive} flipped with presentation order and counted as ties` : ''}.</sub>`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @static
+   * @method generateSummary
+   * @param {Object} result - Tournament result
+   * @returns {string} One-paragraph summary
+   */
+  static generateSummary(result) {
+    const [first, second] = result.standings;
+    const margin = second ? Math.round(first.rating - second.rating) : 0;
+    const winProbability = second ? Ranking.expectedScore(first.rating, second.rating) : 1;
+
+    return `Tournament Complete: Candidate ${first.id} (${first.path}) ranks first of ${result.standings.length} ` +
+      `with rating ${Math.round(first.rating)}` +
+      (second ? `, ${margin} points ahead of ${second.id} (${(winProbability * 100).toFixed(0)}% expected preference)` : '') +
+      '.';
+  }
+
+  /**
+   * @static
+   * @method getToolDefinition
+   * @description Returns the tool definition for Claude integration
+   * @returns {Object} Tool definition object for Claude
+   */
+  static getToolDefinition() {
+    return {
+      name: 'ab_tournament',
+      description: `Rank three or more versions of a prompt with expert head-to-head comparisons.
+
+PURPOSE:
+Pick the best of several candidate rewrites of a prompt. Each candidate gets the same expert evaluation as ab_test, then the expert judge compares candidates pairwise and a Bradley-Terry model turns those preferences into Elo-style ratings and a leaderboard.
+
+MODES:
+• "round-robin" (default) → every pair of candidates is compared: n(n-1)/2 comparisons
+• "pairwise" → every candidate is compared with the first (baseline) candidate: n-1 comparisons
+
+PATHS:
+Same formats as ab_test ("prompts/file.md@ref", "owner/repo:path@ref"). The first path is the baseline.
+Between 2 and ${MAX_CANDIDATES} candidates.
+
+COST:
+Each candidate costs 3 model calls per sample; each comparison costs 1 call (2 with swapOrder).
+
+OUTPUT STRUCTURE:
+{
+  success: true/false,
+  standings: [{ rank, id, path, rating, wins, losses, ties, meanScore }],
+  winner: { id, path, rating },
+  matches: [{ a, b, result, preferred }],
+  leaderboard: "markdown table",
+  summary: "concise result statement"
+}`,
+      input_schema: {
+        type: 'object',
+        properties: {
+          pathToExpertPromptDefinition: {
+            type: 'string',
+            description: 'GitHub repository path to expert definition MD file. Example: "experts/programming-expert.md"'
+          },
+          promptPaths: {
+            type: 'array',
+            description: `Candidate prompt paths (2-${MAX_CANDIDATES}); the first is the baseline. Example: ["prompts/reviewer.md@main", "prompts/reviewer-v2.md", "prompts/reviewer-v3.md"]`,
+            items: {
+              type: 'string'
+            }
+          },
+          mode: {
+            type: 'string',
+            enum: MODES,
+            description: 'Optional: "round-robin" (all pairs, default) or "pairwise" (each candidate vs the baseline)'
+          },
+          testContextPaths: {
+            type: 'array',
+            description: 'Optional array of paths to test files or directories for evaluation context.',
+            items: {
+              type: 'string'
+            }
+          },
+          iterationCount: {
+            type: 'number',
+            description: 'Optional: Number of previous improvement iterations. Defaults to 0.'
+          },
+          samples: {
+            type: 'number',
+            description: `Optional: Independent judge samples per candidate evaluation (1-${MAX_SAMPLES}). Defaults to ${DEFAULT_SAMPLES}.`
+          },
+          swapOrder: {
+            type: 'boolean',
+            description: 'Optional: Judge every comparison in both presentation orders; comparisons whose preference follows position count as ties. Doubles comparison cost. Defaults to false.'
+          }
+        },
+        required: ['pathToExpertPromptDefinition', 'promptPaths']
+      }
+    };
+  }
+}
+
+module.exports = { PromptTournament, MAX_CANDIDATES, MODES };
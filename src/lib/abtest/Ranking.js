@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Ranking helpers for prompt tournaments
+ * @description Bradley-Terry strength estimation from pairwise judge preferences,
+ * conversion to an Elo-style rating scale and standings
+ * @module Ranking
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+/**
+ * Rating assigned to a candidate of average strength
+ * @const {number}
+ */
+const BASE_RATING = 1500;
+
+/**
+ * Elo scale: a 400-point gap means 10:1 odds of being preferred
+ * @const {number}
+ */
+const ELO_SCALE = 400;
+
+/**
+ * @class Ranking
+ * @description Stateless ranking utilities. Matches are `{ a, b, result }` where `a` and
+ * `b` are player ids and result is 1 (a preferred), 0 (b preferred) or 0.5 (tie).
+ */
+class Ranking {
+  /**
+   * @static
+   * @method bradleyTerry
+   * @description Fits Bradley-Terry strengths with the MM algorithm (Hunter, 2004).
+   * Every pair that met also gets `prior` virtual wins each way, which keeps undefeated
+   * or winless candidates at finite strength and shrinks ratings built on few matches.
+   * @param {Array<string>} players - Player ids
+   * @param {Array<Object>} matches - Match results
+   * @param {Object} [options={}] - Fit options
+   * @param {number} [options.prior=0.5] - Virtual wins added each way per pair that met
+   * @param {number} [options.maxIterations=1000] - Iteration cap
+   * @param {number} [options.tolerance=1e-9] - Convergence threshold on strength change
+   * @returns {Object<string, number>} Strength per player (geometric mean 1)
+   */
+  static bradleyTerry(players, matches, options = {}) {
+    const prior = options.prior === undefined ? 0.5 : options.prior;
+    const maxIterations = options.maxIterations || 1000;
+    const tolerance = options.tolerance || 1e-9;
+
+    // wins[i][j]: (fractional) number of times i was preferred over j
+    const wins = {};
+    for (const p of players) {
+      wins[p] = {};
+      for (const q of players) wins[p][q] = 0;
+    }
+    for (const { a, b, result } of matches) {
+      wins[a][b] += result;
+      wins[b][a] += 1 - result;
+    }
+    for (const p of players) {
+      for (const q of players) {
+        if (p !== q && wins[p][q] + wins[q][p] > 0) wins[p][q] += prior;
+      }
+    }
+
+    let strength = Object.fromEntries(players.map(p => [p, 1]));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const next = {};
+      for (const p of players) {
+        let totalWins = 0;
+        let denominator = 0;
+        for (const q of players) {
+          if (p === q) continue;
+          const games = wins[p][q] + wins[q][p];
+          if (games === 0) continue;
+          totalWins += wins[p][q];
+          denominator += games / (strength[p] + strength[q]);
+        }
+        next[p] = denominator > 0 ? totalWins / denominator : strength[p];
+      }
+
+      // Fix the scale: geometric mean of strengths is 1
+      const logMean = players.reduce((sum, p) => sum + Math.log(next[p]), 0) / players.length;
+      const scale = Math.exp(logMean);
+      let change = 0;
+      for (const p of players) {
+        next[p] /= scale;
+        change = Math.max(change, Math.abs(next[p] - strength[p]));
+      }
+
+      strength = next;
+      if (change < tolerance) break;
+    }
+
+    return strength;
+  }
+
+  /**
+   * @static
+   * @method toElo
+   * @description Converts a Bradley-Terry strength to the Elo rating scale
+   * @param {number} strength - Bradley-Terry strength (1 = average)
+   * @returns {number} Rating (1500 = average)
+   */
+  static toElo(strength) {
+    return BASE_RATING + ELO_SCALE * Math.log10(strength);
+  }
+
+  /**
+   * @static
+   * @method expectedScore
+   * @description Probability that a player with rating `ratingA` is preferred over `ratingB`
+   * @param {number} ratingA - Elo rating
+   * @param {number} ratingB - Elo rating
+   * @returns {number} Probability in (0, 1)
+   */
+  static expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / ELO_SCALE));
+  }
+
+  /**
+   * @static
+   * @method rank
+   * @description Ranks players by Bradley-Terry rating and tallies their records
+   * @param {Array<string>} players - Player ids
+   * @param {Array<Object>} matches - Match results
+   * @param {Object} [options={}] - Options passed to bradleyTerry
+   * @param {Object<string, number>} [options.tiebreak] - Secondary sort key per player
+   *   (higher first) for equal ratings, e.g. mean judge score
+   * @returns {Array<Object>} Standings sorted best first:
+   *   `{ rank, id, rating, strength, wins, losses, ties, played }`
+   */
+  static rank(players, matches, options = {}) {
+    const strength = Ranking.bradleyTerry(players, matches, options);
+
+    const standings = players.map(id => {
+      const record = { wins: 0, losses: 0, ties: 0 };
+      for (const { a, b, result } of matches) {
+        if (a !== id && b !== id) continue;
+        const score = a === id ? result : 1 - result;
+        if (score === 1) record.wins++;
+        else if (score === 0) record.losses++;
+        else record.ties++;
+      }
+      return {
+        id,
+        rating: Ranking.toElo(strength[id]),
+        strength: strength[id],
+        ...record,
+        played: record.wins + record.losses + record.ties
+      };
+    });
+
+    const tiebreak = options.tiebreak || {};
+    standings.sort((x, y) =>
+      (Math.abs(y.rating - x.rating) > 1e-6 ? y.rating - x.rating : 0) ||
+      (tiebreak[y.id] || 0) - (tiebreak[x.id] || 0));
+    standings.forEach((entry, index) => {
+      entry.rank = index + 1;
+    });
+
+    return standings;
+  }
+}
+
+module.exports = { Ranking, BASE_RATING };
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Statistics helpers for A/B verdicts
+ * @description Descriptive statistics, bootstrap confidence intervals and bootstrap
+ * significance tests for comparing repeated judge scores of two prompts
+ * @module Statistics
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+/**
+ * @class Statistics
+ * @description Stateless statistics utilities. All resampling uses a seeded PRNG so the
+ * same scores always produce the same interval and p-value (important for record/replay).
+ */
+class Statistics {
+  /**
+   * @static
+   * @method mean
+   * @param {Array<number>} values - Sample values
+   * @returns {number} Arithmetic mean (0 for an empty sample)
+   */
+  static mean(values) {
+    if (!values || values.length === 0) return 0;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  /**
+   * @static
+   * @method variance
+   * @description Unbiased sample variance (n - 1 denominator)
+   * @param {Array<number>} values - Sample values
+   * @returns {number} Sample variance (0 when fewer than two values)
+   */
+  static variance(values) {
+    if (!values || values.length < 2) return 0;
+    const m = Statistics.mean(values);
+    return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+  }
+
+  /**
+   * @static
+   * @method standardDeviation
+   * @param {Array<number>} values - Sample values
+   * @returns {number} Sample standard deviation
+   */
+  static standardDeviation(values) {
+    return Math.sqrt(Statistics.variance(values));
+  }
+
+  /**
+   * @static
+   * @method describe
+   * @description Summary statistics for one sample
+   * @param {Array<number>} values - Sample values
+   * @returns {Object} n, mean, variance, standardDeviation, min, max
+   */
+  static describe(values) {
+    return {
+      n: values.length,
+      mean: Statistics.mean(values),
+      variance: Statistics.variance(values),
+      standardDeviation: Statistics.standardDeviation(values),
+      min: values.length ? Math.min(...values) : 0,
+      max: values.length ? Math.max(...values) : 0
+    };
+  }
+
+  /**
+   * @static
+   * @method createRandom
+   * @description Seeded PRNG (mulberry32)
+   * @param {number} seed - 32-bit seed
+   * @returns {Function} Function returning floats in [0, 1)
+   */
+  static createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * @static
+   * @method resampleMean
+   * @description Mean of a bootstrap resample (sampling with replacement)
+   * @param {Array<number>} values - Sample values
+   * @param {Function} random - PRNG
+   * @returns {number} Resampled mean
+   * @private
+   */
+  static resampleMean(values, random) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[Math.floor(random() * values.length)];
+    }
+    return sum / values.length;
+  }
+
+  /**
+   * @static
+   * @method percentile
+   * @description Linear-interpolated percentile of a sorted array
+   * @param {Array<number>} sorted - Ascending values
+   * @param {number} p - Percentile in [0, 1]
+   * @returns {number} Percentile value
+   * @private
+   */
+  static percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  }
+
+  /**
+   * @static
+   * @method compareSamples
+   * @description Two-sample bootstrap comparison of mean(B) - mean(A).
+   * The confidence interval is the percentile interval of resampled differences; the
+   * p-value is two-sided, from resampling both groups after shifting them to the pooled
+   * mean (the null hypothesis of equal means).
+   * @param {Array<number>} samplesA - Scores for prompt A
+   * @param {Array<number>} samplesB - Scores for prompt B
+   * @param {Object} [options={}] - Test options
+   * @param {number} [options.iterations=5000] - Bootstrap resamples
+   * @param {number} [options.confidenceLevel=0.95] - Interval coverage
+   * @param {number} [options.seed=42] - PRNG seed
+   * @returns {Object} Difference, confidence interval, p-value and per-group summaries
+   */
+  static compareSamples(samplesA, samplesB, options = {}) {
+    const iterations = options.iterations || 5000;
+    const confidenceLevel = options.confidenceLevel || 0.95;
+    const random = Statistics.createRandom(options.seed === undefined ? 42 : options.seed);
+
+    const a = Statistics.describe(samplesA);
+    const b = Statistics.describe(samplesB);
+    const observed = b.mean - a.mean;
+
+    const result = {
+      method: 'bootstrap',
+      iterations,
+      meanDifference: observed,
+      confidenceInterval: { level: confidenceLevel, lower: observed, upper: observed },
+      pValue: null,
+      sufficientSamples: samplesA.length >= 2 && samplesB.length >= 2,
+      promptA: a,
+      promptB: b
+    };
+
+    if (!result.sufficientSamples) {
+      return result;
+    }
+
+    const pooledMean = Statistics.mean([...samplesA, ...samplesB]);
+    const nullA = samplesA.map(v => v - a.mean + pooledMean);
+    const nullB = samplesB.map(v => v - b.mean + pooledMean);
+
+    const differences = new Array(iterations);
+    let extreme = 0;
+
+    for (let i = 0; i < iterations; i++) {
+      differences[i] = Statistics.resampleMean(samplesB, random) - Statistics.resampleMean(samplesA, random);
+
+      const nullDifference = Statistics.resampleMean(nullB, random) - Statistics.resampleMean(nullA, random);
+      // Small tolerance so floating-point noise on tied samples counts as "as extreme"
+      if (Math.abs(nullDifference) >= Math.abs(observed) - 1e-9) {
+        extreme++;
+      }
+    }
+
+    differences.sort((x, y) => x - y);
+    const alpha = 1 - confidenceLevel;
+
+    result.confidenceInterval.lower = Statistics.percentile(differences, alpha / 2);
+    result.confidenceInterval.upper = Statistics.percentile(differences, 1 - alpha / 2);
+    result.pValue = (extreme + 1) / (iterations + 1);
+
+    return result;
+  }
+}
+
+module.exports = { Statistics };
@@ -0,0 +1,463 @@
+/**
+ * @fileoverview Test Context Loader
+ * @description Loads the test context materials of an A/B test (files and directory trees)
+ * within the per-type and aggregate limits of config/abtest-limits.json, and reports what
+ * was loaded, skipped or truncated and why
+ * @module TestContextLoader
+ * @requires ../usage/BudgetGuard
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { loadLimitsConfig } = require('../usage/BudgetGuard');
+
+const MB = 1024 * 1024;
+
+/**
+ * File extensions per file type of `limits.fileTypes` (anything else is `default`)
+ * @const {Object<string, Array<string>>}
+ */
+const FILE_TYPES = {
+  code: ['js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'swift', 'c', 'h', 'cc', 'cpp', 'hpp', 'cs', 'php', 'scala', 'sh', 'bash', 'sql', 'html', 'css', 'scss', 'vue', 'svelte'],
+  text: ['md', 'markdown', 'txt', 'rst', 'adoc', 'csv', 'tsv', 'log'],
+  config: ['json', 'yaml', 'yml', 'toml', 'ini', 'cfg', 'conf', 'xml', 'env', 'properties', 'lock'],
+  image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp', 'ico'],
+  pdf: ['pdf']
+};
+
+/**
+ * File types whose content is binary: they count against the limits and are listed, but
+ * their content is not passed to the judge
+ * @const {Array<string>}
+ */
+const BINARY_TYPES = ['image', 'pdf'];
+
+/**
+ * @class TestContextLoader
+ * @description Walks the test context paths of an A/B test. Directories are walked
+ * recursively up to `aggregate.maxFoldersDepth`; folders with more than
+ * `maxFilesPerFolder` files are sampled (evenly spread with `sampleLargeFolders`, otherwise
+ * the first files). Files are then loaded in priority order - explicitly named files
+ * first, then by the strategy's `prioritizeByType` - until `maxTotalFiles` or
+ * `maxTotalSizeMB` (of the preset, if it sets one) is reached. Files over their type's
+ * `maxSizeMB` are skipped (or truncated when the strategy does not skip large files), and
+ * crossing the warning/critical total size stops loading when the strategy says so.
+ * @property {Function} getEntry - Reads a file or directory listing: `pathInfo => entry`
+ * @property {Function} fetchContent - Reads a file with retries: `pathInfo => { content, size }`
+ * @property {Object} settings - Resolved limits (see resolveSettings)
+ */
+class TestContextLoader {
+  /**
+   * @constructor
+   * @param {Object} options - Loader settings
+   * @param {Function} options.getEntry - Content source lookup (`ContentSource.getContent`)
+   * @param {Function} options.fetchContent - File reader (e.g. ABTestTool.fetchContent)
+   * @param {string} [options.preset] - Preset whose maxTotalSizeMB/maxTotalFiles replace the aggregate limits
+   * @param {string} [options.strategy='progressive'] - Strategy name
+   * @param {Object} [options.config] - Preloaded limits configuration
+   */
+  constructor(options) {
+    this.getEntry = options.getEntry;
+    this.fetchContent = options.fetchContent;
+    this.settings = TestContextLoader.resolveSettings(options);
+  }
+
+  /**
+   * @method load
+   * @async
+   * @description Loads the context materials
+   * @param {Array<Object>} pathInfos - Parsed context paths (ABTestTool.parsePath)
+   * @returns {Promise<Object>} `{ files, directories, totalSize, maxSize, skipped, warnings,
+   *   summary, limits }`; `files` entries are `{ path, name, type, content, size, truncated,
+   *   binary }`, `skipped` entries `{ path, reason }`
+   */
+  async load(pathInfos) {
+    const context = {
+      files: [],
+      directories: [],
+      totalSize: 0,
+      maxSize: this.settings.maxTotalSize,
+      skipped: [],
+      warnings: [],
+      summary: [],
+      limits: this.describeLimits()
+    };
+
+    const candidates = [];
+    for (const pathInfo of pathInfos) {
+      await this.collect(pathInfo, context, candidates);
+    }
+
+    let stopReason = null;
+    for (const candidate of this.prioritize(candidates)) {
+      if (stopReason) {
+        this.skip(context, candidate.pathInfo.filePath, stopReason);
+        continue;
+      }
+      if (context.files.length >= this.settings.maxTotalFiles) {
+        this.skip(context, candidate.pathInfo.filePath, `maxTotalFiles (${this.settings.maxTotalFiles}) reached`);
+        continue;
+      }
+      await this.loadFile(candidate, context);
+      stopReason = this.checkTotal(context);
+    }
+
+    if (pathInfos.length > 0) {
+      context.summary.push(`Test context: ${context.files.length} file(s), ${TestContextLoader.formatSize(context.totalSize)} loaded; ` +
+        `${context.skipped.length} skipped (preset ${this.settings.preset || 'none'}, ${this.settings.strategy} strategy)`);
+    }
+    return context;
+  }
+
+  /**
+   * @method collect
+   * @async
+   * @description Adds a context path to the candidates, walking directories
+   * @param {Object} pathInfo - Parsed path
+   * @param {Object} context - Context being built
+   * @param {Array<Object>} candidates - Files to load
+   * @returns {Promise<void>}
+   * @private
+   */
+  async collect(pathInfo, context, candidates) {
+    let entry;
+    try {
+      entry = await this.getEntry(pathInfo);
+    } catch (error) {
+      // Not listable - let fetchContent report the problem (with retries)
+      candidates.push({ pathInfo, explicit: true, order: candidates.length });
+      return;
+    }
+
+    if (entry.type !== 'dir') {
+      candidates.push({ pathInfo, explicit: true, order: candidates.length });
+      return;
+    }
+    await this.walk(pathInfo, entry, 0, context, candidates);
+  }
+
+  /**
+   * @method walk
+   * @async
+   * @description Recursively lists a directory up to maxFoldersDepth levels below the
+   * context path, sampling folders with more than maxFilesPerFolder files
+   * @param {Object} pathInfo - Parsed directory path
+   * @param {Object} entry - Directory listing
+   * @param {number} depth - Levels below the context path
+   * @param {Object} context - Context being built
+   * @param {Array<Object>} candidates - Files to load
+   * @returns {Promise<void>}
+   * @private
+   */
+  async walk(pathInfo, entry, depth, context, candidates) {
+    const { maxDepth, maxFilesPerFolder } = this.settings;
+    const files = entry.entries.filter(e => e.type === 'file');
+    const folders = entry.entries.filter(e => e.type === 'dir');
+    const selected = this.sampleFolder(files);
+
+    context.directories.push({
+      path: pathInfo.filePath,
+      depth,
+      fileCount: files.length,
+      files: files.map(f => f.name)
+    });
+    for (const file of files.filter(f => !selected.includes(f))) {
+      this.skip(context, file.path, `folder has ${files.length} files, limit ${maxFilesPerFolder} per folder`);
+    }
+    for (const file of selected) {
+      candidates.push({ pathInfo: TestContextLoader.childInfo(pathInfo, file.path), explicit: false, order: candidates.length });
+    }
+
+    for (const folder of folders) {
+      const folderInfo = TestContextLoader.childInfo(pathInfo, folder.path);
+      if (depth + 1 > maxDepth) {
+        this.skip(context, `${folder.path}/`, `deeper than maxFoldersDepth (${maxDepth})`);
+        continue;
+      }
+      try {
+        await this.walk(folderInfo, await this.getEntry(folderInfo), depth + 1, context, candidates);
+      } catch (error) {
+        this.skip(context, `${folder.path}/`, `could not be listed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * @method sampleFolder
+   * @param {Array<Object>} files - File entries of one folder
+   * @returns {Array<Object>} Files to consider: all of them when within maxFilesPerFolder,
+   *   otherwise the highest-priority types, evenly spread over the folder with
+   *   sampleLargeFolders or the first ones without it
+   * @private
+   */
+  sampleFolder(files) {
+    const limit = this.settings.maxFilesPerFolder;
+    if (files.length <= limit) return files;
+
+    const ranked = files
+      .map((file, index) => ({ file, index, rank: this.typeRank(TestContextLoader.detectType(file.name)) }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index);
+
+    if (!this.settings.sampleLargeFolders) {
+      return ranked.slice(0, limit).map(r => r.file);
+    }
+
+    // Fill the sample from the best-ranked types, spreading picks across each type's files
+    const sample = [];
+    for (const rank of [...new Set(ranked.map(r => r.rank))]) {
+      const group = ranked.filter(r => r.rank === rank);
+      const room = limit - sample.length;
+      if (room <= 0) break;
+      const step = group.length / Math.min(room, group.length);
+      for (let i = 0; i < Math.min(room, group.length); i++) {
+        sample.push(group[Math.floor(i * step)].file);
+      }
+    }
+    return files.filter(f => sample.includes(f));
+  }
+
+  /**
+   * @method prioritize
+   * @param {Array<Object>} candidates - Files to load
+   * @returns {Array<Object>} Distinct files: explicitly named ones first, then by type
+   *   priority, then in listing order
+   * @private
+   */
+  prioritize(candidates) {
+    const key = c => `${c.pathInfo.owner}/${c.pathInfo.repo}:${c.pathInfo.filePath}@${c.pathInfo.version}`;
+    return candidates
+      .filter(candidate => !candidates.some(other => other !== candidate && key(other) === key(candidate) &&
+        (other.explicit && !candidate.explicit || other.explicit === candidate.explicit && other.order < candidate.order)))
+      .map(candidate => ({ ...candidate, type: TestContextLoader.detectType(candidate.pathInfo.filePath) }))
+      .sort((a, b) => (a.explicit === b.explicit ? 0 : a.explicit ? -1 : 1) ||
+        this.typeRank(a.type) - this.typeRank(b.type) ||
+        a.order - b.order);
+  }
+
+  /**
+   * @method loadFile
+   * @async
+   * @description Reads one file and applies the per-type and total size limits
+   * @param {Object} candidate - `{ pathInfo, type }`
+   * @param {Object} context - Context being built
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadFile(candidate, context) {
+    const { pathInfo, type } = candidate;
+    const filePath = pathInfo.filePath;
+    const limits = this.settings.fileTypes[type] || this.settings.fileTypes.default || {};
+    const maxSize = (limits.maxSizeMB || Infinity) * MB;
+    const warnSize = (limits.warnSizeMB || Infinity) * MB;
+
+    let fetched;
+    try {
+      fetched = await this.fetchContent(pathInfo);
+    } catch (error) {
+      const reason = error.message.replace(/\s*\n\s*/g, ' ');
+      context.skipped.push({ path: filePath, reason });
+      context.summary.push(`✗ Failed: ${filePath} - ${reason}`);
+      return;
+    }
+
+    let content = fetched.content;
+    let size = fetched.size;
+    let truncated = false;
+
+    if (size > maxSize) {
+      if (this.settings.skipLargeFiles || BINARY_TYPES.includes(type)) {
+        this.skip(context, filePath, `${TestContextLoader.formatSize(size)} exceeds the ${type} limit of ${limits.maxSizeMB} MB`);
+        return;
+      }
+      content = content.substring(0, maxSize);
+      size = maxSize;
+      truncated = true;
+      context.warnings.push(`${filePath} truncated to the ${type} limit of ${limits.maxSizeMB} MB`);
+    } else if (size > warnSize) {
+      if (this.settings.stopOnWarning) {
+        this.skip(context, filePath, `${TestContextLoader.formatSize(size)} exceeds the ${type} warning size of ${limits.warnSizeMB} MB (${this.settings.strategy} strategy)`);
+        return;
+      }
+      context.warnings.push(`${filePath} is large for a ${type} file (${TestContextLoader.formatSize(size)})`);
+    }
+
+    if (context.totalSize + size > this.settings.maxTotalSize) {
+      this.skip(context, filePath, `would exceed maxTotalSizeMB (${this.settings.maxTotalSize / MB} MB)`);
+      return;
+    }
+
+    const binary = BINARY_TYPES.includes(type);
+    context.files.push({
+      path: filePath,
+      name: filePath.split('/').pop(),
+      type,
+      content: binary ? '' : content,
+      size,
+      truncated,
+      binary
+    });
+    context.totalSize += size;
+    context.summary.push(`✓ Loaded: ${filePath} (${type}, ${TestContextLoader.formatSize(size)}${truncated ? ', truncated' : ''}${binary ? ', content not sent' : ''})`);
+  }
+
+  /**
+   * @method checkTotal
+   * @param {Object} context - Context being built
+   * @returns {string|null} Reason to stop loading when the strategy stops at the total
+   *   size reached, otherwise null
+   * @private
+   */
+  checkTotal(context) {
+    const { warnTotalSize, criticalTotalSize, stopOnWarning, stopOnCritical, strategy } = this.settings;
+    if (context.totalSize >= criticalTotalSize) {
+      if (stopOnCritical) return `critical total size (${criticalTotalSize / MB} MB) reached, ${strategy} strategy stops`;
+      this.warnOnce(context, `Test context passed the critical total size of ${criticalTotalSize / MB} MB`);
+    } else if (context.totalSize >= warnTotalSize) {
+      if (stopOnWarning) return `warning total size (${warnTotalSize / MB} MB) reached, ${strategy} strategy stops`;
+      this.warnOnce(context, `Test context passed the warning total size of ${warnTotalSize / MB} MB`);
+    }
+    return null;
+  }
+
+  /**
+   * @method warnOnce
+   * @param {Object} context - Context being built
+   * @param {string} warning - Warning text
+   * @private
+   */
+  warnOnce(context, warning) {
+    if (!context.warnings.includes(warning)) {
+      context.warnings.push(warning);
+    }
+  }
+
+  /**
+   * @method skip
+   * @param {Object} context - Context being built
+   * @param {string} filePath - Skipped path
+   * @param {string} reason - Why it was skipped
+   * @private
+   */
+  skip(context, filePath, reason) {
+    context.skipped.push({ path: filePath, reason });
+    context.summary.push(`⚠ Skipped: ${filePath} - ${reason}`);
+  }
+
+  /**
+   * @method typeRank
+   * @param {string} type - File type
+   * @returns {number} Position in prioritizeByType (unlisted types come last)
+   * @private
+   */
+  typeRank(type) {
+    const index = this.settings.prioritizeByType.indexOf(type);
+    return index === -1 ? this.settings.prioritizeByType.length : index;
+  }
+
+  /**
+   * @method describeLimits
+   * @returns {Object} Limits applied, for results and reports
+   * @private
+   */
+  describeLimits() {
+    const { preset, strategy, maxTotalSize, maxTotalFiles, maxDepth, maxFilesPerFolder, prioritizeByType } = this.settings;
+    return {
+      preset,
+      strategy,
+      maxTotalSizeMB: maxTotalSize / MB,
+      maxTotalFiles,
+      maxFoldersDepth: maxDepth,
+      maxFilesPerFolder,
+      prioritizeByType
+    };
+  }
+
+  /**
+   * @static
+   * @method resolveSettings
+   * @description Combines the aggregate and file-type limits with the preset and strategy
+   * @param {Object} [options={}] - `{ config, preset, strategy }`
+   * @returns {Object} Resolved limits (sizes in bytes)
+   * @throws {Error} When the preset or strategy is unknown
+   */
+  static resolveSettings(options = {}) {
+    const config = options.config || loadLimitsConfig();
+    const limits = config.limits || {};
+    const aggregate = limits.aggregate || {};
+    const strategyName = options.strategy || 'progressive';
+    const strategy = (config.strategies || {})[strategyName];
+    if (!strategy) {
+      throw new Error(`Unknown context strategy "${strategyName}". Configured strategies: ${Object.keys(config.strategies || {}).join(', ')}`);
+    }
+    const preset = options.preset ? (config.presets || {})[options.preset] : {};
+    if (!preset) {
+      throw new Error(`Unknown context preset "${options.preset}"`);
+    }
+
+    const maxTotalSizeMB = preset.maxTotalSizeMB || aggregate.maxTotalSizeMB || 50;
+    // Warning/critical thresholds keep their proportion when a preset changes the total
+    const scale = aggregate.maxTotalSizeMB ? maxTotalSizeMB / aggregate.maxTotalSizeMB : 1;
+
+    return {
+      preset: options.preset || null,
+      strategy: strategyName,
+      stopOnWarning: Boolean(strategy.stopOnWarning),
+      stopOnCritical: Boolean(strategy.stopOnCritical),
+      skipLargeFiles: strategy.skipLargeFiles !== false,
+      sampleLargeFolders: Boolean(strategy.sampleLargeFolders),
+      prioritizeByType: strategy.prioritizeByType || [],
+      fileTypes: limits.fileTypes || {},
+      maxTotalSize: maxTotalSizeMB * MB,
+      warnTotalSize: (aggregate.warnTotalSizeMB ? aggregate.warnTotalSizeMB * scale : maxTotalSizeMB * 0.6) * MB,
+      criticalTotalSize: (aggregate.criticalTotalSizeMB ? aggregate.criticalTotalSizeMB * scale : maxTotalSizeMB * 0.9) * MB,
+      maxTotalFiles: preset.maxTotalFiles || aggregate.maxTotalFiles || 100,
+      maxDepth: aggregate.maxFoldersDepth !== undefined ? aggregate.maxFoldersDepth : 3,
+      maxFilesPerFolder: aggregate.maxFilesPerFolder || 20
+    };
+  }
+
+  /**
+   * @static
+   * @method childInfo
+   * @param {Object} pathInfo - Parsed directory path
+   * @param {string} childPath - Path of an entry in the directory
+   * @returns {Object} Parsed path of the entry (same repository and version)
+   * @private
+   */
+  static childInfo(pathInfo, childPath) {
+    const repoPrefix = pathInfo.fullPath && pathInfo.fullPath.includes(':') ? `${pathInfo.fullPath.split(':')[0]}:` : '';
+    return {
+      ...pathInfo,
+      filePath: childPath,
+      fullPath: `${repoPrefix}${childPath}${pathInfo.explicitVersion ? `@${pathInfo.version}` : ''}`
+    };
+  }
+
+  /**
+   * @static
+   * @method detectType
+   * @param {string} filePath - File path or name
+   * @returns {string} File type of `limits.fileTypes` (code, text, config, image, pdf or default)
+   */
+  static detectType(filePath) {
+    const name = filePath.split('/').pop().toLowerCase();
+    const extension = name.includes('.') ? name.split('.').pop() : '';
+    if (!extension && ['dockerfile', 'makefile'].includes(name)) return 'code';
+    for (const [type, extensions] of Object.entries(FILE_TYPES)) {
+      if (extensions.includes(extension)) return type;
+    }
+    return 'default';
+  }
+
+  /**
+   * @static
+   * @method formatSize
+   * @param {number} bytes - Size
+   * @returns {string} e.g. "12.3 KB"
+   */
+  static formatSize(bytes) {
+    return bytes >= MB ? `${(bytes / MB).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+  }
+}
+
+module.exports = { TestContextLoader, FILE_TYPES, BINARY_TYPES };
@@ -0,0 +1,373 @@
+/**
+ * @fileoverview Test Suite Runner
+ * @description Loads YAML/JSON prompt test suites and executes a prompt against every case,
+ * checking the output with deterministic assertions and an optional judge rubric
+ * @module TestSuiteRunner
+ * @requires js-yaml
+ * @requires ../evaluation/SchemaValidator
+ * @requires ../usage/CallScheduler
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const yaml = require('js-yaml');
+const { SchemaValidator } = require('../evaluation/SchemaValidator');
+const { CallScheduler } = require('../usage/CallScheduler');
+
+/**
+ * Upper bound on cases per suite (each case costs one or two model calls per prompt)
+ * @const {number}
+ */
+const MAX_CASES = 50;
+
+const PATTERN_LIST = {
+  type: ['string', 'array'],
+  items: { type: 'string' }
+};
+
+/**
+ * Schema of the `expected` block of a test case
+ * @const {Object}
+ */
+const EXPECTED_SCHEMA = {
+  type: 'object',
+  properties: {
+    mustContain: PATTERN_LIST,
+    mustNotContain: PATTERN_LIST,
+    regex: PATTERN_LIST,
+    notRegex: PATTERN_LIST,
+    minLength: { type: 'integer', minimum: 0 },
+    maxLength: { type: 'integer', minimum: 1 },
+    caseSensitive: { type: 'boolean' },
+    rubric: { type: 'string', minLength: 1 }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema of a test suite file
+ * @const {Object}
+ */
+const SUITE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    maxTokens: { type: 'integer', minimum: 1 },
+    cases: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_CASES,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          input: { type: 'string', minLength: 1 },
+          maxTokens: { type: 'integer', minimum: 1 },
+          expected: EXPECTED_SCHEMA
+        },
+        required: ['id', 'input', 'expected']
+      }
+    }
+  },
+  required: ['cases']
+};
+
+/**
+ * @class TestSuiteRunner
+ * @description Runs a prompt (as the system prompt) on each case input and checks the
+ * response. A case passes when every assertion passes; rubric checks are graded by the
+ * structured judge.
+ *
+ * Suite format (YAML or JSON):
+ * ```yaml
+ * name: Code reviewer regression suite
+ * cases:
+ *   - id: sql-injection
+ *     input: "Review: db.query('SELECT * FROM users WHERE id=' + id)"
+ *     expected:
+ *       mustContain: ["SQL injection"]
+ *       mustNotContain: ["looks good"]
+ *       regex: ["/parameteri[sz]ed/i"]
+ *       maxLength: 3000
+ *       rubric: Identifies the injection and shows a parameterized query
+ * ```
+ * @property {Function} callModel - `async (payload, scope) => response` used to run the prompt
+ * @property {StructuredJudge|null} judge - Judge used for rubric checks
+ */
+class TestSuiteRunner {
+  /**
+   * @constructor
+   * @param {Object} options - Runner options
+   * @param {Function} options.callModel - Function sending a Messages API payload
+   * @param {StructuredJudge} [options.judge] - Judge for rubric checks
+   */
+  constructor(options = {}) {
+    if (typeof options.callModel !== 'function') {
+      throw new Error('TestSuiteRunner requires a callModel function');
+    }
+    this.callModel = options.callModel;
+    this.judge = options.judge || null;
+  }
+
+  /**
+   * @static
+   * @method parse
+   * @description Parses and validates a suite file
+   * @param {string} text - File content
+   * @param {string} [filePath=''] - File name, used to pick the format and in errors
+   * @returns {Object} Suite with `name` and `cases`
+   * @throws {Error} With code INVALID_TEST_SUITE when the file is malformed
+   */
+  static parse(text, filePath = '') {
+    let suite;
+    try {
+      suite = /\.json$/i.test(filePath) ? JSON.parse(text) : yaml.load(text);
+    } catch (error) {
+      throw TestSuiteRunner.invalid(filePath, [error.message]);
+    }
+
+    const errors = SchemaValidator.validate(SUITE_SCHEMA, suite);
+    if (errors.length === 0) {
+      const ids = suite.cases.map(c => c.id);
+      const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+      if (duplicates.length > 0) {
+        errors.push(`$.cases: duplicate case id(s) ${[...new Set(duplicates)].join(', ')}`);
+      }
+      for (const [index, testCase] of suite.cases.entries()) {
+        for (const field of ['regex', 'notRegex']) {
+          for (const pattern of TestSuiteRunner.toList(testCase.expected[field])) {
+            try {
+              TestSuiteRunner.toRegExp(pattern);
+            } catch (error) {
+              errors.push(`$.cases[${index}].expected.${field}: ${error.message}`);
+            }
+          }
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw TestSuiteRunner.invalid(filePath, errors);
+    }
+
+    return { name: suite.name || filePath || 'Test suite', ...suite };
+  }
+
+  /**
+   * @method run
+   * @async
+   * @description Runs every case of a suite against one prompt. Cases run in parallel; the
+   * model callback is expected to bound concurrency.
+   * @param {Object} suite - Parsed suite
+   * @param {string} promptContent - Prompt under test, used as the system prompt
+   * @returns {Promise<Object>} `{ suite, total, passed, failed, passRate, cases }`
+   */
+  async run(suite, promptContent) {
+    const cases = await CallScheduler.all(suite.cases.map(testCase =>
+      this.runCase(testCase, promptContent, suite.maxTokens)
+    ));
+
+    const passed = cases.filter(c => c.passed).length;
+    return {
+      suite: suite.name,
+      total: cases.length,
+      passed,
+      failed: cases.length - passed,
+      passRate: cases.length > 0 ? passed / cases.length : 0,
+      cases
+    };
+  }
+
+  /**
+   * @method runCase
+   * @async
+   * @description Runs the prompt on one case input and checks the response
+   * @param {Object} testCase - Case definition
+   * @param {string} promptContent - Prompt under test
+   * @param {number} [defaultMaxTokens=1024] - Token limit when the case sets none
+   * @returns {Promise<Object>} `{ id, passed, checks, output, error }`
+   * @throws {Error} BUDGET_EXCEEDED when the budget guard stops the run (other model
+   *   errors fail the case)
+   * @private
+   */
+  async runCase(testCase, promptContent, defaultMaxTokens = 1024) {
+    let output;
+    try {
+      const response = await this.callModel({
+        max_tokens: testCase.maxTokens || defaultMaxTokens,
+        system: promptContent,
+        messages: [{ role: 'user', content: testCase.input }]
+      }, 'test-suite');
+      output = (response.content || [])
+        .filter(c => c.type === 'text')
+        .map(c => c.text)
+        .join('\n');
+    } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        throw error;
+      }
+      return {
+        id: testCase.id,
+        description: testCase.description,
+        passed: false,
+        checks: [],
+        output: '',
+        error: error.message
+      };
+    }
+
+    const checks = TestSuiteRunner.checkAssertions(output, testCase.expected);
+
+    if (testCase.expected.rubric) {
+      checks.push(await this.checkRubric(testCase, output));
+    }
+
+    return {
+      id: testCase.id,
+      description: testCase.description,
+      passed: checks.every(c => c.passed),
+      checks,
+      output
+    };
+  }
+
+  /**
+   * @method checkRubric
+   * @async
+   * @description Asks the judge whether the output satisfies the case rubric
+   * @param {Object} testCase - Case definition
+   * @param {string} output - Prompt output
+   * @returns {Promise<Object>} Check result with the judge's score and reasoning
+   * @private
+   */
+  async checkRubric(testCase, output) {
+    if (!this.judge) {
+      return { type: 'rubric', passed: false, detail: 'No judge available for rubric checks' };
+    }
+
+    const { data } = await this.judge.run('rubric', {
+      max_tokens: 1000,
+      system: 'You grade responses against a test-case rubric. Judge only what the rubric asks for.',
+      messages: [{
+        role: 'user',
+        content: `Rubric:\n${testCase.expected.rubric}\n\nInput:\n${testCase.input}\n\nResponse:\n${output}`
+      }]
+    });
+
+    return {
+      type: 'rubric',
+      passed: data.pass,
+      score: data.score,
+      detail: data.reasoning
+    };
+  }
+
+  /**
+   * @static
+   * @method checkAssertions
+   * @description Evaluates the deterministic assertions of a case
+   * @param {string} output - Prompt output
+   * @param {Object} expected - Case `expected` block
+   * @returns {Array<Object>} `{ type, passed, detail }` per assertion
+   */
+  static checkAssertions(output, expected) {
+    const checks = [];
+    const caseSensitive = Boolean(expected.caseSensitive);
+    const normalize = text => (caseSensitive ? text : text.toLowerCase());
+    const haystack = normalize(output);
+
+    for (const text of TestSuiteRunner.toList(expected.mustContain)) {
+      const passed = haystack.includes(normalize(text));
+      checks.push({ type: 'mustContain', passed, detail: `${passed ? 'contains' : 'missing'} "${text}"` });
+    }
+
+    for (const text of TestSuiteRunner.toList(expected.mustNotContain)) {
+      const passed = !haystack.includes(normalize(text));
+      checks.push({ type: 'mustNotContain', passed, detail: `${passed ? 'does not contain' : 'contains forbidden'} "${text}"` });
+    }
+
+    for (const pattern of TestSuiteRunner.toList(expected.regex)) {
+      const passed = TestSuiteRunner.toRegExp(pattern).test(output);
+      checks.push({ type: 'regex', passed, detail: `${passed ? 'matches' : 'does not match'} ${pattern}` });
+    }
+
+    for (const pattern of TestSuiteRunner.toList(expected.notRegex)) {
+      const passed = !TestSuiteRunner.toRegExp(pattern).test(output);
+      checks.push({ type: 'notRegex', passed, detail: `${passed ? 'does not match' : 'matches forbidden'} ${pattern}` });
+    }
+
+    if (expected.minLength !== undefined) {
+      const passed = output.length >= expected.minLength;
+      checks.push({ type: 'minLength', passed, detail: `${output.length} chars (min ${expected.minLength})` });
+    }
+
+    if (expected.maxLength !== undefined) {
+      const passed = output.length <= expected.maxLength;
+      checks.push({ type: 'maxLength', passed, detail: `${output.length} chars (max ${expected.maxLength})` });
+    }
+
+    return checks;
+  }
+
+  /**
+   * @static
+   * @method toRegExp
+   * @description Converts "/pattern/flags" or a bare pattern to a RegExp
+   * @param {string} pattern - Pattern string
+   * @returns {RegExp} Compiled expression
+   * @throws {SyntaxError} When the pattern is invalid
+   */
+  static toRegExp(pattern) {
+    const literal = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+  }
+
+  /**
+   * @static
+   * @method toList
+   * @param {string|Array<string>|undefined} value - Single value or list
+   * @returns {Array<string>} List form
+   * @private
+   */
+  static toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * @static
+   * @method invalid
+   * @param {string} filePath - Suite file
+   * @param {Array<string>} errors - Problems found
+   * @returns {Error} Error with code INVALID_TEST_SUITE
+   * @private
+   */
+  static invalid(filePath, errors) {
+    const error = new Error(`Invalid test suite ${filePath}: ${errors.join('; ')}`);
+    error.code = 'INVALID_TEST_SUITE';
+    error.validationErrors = errors;
+    return error;
+  }
+
+  /**
+   * @static
+   * @method compareResults
+   * @description Compares per-case results of two prompts on the same suite
+   * @param {Object} resultsA - Suite results for prompt A
+   * @param {Object} resultsB - Suite results for prompt B
+   * @returns {Object} Pass counts plus cases that newly pass or newly fail in B
+   */
+  static compareResults(resultsA, resultsB) {
+    const passedA = new Map(resultsA.cases.map(c => [c.id, c.passed]));
+    return {
+      promptA: { passed: resultsA.passed, total: resultsA.total, passRate: resultsA.passRate },
+      promptB: { passed: resultsB.passed, total: resultsB.total, passRate: resultsB.passRate },
+      newlyPassing: resultsB.cases.filter(c => c.passed && passedA.get(c.id) === false).map(c => c.id),
+      newlyFailing: resultsB.cases.filter(c => !c.passed && passedA.get(c.id) === true).map(c => c.id)
+    };
+  }
+}
+
+module.exports = { TestSuiteRunner, SUITE_SCHEMA, MAX_CASES };
@@ -8,12 +8,19 @@ const { promisify } = require('util');
 const execAsync = promisify(exec);
 const ExpertLoader = require('../../scripts/expert-loader');
 const { ErrorRecovery } = require('./ErrorRecovery');
+const { LLMProvider } = require('../providers/LLMProvider');
+const { createProvider } = require('../providers/ProviderFactory');
+const { StructuredJudge } = require('../evaluation/StructuredJudge');
 
 class ClaudeToolExecutor {
   constructor(octokit, context, anthropic, logger) {
     this.octokit = octokit;
     this.context = context;
-    this.anthropic = anthropic;
+    // Accepts either a configured LLMProvider or a raw Anthropic client
+    this.provider = anthropic instanceof LLMProvider
+      ? anthropic
+      : createProvider({ anthropic });
+    this.judge = new StructuredJudge({ callModel: payload => this.provider.createMessage(payload) });
     this.logger = logger || console;
     this.executionLog = [];
     this.gitConfigured = false;
@@ -306,8 +313,7 @@ class ClaudeToolExecutor {
     
     // Execute prompt with each test scenario
     for (const scenario of scenarios) {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
+      const response = await this.provider.createMessage({
         max_tokens: 4000,
         messages: [
           {
@@ -317,9 +323,8 @@ class ClaudeToolExecutor {
         ]
       });
       
-      // Expert evaluation of the response
-      const evaluation = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
+      // Expert evaluation of the response (structured output)
+      const { data: evaluation } = await this.judge.run('evaluation', {
         max_tokens: 2000,
         messages: [
           {
@@ -334,12 +339,12 @@ Expected Behavior: ${scenario.expectedBehavior}
 Response:
 ${response.content[0].text}
 
-Provide:
-1. Score (1-10)
+Submit with the submit_evaluation tool:
+1. Score (0-10) overall and for each criterion
 2. Strengths
 3. Weaknesses
-4. Suggestions for improvement
-5. Specific code or text improvements (if applicable)`
+4. Red flags (critical problems, if any)
+5. Summary with suggestions and specific code or text improvements (if applicable)`
           }
         ]
       });
@@ -347,8 +352,10 @@ Provide:
       results.scenarios.push({
         input: scenario.input,
         response: response.content[0].text,
-        evaluation: evaluation.content[0].text,
-        score: this.extractScore(evaluation.content[0].text)
+        evaluation: StructuredJudge.toMarkdown(evaluation),
+        score: evaluation.score,
+        criteria: evaluation.criteria,
+        redFlags: evaluation.redFlags
       });
     }
     
@@ -373,14 +380,8 @@ Provide:
     };
   }
 
-  extractScore(evaluationText) {
-    const scoreMatch = evaluationText.match(/Score[:\s]+(\d+(?:\.\d+)?)\s*\/\s*10/i);
-    return scoreMatch ? parseFloat(scoreMatch[1]) : 5.0;
-  }
-
   async generateImprovements(originalPrompt, evaluationResults, expert) {
-    const improvements = await this.anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const improvements = await this.provider.createMessage({
       max_tokens: 4000,
       messages: [
         {
@@ -1386,8 +1387,7 @@ To approve, comment: \`@prompt-expert approve-secret ${name}\`
     // Test both prompts
     for (const test of tests) {
       // Test Prompt A
-      const responseA = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
+      const responseA = await this.provider.createMessage({
         max_tokens: 2000,
         messages: [
           { role: 'user', content: `${promptA}\n\nTest: ${test}` }
@@ -1396,8 +1396,7 @@ To approve, comment: \`@prompt-expert approve-secret ${name}\`
       resultsA.push({ test, response: responseA.content[0].text });
       
       // Test Prompt B
-      const responseB = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
+      const responseB = await this.provider.createMessage({
         max_tokens: 2000,
         messages: [
           { role: 'user', content: `${promptB}\n\nTest: ${test}` }
@@ -1406,24 +1405,23 @@ To approve, comment: \`@prompt-expert approve-secret ${name}\`
       resultsB.push({ test, response: responseB.content[0].text });
     }
     
-    // Compare results
-    const comparison = await this.anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    // Compare results (structured output; prompt A is shown FIRST)
+    const { data: comparison } = await this.judge.run('comparison', {
       max_tokens: 3000,
       messages: [
         {
           role: 'user',
           content: `Compare these two prompts and their results:
 
-Prompt A: ${promptA}
+FIRST PROMPT (A): ${promptA}
 Results A: ${JSON.stringify(resultsA, null, 2)}
 
-Prompt B: ${promptB}
+SECOND PROMPT (B): ${promptB}
 Results B: ${JSON.stringify(resultsB, null, 2)}
 
 Evaluation Criteria: ${evaluationCriteria.join(', ')}
 
-Determine which prompt performs better and provide specific recommendations.`
+Submit with the submit_comparison tool which prompt performs better (FIRST, SECOND or TIE), the key differences and trade-offs, and specific recommendations in the analysis.`
         }
       ]
     });
@@ -1432,7 +1430,8 @@ Determine which prompt performs better and provide specific recommendations.`
       success: true,
       promptA: { prompt: promptA, results: resultsA },
       promptB: { prompt: promptB, results: resultsB },
-      comparison: comparison.content[0].text,
+      comparison: StructuredJudge.toMarkdown(comparison),
+      preferred: { FIRST: 'A', SECOND: 'B', TIE: 'TIE' }[comparison.preferred],
       testCases: tests
     };
   }
@@ -1440,8 +1439,8 @@ Determine which prompt performs better and provide specific recommendations.`
   async analyzePromptPerformance(args) {
     const { prompt, metrics = ['clarity', 'specificity', 'efficiency', 'robustness'] } = args;
     
-    const analysis = await this.anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    // Each metric is scored as a criterion of the evaluation schema
+    const { data: analysis } = await this.judge.run('evaluation', {
       max_tokens: 3000,
       messages: [
         {
@@ -1450,22 +1449,23 @@ Determine which prompt performs better and provide specific recommendations.`
 
 Prompt: ${prompt}
 
-For each metric, provide:
-1. Score (1-10)
+Submit with the submit_evaluation tool:
+1. Score (0-10) overall and for each metric as a criterion
 2. Strengths
 3. Weaknesses
-4. Specific improvements
-
-Overall assessment and recommendations.`
+4. Red flags (critical problems, if any)
+5. Summary with the overall assessment and specific improvements`
         }
       ]
-    });
+    }, { criteria: metrics });
     
     return {
       success: true,
       prompt: prompt,
       metrics: metrics,
-      analysis: analysis.content[0].text
+      analysis: StructuredJudge.toMarkdown(analysis),
+      score: analysis.score,
+      criteria: analysis.criteria
     };
   }
 }
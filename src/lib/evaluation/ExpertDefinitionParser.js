@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Expert Definition Parser
+ * @description Extracts frontmatter and weighted evaluation criteria from expert definition
+ * markdown files (experts/*.md)
+ * @module ExpertDefinitionParser
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+/**
+ * @class ExpertDefinitionParser
+ * @description Stateless parser for expert definitions. Criteria are the numbered
+ * `### N. Name` headings under "Evaluation Criteria". Weights are read from the heading
+ * ("### 1. Detection Capability (35% weight)") or, failing that, from a
+ * "Weighted Overall Score" formula ("(Clarity × 0.25) + ..."). Criteria without any
+ * declared weight share the weight equally.
+ */
+class ExpertDefinitionParser {
+  /**
+   * @static
+   * @method parse
+   * @description Parses an expert definition
+   * @param {string} content - Markdown content of the expert definition
+   * @returns {Object} `{ frontmatter, criteria, weightSource }` where criteria are
+   *   `{ name, weight, description }` with weights summing to 1, and weightSource is
+   *   'heading', 'formula', 'equal' or 'none'
+   */
+  static parse(content) {
+    const text = String(content || '').replace(/\r\n/g, '\n');
+    const frontmatter = ExpertDefinitionParser.parseFrontmatter(text);
+    const criteria = ExpertDefinitionParser.parseCriteria(text);
+
+    let weightSource = 'none';
+    if (criteria.length > 0) {
+      if (criteria.some(c => c.weight !== null)) {
+        weightSource = 'heading';
+      } else {
+        ExpertDefinitionParser.applyFormulaWeights(criteria, ExpertDefinitionParser.parseWeightFormula(text));
+        weightSource = criteria.some(c => c.weight !== null) ? 'formula' : 'equal';
+      }
+    }
+
+    return {
+      frontmatter,
+      criteria: ExpertDefinitionParser.normalizeWeights(criteria),
+      weightSource
+    };
+  }
+
+  /**
+   * @static
+   * @method parseFrontmatter
+   * @description Reads simple `key: value` pairs from a leading `---` block
+   * @param {string} text - Markdown content
+   * @returns {Object} Frontmatter fields (empty when there is no frontmatter)
+   */
+  static parseFrontmatter(text) {
+    const match = text.match(/^---\n([\s\S]*?)\n---/);
+    const fields = {};
+    if (!match) return fields;
+
+    for (const line of match[1].split('\n')) {
+      const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+      if (pair) {
+        fields[pair[1]] = pair[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * @static
+   * @method parseCriteria
+   * @description Collects numbered `### N. Name` headings inside the Evaluation Criteria section
+   * @param {string} text - Markdown content
+   * @returns {Array<Object>} Criteria with raw weights (fraction or null)
+   */
+  static parseCriteria(text) {
+    const section = text.match(/^##\s+Evaluation Criteria[^\n]*\n([\s\S]*?)(?=^##\s[^#]|(?![\s\S]))/m);
+    if (!section) return [];
+
+    const criteria = [];
+    const headingPattern = /^###\s+\d+\.\s+(.+?)\s*$/gm;
+    const headings = [...section[1].matchAll(headingPattern)];
+
+    headings.forEach((heading, i) => {
+      const end = i + 1 < headings.length ? headings[i + 1].index : section[1].length;
+      const body = section[1].slice(heading.index + heading[0].length, end);
+
+      let name = heading[1];
+      let weight = null;
+      const weightMatch = name.match(/\((\d+(?:\.\d+)?)\s*%\s*weight\)/i);
+      if (weightMatch) {
+        weight = parseFloat(weightMatch[1]) / 100;
+        name = name.replace(weightMatch[0], '').trim();
+      }
+
+      criteria.push({
+        name,
+        weight,
+        description: body.split('\n').map(line => line.trim()).filter(Boolean).join('\n')
+      });
+    });
+
+    return criteria;
+  }
+
+  /**
+   * @static
+   * @method parseSection
+   * @description Returns the body of a `## Title` section, up to the next `##` heading.
+   * Headings inside fenced code blocks (e.g. a sample response) do not end the section.
+   * @param {string} text - Markdown content
+   * @param {string} title - Section title, matched case-insensitively
+   * @returns {string|null} Trimmed section body, or null when the section is missing
+   */
+  static parseSection(text, title) {
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+    const wanted = title.trim().toLowerCase();
+    let body = null;
+    let fence = null;
+
+    for (const line of lines) {
+      const marker = line.match(/^\s*(```+|~~~+)/);
+      if (fence) {
+        if (marker && marker[1].startsWith(fence)) fence = null;
+      } else if (marker) {
+        fence = marker[1];
+      } else {
+        const heading = line.match(/^##\s+(.+?)\s*$/);
+        if (heading) {
+          if (body !== null) break;
+          if (heading[1].toLowerCase() === wanted) {
+            body = [];
+            continue;
+          }
+        }
+      }
+      if (body !== null) body.push(line);
+    }
+
+    return body === null ? null : body.join('\n').trim();
+  }
+
+  /**
+   * @static
+   * @method parseWeightFormula
+   * @description Reads `(Name × 0.25)` terms from a "Weighted Overall Score" line
+   * @param {string} text - Markdown content
+   * @returns {Array<Object>} `{ name, weight }` terms
+   * @private
+   */
+  static parseWeightFormula(text) {
+    const line = text.split('\n').find(l => /weighted overall score/i.test(l) && /[×x*]\s*\d/.test(l));
+    if (!line) return [];
+
+    return [...line.matchAll(/\(([^()]+?)\s*[×x*]\s*(\d+(?:\.\d+)?)\)/g)]
+      .map(term => ({ name: term[1].trim(), weight: parseFloat(term[2]) }));
+  }
+
+  /**
+   * @static
+   * @method applyFormulaWeights
+   * @description Assigns formula weights to criteria. Formula names are often shortened
+   * ("Privacy & Ethics" for "Data Privacy & Ethics", "Reasoning" for "Reasoning & Logic"),
+   * so terms are matched in passes from strictest to loosest and each term is used once.
+   * @param {Array<Object>} criteria - Parsed criteria (weights set in place)
+   * @param {Array<Object>} terms - Formula terms `{ name, weight }`
+   * @private
+   */
+  static applyFormulaWeights(criteria, terms) {
+    const words = name => ExpertDefinitionParser.normalizeName(name).split(' ');
+    const passes = [
+      (term, heading) => words(term).join(' ') === words(heading).join(' '),
+      (term, heading) => words(heading).join(' ').startsWith(words(term).join(' ')),
+      (term, heading) => words(term).every(word => words(heading).includes(word)),
+      (term, heading) => words(term)[0] === words(heading)[0]
+    ];
+
+    const unused = [...terms];
+    for (const matches of passes) {
+      for (const criterion of criteria) {
+        if (criterion.weight !== null) continue;
+        const index = unused.findIndex(term => matches(term.name, criterion.name));
+        if (index !== -1) {
+          criterion.weight = unused[index].weight;
+          unused.splice(index, 1);
+        }
+      }
+    }
+  }
+
+  /**
+   * @static
+   * @method normalizeName
+   * @description Lower-cases a criterion name and strips punctuation for comparisons
+   * @param {string} name - Criterion name
+   * @returns {string} Normalized name
+   */
+  static normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  /**
+   * @static
+   * @method normalizeWeights
+   * @description Scales declared weights to sum to 1; criteria without a declared weight
+   * get an equal share of whatever the declared weights leave (or of 1 if none are declared)
+   * @param {Array<Object>} criteria - Criteria with raw weights
+   * @returns {Array<Object>} Criteria with normalized weights
+   * @private
+   */
+  static normalizeWeights(criteria) {
+    if (criteria.length === 0) return criteria;
+
+    const declared = criteria.filter(c => c.weight !== null);
+    const declaredTotal = declared.reduce((sum, c) => sum + c.weight, 0);
+    const undeclared = criteria.length - declared.length;
+    const share = undeclared > 0 ? Math.max(0, 1 - declaredTotal) / undeclared : 0;
+
+    const withWeights = criteria.map(c => ({ ...c, weight: c.weight !== null ? c.weight : share }));
+    let total = withWeights.reduce((sum, c) => sum + c.weight, 0);
+
+    // Declared weights already cover everything: undeclared criteria fall back to equal weights
+    if (total === 0 || (undeclared > 0 && share === 0)) {
+      withWeights.forEach(c => { c.weight = 1; });
+      total = withWeights.length;
+    }
+
+    return withWeights.map(c => ({ ...c, weight: c.weight / total }));
+  }
+
+  /**
+   * @static
+   * @method weightedScore
+   * @description Weighted sum of criterion scores. Criteria the judge did not score are
+   * left out and the remaining weights are rescaled.
+   * @param {Array<Object>} criteria - Parsed criteria `{ name, weight }`
+   * @param {Array<Object>} scores - Scored criteria `{ name, score }`
+   * @returns {Object|null} `{ score, breakdown }` or null when no criterion was scored
+   */
+  static weightedScore(criteria, scores) {
+    const breakdown = [];
+    for (const criterion of criteria) {
+      const key = ExpertDefinitionParser.normalizeName(criterion.name);
+      const scored = (scores || []).find(s => ExpertDefinitionParser.normalizeName(s.name) === key);
+      if (scored && typeof scored.score === 'number') {
+        breakdown.push({ ...scored, name: criterion.name, weight: criterion.weight });
+      }
+    }
+
+    const totalWeight = breakdown.reduce((sum, c) => sum + c.weight, 0);
+    if (breakdown.length === 0 || totalWeight === 0) {
+      return null;
+    }
+
+    return {
+      score: breakdown.reduce((sum, c) => sum + c.weight * c.score, 0) / totalWeight,
+      breakdown
+    };
+  }
+}
+
+module.exports = { ExpertDefinitionParser };
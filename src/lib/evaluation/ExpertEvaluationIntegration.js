@@ -3,6 +3,14 @@
  * @description Bridges the gap between prompt evaluation and GitHub bot tooling
  * @module ExpertEvaluationIntegration
  * @requires ./PromptVersionManager
+ * @requires ./ExpertRegistry
+ * @requires ../providers/ProviderFactory
+ * @requires ./StructuredJudge
+ * @requires ./ScenarioSuite
+ * @requires ../sources/LocalGitContentSource
+ * @requires ../usage/UsageTracker
+ * @requires ../usage/BudgetGuard
+ * @requires ../usage/CallScheduler
  * @requires fs/promises
  * @requires path
  * @author Prompt Expert Team
@@ -10,6 +18,15 @@
  */
 
 const { PromptVersionManager } = require('./PromptVersionManager');
+const { createProvider } = require('../providers/ProviderFactory');
+const { StructuredJudge } = require('./StructuredJudge');
+const { ExpertDefinitionParser } = require('./ExpertDefinitionParser');
+const { ExpertRegistry } = require('./ExpertRegistry');
+const { ScenarioSuite } = require('./ScenarioSuite');
+const { LocalGitContentSource } = require('../sources/LocalGitContentSource');
+const { UsageTracker } = require('../usage/UsageTracker');
+const { BudgetGuard } = require('../usage/BudgetGuard');
+const { CallScheduler } = require('../usage/CallScheduler');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -17,29 +34,58 @@ const fs = require('fs').promises;
  * @class ExpertEvaluationIntegration
  * @description Provides expert evaluation capabilities as tools for Claude
  * @property {Octokit} octokit - GitHub API client
- * @property {Anthropic} anthropic - Anthropic API client
+ * @property {LLMProvider} provider - Model provider used for all evaluation calls
  * @property {string} repoOwner - Repository owner
  * @property {string} repoName - Repository name
  * @property {string} workspace - Local workspace path
  * @property {PromptVersionManager} versionManager - Version management instance
+ * @property {EvaluationResultStore|null} resultStore - Evaluation history store
+ * @property {UsageTracker} usage - Token usage and estimated cost of the current evaluation, by thread
+ * @property {BudgetGuard} budget - Token and cost caps every model request is checked against
+ * @property {CallScheduler} scheduler - Concurrency and rate limits for model requests
+ * @property {ExpertRegistry} experts - Experts addressable by the evaluation tools' domain
  */
 class ExpertEvaluationIntegration {
   /**
    * @constructor
    * @param {Object} [options={}] - Configuration options
    * @param {Octokit} options.octokit - GitHub API client
-   * @param {Anthropic} options.anthropic - Anthropic API client
+   * @param {LLMProvider} [options.provider] - Model provider (defaults to config/providers.json)
+   * @param {Anthropic} [options.anthropic] - Anthropic API client, reused by the anthropic provider
    * @param {string} options.repoOwner - Repository owner
    * @param {string} options.repoName - Repository name
    * @param {string} [options.workspace] - Workspace directory
+   * @param {EvaluationResultStore} [options.resultStore] - Persists every evaluation run
+   * @param {Object} [options.pricing] - Price table for cost estimates (defaults to config/pricing.json)
+   * @param {BudgetGuard} [options.budget] - Shared budget (defaults to a guard for this
+   *   instance's lifetime using config/abtest-limits.json)
+   * @param {CallScheduler} [options.scheduler] - Shared concurrency and rate limits for model
+   *   calls (defaults to a scheduler for this instance using config/abtest-limits.json)
+   * @param {ExpertRegistry} [options.experts] - Expert registry (defaults to the bundled experts)
    */
   constructor(options = {}) {
     this.octokit = options.octokit;
-    this.anthropic = options.anthropic;
+    this.provider = createProvider({ provider: options.provider, anthropic: options.anthropic });
+    this.judge = new StructuredJudge({ callModel: (payload, scope) => this.callClaudeWithRetry(payload, scope) });
     this.repoOwner = options.repoOwner;
     this.repoName = options.repoName;
     this.workspace = options.workspace || process.cwd();
+    this.resultStore = options.resultStore || null;
     this.versionManager = new PromptVersionManager(options);
+    this.pricing = options.pricing;
+    this.usage = this.createUsageTracker();
+    this.budget = options.budget || new BudgetGuard({ pricing: options.pricing });
+    this.scheduler = options.scheduler || new CallScheduler();
+    this.experts = options.experts || ExpertRegistry.bundled();
+  }
+
+  /**
+   * @method createUsageTracker
+   * @returns {UsageTracker} Tracker for a new evaluation run
+   * @private
+   */
+  createUsageTracker() {
+    return new UsageTracker({ pricing: this.pricing, model: this.provider.model });
   }
 
   /**
@@ -48,6 +94,7 @@ class ExpertEvaluationIntegration {
    * @returns {Array<Object>} Array of tool definitions
    */
   getEvaluationTools() {
+    const domains = this.experts.domains();
     return [
       {
         name: 'evaluate_prompt_changes',
@@ -57,12 +104,12 @@ class ExpertEvaluationIntegration {
           properties: {
             domain: {
               type: 'string',
-              description: 'Expert domain (security, programming, financial, data-analysis, general)',
-              enum: ['security', 'programming', 'financial', 'data-analysis', 'general']
+              description: `Expert domain (${domains.join(', ')})`,
+              enum: domains
             },
             test_scenario: {
               type: 'string', 
-              description: 'Custom test scenario to evaluate prompts against'
+              description: 'Custom test scenario to evaluate prompts against (default: every scenario in test-scenarios/<domain>-tests.json)'
             },
             files: {
               type: 'array',
@@ -75,7 +122,7 @@ class ExpertEvaluationIntegration {
       },
       {
         name: 'get_prompt_history',
-        description: 'Get version history and improvement trends for a prompt file',
+        description: 'Get version history, improvement trends and recorded evaluation results (score over time, last verdict, feedback cycles) for a prompt file',
         input_schema: {
           type: 'object',
           properties: {
@@ -93,7 +140,7 @@ class ExpertEvaluationIntegration {
       },
       {
         name: 'compare_prompt_versions',
-        description: 'Compare two versions of a prompt and get improvement analysis',
+        description: 'Compare two versions of a prompt and get improvement analysis, with a line diff (hunks, added/removed/modified lines with word-level changes and a unified diff) and structural changes (sections, rules tightened or relaxed, examples)',
         input_schema: {
           type: 'object',
           properties: {
@@ -121,7 +168,8 @@ class ExpertEvaluationIntegration {
           properties: {
             domain: {
               type: 'string',
-              description: 'Expert domain to use for evaluation'
+              description: `Expert domain to use for evaluation (${domains.join(', ')})`,
+              enum: domains
             },
             focus_areas: {
               type: 'array',
@@ -157,7 +205,16 @@ class ExpertEvaluationIntegration {
    * Evaluate prompt changes using existing 3-thread model
    */
   async evaluatePromptChanges(args, context) {
-    const { domain, test_scenario, files } = args;
+    const { test_scenario, files } = args;
+    const startTime = Date.now();
+    this.usage = this.createUsageTracker();
+
+    // Accepts any expert id or alias; results are reported under the expert's domain
+    const expert = this.experts.resolve(args.domain);
+    if (!expert) {
+      return { error: `Unknown expert domain: ${args.domain} (available: ${this.experts.domains().join(', ')})` };
+    }
+    const domain = expert.domain || expert.id;
     
     try {
       // Get changed prompt files from PR
@@ -190,7 +247,7 @@ class ExpertEvaluationIntegration {
         const { data } = await this.octokit.repos.getContent({
           owner: this.repoOwner,
           repo: this.repoName,
-          path: `experts/${domain}-expert.md`,
+          path: expert.source,
           ref: 'main' // Use main branch for stable expert definitions
         });
         expertDefinition = Buffer.from(data.content, 'base64').toString('utf8');
@@ -198,28 +255,17 @@ class ExpertEvaluationIntegration {
         return { error: `Expert definition not found for domain: ${domain} (fetching from GitHub)` };
       }
 
-      // Get test scenario
-      let scenario = test_scenario;
-      if (!scenario) {
-        try {
-          // Fetch domain tests from GitHub
-          const { data } = await this.octokit.repos.getContent({
-            owner: this.repoOwner,
-            repo: this.repoName,
-            path: 'test-scenarios/domain-tests.json',
-            ref: 'main'
-          });
-          const domainTests = JSON.parse(Buffer.from(data.content, 'base64').toString('utf8'));
-          scenario = domainTests[domain]?.scenario || 'Please demonstrate your capabilities with a relevant example.';
-        } catch (error) {
-          console.log('Could not fetch domain tests from GitHub, using default scenario');
-          scenario = 'Please demonstrate your capabilities with a relevant example.';
-        }
-      }
+      // Resolve the scenario suite (a custom scenario replaces it)
+      const suite = await new ScenarioSuite({
+        octokit: this.octokit,
+        repoOwner: this.repoOwner,
+        repoName: this.repoName,
+        baseDir: path.join(__dirname, '..', '..', '..')
+      }).load(domain, { scenario: test_scenario });
 
       const results = [];
 
-      // Evaluate each file
+      // Evaluate each file against every scenario
       for (const filePath of promptFiles) {
         // Get current and previous content
         const currentContent = await this.getFileContent(filePath, 'head');
@@ -230,40 +276,108 @@ class ExpertEvaluationIntegration {
           continue;
         }
 
-        // Run 3-thread evaluation
-        const evaluation = await this.run3ThreadEvaluation(
-          previousContent || '',
-          currentContent,
-          expertDefinition,
-          scenario,
-          domain
-        );
-
-        results.push({
+        // Run the 3-thread evaluation of every scenario in parallel
+        const scenarioResults = await CallScheduler.all(suite.scenarios.map(async scenario => {
+          const evaluation = await this.run3ThreadEvaluation(
+            previousContent || '',
+            currentContent,
+            expertDefinition,
+            scenario.input,
+            domain
+          );
+          return { id: scenario.id, scenario: scenario.input, ...evaluation };
+        }));
+
+        const summary = ScenarioSuite.summarize(scenarioResults);
+        const result = {
           file: filePath,
           domain: domain,
-          scenario: scenario,
-          evaluation: evaluation
-        });
+          scenarioSource: suite.source,
+          evaluation: {
+            ...summary,
+            scenarios: scenarioResults
+          }
+        };
+
+        if (this.resultStore) {
+          result.cycle = await this.recordEvaluation(filePath, currentContent, summary, scenarioResults, domain, context);
+        }
+
+        results.push(result);
       }
 
-      return { results };
+      return {
+        results,
+        metrics: { totalTime: Date.now() - startTime, usage: this.usage.summary() }
+      };
 
     } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        return {
+          error: error.message,
+          code: error.code,
+          budget: error.budget,
+          metrics: { totalTime: Date.now() - startTime, usage: this.usage.summary() }
+        };
+      }
       return { error: error.message };
     }
   }
 
+  /**
+   * @method recordEvaluation
+   * @async
+   * @description Persists a file's evaluation as a feedback cycle. Storage failures are
+   * logged and do not fail the evaluation.
+   * @param {string} filePath - Prompt file
+   * @param {string} content - Evaluated (proposed) content
+   * @param {Object} summary - Combined scenario result
+   * @param {Array<Object>} scenarioResults - Per-scenario results
+   * @param {string} domain - Expert domain
+   * @param {Object} context - Execution context
+   * @returns {Promise<number|null>} Cycle number, or null when recording failed
+   * @private
+   */
+  async recordEvaluation(filePath, content, summary, scenarioResults, domain, context) {
+    const pr = context.pr ? context.pr.number : (process.env.PR_NUMBER ? parseInt(process.env.PR_NUMBER, 10) : null);
+    try {
+      const cycle = await this.versionManager.trackFeedbackCycle(filePath, summary.decision, summary.improvements, {
+        ref: pr ? `refs/pull/${pr}/head` : 'HEAD',
+        sha: LocalGitContentSource.blobSha(Buffer.from(content, 'utf8')),
+        score: summary.score,
+        criteria: scenarioResults.length === 1 ? scenarioResults[0].criteria : undefined,
+        domain,
+        scenarios: scenarioResults.map(s => s.id),
+        pr,
+        repository: this.repoOwner && this.repoName ? `${this.repoOwner}/${this.repoName}` : undefined,
+        runId: process.env.GITHUB_RUN_ID
+      });
+      return cycle.cycleNumber;
+    } catch (error) {
+      console.warn(`Could not record evaluation of ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * @method callClaudeWithRetry
    * @async
-   * @description Calls Claude API with retry logic and exponential backoff
+   * @description Calls Claude API with retry logic and exponential backoff. Each attempt
+   * waits for the scheduler's concurrency and rate limits.
    * @param {Object} payload - API request payload
+   * @param {string} [scope='other'] - Usage scope ('threadA', 'threadB' or the judge schema)
    * @returns {Promise<Object>} Claude API response
-   * @throws {Error} If all retry attempts fail
+   * @throws {Error} If all retry attempts fail, or BUDGET_EXCEEDED before sending a request
+   *   the budget does not allow
    * @private
    */
-  async callClaudeWithRetry(payload) {
+  async callClaudeWithRetry(payload, scope = 'other') {
+    const budget = this.budget.check(payload, this.provider);
+    if (budget.notice) {
+      console.warn(budget.notice);
+    }
+    const release = this.budget.reserve(budget.estimate);
+
     const maxRetries = 3;
     const baseDelay = 2000; // 2 seconds base delay for Claude API
     let lastError = null;
@@ -278,7 +392,10 @@ class ExpertEvaluationIntegration {
         }
         
         // Make the API call
-        const response = await this.anthropic.messages.create(payload);
+        const response = await this.scheduler.schedule(() => this.provider.createMessage(payload));
+        this.usage.record(response, scope);
+        this.budget.record(response, scope);
+        release();
         
         // Success - return the response
         if (attempt > 0) {
@@ -295,6 +412,7 @@ class ExpertEvaluationIntegration {
         if (!isRetryable || attempt === maxRetries) {
           // Not retryable or final attempt - throw the error
           console.error(`Claude API call failed after ${attempt + 1} attempts:`, error.message);
+          release();
           throw error;
         }
         
@@ -395,36 +513,32 @@ class ExpertEvaluationIntegration {
   }
 
   /**
-   * Run 3-thread evaluation model
+   * Run 3-thread evaluation model.
+   * Threads A and B are independent and run in parallel; the expert judgment waits for both.
    */
   async run3ThreadEvaluation(oldContent, newContent, expertDefinition, scenario, domain) {
-    if (!this.anthropic) {
-      throw new Error('Anthropic client not available');
-    }
-
-    // Thread A: Evaluate current prompt
-    const threadA = await this.callClaudeWithRetry({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
-      messages: [{
-        role: 'user',
-        content: `You are primed with this prompt definition:\n\n${oldContent}\n\nNow respond to this test scenario: "${scenario}"`
-      }]
-    });
-
-    // Thread B: Evaluate new prompt
-    const threadB = await this.callClaudeWithRetry({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
-      messages: [{
-        role: 'user',
-        content: `You are primed with this prompt definition:\n\n${newContent}\n\nNow respond to this test scenario: "${scenario}"`
-      }]
-    });
-
-    // Thread C: Expert comparison
-    const comparison = await this.callClaudeWithRetry({
-      model: 'claude-sonnet-4-20250514',
+    const [threadA, threadB] = await CallScheduler.all([
+      // Thread A: Evaluate current prompt
+      this.callClaudeWithRetry({
+        max_tokens: 4000,
+        messages: [{
+          role: 'user',
+          content: `You are primed with this prompt definition:\n\n${oldContent}\n\nNow respond to this test scenario: "${scenario}"`
+        }]
+      }, 'threadA'),
+      // Thread B: Evaluate new prompt
+      this.callClaudeWithRetry({
+        max_tokens: 4000,
+        messages: [{
+          role: 'user',
+          content: `You are primed with this prompt definition:\n\n${newContent}\n\nNow respond to this test scenario: "${scenario}"`
+        }]
+      }, 'threadB')
+    ]);
+
+    // Thread C: Expert comparison (structured output), scoring every declared criterion
+    const { criteria } = ExpertDefinitionParser.parse(expertDefinition);
+    const { data: result } = await this.judge.run('decision', {
       max_tokens: 4000,
       messages: [{
         role: 'user',
@@ -444,36 +558,51 @@ ${threadA.content[0].text}
 **Candidate B (Proposed Implementation's Response):**
 ${threadB.content[0].text}
 
-Provide your evaluation with:
+Submit your evaluation with the submit_decision tool:
 1. Detailed analysis comparing both candidates
-2. Score out of 10 for the new implementation
-3. Final decision: MERGE (≥8.5/10), SUGGEST (6-8.5/10), or REJECT (<6/10)
-4. Specific improvements if SUGGEST
-
-End with:
-=== EVALUATION RESULT ===
-DECISION: [MERGE/REJECT/SUGGEST]
-SCORE: [X]/10
-IMPROVEMENTS NEEDED:
-- [If SUGGEST, list specific improvements]
-=== END RESULT ===`
+2. Score out of 10 for the new implementation, with a score for each criterion you applied
+3. Strengths, weaknesses and red flags of the new implementation
+4. Final decision: MERGE (≥8.5/10), SUGGEST (6-8.5/10), or REJECT (<6/10)
+5. Specific improvements (required for SUGGEST, otherwise may be empty)${criteria.length > 0 ? `
+
+Score each of the expert's criteria (exact names): ${criteria.map(c => `${c.name} (${Math.round(c.weight * 100)}% weight)`).join(', ')}` : ''}`
       }]
-    });
+    }, { criteria: criteria.map(c => c.name) });
 
-    // Parse expert response
-    const expertResponse = comparison.content[0].text;
-    const result = this.parseExpertResponse(expertResponse);
+    // The reported score is the declared weighted sum when the expert defines criteria, and
+    // the decision follows that score so the two cannot disagree
+    const weighted = ExpertDefinitionParser.weightedScore(criteria, result.criteria);
 
     return {
       threadA: threadA.content[0].text,
       threadB: threadB.content[0].text,
-      expertAnalysis: expertResponse,
-      decision: result.decision,
-      score: result.score,
+      expertAnalysis: StructuredJudge.toMarkdown(result),
+      decision: weighted ? ExpertEvaluationIntegration.decisionForScore(weighted.score) : result.decision,
+      judgeDecision: result.decision,
+      score: weighted ? weighted.score : result.score,
+      judgeScore: result.score,
+      criteria: weighted ? weighted.breakdown : result.criteria,
+      strengths: result.strengths,
+      weaknesses: result.weaknesses,
+      redFlags: result.redFlags,
       improvements: result.improvements
     };
   }
 
+  /**
+   * @static
+   * @method decisionForScore
+   * @description Applies the decision thresholds the judge is given: MERGE (>= 8.5),
+   * SUGGEST (6-8.5) or REJECT (< 6)
+   * @param {number} score - Score out of 10
+   * @returns {string} MERGE, SUGGEST or REJECT
+   */
+  static decisionForScore(score) {
+    if (score >= 8.5) return 'MERGE';
+    if (score >= 6) return 'SUGGEST';
+    return 'REJECT';
+  }
+
   /**
    * Get file content from PR
    */
@@ -502,44 +631,6 @@ IMPROVEMENTS NEEDED:
     return null;
   }
 
-  /**
-   * Parse expert response
-   */
-  parseExpertResponse(response) {
-    const result = {
-      decision: 'UNKNOWN',
-      score: null,
-      improvements: []
-    };
-
-    // Extract structured result
-    const structuredMatch = response.match(/=== EVALUATION RESULT ===([\s\S]*?)=== END RESULT ===/);
-    if (structuredMatch) {
-      const content = structuredMatch[1];
-      
-      const decisionMatch = content.match(/DECISION:\s*(\w+)/);
-      if (decisionMatch) {
-        result.decision = decisionMatch[1].toUpperCase();
-      }
-
-      const scoreMatch = content.match(/SCORE:\s*(\d+(?:\.\d+)?)/);
-      if (scoreMatch) {
-        result.score = parseFloat(scoreMatch[1]);
-      }
-
-      const improvementsMatch = content.match(/IMPROVEMENTS NEEDED:([\s\S]*?)(?:===|$)/);
-      if (improvementsMatch) {
-        result.improvements = improvementsMatch[1]
-          .trim()
-          .split('\n')
-          .filter(line => line.trim().startsWith('-'))
-          .map(line => line.trim());
-      }
-    }
-
-    return result;
-  }
-
   /**
    * Get prompt history
    */
@@ -549,6 +640,11 @@ IMPROVEMENTS NEEDED:
     try {
       const history = await this.versionManager.getVersionHistory(file_path, limit);
       const trends = await this.versionManager.getImprovementTrends(file_path);
+      const evaluations = this.resultStore ? {
+        scoreHistory: await this.resultStore.getScoreHistory(file_path, { limit }),
+        lastVerdict: await this.resultStore.getLastVerdict(file_path),
+        cycles: await this.resultStore.getCycleCount(file_path)
+      } : null;
       
       return {
         file: file_path,
@@ -559,7 +655,8 @@ IMPROVEMENTS NEEDED:
           message: v.message,
           metadata: v.metadata
         })),
-        trends: trends
+        trends: trends,
+        evaluations: evaluations
       };
     } catch (error) {
       return { error: error.message };
@@ -611,7 +708,8 @@ IMPROVEMENTS NEEDED:
         files_evaluated: evaluation.results.length,
         overall_decision: this.determineOverallDecision(evaluation.results),
         detailed_results: evaluation.results,
-        summary: this.generateFeedbackSummary(evaluation.results, domain)
+        summary: this.generateFeedbackSummary(evaluation.results, domain),
+        metrics: evaluation.metrics
       };
 
       return feedback;
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Expert Registry
+ * @description Single list of the available experts (id, aliases, domain, description,
+ * version, source), discovered from experts/*.md or read from the generated
+ * experts/index.json. Every place that addresses an expert by name resolves it here: the
+ * `@prompt-expert <expert>` command, the action's `expert-type` input, the
+ * `evaluate_prompt_changes` domain enum, PromptRoleManager and ExpertLoader.
+ * @module ExpertRegistry
+ * @requires ./ExpertDefinitionParser
+ * @requires fs/promises
+ * @requires path
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ExpertDefinitionParser } = require('./ExpertDefinitionParser');
+
+/**
+ * Registry file, relative to the directory containing experts/
+ * @const {string}
+ */
+const INDEX_FILE = 'experts/index.json';
+
+/**
+ * @class ExpertRegistry
+ * @description Resolves expert names to expert entries. An entry is
+ * `{ id, aliases, domain, name, description, version, source }` where id is the file name
+ * without `.md`, source is the path of the definition (`experts/<id>.md`) and aliases are
+ * the domain, the id without its `-expert` suffix and any `aliases` declared in the
+ * frontmatter (comma separated). Names are case-insensitive; ids and domains win over the
+ * other aliases and earlier files win over later ones, so a domain defined by more than one
+ * file addresses the first of them even when a later file's id equals it.
+ * @property {Array<Object>} experts - Expert entries in file name order
+ */
+class ExpertRegistry {
+  /**
+   * @constructor
+   * @param {Array<Object>} [experts=[]] - Expert entries
+   */
+  constructor(experts = []) {
+    this.experts = experts;
+    this.names = new Map();
+
+    for (const expert of experts) {
+      [expert.id, expert.domain].filter(Boolean).forEach(name => this.claim(name, expert));
+    }
+    for (const expert of experts) {
+      (expert.aliases || []).forEach(alias => this.claim(alias, expert));
+    }
+  }
+
+  /**
+   * @static
+   * @method describe
+   * @description Builds the registry entry of one expert definition
+   * @param {string} file - Definition file name (`security-expert.md`)
+   * @param {string} content - Markdown content of the definition
+   * @returns {Object} `{ id, aliases, domain, name, description, version, source }`
+   */
+  static describe(file, content) {
+    const id = path.basename(file, '.md');
+    const frontmatter = ExpertDefinitionParser.parseFrontmatter(String(content || '').replace(/\r\n/g, '\n'));
+    const domain = frontmatter.domain || null;
+
+    const aliases = [domain, id.replace(/-expert$/, ''), ...ExpertRegistry.parseAliases(frontmatter.aliases)]
+      .filter(alias => alias && alias !== id);
+
+    return {
+      id,
+      aliases: [...new Set(aliases)],
+      domain,
+      name: frontmatter.name || id,
+      description: frontmatter.description || null,
+      version: frontmatter.version || null,
+      source: `experts/${path.basename(file)}`
+    };
+  }
+
+  /**
+   * @static
+   * @method parseAliases
+   * @param {string} [value] - Frontmatter `aliases` value (`data, data-expert`)
+   * @returns {Array<string>} Declared aliases
+   */
+  static parseAliases(value) {
+    return String(value || '').split(',').map(alias => alias.trim()).filter(Boolean);
+  }
+
+  /**
+   * @static
+   * @method discover
+   * @async
+   * @description Builds the registry from the definitions in `<baseDir>/experts`
+   * @param {string} baseDir - Directory containing experts/
+   * @returns {Promise<ExpertRegistry|null>} Registry, or null when there are no definitions
+   */
+  static async discover(baseDir) {
+    const dir = path.join(baseDir, 'experts');
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter(file => file.endsWith('.md')).sort();
+    } catch (error) {
+      return null;
+    }
+    if (files.length === 0) return null;
+
+    const experts = [];
+    for (const file of files) {
+      experts.push(ExpertRegistry.describe(file, await fs.readFile(path.join(dir, file), 'utf8')));
+    }
+    return new ExpertRegistry(experts);
+  }
+
+  /**
+   * @static
+   * @method fromIndex
+   * @param {Object} index - Parsed experts/index.json (`{ experts: [...] }`)
+   * @returns {ExpertRegistry} Registry of the indexed experts
+   */
+  static fromIndex(index) {
+    return new ExpertRegistry((index && index.experts) || []);
+  }
+
+  /**
+   * @static
+   * @method bundled
+   * @description Registry of the experts shipped with the package (its experts/index.json)
+   * @returns {ExpertRegistry} Registry of the bundled experts
+   */
+  static bundled() {
+    return ExpertRegistry.fromIndex(require('../../../experts/index.json'));
+  }
+
+  /**
+   * @static
+   * @method load
+   * @async
+   * @description Discovers the definitions in `<baseDir>/experts`, so a new file is
+   * addressable before the index is regenerated; falls back to the bundled index when the
+   * directory has none
+   * @param {string} baseDir - Directory containing experts/
+   * @returns {Promise<ExpertRegistry>} Registry
+   */
+  static async load(baseDir) {
+    return (await ExpertRegistry.discover(baseDir)) || ExpertRegistry.bundled();
+  }
+
+  /**
+   * @method resolve
+   * @param {string} name - Expert id, domain or alias (case-insensitive)
+   * @returns {Object|null} Expert entry
+   */
+  resolve(name) {
+    return this.names.get(String(name || '').toLowerCase()) || null;
+  }
+
+  /**
+   * @method has
+   * @param {string} name - Expert id, domain or alias
+   * @returns {boolean} Whether the name addresses an expert
+   */
+  has(name) {
+    return this.resolve(name) !== null;
+  }
+
+  /**
+   * @method list
+   * @returns {Array<Object>} Expert entries in file name order
+   */
+  list() {
+    return this.experts;
+  }
+
+  /**
+   * @method domains
+   * @returns {Array<string>} Distinct expert domains in file name order
+   */
+  domains() {
+    return [...new Set(this.experts.map(expert => expert.domain).filter(Boolean))];
+  }
+
+  /**
+   * @method toIndex
+   * @returns {Object} Contents of experts/index.json
+   */
+  toIndex() {
+    return { experts: this.experts };
+  }
+
+  /**
+   * @method claim
+   * @param {string} name - Id or alias
+   * @param {Object} expert - Expert entry
+   * @private
+   */
+  claim(name, expert) {
+    const key = name.toLowerCase();
+    if (!this.names.has(key)) {
+      this.names.set(key, expert);
+    }
+  }
+}
+
+module.exports = { ExpertRegistry, INDEX_FILE };
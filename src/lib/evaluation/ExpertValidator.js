@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Expert Validator
+ * @description Formal schema for expert definitions (experts/*.md) and a validator that
+ * reports every problem of every file, used by `prompt-expert experts validate` and the
+ * expert PR check
+ * @module ExpertValidator
+ * @requires ./ExpertDefinitionParser
+ * @requires ./ExpertRegistry
+ * @requires ./SchemaValidator
+ * @requires fs/promises
+ * @requires path
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ExpertDefinitionParser } = require('./ExpertDefinitionParser');
+const { ExpertRegistry } = require('./ExpertRegistry');
+const { SchemaValidator } = require('./SchemaValidator');
+
+/**
+ * Frontmatter fields an expert definition may declare
+ * @const {Array<string>}
+ */
+const FRONTMATTER_FIELDS = ['name', 'domain', 'aliases', 'version', 'description'];
+
+/**
+ * Schema of an expert definition, applied to the structure read from the Markdown file
+ * (see ExpertValidator.describe). Criterion weights are percentages.
+ * @const {Object}
+ */
+const EXPERT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    domain: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+    aliases: { type: 'string', pattern: '^[a-z][a-z0-9-]*(\\s*,\\s*[a-z][a-z0-9-]*)*$' },
+    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    description: { type: 'string', minLength: 1 },
+    criteria: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          weight: { type: 'number', minimum: 1, maximum: 100 },
+          description: { type: 'string', minLength: 1 }
+        },
+        required: ['name', 'weight', 'description']
+      }
+    },
+    redFlags: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    scoringRubric: {
+      type: 'array',
+      minItems: 2,
+      items: {
+        type: 'object',
+        properties: {
+          min: { type: 'integer', minimum: 0, maximum: 10 },
+          max: { type: 'integer', minimum: 0, maximum: 10 },
+          description: { type: 'string', minLength: 1 }
+        },
+        required: ['min', 'max', 'description']
+      }
+    },
+    responseFormat: { type: 'string', minLength: 1 }
+  },
+  required: ['name', 'domain', 'version', 'description', 'criteria', 'redFlags', 'scoringRubric', 'responseFormat']
+};
+
+/**
+ * @class ExpertValidator
+ * @description Stateless validator for expert definitions. A definition is Markdown with
+ * `name`, `domain`, `version` and `description` frontmatter (plus optional comma-separated
+ * `aliases`) and these sections:
+ * - `## Evaluation Criteria`: numbered `### N. Name (X% weight)` headings whose weights sum to 100%
+ * - `## Red Flags`: bullet list of problems that should block a prompt
+ * - `## Scoring Rubric`: bullets `- **9-10**: ...` whose score bands cover 0-10 without gaps
+ * - `## Response Format`: the structure the expert answers with
+ *
+ * Errors make a definition invalid; warnings (unknown frontmatter fields, a domain defined
+ * by more than one file) do not. An alias already used as the name of another expert is
+ * an error, since the name could only address one of them.
+ */
+class ExpertValidator {
+  /**
+   * @static
+   * @method describe
+   * @description Reads the schema fields from an expert definition. Missing frontmatter
+   * fields and sections are left out so the schema reports them as required.
+   * @param {string} content - Markdown content of the expert definition
+   * @returns {Object} `{ name, domain, aliases, version, description, criteria, redFlags, scoringRubric, responseFormat }`
+   */
+  static describe(content) {
+    const text = String(content || '').replace(/\r\n/g, '\n');
+    const frontmatter = ExpertDefinitionParser.parseFrontmatter(text);
+    const optional = value => (value === null || value === '' ? undefined : value);
+
+    const criteria = ExpertDefinitionParser.parseSection(text, 'Evaluation Criteria') === null
+      ? undefined
+      : ExpertDefinitionParser.parseCriteria(text).map(c => ({
+        name: c.name,
+        weight: c.weight === null ? null : Math.round(c.weight * 10000) / 100,
+        description: c.description
+      }));
+
+    const redFlags = ExpertDefinitionParser.parseSection(text, 'Red Flags');
+    const rubric = ExpertDefinitionParser.parseSection(text, 'Scoring Rubric');
+
+    const definition = {
+      name: optional(frontmatter.name),
+      domain: optional(frontmatter.domain),
+      aliases: optional(frontmatter.aliases),
+      version: optional(frontmatter.version),
+      description: optional(frontmatter.description),
+      criteria,
+      redFlags: redFlags === null ? undefined : ExpertValidator.parseBullets(redFlags),
+      scoringRubric: rubric === null ? undefined : ExpertValidator.parseRubric(rubric),
+      responseFormat: optional(ExpertDefinitionParser.parseSection(text, 'Response Format'))
+    };
+    return Object.fromEntries(Object.entries(definition).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * @static
+   * @method validate
+   * @description Validates one expert definition
+   * @param {string} content - Markdown content of the expert definition
+   * @returns {Object} `{ valid, definition, errors, warnings }`
+   */
+  static validate(content) {
+    const text = String(content || '').replace(/\r\n/g, '\n');
+    const definition = ExpertValidator.describe(text);
+    const errors = SchemaValidator.validate(EXPERT_SCHEMA, definition).map(error => {
+      const unweighted = error.match(/^\$\.criteria\[(\d+)\]\.weight: expected number, got null$/);
+      return unweighted
+        ? `$.criteria[${unweighted[1]}].weight: "${definition.criteria[unweighted[1]].name}" declares no weight - end its heading with "(N% weight)"`
+        : error;
+    });
+    const warnings = [];
+
+    if (!/^---\n[\s\S]*?\n---/.test(text)) {
+      errors.unshift('$: missing frontmatter (a leading --- block with name, domain, version and description)');
+    }
+    for (const key of Object.keys(ExpertDefinitionParser.parseFrontmatter(text))) {
+      if (!FRONTMATTER_FIELDS.includes(key)) {
+        warnings.push(`$.${key}: unknown frontmatter field (expected ${FRONTMATTER_FIELDS.join(', ')})`);
+      }
+    }
+
+    const criteria = definition.criteria || [];
+    const names = criteria.map(c => ExpertDefinitionParser.normalizeName(c.name));
+    names.forEach((name, i) => {
+      if (names.indexOf(name) !== i) {
+        errors.push(`$.criteria[${i}].name: duplicate criterion "${criteria[i].name}"`);
+      }
+    });
+    if (criteria.length > 0 && criteria.every(c => typeof c.weight === 'number')) {
+      const total = Math.round(criteria.reduce((sum, c) => sum + c.weight, 0) * 100) / 100;
+      if (Math.abs(total - 100) > 0.01) {
+        errors.push(`$.criteria: weights must sum to 100% (got ${total}%)`);
+      }
+    }
+
+    errors.push(...ExpertValidator.checkRubricCoverage(definition.scoringRubric || []));
+
+    return { valid: errors.length === 0, definition, errors, warnings };
+  }
+
+  /**
+   * @static
+   * @method validateFiles
+   * @async
+   * @description Validates expert definition files. Besides the per-file checks, a domain
+   * defined by more than one file is reported as a warning on the later files, and an alias
+   * that an earlier file already uses as its id, domain or alias as an error.
+   * @param {Array<string>} files - File paths
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.cwd=process.cwd()] - Directory relative paths are resolved against
+   * @returns {Promise<Object>} `{ valid, files }` where each file is
+   *   `{ file, valid, definition, errors, warnings }`
+   */
+  static async validateFiles(files, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const results = [];
+    const domains = new Map();
+    const names = new Map();
+
+    for (const file of files) {
+      let content;
+      try {
+        content = await fs.readFile(path.resolve(cwd, file), 'utf8');
+      } catch (error) {
+        results.push({ file, valid: false, definition: null, errors: [`$: cannot read file (${error.message})`], warnings: [] });
+        continue;
+      }
+
+      const result = ExpertValidator.validate(content);
+      const domain = result.definition.domain;
+      if (domain && domains.has(domain)) {
+        result.warnings.push(`$.domain: "${domain}" is also defined by ${domains.get(domain)}`);
+      } else if (domain) {
+        domains.set(domain, file);
+      }
+
+      const expert = ExpertRegistry.describe(file, content);
+      for (const alias of ExpertRegistry.parseAliases(result.definition.aliases)) {
+        if (names.has(alias)) {
+          result.errors.push(`$.aliases: "${alias}" is already used by ${names.get(alias)}`);
+        }
+      }
+      [expert.id, ...expert.aliases].filter(name => !names.has(name)).forEach(name => names.set(name, file));
+      result.valid = result.errors.length === 0;
+      results.push({ file, ...result });
+    }
+
+    return { valid: results.every(r => r.valid), files: results };
+  }
+
+  /**
+   * @static
+   * @method validateDirectory
+   * @async
+   * @description Validates every `.md` file in an experts directory
+   * @param {string} dir - Experts directory
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.cwd=process.cwd()] - Directory file names are reported relative to
+   * @returns {Promise<Object>} `{ valid, files }` (see validateFiles)
+   * @throws {Error} When the directory cannot be read
+   */
+  static async validateDirectory(dir, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const absolute = path.resolve(cwd, dir);
+    const files = (await fs.readdir(absolute)).filter(file => file.endsWith('.md')).sort();
+    return ExpertValidator.validateFiles(files.map(file => path.relative(cwd, path.join(absolute, file))), { cwd });
+  }
+
+  /**
+   * @static
+   * @method parseBullets
+   * @param {string} body - Section body
+   * @returns {Array<string>} Bullet item texts (continuation lines joined)
+   * @private
+   */
+  static parseBullets(body) {
+    const items = [];
+    for (const line of body.split('\n')) {
+      const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+      if (bullet) {
+        items.push(bullet[1].trim());
+      } else if (items.length > 0 && line.trim() && /^\s+/.test(line)) {
+        items[items.length - 1] += ` ${line.trim()}`;
+      }
+    }
+    return items;
+  }
+
+  /**
+   * @static
+   * @method parseRubric
+   * @description Reads score bands from bullets such as `- **7-8**: Good, minor issues`
+   * or `- **10**: Flawless`
+   * @param {string} body - Scoring Rubric section body
+   * @returns {Array<Object>} `{ min, max, description }` bands in document order (bullets
+   *   without a score band have a null min and max)
+   * @private
+   */
+  static parseRubric(body) {
+    return ExpertValidator.parseBullets(body).map(item => {
+      const band = item.match(/^\*{0,2}(\d+(?:\.\d+)?)(?:\s*[-–]\s*(\d+(?:\.\d+)?))?\*{0,2}\s*:?\s*\*{0,2}\s*:?\s*(.*)$/);
+      if (!band) {
+        return { min: null, max: null, description: item };
+      }
+      const min = parseFloat(band[1]);
+      return { min, max: band[2] === undefined ? min : parseFloat(band[2]), description: band[3].trim() };
+    });
+  }
+
+  /**
+   * @static
+   * @method checkRubricCoverage
+   * @description Checks that integer score bands cover 0-10 exactly once
+   * @param {Array<Object>} bands - Parsed rubric bands
+   * @returns {Array<string>} Errors
+   * @private
+   */
+  static checkRubricCoverage(bands) {
+    const scored = bands.filter(b => Number.isInteger(b.min) && Number.isInteger(b.max));
+    if (scored.length === 0 || scored.length !== bands.length) {
+      return [];
+    }
+
+    const errors = [];
+    const sorted = [...scored].sort((a, b) => a.min - b.min);
+    sorted.forEach(band => {
+      if (band.min > band.max) {
+        errors.push(`$.scoringRubric: band ${band.min}-${band.max} is reversed`);
+      }
+    });
+
+    let next = 0;
+    for (const band of sorted) {
+      if (band.min > next) {
+        errors.push(`$.scoringRubric: scores ${next === band.min - 1 ? next : `${next}-${band.min - 1}`} are not covered`);
+      } else if (band.min < next) {
+        errors.push(`$.scoringRubric: band ${band.min}-${band.max} overlaps the previous band`);
+      }
+      next = Math.max(next, band.max + 1);
+    }
+    if (next <= 10) {
+      errors.push(`$.scoringRubric: scores ${next === 10 ? 10 : `${next}-10`} are not covered`);
+    }
+    return errors;
+  }
+}
+
+module.exports = { ExpertValidator, EXPERT_SCHEMA, FRONTMATTER_FIELDS };
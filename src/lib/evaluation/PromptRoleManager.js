@@ -12,6 +12,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { Octokit } = require('@octokit/rest');
+const { ExpertDefinitionParser } = require('./ExpertDefinitionParser');
+const { ExpertRegistry } = require('./ExpertRegistry');
 
 /**
  * @class PromptRoleManager
@@ -21,6 +23,7 @@ const { Octokit } = require('@octokit/rest');
  * @property {string} repoName - Repository name
  * @property {string} workspace - Local workspace path
  * @property {Map} roleCache - Cache for loaded roles
+ * @property {ExpertRegistry} experts - Resolves expert ids, domains and aliases to definition files
  */
 class PromptRoleManager {
   /**
@@ -30,6 +33,7 @@ class PromptRoleManager {
    * @param {string} options.repoOwner - Repository owner
    * @param {string} options.repoName - Repository name
    * @param {string} [options.workspace] - Workspace directory
+   * @param {ExpertRegistry} [options.experts] - Expert registry (defaults to the bundled experts)
    */
   constructor(options = {}) {
     this.octokit = options.octokit;
@@ -37,6 +41,7 @@ class PromptRoleManager {
     this.repoName = options.repoName;
     this.workspace = options.workspace || process.cwd();
     this.roleCache = new Map();
+    this.experts = options.experts || ExpertRegistry.bundled();
   }
 
   /**
@@ -123,11 +128,12 @@ class PromptRoleManager {
   }
 
   /**
-   * Load role from expert domain
+   * Load role from expert id, domain or alias (see ExpertRegistry); unregistered names are
+   * looked up as experts/<name>.md
    */
   async loadFromDomain(domain) {
-    // Try as direct alias to experts folder
-    const expertPath = `experts/${domain}.md`;
+    const expert = this.experts.resolve(domain);
+    const expertPath = expert ? expert.source : `experts/${domain}.md`;
     return await this.loadFromFile(expertPath);
   }
 
@@ -155,32 +161,30 @@ class PromptRoleManager {
   }
 
   /**
-   * Extract metadata from content
+   * Extract metadata from content.
+   * Domain and version come from the frontmatter only (see ExpertValidator for the expert
+   * schema). Numbered "### N. Name (X% weight)" criteria take precedence over the loose
+   * list heuristic used for plain prompt files.
    */
   extractMetadata(content) {
+    const definition = ExpertDefinitionParser.parse(content);
     const metadata = {
-      domain: null,
-      version: null,
+      domain: definition.frontmatter.domain || null,
+      version: definition.frontmatter.version || null,
       lastModified: null,
       evaluationCriteria: [],
+      weightedCriteria: [],
       testScenarios: []
     };
 
-    // Extract domain from filename or content
-    const domainMatch = content.match(/(?:domain|area|field):\s*([^\n]+)/i);
-    if (domainMatch) {
-      metadata.domain = domainMatch[1].trim();
-    }
-
-    // Extract version
-    const versionMatch = content.match(/(?:version|v):\s*([^\n]+)/i);
-    if (versionMatch) {
-      metadata.version = versionMatch[1].trim();
+    if (definition.criteria.length > 0) {
+      metadata.weightedCriteria = definition.criteria.map(({ name, weight }) => ({ name, weight }));
+      metadata.evaluationCriteria = definition.criteria.map(c => c.name);
     }
 
     // Extract evaluation criteria
     const criteriaSection = content.match(/(?:evaluation criteria|criteria):\s*((?:.|\n)*?)(?:\n\n|$)/i);
-    if (criteriaSection) {
+    if (criteriaSection && metadata.evaluationCriteria.length === 0) {
       metadata.evaluationCriteria = criteriaSection[1]
         .split('\n')
         .filter(line => line.trim().match(/^\d+\.|^-/))
@@ -0,0 +1,331 @@
+/**
+ * @fileoverview Prompt Structure
+ * @description Parses a Markdown prompt into sections, bullet rules and fenced examples,
+ * and compares the structure of two prompt versions
+ * @module PromptStructure
+ * @requires ./TextDiff
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { TextDiff } = require('./TextDiff');
+
+/**
+ * Rule strength by modal wording, strongest first. A rule takes the strength of the
+ * strongest pattern it contains; rules without modal wording are 'unspecified'.
+ * @const {Array<Object>}
+ */
+const RULE_STRENGTHS = [
+  { name: 'required', level: 3, pattern: /\b(must|never|always|shall|required|mandatory|do not|don't|cannot|only)\b/i },
+  { name: 'recommended', level: 2, pattern: /\b(should|avoid|prefer|ensure|make sure)\b/i },
+  { name: 'optional', level: 1, pattern: /\b(may|can|could|optionally|consider|if possible|where appropriate)\b/i }
+];
+
+/**
+ * Token overlap (Jaccard) above which two different rules are treated as the same rule
+ * reworded, relaxed or tightened
+ * @const {number}
+ */
+const RULE_SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * @class PromptStructure
+ * @description Structural view of a prompt. Sections come from ATX headings (`#` .. `######`),
+ * rules from bullet and numbered list items (continuation lines included), examples from
+ * fenced code blocks. Text before the first heading belongs to a root section with an
+ * empty title.
+ */
+class PromptStructure {
+  /**
+   * @static
+   * @method parse
+   * @param {string} content - Markdown prompt
+   * @returns {Object} `{ sections, rules, examples }`:
+   *   - sections: `[{ title, level, path, line }]` in document order
+   *   - rules: `[{ text, section, strength, level, line }]`
+   *   - examples: `[{ language, content, section, line }]`
+   */
+  static parse(content) {
+    const lines = TextDiff.splitLines(content);
+    const sections = [];
+    const rules = [];
+    const examples = [];
+    const stack = [];
+    let section = '';
+    let fence = null;
+    let rule = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (fence) {
+        if (line.trim().startsWith(fence.marker)) {
+          examples.push({ language: fence.language, content: fence.lines.join('\n'), section, line: fence.line });
+          fence = null;
+        } else {
+          fence.lines.push(line);
+        }
+        continue;
+      }
+
+      const opening = line.match(/^\s*(```+|~~~+)\s*([\w+-]*)/);
+      if (opening) {
+        rule = null;
+        fence = { marker: opening[1], language: opening[2] || null, lines: [], line: i + 1 };
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        rule = null;
+        const level = heading[1].length;
+        while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+        stack.push({ level, title: heading[2] });
+        section = stack.map(s => s.title).join(' > ');
+        sections.push({ title: heading[2], level, path: section, line: i + 1 });
+        continue;
+      }
+
+      const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+      if (item) {
+        rule = { text: item[1].trim(), section, line: i + 1 };
+        rules.push(rule);
+      } else if (rule && /^\s+\S/.test(line)) {
+        rule.text += ` ${line.trim()}`;
+      } else {
+        rule = null;
+      }
+    }
+
+    // An unterminated fence still counts as an example
+    if (fence) {
+      examples.push({ language: fence.language, content: fence.lines.join('\n'), section, line: fence.line });
+    }
+
+    for (const r of rules) {
+      Object.assign(r, PromptStructure.ruleStrength(r.text));
+    }
+
+    return { sections, rules, examples };
+  }
+
+  /**
+   * @static
+   * @method compare
+   * @description Structural changes from one prompt version to the next
+   * @param {string} oldContent - Previous version
+   * @param {string} newContent - New version
+   * @returns {Object} `{ sections, rules, examples, summary }`:
+   *   - sections: `{ added, removed, reordered }` (section paths)
+   *   - rules: `{ added, removed, tightened, relaxed, reworded }`; changed rules are
+   *     `{ section, old, new, from, to }` with strength names
+   *   - examples: `{ added, removed }` (`{ section, language, line }`)
+   *   - summary: human-readable change list
+   */
+  static compare(oldContent, newContent) {
+    const before = PromptStructure.parse(oldContent);
+    const after = PromptStructure.parse(newContent);
+
+    const diff = {
+      sections: PromptStructure.compareSections(before.sections, after.sections),
+      rules: PromptStructure.compareRules(before.rules, after.rules),
+      examples: PromptStructure.compareExamples(before.examples, after.examples)
+    };
+    diff.summary = PromptStructure.describe(diff);
+    return diff;
+  }
+
+  /**
+   * @static
+   * @method compareSections
+   * @description Matches sections by heading path (case-insensitive). Sections kept in both
+   * versions but outside their longest common order are reported as reordered.
+   * @param {Array<Object>} oldSections - Parsed sections of the old version
+   * @param {Array<Object>} newSections - Parsed sections of the new version
+   * @returns {Object} `{ added, removed, reordered }`
+   * @private
+   */
+  static compareSections(oldSections, newSections) {
+    const key = s => s.path.toLowerCase().replace(/[:\s]+$/, '');
+    const oldKeys = oldSections.map(key);
+    const newKeys = newSections.map(key);
+
+    const added = newSections.filter(s => !oldKeys.includes(key(s))).map(s => s.path);
+    const removed = oldSections.filter(s => !newKeys.includes(key(s))).map(s => s.path);
+
+    const common = new Set(oldKeys.filter(k => newKeys.includes(k)));
+    const kept = TextDiff.diff(oldKeys.filter(k => common.has(k)), newKeys.filter(k => common.has(k)))
+      .filter(op => op.type === 'insert')
+      .map(op => newSections.find(s => key(s) === op.text).path);
+
+    return { added, removed, reordered: kept };
+  }
+
+  /**
+   * @static
+   * @method compareRules
+   * @description Matches rules by exact text first, then pairs remaining rules by word
+   * overlap (ignoring modal words) to find rules whose strength changed
+   * @param {Array<Object>} oldRules - Parsed rules of the old version
+   * @param {Array<Object>} newRules - Parsed rules of the new version
+   * @returns {Object} `{ added, removed, tightened, relaxed, reworded }`
+   * @private
+   */
+  static compareRules(oldRules, newRules) {
+    const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    const remainingOld = [...oldRules];
+    const remainingNew = [];
+
+    for (const rule of newRules) {
+      const index = remainingOld.findIndex(old => normalize(old.text) === normalize(rule.text));
+      if (index >= 0) {
+        remainingOld.splice(index, 1);
+      } else {
+        remainingNew.push(rule);
+      }
+    }
+
+    const result = { added: [], removed: [], tightened: [], relaxed: [], reworded: [] };
+    for (const rule of remainingNew) {
+      let best = null;
+      for (const old of remainingOld) {
+        const similarity = PromptStructure.similarity(old.text, rule.text);
+        if (similarity >= RULE_SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+          best = { old, similarity };
+        }
+      }
+
+      if (!best) {
+        result.added.push(PromptStructure.describeRule(rule));
+        continue;
+      }
+
+      remainingOld.splice(remainingOld.indexOf(best.old), 1);
+      const change = {
+        section: rule.section,
+        old: best.old.text,
+        new: rule.text,
+        from: best.old.strength,
+        to: rule.strength
+      };
+      if (rule.level > best.old.level) {
+        result.tightened.push(change);
+      } else if (rule.level < best.old.level) {
+        result.relaxed.push(change);
+      } else {
+        result.reworded.push(change);
+      }
+    }
+
+    result.removed = remainingOld.map(PromptStructure.describeRule);
+    return result;
+  }
+
+  /**
+   * @static
+   * @method compareExamples
+   * @description Matches examples by content (whitespace-insensitive); an edited example
+   * counts as one removed and one added
+   * @param {Array<Object>} oldExamples - Parsed examples of the old version
+   * @param {Array<Object>} newExamples - Parsed examples of the new version
+   * @returns {Object} `{ added, removed }`
+   * @private
+   */
+  static compareExamples(oldExamples, newExamples) {
+    const key = example => example.content.replace(/\s+/g, ' ').trim();
+    const remainingOld = [...oldExamples];
+    const added = [];
+
+    for (const example of newExamples) {
+      const index = remainingOld.findIndex(old => key(old) === key(example));
+      if (index >= 0) {
+        remainingOld.splice(index, 1);
+      } else {
+        added.push(PromptStructure.describeExample(example));
+      }
+    }
+
+    return { added, removed: remainingOld.map(PromptStructure.describeExample) };
+  }
+
+  /**
+   * @static
+   * @method ruleStrength
+   * @param {string} text - Rule text
+   * @returns {Object} `{ strength, level }` (level 0 for 'unspecified')
+   */
+  static ruleStrength(text) {
+    const match = RULE_STRENGTHS.find(s => s.pattern.test(text));
+    return match ? { strength: match.name, level: match.level } : { strength: 'unspecified', level: 0 };
+  }
+
+  /**
+   * @static
+   * @method similarity
+   * @description Jaccard overlap of the words of two rules, ignoring modal words so that
+   * "should X" and "must X" match
+   * @param {string} a - First rule
+   * @param {string} b - Second rule
+   * @returns {number} Similarity between 0 and 1
+   * @private
+   */
+  static similarity(a, b) {
+    const words = text => new Set(
+      RULE_STRENGTHS.reduce((t, s) => t.replace(new RegExp(s.pattern.source, 'gi'), ' '), text.toLowerCase())
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+    );
+    const setA = words(a);
+    const setB = words(b);
+    const union = new Set([...setA, ...setB]);
+    if (union.size === 0) return 0;
+    const shared = [...setA].filter(word => setB.has(word)).length;
+    return shared / union.size;
+  }
+
+  /**
+   * @static
+   * @method describe
+   * @param {Object} diff - Result of compare() without summary
+   * @returns {Array<string>} One line per structural change
+   */
+  static describe(diff) {
+    const sectionName = name => name || '(top)';
+    return [
+      ...diff.sections.added.map(s => `Section added: ${s}`),
+      ...diff.sections.removed.map(s => `Section removed: ${s}`),
+      ...diff.sections.reordered.map(s => `Section moved: ${s}`),
+      ...diff.rules.added.map(r => `Rule added in ${sectionName(r.section)}: ${r.text}`),
+      ...diff.rules.removed.map(r => `Rule removed from ${sectionName(r.section)}: ${r.text}`),
+      ...diff.rules.tightened.map(r => `Rule tightened (${r.from} → ${r.to}): ${r.new}`),
+      ...diff.rules.relaxed.map(r => `Rule relaxed (${r.from} → ${r.to}): ${r.new}`),
+      ...diff.rules.reworded.map(r => `Rule reworded: ${r.new}`),
+      ...diff.examples.added.map(e => `Example added in ${sectionName(e.section)}${e.language ? ` (${e.language})` : ''}`),
+      ...diff.examples.removed.map(e => `Example removed from ${sectionName(e.section)}${e.language ? ` (${e.language})` : ''}`)
+    ];
+  }
+
+  /**
+   * @static
+   * @method describeRule
+   * @param {Object} rule - Parsed rule
+   * @returns {Object} `{ section, text, strength }`
+   * @private
+   */
+  static describeRule(rule) {
+    return { section: rule.section, text: rule.text, strength: rule.strength };
+  }
+
+  /**
+   * @static
+   * @method describeExample
+   * @param {Object} example - Parsed example
+   * @returns {Object} `{ section, language, line }`
+   * @private
+   */
+  static describeExample(example) {
+    return { section: example.section, language: example.language, line: example.line };
+  }
+}
+
+module.exports = { PromptStructure, RULE_STRENGTHS, RULE_SIMILARITY_THRESHOLD };
@@ -6,6 +6,8 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { TextDiff } = require('./TextDiff');
+const { PromptStructure } = require('./PromptStructure');
 
 class PromptVersionManager {
   constructor(options = {}) {
@@ -13,14 +15,16 @@ class PromptVersionManager {
     this.repoOwner = options.repoOwner;
     this.repoName = options.repoName;
     this.workspace = options.workspace || process.cwd();
+    this.resultStore = options.resultStore || null;
     this.versionsCache = new Map();
   }
 
   /**
-   * Get version history for a prompt file
+   * Get version history for a prompt file, newest first.
+   * `options.ref` starts the history at a branch, tag or commit instead of the default branch.
    */
-  async getVersionHistory(filePath, limit = 10) {
-    const cacheKey = `${filePath}:${limit}`;
+  async getVersionHistory(filePath, limit = 10, options = {}) {
+    const cacheKey = `${filePath}:${limit}:${options.ref || ''}`;
     
     if (this.versionsCache.has(cacheKey)) {
       return this.versionsCache.get(cacheKey);
@@ -35,6 +39,7 @@ class PromptVersionManager {
           owner: this.repoOwner,
           repo: this.repoName,
           path: filePath,
+          sha: options.ref,
           per_page: limit
         });
 
@@ -87,11 +92,17 @@ class PromptVersionManager {
       throw new Error('One or both versions not found');
     }
 
+    const structure = PromptStructure.compare(oldVer.content, newVer.content);
+
     return {
       oldVersion: oldVer,
       newVersion: newVer,
-      changes: this.calculateChanges(oldVer.content, newVer.content),
-      improvementScore: this.calculateImprovementScore(oldVer, newVer)
+      changes: this.calculateChanges(oldVer.content, newVer.content, {
+        details: true,
+        labels: { oldLabel: `${filePath}@${oldVer.version}`, newLabel: `${filePath}@${newVer.version}` }
+      }),
+      structure,
+      improvementScore: this.calculateImprovementScore(oldVer, newVer, structure)
     };
   }
 
@@ -143,16 +154,29 @@ class PromptVersionManager {
 
   /**
    * Track expert feedback cycle
+   * With a result store the run is persisted (details: ref, sha, score, pr, ...);
+   * otherwise it is only kept for the current session
    */
-  async trackFeedbackCycle(filePath, expertDecision, improvements) {
+  async trackFeedbackCycle(filePath, expertDecision, improvements, details = {}) {
     const cycle = {
       timestamp: new Date().toISOString(),
       filePath: filePath,
       expertDecision: expertDecision, // MERGE, SUGGEST, REJECT
       improvements: improvements || [],
-      cycleNumber: await this.getCycleNumber(filePath)
+      cycleNumber: await this.getCycleNumber(filePath, details)
     };
 
+    if (this.resultStore) {
+      cycle.record = await this.resultStore.record({
+        ...details,
+        kind: 'evaluation',
+        file: filePath,
+        decision: expertDecision,
+        improvements: cycle.improvements,
+        cycle: cycle.cycleNumber
+      });
+    }
+
     // Store in memory for current session
     if (!this.feedbackCycles) {
       this.feedbackCycles = [];
@@ -164,9 +188,16 @@ class PromptVersionManager {
 
   /**
    * Get current cycle number for a file
+   * Counts previously evaluated revisions in the result store (scoped to the PR when
+   * given); the revision being evaluated (options.sha) only counts once
    */
-  async getCycleNumber(filePath) {
-    // Count SUGGEST decisions in recent history
+  async getCycleNumber(filePath, options = {}) {
+    if (this.resultStore) {
+      const previous = await this.resultStore.getCycleCount(filePath, { pr: options.pr, excludeSha: options.sha });
+      return previous + 1;
+    }
+
+    // Without a store, guess from commit messages: count SUGGEST decisions in recent history
     const history = await this.getVersionHistory(filePath, 10);
     let cycles = 0;
     
@@ -184,11 +215,15 @@ class PromptVersionManager {
    * Extract version metadata from content and commit
    */
   extractVersionMetadata(content, commit) {
+    const structure = PromptStructure.parse(content);
     const metadata = {
       wordCount: content.split(/\s+/).length,
       lineCount: content.split('\n').length,
       complexityScore: this.calculateComplexity(content),
-      hasExamples: content.toLowerCase().includes('example'),
+      sectionCount: structure.sections.length,
+      ruleCount: structure.rules.length,
+      exampleCount: structure.examples.length,
+      hasExamples: structure.examples.length > 0,
       hasCriteria: content.toLowerCase().includes('criteria'),
       hasInstructions: content.toLowerCase().includes('instruction'),
       expertType: this.detectExpertType(content)
@@ -198,43 +233,47 @@ class PromptVersionManager {
   }
 
   /**
-   * Calculate changes between two content versions
+   * Calculate changes between two content versions from a line diff.
+   * With `details`, also returns the hunks, added/removed/modified lines (modified lines
+   * carry a word diff) and the unified diff text.
    */
-  calculateChanges(oldContent, newContent) {
-    const oldLines = oldContent.split('\n');
-    const newLines = newContent.split('\n');
-    
-    return {
-      linesAdded: Math.max(0, newLines.length - oldLines.length),
-      linesRemoved: Math.max(0, oldLines.length - newLines.length),
-      wordsChanged: Math.abs(newContent.split(/\s+/).length - oldContent.split(/\s+/).length),
-      significantChange: this.isSignificantChange(oldContent, newContent)
+  calculateChanges(oldContent, newContent, options = {}) {
+    const diff = TextDiff.compare(oldContent, newContent);
+    const { stats } = diff;
+
+    const changes = {
+      linesAdded: stats.linesAdded,
+      linesRemoved: stats.linesRemoved,
+      linesModified: stats.linesModified,
+      wordsChanged: stats.wordsAdded + stats.wordsRemoved,
+      summary: TextDiff.formatStats(stats),
+      significantChange: this.isSignificantChange(oldContent, newContent, diff)
     };
+
+    if (options.details) {
+      changes.hunks = diff.hunks;
+      changes.added = diff.added;
+      changes.removed = diff.removed;
+      changes.modified = diff.modified;
+      changes.unified = TextDiff.toUnified(diff.hunks, options.labels);
+    }
+
+    return changes;
   }
 
   /**
-   * Calculate improvement score between versions
+   * Calculate improvement score between versions from their structural diff:
+   * added examples, sections and rules and tightened rules count up, removals and
+   * relaxed rules count down. Each category is capped so one kind of change cannot dominate.
    */
-  calculateImprovementScore(oldVersion, newVersion) {
-    let score = 0;
-    
-    // Metadata improvements
-    const oldMeta = oldVersion.metadata;
-    const newMeta = newVersion.metadata;
-    
-    if (newMeta.hasExamples && !oldMeta.hasExamples) score += 10;
-    if (newMeta.hasCriteria && !oldMeta.hasCriteria) score += 15;
-    if (newMeta.hasInstructions && !oldMeta.hasInstructions) score += 10;
-    
-    // Complexity improvement (not too complex, not too simple)
-    const complexityDiff = newMeta.complexityScore - oldMeta.complexityScore;
-    if (complexityDiff > 0 && complexityDiff < 20) score += 5;
-    
-    // Length improvements (more detailed but not excessive)
-    const wordDiff = newMeta.wordCount - oldMeta.wordCount;
-    if (wordDiff > 0 && wordDiff < 200) score += 5;
-    
-    return score;
+  calculateImprovementScore(oldVersion, newVersion, structure = PromptStructure.compare(oldVersion.content, newVersion.content)) {
+    const capped = (value, cap) => Math.max(-cap, Math.min(cap, value));
+    const { sections, rules, examples } = structure;
+
+    return capped((examples.added.length - examples.removed.length) * 10, 30) +
+      capped((sections.added.length - sections.removed.length) * 5, 15) +
+      capped((rules.added.length - rules.removed.length) * 5, 25) +
+      capped((rules.tightened.length - rules.relaxed.length) * 3, 15);
   }
 
   /**
@@ -255,14 +294,21 @@ class PromptVersionManager {
   }
 
   /**
-   * Extract quality indicators from content
+   * Extract quality indicators from the structural diff of two versions
    */
   extractQualityIndicators(newContent, oldContent) {
+    const { sections, rules, examples } = PromptStructure.compare(oldContent, newContent);
+
     return {
-      addedExamples: this.countExamples(newContent) - this.countExamples(oldContent),
-      addedCriteria: this.countCriteria(newContent) - this.countCriteria(oldContent),
-      clarityImprovement: this.assessClarity(newContent) - this.assessClarity(oldContent),
-      specificity: this.assessSpecificity(newContent) - this.assessSpecificity(oldContent)
+      addedExamples: examples.added.length,
+      removedExamples: examples.removed.length,
+      addedSections: sections.added.length,
+      removedSections: sections.removed.length,
+      reorderedSections: sections.reordered.length,
+      addedRules: rules.added.length,
+      removedRules: rules.removed.length,
+      tightenedRules: rules.tightened.length,
+      relaxedRules: rules.relaxed.length
     };
   }
 
@@ -293,49 +339,17 @@ class PromptVersionManager {
   }
 
   /**
-   * Check if change is significant
-   */
-  isSignificantChange(oldContent, newContent) {
-    const oldWords = oldContent.split(/\s+/);
-    const newWords = newContent.split(/\s+/);
-    
-    const changeRatio = Math.abs(oldWords.length - newWords.length) / oldWords.length;
-    return changeRatio > 0.1; // More than 10% change
-  }
-
-  /**
-   * Count examples in content
+   * Check if change is significant: more than 10% of the lines added, removed or modified
    */
-  countExamples(content) {
-    const exampleKeywords = /example|for instance|such as|e\.g\./gi;
-    return (content.match(exampleKeywords) || []).length;
-  }
-
-  /**
-   * Count criteria mentions
-   */
-  countCriteria(content) {
-    const criteriaKeywords = /criteria|requirement|must|should|evaluate/gi;
-    return (content.match(criteriaKeywords) || []).length;
-  }
+  isSignificantChange(oldContent, newContent, diff = TextDiff.compare(oldContent, newContent)) {
+    const { linesAdded, linesRemoved, linesModified, linesUnchanged } = diff.stats;
+    const changed = linesAdded + linesRemoved + linesModified;
+    const baseline = linesUnchanged + linesRemoved + linesModified;
 
-  /**
-   * Assess content clarity (simple heuristic)
-   */
-  assessClarity(content) {
-    const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const avgLength = sentences.reduce((sum, s) => sum + s.length, 0) / sentences.length;
-    
-    // Shorter sentences generally indicate better clarity
-    return Math.max(0, 100 - avgLength);
-  }
-
-  /**
-   * Assess content specificity
-   */
-  assessSpecificity(content) {
-    const specificWords = /specific|exactly|precisely|detailed|explicit|particular/gi;
-    return (content.match(specificWords) || []).length;
+    if (baseline === 0) {
+      return changed > 0;
+    }
+    return changed / baseline > 0.1;
   }
 
   /**
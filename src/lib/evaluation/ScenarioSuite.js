@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Scenario Suite
+ * @description Loads and validates the per-domain test scenario suites used by the PR
+ * evaluators (evaluate-prompts, evaluate-with-context and ExpertEvaluationIntegration)
+ * @module ScenarioSuite
+ * @requires ./SchemaValidator
+ * @requires fs/promises
+ * @requires path
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { SchemaValidator } = require('./SchemaValidator');
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Upper bound on scenarios per suite (each scenario costs three model calls per file)
+ * @const {number}
+ */
+const MAX_SCENARIOS = 20;
+
+/**
+ * Scenario used when no suite exists for a domain
+ * @const {string}
+ */
+const DEFAULT_SCENARIO = 'Please demonstrate your capabilities with a relevant example.';
+
+/**
+ * Schema of a scenario suite file (test-scenarios/<domain>-tests.json)
+ * @const {Object}
+ */
+const SCENARIO_SUITE_SCHEMA = {
+  type: 'object',
+  properties: {
+    domain: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    scenarios: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_SCENARIOS,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          input: { type: 'string', minLength: 1 },
+          tags: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['id', 'input'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['scenarios'],
+  additionalProperties: false
+};
+
+/**
+ * Decisions from least to most severe; a suite result takes the most severe scenario decision
+ * @const {Array<string>}
+ */
+const DECISION_SEVERITY = ['MERGE', 'SUGGEST', 'REJECT'];
+
+/**
+ * @class ScenarioSuite
+ * @description Resolves the scenario suite for a domain. Suites are looked up in order:
+ * 1. `test-scenarios/<domain>-tests.json` in the evaluated repository (GitHub, `ref`)
+ * 2. the `<domain>` entry of the legacy `test-scenarios/domain-tests.json` (GitHub, `ref`)
+ * 3. `test-scenarios/<domain>-tests.json` bundled with prompt-expert (`baseDir`)
+ * 4. a single generic scenario
+ *
+ * Suite format:
+ * ```json
+ * {
+ *   "domain": "security",
+ *   "description": "Threat analysis scenarios",
+ *   "scenarios": [
+ *     { "id": "sql-injection", "input": "Review this login handler ...", "tags": ["owasp"] }
+ *   ]
+ * }
+ * ```
+ * Legacy `{ "scenarios": [{ "scenario": "...", "input": "..." }] }` files are still accepted.
+ * @property {Octokit|null} octokit - GitHub API client
+ * @property {string} repoOwner - Repository owner
+ * @property {string} repoName - Repository name
+ * @property {string} ref - Git ref suites are read from
+ * @property {string|null} baseDir - Directory containing the bundled test-scenarios/ folder
+ */
+class ScenarioSuite {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Loader options
+   * @param {Octokit} [options.octokit] - GitHub API client (GitHub lookups are skipped without it)
+   * @param {string} [options.repoOwner] - Repository owner
+   * @param {string} [options.repoName] - Repository name
+   * @param {string} [options.ref='main'] - Git ref suites are read from
+   * @param {string} [options.baseDir] - Directory containing the bundled test-scenarios/ folder
+   */
+  constructor(options = {}) {
+    this.octokit = options.octokit || null;
+    this.repoOwner = options.repoOwner;
+    this.repoName = options.repoName;
+    this.ref = options.ref || 'main';
+    this.baseDir = options.baseDir || null;
+  }
+
+  /**
+   * @method load
+   * @async
+   * @description Resolves the scenario suite for a domain
+   * @param {string} domain - Expert domain
+   * @param {Object} [options={}] - Load options
+   * @param {string} [options.scenario] - Explicit scenario; replaces the suite when given
+   * @returns {Promise<Object>} `{ domain, description, source, scenarios }` where source is
+   *   'custom', 'github', 'github-legacy', 'bundled' or 'default'
+   * @throws {Error} With code INVALID_SCENARIO_SUITE when a suite file is malformed
+   */
+  async load(domain, options = {}) {
+    if (options.scenario) {
+      return {
+        domain,
+        source: 'custom',
+        scenarios: [{ id: 'custom', input: options.scenario }]
+      };
+    }
+
+    const suitePath = `test-scenarios/${domain}-tests.json`;
+
+    const remote = await this.fetchFromGitHub(suitePath);
+    if (remote !== null) {
+      return { ...ScenarioSuite.parse(remote, suitePath, domain), source: 'github' };
+    }
+
+    const legacy = await this.fetchFromGitHub('test-scenarios/domain-tests.json');
+    if (legacy !== null) {
+      const entry = (ScenarioSuite.parseJson(legacy, 'test-scenarios/domain-tests.json') || {})[domain];
+      if (entry && entry.scenario) {
+        console.log(`Using legacy test-scenarios/domain-tests.json entry for ${domain}`);
+        return {
+          domain,
+          source: 'github-legacy',
+          scenarios: [{ id: `${domain}-1`, input: entry.scenario }]
+        };
+      }
+    }
+
+    if (this.baseDir) {
+      const bundledPath = path.join(this.baseDir, suitePath);
+      try {
+        const text = await fs.readFile(bundledPath, 'utf8');
+        return { ...ScenarioSuite.parse(text, bundledPath, domain), source: 'bundled' };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    console.log(`No scenario suite found for ${domain}, using default scenario`);
+    return {
+      domain,
+      source: 'default',
+      scenarios: [{ id: 'default', input: DEFAULT_SCENARIO }]
+    };
+  }
+
+  /**
+   * @method fetchFromGitHub
+   * @async
+   * @description Reads a file from the evaluated repository
+   * @param {string} filePath - Repository path
+   * @returns {Promise<string|null>} File content, or null when it does not exist or
+   *   GitHub is not configured
+   * @private
+   */
+  async fetchFromGitHub(filePath) {
+    if (!this.octokit) return null;
+
+    try {
+      const { data } = await this.octokit.repos.getContent({
+        owner: this.repoOwner,
+        repo: this.repoName,
+        path: filePath,
+        ref: this.ref
+      });
+      return Buffer.from(data.content, 'base64').toString('utf8');
+    } catch (error) {
+      if (error.status !== 404) {
+        console.log(`Could not load ${filePath} from GitHub: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * @static
+   * @method parse
+   * @description Parses and validates a suite file, converting the legacy
+   * `{ scenario, input }` entries to the current format
+   * @param {string} text - File content
+   * @param {string} [filePath=''] - File name, used in errors
+   * @param {string} [domain] - Domain used when the file does not declare one
+   * @returns {Object} `{ domain, description, scenarios }`
+   * @throws {Error} With code INVALID_SCENARIO_SUITE when the file is malformed
+   */
+  static parse(text, filePath = '', domain) {
+    const suite = ScenarioSuite.parseJson(text, filePath);
+
+    if (suite && Array.isArray(suite.scenarios)) {
+      suite.scenarios = suite.scenarios.map((scenario, index) =>
+        ScenarioSuite.upgradeLegacy(scenario, index));
+    }
+
+    const errors = SchemaValidator.validate(SCENARIO_SUITE_SCHEMA, suite);
+    if (errors.length === 0) {
+      const ids = suite.scenarios.map(s => s.id);
+      const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+      if (duplicates.length > 0) {
+        errors.push(`$.scenarios: duplicate scenario id(s) ${[...new Set(duplicates)].join(', ')}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw ScenarioSuite.invalid(filePath, errors);
+    }
+
+    return { domain: suite.domain || domain, description: suite.description, scenarios: suite.scenarios };
+  }
+
+  /**
+   * @static
+   * @method parseJson
+   * @param {string} text - File content
+   * @param {string} filePath - File name, used in errors
+   * @returns {*} Parsed JSON
+   * @throws {Error} With code INVALID_SCENARIO_SUITE when the JSON is malformed
+   * @private
+   */
+  static parseJson(text, filePath) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw ScenarioSuite.invalid(filePath, [error.message]);
+    }
+  }
+
+  /**
+   * @static
+   * @method upgradeLegacy
+   * @description Converts a legacy `{ scenario, input }` entry (other legacy fields are
+   * dropped); current-format entries are returned as is
+   * @param {Object} scenario - Scenario entry
+   * @param {number} index - Position in the suite, used for the generated id
+   * @returns {Object} Scenario in the current format
+   * @private
+   */
+  static upgradeLegacy(scenario, index) {
+    if (!scenario || typeof scenario !== 'object' || scenario.scenario === undefined) {
+      return scenario;
+    }
+
+    const upgraded = {
+      id: scenario.id || `scenario-${index + 1}`,
+      input: scenario.input || scenario.scenario
+    };
+    if (scenario.input && scenario.scenario !== scenario.input) {
+      upgraded.description = scenario.scenario;
+    }
+    return upgraded;
+  }
+
+  /**
+   * @static
+   * @method summarize
+   * @description Combines per-scenario judge results: the most severe decision wins,
+   * scores are averaged and improvements are merged without duplicates
+   * @param {Array<Object>} results - `{ decision, score, improvements }` per scenario
+   * @returns {Object} `{ decision, score, improvements }`
+   */
+  static summarize(results) {
+    const decision = results.reduce((worst, result) =>
+      (DECISION_SEVERITY.indexOf(result.decision) > DECISION_SEVERITY.indexOf(worst) ? result.decision : worst),
+    DECISION_SEVERITY[0]);
+
+    const scores = results.map(r => r.score).filter(score => typeof score === 'number');
+    const score = scores.length > 0 ? scores.reduce((sum, s) => sum + s, 0) / scores.length : null;
+
+    const improvements = [...new Set(results.flatMap(r => r.improvements || []))];
+
+    return { decision, score, improvements };
+  }
+
+  /**
+   * @static
+   * @method invalid
+   * @param {string} filePath - Suite file
+   * @param {Array<string>} errors - Problems found
+   * @returns {Error} Error with code INVALID_SCENARIO_SUITE
+   * @private
+   */
+  static invalid(filePath, errors) {
+    const error = new Error(`Invalid scenario suite ${filePath}: ${errors.join('; ')}`);
+    error.code = 'INVALID_SCENARIO_SUITE';
+    error.validationErrors = errors;
+    return error;
+  }
+}
+
+module.exports = { ScenarioSuite, SCENARIO_SUITE_SCHEMA, DEFAULT_SCENARIO, MAX_SCENARIOS };
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Minimal JSON Schema validator
+ * @description Validates values against the JSON Schema subset used by judge output and
+ * configuration schemas (type, properties, required, additionalProperties, enum, items,
+ * minItems, maxItems, minimum, maximum, minLength, pattern)
+ * @module SchemaValidator
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+/**
+ * @class SchemaValidator
+ * @description Stateless validator returning human-readable error messages with JSON paths
+ */
+class SchemaValidator {
+  /**
+   * @static
+   * @method validate
+   * @description Validates a value against a schema
+   * @param {Object} schema - JSON Schema (supported subset)
+   * @param {*} value - Value to validate
+   * @param {string} [path='$'] - Path of the value, used in error messages
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validate(schema, value, path = '$') {
+    const errors = [];
+
+    if (!schema || typeof schema !== 'object') {
+      return errors;
+    }
+
+    if (schema.type && !SchemaValidator.matchesType(schema.type, value)) {
+      const types = Array.isArray(schema.type) ? schema.type.join('|') : schema.type;
+      errors.push(`${path}: expected ${types}, got ${SchemaValidator.typeOf(value)}`);
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: must be at least ${schema.minLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: must match pattern ${schema.pattern}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: must have at most ${schema.maxItems} item(s)`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...SchemaValidator.validate(schema.items, item, `${path}[${index}]`));
+        });
+      }
+    }
+
+    if (SchemaValidator.typeOf(value) === 'object') {
+      const properties = schema.properties || {};
+
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key}: is required`);
+        }
+      }
+
+      for (const [key, child] of Object.entries(value)) {
+        if (properties[key]) {
+          errors.push(...SchemaValidator.validate(properties[key], child, `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key}: is not allowed`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...SchemaValidator.validate(schema.additionalProperties, child, `${path}.${key}`));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * @static
+   * @method matchesType
+   * @param {string|Array<string>} type - Schema type or list of types
+   * @param {*} value - Value to check
+   * @returns {boolean} True when the value has one of the types
+   * @private
+   */
+  static matchesType(type, value) {
+    const types = Array.isArray(type) ? type : [type];
+    const actual = SchemaValidator.typeOf(value);
+    return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+  }
+
+  /**
+   * @static
+   * @method typeOf
+   * @param {*} value - Value to classify
+   * @returns {string} JSON Schema type name
+   * @private
+   */
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+}
+
+module.exports = { SchemaValidator };
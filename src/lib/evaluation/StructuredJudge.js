@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Structured Judge
+ * @description Forces judge calls to return typed JSON through a single required tool call,
+ * validates the result against a schema and re-asks the model when the output is malformed
+ * @module StructuredJudge
+ * @requires ./SchemaValidator
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { SchemaValidator } = require('./SchemaValidator');
+
+/**
+ * Per-criterion score entry shared by the evaluation and decision schemas
+ * @const {Object}
+ */
+const CRITERION_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, description: 'Criterion name' },
+    score: { type: 'number', minimum: 0, maximum: 10, description: 'Score for this criterion (0-10)' },
+    rationale: { type: 'string', description: 'One or two sentences of evidence' }
+  },
+  required: ['name', 'score']
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Judge output schemas keyed by name. Each becomes a `submit_<name>` tool.
+ * @const {Object<string, Object>}
+ */
+const JUDGE_SCHEMAS = {
+  evaluation: {
+    description: 'Submit the evaluation of a single prompt',
+    schema: {
+      type: 'object',
+      properties: {
+        score: { type: 'number', minimum: 0, maximum: 10, description: 'Overall score (0-10)' },
+        criteria: { type: 'array', items: CRITERION_SCHEMA, description: 'Score for every evaluation criterion' },
+        strengths: { ...STRING_LIST, description: 'Specific strengths' },
+        weaknesses: { ...STRING_LIST, description: 'Specific weaknesses' },
+        redFlags: { ...STRING_LIST, description: 'Critical problems that should block deployment (empty if none)' },
+        summary: { type: 'string', minLength: 1, description: 'Short evaluation summary with examples' }
+      },
+      required: ['score', 'criteria', 'strengths', 'weaknesses', 'redFlags', 'summary']
+    }
+  },
+
+  comparison: {
+    description: 'Submit the comparison of two prompts',
+    schema: {
+      type: 'object',
+      properties: {
+        analysis: { type: 'string', minLength: 1, description: 'Detailed comparison' },
+        keyDifferences: { ...STRING_LIST, description: 'Most important differences' },
+        tradeoffs: { ...STRING_LIST, description: 'Trade-offs between the two prompts' },
+        preferred: { type: 'string', enum: ['FIRST', 'SECOND', 'TIE'], description: 'Which prompt is better overall' }
+      },
+      required: ['analysis', 'keyDifferences', 'tradeoffs', 'preferred']
+    }
+  },
+
+  verdict: {
+    description: 'Submit the final expert verdict',
+    schema: {
+      type: 'object',
+      properties: {
+        reasoning: { type: 'string', minLength: 1, description: 'Why the preferred version is better' },
+        recommendProduction: { type: 'boolean', description: 'Whether the winning version is ready for production use' },
+        risks: { ...STRING_LIST, description: 'Risks of deploying the winning version' }
+      },
+      required: ['reasoning', 'recommendProduction', 'risks']
+    }
+  },
+
+  rubric: {
+    description: 'Submit whether a response satisfies a test-case rubric',
+    schema: {
+      type: 'object',
+      properties: {
+        reasoning: { type: 'string', minLength: 1, description: 'How the response does or does not meet the rubric' },
+        score: { type: 'number', minimum: 0, maximum: 10, description: 'How well the response meets the rubric (0-10)' },
+        pass: { type: 'boolean', description: 'Whether the response meets the rubric' }
+      },
+      required: ['reasoning', 'score', 'pass']
+    }
+  },
+
+  decision: {
+    description: 'Submit the merge decision for a proposed prompt change',
+    schema: {
+      type: 'object',
+      properties: {
+        analysis: { type: 'string', minLength: 1, description: 'Detailed analysis comparing both candidates' },
+        decision: { type: 'string', enum: ['MERGE', 'SUGGEST', 'REJECT'], description: 'MERGE (>= 8.5), SUGGEST (6-8.5) or REJECT (< 6)' },
+        score: { type: 'number', minimum: 0, maximum: 10, description: 'Score for the proposed prompt (0-10)' },
+        criteria: { type: 'array', items: CRITERION_SCHEMA, description: 'Score for every evaluation criterion' },
+        strengths: { ...STRING_LIST, description: 'Strengths of the proposed prompt' },
+        weaknesses: { ...STRING_LIST, description: 'Weaknesses of the proposed prompt' },
+        redFlags: { ...STRING_LIST, description: 'Critical problems (empty if none)' },
+        improvements: { ...STRING_LIST, description: 'Specific, actionable improvements (required for SUGGEST)' }
+      },
+      required: ['analysis', 'decision', 'score', 'criteria', 'strengths', 'weaknesses', 'redFlags', 'improvements']
+    }
+  }
+};
+
+/**
+ * @class StructuredJudge
+ * @description Runs judge calls with a forced tool call and schema validation.
+ * Malformed output is sent back as an error tool_result so the model can correct it;
+ * after `maxReasks` failed corrections an error with code JUDGE_OUTPUT_INVALID is thrown
+ * instead of silently falling back to a default score.
+ * @property {Function} callModel - Function sending a Messages API payload (usually a retry wrapper)
+ * @property {number} maxReasks - Correction attempts after the first call
+ */
+class StructuredJudge {
+  /**
+   * @constructor
+   * @param {Object} options - Judge options
+   * @param {Function} options.callModel - `async (payload, scope) => response`; scope labels the call for usage accounting
+   * @param {number} [options.maxReasks=2] - Correction attempts after the first call
+   */
+  constructor(options = {}) {
+    if (typeof options.callModel !== 'function') {
+      throw new Error('StructuredJudge requires a callModel function');
+    }
+    this.callModel = options.callModel;
+    this.maxReasks = options.maxReasks === undefined ? 2 : options.maxReasks;
+  }
+
+  /**
+   * @method run
+   * @async
+   * @description Sends a judge request and returns validated structured output
+   * @param {string} schemaName - Key of JUDGE_SCHEMAS
+   * @param {Object} payload - Messages API payload (system, messages, max_tokens)
+   * @param {Object} [options={}] - Run options
+   * @param {Array<string>} [options.criteria] - Criterion names the judge must score, each exactly once
+   * @param {string} [options.scope] - Usage scope passed to callModel (defaults to the schema name)
+   * @returns {Promise<Object>} `{ data, attempts, response }`
+   * @throws {Error} With code JUDGE_OUTPUT_INVALID when output stays invalid after all re-asks
+   */
+  async run(schemaName, payload, options = {}) {
+    const definition = JUDGE_SCHEMAS[schemaName];
+    if (!definition) {
+      throw new Error(`Unknown judge schema: ${schemaName}`);
+    }
+
+    const criteria = options.criteria || [];
+    const schema = criteria.length > 0
+      ? StructuredJudge.withCriteria(definition.schema, criteria)
+      : definition.schema;
+
+    const toolName = StructuredJudge.toolName(schemaName);
+    const tool = {
+      name: toolName,
+      description: definition.description,
+      input_schema: schema
+    };
+
+    const messages = [...payload.messages];
+    let errors = [];
+
+    for (let attempt = 1; attempt <= this.maxReasks + 1; attempt++) {
+      const response = await this.callModel({
+        ...payload,
+        messages,
+        tools: [tool],
+        tool_choice: { type: 'tool', name: toolName }
+      }, options.scope || schemaName);
+
+      const toolUses = (response.content || []).filter(c => c.type === 'tool_use');
+      const toolUse = toolUses.find(c => c.name === toolName);
+      errors = toolUse
+        ? SchemaValidator.validate(schema, toolUse.input)
+        : [`response did not call ${toolName}`];
+
+      if (toolUse && errors.length === 0 && criteria.length > 0) {
+        const scored = new Set(toolUse.input.criteria.map(c => c.name));
+        const missing = criteria.filter(name => !scored.has(name));
+        if (missing.length > 0) {
+          errors.push(`$.criteria: missing scores for ${missing.join(', ')}`);
+        }
+      }
+
+      if (errors.length === 0) {
+        return { data: toolUse.input, attempts: attempt, response };
+      }
+
+      console.log(`Judge output for ${schemaName} invalid (attempt ${attempt}): ${errors.join('; ')}`);
+
+      // Feed the problems back so the next attempt can fix them. Every tool call of the
+      // assistant turn, including calls to other tools, must be answered by a tool_result.
+      if (response.content && response.content.length > 0) {
+        messages.push({ role: 'assistant', content: response.content });
+      }
+      const correction = `Your output was invalid: ${errors.join('; ')}. Call ${toolName} again with corrected input that matches the schema.`;
+      messages.push({
+        role: 'user',
+        content: toolUses.length > 0
+          ? toolUses.map(block => ({ type: 'tool_result', tool_use_id: block.id, is_error: true, content: correction }))
+          : correction
+      });
+    }
+
+    const error = new Error(`Judge returned invalid ${schemaName} output after ${this.maxReasks + 1} attempts: ${errors.join('; ')}`);
+    error.code = 'JUDGE_OUTPUT_INVALID';
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  /**
+   * @static
+   * @method toolName
+   * @param {string} schemaName - Key of JUDGE_SCHEMAS
+   * @returns {string} Tool name the judge must call
+   */
+  static toolName(schemaName) {
+    return `submit_${schemaName}`;
+  }
+
+  /**
+   * @static
+   * @method withCriteria
+   * @description Restricts a schema's `criteria` array to the given criterion names
+   * @param {Object} schema - Judge output schema with a `criteria` property
+   * @param {Array<string>} names - Criterion names to score
+   * @returns {Object} Copy of the schema
+   * @private
+   */
+  static withCriteria(schema, names) {
+    const criteriaSchema = schema.properties.criteria;
+    return {
+      ...schema,
+      properties: {
+        ...schema.properties,
+        criteria: {
+          ...criteriaSchema,
+          description: `Score for each of these criteria, using the exact names: ${names.join('; ')}`,
+          minItems: names.length,
+          items: {
+            ...criteriaSchema.items,
+            properties: {
+              ...criteriaSchema.items.properties,
+              name: { type: 'string', enum: names, description: 'Criterion name' }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * @static
+   * @method toMarkdown
+   * @description Renders structured judge output for reports and PR comments
+   * @param {Object} data - Validated judge output
+   * @returns {string} Markdown
+   */
+  static toMarkdown(data) {
+    const lines = [];
+    const text = data.analysis || data.summary || data.reasoning;
+    if (text) lines.push(text, '');
+
+    if (data.decision || data.score !== undefined) {
+      const parts = [];
+      if (data.decision) parts.push(`**Decision:** ${data.decision}`);
+      if (data.score !== undefined) parts.push(`**Score:** ${data.score}/10`);
+      lines.push(parts.join(' | '), '');
+    }
+
+    if (data.criteria && data.criteria.length > 0) {
+      lines.push('| Criterion | Score | Rationale |', '|-----------|-------|-----------|');
+      for (const c of data.criteria) {
+        lines.push(`| ${c.name} | ${c.score}/10 | ${(c.rationale || '').replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`);
+      }
+      lines.push('');
+    }
+
+    const sections = [
+      ['Strengths', data.strengths],
+      ['Weaknesses', data.weaknesses],
+      ['Red Flags', data.redFlags],
+      ['Key Differences', data.keyDifferences],
+      ['Trade-offs', data.tradeoffs],
+      ['Risks', data.risks],
+      ['Improvements Needed', data.improvements]
+    ];
+    for (const [title, items] of sections) {
+      if (items && items.length > 0) {
+        lines.push(`**${title}:**`, ...items.map(item => `- ${item}`), '');
+      }
+    }
+
+    return lines.join('\n').trim();
+  }
+}
+
+module.exports = { StructuredJudge, JUDGE_SCHEMAS };
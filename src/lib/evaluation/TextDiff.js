@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Text Diff
+ * @description Line- and word-level diffs of prompt versions (Myers algorithm) with
+ * unified-diff hunks and added/removed/modified line sets
+ * @module TextDiff
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+/**
+ * Lines of unchanged context around each hunk
+ * @const {number}
+ */
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Largest edit distance searched before a region is reported as fully replaced.
+ * Bounds memory (the Myers trace grows with the square of the distance) on rewrites
+ * of very large files.
+ * @const {number}
+ */
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * @class TextDiff
+ * @description Diffs two texts. The line diff is computed with Myers' O(ND) algorithm
+ * after trimming the common prefix and suffix. Adjacent removed/added lines are paired as
+ * modifications and get a word-level diff, so a rewrite of every line is reported as
+ * modified lines rather than no change.
+ */
+class TextDiff {
+  /**
+   * @static
+   * @method compare
+   * @description Full comparison of two texts
+   * @param {string} oldText - Previous version
+   * @param {string} newText - New version
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.context=3] - Context lines per hunk
+   * @returns {Object} `{ stats, added, removed, modified, hunks }`:
+   *   - added: `[{ line, text }]` (line numbers in the new text, 1-based)
+   *   - removed: `[{ line, text }]` (line numbers in the old text)
+   *   - modified: `[{ oldLine, newLine, old, new, words }]` with a word diff
+   *   - hunks: `[{ oldStart, oldLines, newStart, newLines, lines }]` with lines prefixed ' ', '-' or '+'
+   *   - stats: `{ linesAdded, linesRemoved, linesModified, linesUnchanged, wordsAdded, wordsRemoved }`
+   */
+  static compare(oldText, newText, options = {}) {
+    const oldLines = TextDiff.splitLines(oldText);
+    const newLines = TextDiff.splitLines(newText);
+    const ops = TextDiff.diff(oldLines, newLines);
+
+    const added = [];
+    const removed = [];
+    const modified = [];
+    let linesUnchanged = 0;
+
+    // Walk change blocks: a run of deletes followed by inserts pairs line by line
+    for (let i = 0; i < ops.length; i++) {
+      const op = ops[i];
+      if (op.type === 'equal') {
+        linesUnchanged++;
+        continue;
+      }
+
+      const deletes = [];
+      const inserts = [];
+      while (i < ops.length && ops[i].type !== 'equal') {
+        (ops[i].type === 'delete' ? deletes : inserts).push(ops[i]);
+        i++;
+      }
+      i--;
+
+      const paired = Math.min(deletes.length, inserts.length);
+      for (let k = 0; k < paired; k++) {
+        modified.push({
+          oldLine: deletes[k].oldIndex + 1,
+          newLine: inserts[k].newIndex + 1,
+          old: deletes[k].text,
+          new: inserts[k].text,
+          words: TextDiff.diffWords(deletes[k].text, inserts[k].text)
+        });
+      }
+      deletes.slice(paired).forEach(d => removed.push({ line: d.oldIndex + 1, text: d.text }));
+      inserts.slice(paired).forEach(a => added.push({ line: a.newIndex + 1, text: a.text }));
+    }
+
+    const countWords = text => text.split(/\s+/).filter(Boolean).length;
+    const wordChanges = modified.flatMap(m => m.words);
+
+    return {
+      stats: {
+        linesAdded: added.length,
+        linesRemoved: removed.length,
+        linesModified: modified.length,
+        linesUnchanged,
+        wordsAdded: added.reduce((sum, a) => sum + countWords(a.text), 0) +
+          wordChanges.filter(w => w.type === 'insert').reduce((sum, w) => sum + countWords(w.text), 0),
+        wordsRemoved: removed.reduce((sum, r) => sum + countWords(r.text), 0) +
+          wordChanges.filter(w => w.type === 'delete').reduce((sum, w) => sum + countWords(w.text), 0)
+      },
+      added,
+      removed,
+      modified,
+      hunks: TextDiff.toHunks(ops, options.context === undefined ? DEFAULT_CONTEXT : options.context)
+    };
+  }
+
+  /**
+   * @static
+   * @method diff
+   * @description Shortest edit script between two token arrays
+   * @param {Array<string>} a - Old tokens
+   * @param {Array<string>} b - New tokens
+   * @returns {Array<Object>} Operations `{ type: 'equal'|'delete'|'insert', text, oldIndex, newIndex }`
+   *   in order (oldIndex is set for equal/delete, newIndex for equal/insert)
+   */
+  static diff(a, b) {
+    // Common prefix and suffix never need the search
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) {
+      ops.push({ type: 'equal', text: a[i], oldIndex: i, newIndex: i });
+    }
+    ops.push(...TextDiff.myers(a, b, start, endA, start, endB));
+    for (let i = endA, j = endB; i < a.length; i++, j++) {
+      ops.push({ type: 'equal', text: a[i], oldIndex: i, newIndex: j });
+    }
+    return ops;
+  }
+
+  /**
+   * @static
+   * @method myers
+   * @description Myers' greedy O(ND) search over a[aStart..aEnd) and b[bStart..bEnd),
+   * followed by a backtrack through the saved frontier of each edit distance
+   * @param {Array<string>} a - Old tokens
+   * @param {Array<string>} b - New tokens
+   * @param {number} aStart - First old index
+   * @param {number} aEnd - End of the old range (exclusive)
+   * @param {number} bStart - First new index
+   * @param {number} bEnd - End of the new range (exclusive)
+   * @returns {Array<Object>} Operations for the range
+   * @private
+   */
+  static myers(a, b, aStart, aEnd, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const replaceAll = () => [
+      ...a.slice(aStart, aEnd).map((text, i) => ({ type: 'delete', text, oldIndex: aStart + i })),
+      ...b.slice(bStart, bEnd).map((text, j) => ({ type: 'insert', text, newIndex: bStart + j }))
+    ];
+
+    if (n === 0 || m === 0) {
+      return replaceAll();
+    }
+
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let found = false;
+
+    for (let d = 0; d <= max && !found; d++) {
+      trace.push(v.slice());
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break;
+        }
+      }
+    }
+
+    if (!found) {
+      return replaceAll();
+    }
+
+    // Backtrack from (n, m) through the frontier saved before each distance
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const prev = trace[d];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1])) ? k + 1 : k - 1;
+      const prevX = d === 0 ? 0 : prev[offset + prevK];
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        ops.push({ type: 'equal', text: a[aStart + x], oldIndex: aStart + x, newIndex: bStart + y });
+      }
+      if (d > 0) {
+        if (x === prevX) {
+          y--;
+          ops.push({ type: 'insert', text: b[bStart + y], newIndex: bStart + y });
+        } else {
+          x--;
+          ops.push({ type: 'delete', text: a[aStart + x], oldIndex: aStart + x });
+        }
+      }
+    }
+
+    return ops.reverse();
+  }
+
+  /**
+   * @static
+   * @method diffWords
+   * @description Word-level diff of two lines; whitespace is kept attached to the tokens
+   * so joining all equal+insert texts reproduces the new line
+   * @param {string} oldLine - Old text
+   * @param {string} newLine - New text
+   * @returns {Array<Object>} Runs `{ type: 'equal'|'delete'|'insert', text }`
+   */
+  static diffWords(oldLine, newLine) {
+    const tokenize = text => text.match(/\s+|[^\s]+/g) || [];
+    const runs = [];
+    for (const op of TextDiff.diff(tokenize(oldLine), tokenize(newLine))) {
+      const last = runs[runs.length - 1];
+      if (last && last.type === op.type) {
+        last.text += op.text;
+      } else {
+        runs.push({ type: op.type, text: op.text });
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * @static
+   * @method toHunks
+   * @description Groups operations into unified-diff hunks
+   * @param {Array<Object>} ops - Line operations from diff()
+   * @param {number} context - Unchanged lines kept around each change
+   * @returns {Array<Object>} Hunks `{ oldStart, oldLines, newStart, newLines, lines }`
+   */
+  static toHunks(ops, context = DEFAULT_CONTEXT) {
+    const changed = ops.map((op, i) => (op.type === 'equal' ? -1 : i)).filter(i => i >= 0);
+    if (changed.length === 0) {
+      return [];
+    }
+
+    // Merge change positions whose context windows overlap
+    const ranges = [];
+    for (const i of changed) {
+      const from = Math.max(0, i - context);
+      const to = Math.min(ops.length - 1, i + context);
+      const last = ranges[ranges.length - 1];
+      if (last && from <= last.to + 1) {
+        last.to = Math.max(last.to, to);
+      } else {
+        ranges.push({ from, to });
+      }
+    }
+
+    // Line counters before each op, so empty sides still get a position
+    let oldLine = 0;
+    let newLine = 0;
+    const positions = ops.map(op => {
+      const position = { oldLine, newLine };
+      if (op.type !== 'insert') oldLine++;
+      if (op.type !== 'delete') newLine++;
+      return position;
+    });
+
+    const prefix = { equal: ' ', delete: '-', insert: '+' };
+    return ranges.map(({ from, to }) => {
+      const slice = ops.slice(from, to + 1);
+      const oldLines = slice.filter(op => op.type !== 'insert').length;
+      const newLines = slice.filter(op => op.type !== 'delete').length;
+      return {
+        // Unified diff convention: an empty side starts at the line before the change
+        oldStart: positions[from].oldLine + (oldLines > 0 ? 1 : 0),
+        oldLines,
+        newStart: positions[from].newLine + (newLines > 0 ? 1 : 0),
+        newLines,
+        lines: slice.map(op => `${prefix[op.type]}${op.text}`)
+      };
+    });
+  }
+
+  /**
+   * @static
+   * @method toUnified
+   * @description Formats hunks as a unified diff
+   * @param {Array<Object>} hunks - Hunks from compare() or toHunks()
+   * @param {Object} [labels={}] - File labels
+   * @param {string} [labels.oldLabel='a'] - Old file label
+   * @param {string} [labels.newLabel='b'] - New file label
+   * @returns {string} Unified diff ('' when there are no changes)
+   */
+  static toUnified(hunks, labels = {}) {
+    if (hunks.length === 0) {
+      return '';
+    }
+    return [
+      `--- ${labels.oldLabel || 'a'}`,
+      `+++ ${labels.newLabel || 'b'}`,
+      ...hunks.flatMap(h => [`@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@`, ...h.lines])
+    ].join('\n');
+  }
+
+  /**
+   * @static
+   * @method formatStats
+   * @param {Object} stats - Stats from compare()
+   * @returns {string} One-line change summary, e.g. "+3 -1 ~2 lines (+14/-6 words)"
+   */
+  static formatStats(stats) {
+    return `+${stats.linesAdded} -${stats.linesRemoved} ~${stats.linesModified} lines (+${stats.wordsAdded}/-${stats.wordsRemoved} words)`;
+  }
+
+  /**
+   * @static
+   * @method splitLines
+   * @param {string} text - Text
+   * @returns {Array<string>} Lines without terminators (a trailing newline adds no empty line)
+   * @private
+   */
+  static splitLines(text) {
+    if (!text) return [];
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+}
+
+module.exports = { TextDiff, DEFAULT_CONTEXT, MAX_EDIT_DISTANCE };
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Anthropic Provider
+ * @description Routes model calls through the Anthropic Messages API
+ * @module AnthropicProvider
+ * @requires @anthropic-ai/sdk
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { LLMProvider } = require('./LLMProvider');
+
+/**
+ * @class AnthropicProvider
+ * @extends LLMProvider
+ * @description Thin wrapper around the Anthropic SDK client
+ * @property {Anthropic|null} client - Anthropic SDK client (created lazily)
+ */
+class AnthropicProvider extends LLMProvider {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Provider settings
+   * @param {Anthropic} [options.client] - Existing Anthropic client to reuse
+   * @param {string} [options.apiKey] - API key (defaults to the apiKeyEnv variable)
+   * @param {string} [options.apiKeyEnv='ANTHROPIC_API_KEY'] - Environment variable holding the API key
+   * @param {number} [options.maxRetries] - SDK-level retries
+   * @param {number} [options.timeout] - SDK request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    super({ name: 'anthropic', ...options });
+    this.client = options.client || null;
+    this.apiKey = options.apiKey;
+    this.apiKeyEnv = options.apiKeyEnv || 'ANTHROPIC_API_KEY';
+    this.maxRetries = options.maxRetries;
+    this.timeout = options.timeout;
+  }
+
+  /**
+   * @method getClient
+   * @description Returns the SDK client, creating it on first use so that constructing
+   * the provider never requires an API key
+   * @returns {Anthropic} Anthropic SDK client
+   * @private
+   */
+  getClient() {
+    if (!this.client) {
+      const Anthropic = require('@anthropic-ai/sdk');
+      const clientOptions = {
+        apiKey: this.apiKey || process.env[this.apiKeyEnv]
+      };
+      if (this.maxRetries !== undefined) clientOptions.maxRetries = this.maxRetries;
+      if (this.timeout !== undefined) clientOptions.timeout = this.timeout;
+      this.client = new Anthropic(clientOptions);
+    }
+    return this.client;
+  }
+
+  /**
+   * @method createMessage
+   * @async
+   * @description Sends the payload to anthropic.messages.create
+   * @param {Object} payload - Messages API payload
+   * @returns {Promise<Object>} Anthropic message response
+   */
+  async createMessage(payload) {
+    return await this.getClient().messages.create(this.buildPayload(payload));
+  }
+}
+
+module.exports = { AnthropicProvider };
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview LLM Provider Base Class
+ * @description Common interface implemented by every model backend (Anthropic, OpenAI-compatible HTTP, local stub)
+ * @module LLMProvider
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+/**
+ * @class LLMProvider
+ * @description Base class for model providers. Requests and responses use the Anthropic
+ * Messages API shape ({ system, messages, tools, tool_choice } in, { content: [...], usage } out)
+ * so callers can stay provider-agnostic and read `response.content[0].text` as before.
+ * @property {string} name - Provider name from configuration
+ * @property {string} model - Default model used when a payload does not specify one
+ * @property {number} maxTokens - Default max_tokens used when a payload does not specify one
+ */
+class LLMProvider {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Provider settings
+   * @param {string} [options.name] - Provider name
+   * @param {string} [options.model] - Default model
+   * @param {number} [options.maxTokens=4000] - Default max_tokens
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+    this.model = options.model;
+    this.maxTokens = options.maxTokens || 4000;
+  }
+
+  /**
+   * @method createMessage
+   * @async
+   * @description Sends a single Messages API style request to the backend
+   * @param {Object} payload - Request payload (model and max_tokens are optional)
+   * @returns {Promise<Object>} Response in Anthropic Messages API shape
+   * @abstract
+   */
+  async createMessage(payload) {
+    throw new Error(`${this.constructor.name} does not implement createMessage`);
+  }
+
+  /**
+   * @method buildPayload
+   * @description Applies provider defaults (model, max_tokens) to a request payload
+   * @param {Object} payload - Request payload
+   * @returns {Object} Payload with defaults filled in
+   * @protected
+   */
+  buildPayload(payload) {
+    return {
+      ...payload,
+      model: payload.model || this.model,
+      max_tokens: payload.max_tokens || this.maxTokens
+    };
+  }
+
+  /**
+   * @method describe
+   * @description Returns a short description of the provider for logs and reports
+   * @returns {Object} Provider name, type and model
+   */
+  describe() {
+    return {
+      name: this.name,
+      type: this.constructor.name,
+      model: this.model
+    };
+  }
+
+  /**
+   * @static
+   * @method systemText
+   * @description Flattens a system prompt given as string or text blocks into a single string
+   * @param {string|Array<Object>} system - System prompt
+   * @returns {string} System prompt text
+   */
+  static systemText(system) {
+    if (!system) return '';
+    if (typeof system === 'string') return system;
+    return system
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+}
+
+module.exports = { LLMProvider };
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Local Stub Provider
+ * @description Offline, deterministic provider for tests and dry runs - never touches the network
+ * @module LocalStubProvider
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { LLMProvider } = require('./LLMProvider');
+
+/**
+ * @class LocalStubProvider
+ * @extends LLMProvider
+ * @description Returns scripted or canned responses. Responses can be given as an array
+ * (served in order, the last one repeating) or as a function of the request payload.
+ * When a request forces a tool call and the scripted response is plain text, a tool_use
+ * block is synthesized from the tool's input schema, taking values from the text where it
+ * mentions them (e.g. "Score: 8/10", "MERGE", "PREFERRED: SECOND").
+ * @property {Array<Object>} calls - Every payload received, for inspection in tests
+ */
+class LocalStubProvider extends LLMProvider {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Provider settings
+   * @param {Array<string|Object>|Function} [options.responses] - Scripted responses
+   * @param {string} [options.defaultText] - Text returned when no responses are scripted
+   */
+  constructor(options = {}) {
+    super({ name: 'local', model: 'local-stub', ...options });
+    this.responses = options.responses || null;
+    this.defaultText = options.defaultText ||
+      'Local stub response (offline mode).\nScore: 7/10';
+    this.calls = [];
+  }
+
+  /**
+   * @method createMessage
+   * @async
+   * @description Returns the next scripted response for the payload
+   * @param {Object} payload - Messages API payload
+   * @returns {Promise<Object>} Response in Anthropic Messages API shape
+   */
+  async createMessage(payload) {
+    const request = this.buildPayload(payload);
+    const index = this.calls.length;
+    this.calls.push(request);
+
+    let scripted;
+    if (typeof this.responses === 'function') {
+      scripted = await this.responses(request, index);
+    } else if (Array.isArray(this.responses) && this.responses.length > 0) {
+      scripted = this.responses[Math.min(index, this.responses.length - 1)];
+    }
+
+    if (scripted instanceof Error) {
+      throw scripted;
+    }
+
+    return this.toResponse(scripted === undefined || scripted === null ? this.defaultText : scripted, request, index);
+  }
+
+  /**
+   * @method toResponse
+   * @description Wraps scripted text or partial responses in the Messages API shape
+   * @param {string|Object} scripted - Text, content block array or partial response
+   * @param {Object} request - Request payload
+   * @param {number} index - Call index
+   * @returns {Object} Response in Anthropic Messages API shape
+   * @private
+   */
+  toResponse(scripted, request, index) {
+    let content;
+    const forcedTool = this.getForcedTool(request);
+    if (typeof scripted === 'string' && forcedTool) {
+      content = [{
+        type: 'tool_use',
+        id: `stub_tool_${index + 1}`,
+        name: forcedTool.name,
+        input: LocalStubProvider.sampleFromSchema(forcedTool.input_schema, scripted)
+      }];
+    } else if (typeof scripted === 'string') {
+      content = [{ type: 'text', text: scripted }];
+    } else if (Array.isArray(scripted)) {
+      content = scripted;
+    } else {
+      content = scripted.content || [{ type: 'text', text: '' }];
+    }
+
+    const outputText = content.map(c => c.text || JSON.stringify(c.input || '')).join('');
+    const inputChars = JSON.stringify(request.messages || []).length +
+      LLMProvider.systemText(request.system).length;
+    const overrides = typeof scripted === 'object' && !Array.isArray(scripted) ? scripted : {};
+
+    return {
+      id: `stub_${index + 1}`,
+      type: 'message',
+      role: 'assistant',
+      model: request.model,
+      stop_reason: content.some(c => c.type === 'tool_use') ? 'tool_use' : 'end_turn',
+      usage: {
+        input_tokens: Math.ceil(inputChars / 4),
+        output_tokens: Math.ceil(outputText.length / 4)
+      },
+      ...overrides,
+      content
+    };
+  }
+
+  /**
+   * @method getForcedTool
+   * @description Returns the tool a request forces via tool_choice, if any
+   * @param {Object} request - Request payload
+   * @returns {Object|null} Tool definition
+   * @private
+   */
+  getForcedTool(request) {
+    const choice = request.tool_choice;
+    if (!choice || choice.type !== 'tool' || !request.tools) {
+      return null;
+    }
+    return request.tools.find(tool => tool.name === choice.name) || null;
+  }
+
+  /**
+   * @static
+   * @method sampleFromSchema
+   * @description Builds a value that satisfies a JSON schema, using hints from text
+   * @param {Object} schema - JSON schema
+   * @param {string} text - Scripted response text used for hints
+   * @param {string} [name=''] - Property name of the value
+   * @param {number} [index] - Position when the value is (part of) an array item; enum values
+   *   inside array items are taken in order so e.g. every required criterion gets scored
+   * @returns {*} Generated value
+   */
+  static sampleFromSchema(schema, text, name = '', index) {
+    if (!schema) return null;
+
+    if (schema.enum && index !== undefined) {
+      return schema.enum[index % schema.enum.length];
+    }
+
+    if (schema.enum) {
+      const mentioned = schema.enum.find(v => typeof v === 'string' && new RegExp(`\\b${v}\\b`).test(text));
+      return mentioned !== undefined ? mentioned : schema.enum[0];
+    }
+
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+    switch (type) {
+      case 'object': {
+        const value = {};
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+          value[key] = LocalStubProvider.sampleFromSchema(child, text, key, index);
+        }
+        return value;
+      }
+      case 'array': {
+        const count = Math.max(schema.minItems || 0, 1);
+        return Array.from({ length: count }, (_, i) =>
+          LocalStubProvider.sampleFromSchema(schema.items || { type: 'string' }, text, `${name}[${i}]`, i));
+      }
+      case 'number':
+      case 'integer': {
+        const match = text.match(/score[:\s]+(\d+(?:\.\d+)?)/i);
+        let value = match ? parseFloat(match[1]) : 7;
+        if (schema.minimum !== undefined) value = Math.max(schema.minimum, value);
+        if (schema.maximum !== undefined) value = Math.min(schema.maximum, value);
+        return type === 'integer' ? Math.round(value) : value;
+      }
+      case 'boolean':
+        return new RegExp(`\\b${name}\\s*[:=]\\s*true\\b`, 'i').test(text);
+      case 'string':
+        return text || `stub ${name}`;
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = { LocalStubProvider };
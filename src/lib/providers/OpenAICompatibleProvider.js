@@ -0,0 +1,262 @@
+/**
+ * @fileoverview OpenAI-Compatible Provider
+ * @description Routes model calls to any OpenAI-compatible /chat/completions endpoint
+ * (OpenAI, Azure OpenAI proxies, vLLM, Ollama, LiteLLM, ...)
+ * @module OpenAICompatibleProvider
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { LLMProvider } = require('./LLMProvider');
+
+/**
+ * @class OpenAICompatibleProvider
+ * @extends LLMProvider
+ * @description Translates Anthropic-style payloads to chat completions requests and
+ * converts the responses back, including tool calls and token usage
+ * @property {string} baseURL - API base URL (without the /chat/completions suffix)
+ * @property {number} timeout - Request timeout in milliseconds
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Provider settings
+   * @param {string} [options.baseURL] - API base URL
+   * @param {string} [options.baseURLEnv] - Environment variable overriding the base URL
+   * @param {string} [options.apiKey] - API key (defaults to the apiKeyEnv variable)
+   * @param {string} [options.apiKeyEnv='OPENAI_API_KEY'] - Environment variable holding the API key
+   * @param {number} [options.timeout=60000] - Request timeout in milliseconds
+   * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+   */
+  constructor(options = {}) {
+    super({ name: 'openai', ...options });
+    const envBaseURL = options.baseURLEnv ? process.env[options.baseURLEnv] : undefined;
+    this.baseURL = (envBaseURL || options.baseURL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.apiKeyEnv = options.apiKeyEnv || 'OPENAI_API_KEY';
+    this.timeout = options.timeout || 60000;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * @method createMessage
+   * @async
+   * @description Sends the payload to the chat completions endpoint
+   * @param {Object} payload - Messages API payload
+   * @returns {Promise<Object>} Response in Anthropic Messages API shape
+   * @throws {Error} With `status` and `type` set for HTTP errors so retry logic can classify them
+   */
+  async createMessage(payload) {
+    const request = this.toChatRequest(this.buildPayload(payload));
+    const url = `${this.baseURL}/chat/completions`;
+    const apiKey = this.apiKey || process.env[this.apiKeyEnv];
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify(request),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const reason = error.name === 'AbortError'
+        ? `Timeout after ${this.timeout}ms`
+        : (error.cause && error.cause.code) || error.message;
+      throw new Error(`Network error calling ${url}: ${reason}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (parseError) {
+      data = { raw: text };
+    }
+
+    if (!response.ok) {
+      const apiError = data.error || {};
+      const error = new Error(apiError.message || `HTTP ${response.status} from ${url}`);
+      error.status = response.status;
+      error.type = apiError.type || apiError.code;
+      throw error;
+    }
+
+    return this.fromChatResponse(data);
+  }
+
+  /**
+   * @method toChatRequest
+   * @description Converts an Anthropic-style payload to a chat completions request body
+   * @param {Object} payload - Messages API payload with defaults applied
+   * @returns {Object} Chat completions request body
+   * @private
+   */
+  toChatRequest(payload) {
+    const messages = [];
+    const systemText = LLMProvider.systemText(payload.system);
+    if (systemText) {
+      messages.push({ role: 'system', content: systemText });
+    }
+
+    for (const message of payload.messages || []) {
+      messages.push(...this.toChatMessages(message));
+    }
+
+    const request = {
+      model: payload.model,
+      max_tokens: payload.max_tokens,
+      messages
+    };
+
+    if (payload.temperature !== undefined) {
+      request.temperature = payload.temperature;
+    }
+
+    if (payload.tools && payload.tools.length > 0) {
+      request.tools = payload.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.input_schema
+        }
+      }));
+
+      if (payload.tool_choice) {
+        if (payload.tool_choice.type === 'tool') {
+          request.tool_choice = { type: 'function', function: { name: payload.tool_choice.name } };
+        } else if (payload.tool_choice.type === 'any') {
+          request.tool_choice = 'required';
+        } else {
+          request.tool_choice = 'auto';
+        }
+      }
+    }
+
+    return request;
+  }
+
+  /**
+   * @method toChatMessages
+   * @description Converts one Anthropic-style message into one or more chat messages
+   * @param {Object} message - Message with string or block content
+   * @returns {Array<Object>} Chat completions messages
+   * @private
+   */
+  toChatMessages(message) {
+    if (typeof message.content === 'string') {
+      return [{ role: message.role, content: message.content }];
+    }
+
+    const blocks = message.content || [];
+
+    if (message.role === 'assistant') {
+      const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('\n');
+      const toolCalls = blocks
+        .filter(b => b.type === 'tool_use')
+        .map(b => ({
+          id: b.id,
+          type: 'function',
+          function: { name: b.name, arguments: JSON.stringify(b.input || {}) }
+        }));
+
+      const chatMessage = { role: 'assistant', content: text || null };
+      if (toolCalls.length > 0) {
+        chatMessage.tool_calls = toolCalls;
+      }
+      return [chatMessage];
+    }
+
+    const chatMessages = [];
+    const parts = [];
+
+    for (const block of blocks) {
+      if (block.type === 'tool_result') {
+        const content = typeof block.content === 'string'
+          ? block.content
+          : (block.content || []).filter(c => c.type === 'text').map(c => c.text).join('\n');
+        chatMessages.push({ role: 'tool', tool_call_id: block.tool_use_id, content });
+      } else if (block.type === 'text') {
+        parts.push({ type: 'text', text: block.text });
+      } else if (block.type === 'image' && block.source && block.source.type === 'base64') {
+        parts.push({
+          type: 'image_url',
+          image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` }
+        });
+      }
+    }
+
+    if (parts.length > 0) {
+      chatMessages.push({ role: message.role, content: parts });
+    }
+
+    return chatMessages;
+  }
+
+  /**
+   * @method fromChatResponse
+   * @description Converts a chat completions response to the Anthropic message shape
+   * @param {Object} data - Chat completions response body
+   * @returns {Object} Response in Anthropic Messages API shape
+   * @private
+   */
+  fromChatResponse(data) {
+    const choice = (data.choices && data.choices[0]) || {};
+    const message = choice.message || {};
+    const content = [];
+
+    if (message.content) {
+      content.push({ type: 'text', text: message.content });
+    }
+
+    for (const call of message.tool_calls || []) {
+      let input = {};
+      try {
+        input = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+      } catch (parseError) {
+        input = { _raw: call.function.arguments };
+      }
+      content.push({ type: 'tool_use', id: call.id, name: call.function.name, input });
+    }
+
+    if (content.length === 0) {
+      content.push({ type: 'text', text: '' });
+    }
+
+    const stopReasons = {
+      stop: 'end_turn',
+      length: 'max_tokens',
+      tool_calls: 'tool_use',
+      function_call: 'tool_use'
+    };
+
+    // Anthropic semantics: input_tokens excludes the cached part of the prompt
+    const usage = data.usage || {};
+    const cachedTokens = (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0;
+
+    return {
+      id: data.id,
+      type: 'message',
+      role: 'assistant',
+      model: data.model || this.model,
+      content,
+      stop_reason: stopReasons[choice.finish_reason] || choice.finish_reason || 'end_turn',
+      usage: {
+        input_tokens: Math.max(0, (usage.prompt_tokens || 0) - cachedTokens),
+        output_tokens: usage.completion_tokens || 0,
+        cache_read_input_tokens: cachedTokens
+      }
+    };
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Provider Factory
+ * @description Resolves provider configuration (options, environment, config/providers.json)
+ * and instantiates the matching LLM provider
+ * @module ProviderFactory
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const fsSync = require('fs');
+const { LLMProvider } = require('./LLMProvider');
+const { AnthropicProvider } = require('./AnthropicProvider');
+const { OpenAICompatibleProvider } = require('./OpenAICompatibleProvider');
+const { LocalStubProvider } = require('./LocalStubProvider');
+const { RecordReplayProvider } = require('./RecordReplayProvider');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', '..', 'config', 'providers.json');
+
+/**
+ * Provider classes keyed by the `type` field in config/providers.json
+ * @const {Object<string, Function>}
+ */
+const PROVIDER_TYPES = {
+  'anthropic': AnthropicProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  'local': LocalStubProvider
+};
+
+/**
+ * @function loadProviderConfig
+ * @description Loads provider configuration, falling back to the built-in providers
+ * (anthropic, openai, local) with a warning when the config file is missing or unreadable
+ * @param {string} [configPath] - Path to providers.json
+ * @returns {Object} Provider configuration
+ */
+function loadProviderConfig(configPath = DEFAULT_CONFIG_PATH) {
+  try {
+    return JSON.parse(fsSync.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.warn(`Could not read provider config ${configPath} (${error.message}); using the built-in providers`);
+    return {
+      default: 'anthropic',
+      providers: {
+        anthropic: { type: 'anthropic', model: 'claude-sonnet-4-20250514', apiKeyEnv: 'ANTHROPIC_API_KEY' },
+        openai: {
+          type: 'openai-compatible',
+          model: 'gpt-4o',
+          baseURL: 'https://api.openai.com/v1',
+          baseURLEnv: 'OPENAI_BASE_URL',
+          apiKeyEnv: 'OPENAI_API_KEY'
+        },
+        local: { type: 'local', model: 'local-stub' }
+      },
+      environment: {
+        provider: 'PROMPT_EXPERT_PROVIDER',
+        model: 'PROMPT_EXPERT_MODEL',
+        cassette: 'PROMPT_EXPERT_CASSETTE',
+        recordMode: 'PROMPT_EXPERT_RECORD_MODE'
+      }
+    };
+  }
+}
+
+/**
+ * @function resolveProviderSettings
+ * @description Determines which provider and model to use.
+ * Precedence: explicit options > environment variables > config default.
+ * @param {Object} [options={}] - Overrides
+ * @param {string} [options.providerName] - Provider name from config
+ * @param {string} [options.model] - Model override
+ * @param {Object} [options.config] - Preloaded configuration
+ * @returns {Object} Settings with `name`, `type` and provider options
+ * @throws {Error} When the provider name or type is unknown
+ */
+function resolveProviderSettings(options = {}) {
+  const config = options.config || loadProviderConfig(options.configPath);
+  const env = config.environment || {};
+
+  const name = options.providerName ||
+    (env.provider && process.env[env.provider]) ||
+    config.default ||
+    'anthropic';
+
+  const settings = (config.providers || {})[name];
+  if (!settings) {
+    const known = Object.keys(config.providers || {}).join(', ');
+    throw new Error(`Unknown LLM provider "${name}". Configured providers: ${known}`);
+  }
+
+  if (!PROVIDER_TYPES[settings.type]) {
+    throw new Error(`Provider "${name}" has unsupported type "${settings.type}"`);
+  }
+
+  const model = options.model ||
+    (env.model && process.env[env.model]) ||
+    settings.model;
+
+  const { _comment, ...providerOptions } = settings;
+  return { ...providerOptions, name, model };
+}
+
+/**
+ * @function resolveCassetteSettings
+ * @description Determines whether model calls should be recorded or replayed.
+ * Precedence: explicit options > environment variables.
+ * @param {Object} [options={}] - Overrides
+ * @param {string} [options.cassette] - Cassette file path
+ * @param {string} [options.recordMode] - record, replay or auto
+ * @param {Object} [options.config] - Preloaded configuration
+ * @returns {Object|null} `{ cassettePath, mode }` or null when recording is disabled
+ */
+function resolveCassetteSettings(options = {}) {
+  const config = options.config || loadProviderConfig(options.configPath);
+  const env = config.environment || {};
+
+  const cassettePath = options.cassette || (env.cassette && process.env[env.cassette]);
+  if (!cassettePath) {
+    return null;
+  }
+
+  const mode = options.recordMode ||
+    (env.recordMode && process.env[env.recordMode]) ||
+    'auto';
+
+  return { cassettePath, mode };
+}
+
+/**
+ * @function requiredApiKeyEnv
+ * @description Returns the environment variable holding the API key the resolved
+ * provider needs, or null when no key is required (local stub, pure replay)
+ * @param {Object} [options={}] - Same overrides as createProvider
+ * @returns {string|null} Environment variable name
+ */
+function requiredApiKeyEnv(options = {}) {
+  const cassette = resolveCassetteSettings(options);
+  if (cassette && cassette.mode === 'replay') {
+    return null;
+  }
+  return resolveProviderSettings(options).apiKeyEnv || null;
+}
+
+/**
+ * @function createProvider
+ * @description Creates the configured LLM provider
+ * @param {Object} [options={}] - Factory options
+ * @param {LLMProvider} [options.provider] - Ready-made provider, returned unchanged
+ * @param {Anthropic} [options.anthropic] - Existing Anthropic client (used by the anthropic provider)
+ * @param {string} [options.providerName] - Provider name from config
+ * @param {string} [options.model] - Model override
+ * @param {string} [options.cassette] - Record/replay cassette path
+ * @param {string} [options.recordMode] - record, replay or auto
+ * @returns {LLMProvider} Provider instance (wrapped in a RecordReplayProvider when a cassette is set)
+ */
+function createProvider(options = {}) {
+  if (options.provider instanceof LLMProvider) {
+    return options.provider;
+  }
+
+  const settings = resolveProviderSettings(options);
+  const ProviderClass = PROVIDER_TYPES[settings.type];
+
+  if (settings.type === 'anthropic' && options.anthropic) {
+    settings.client = options.anthropic;
+  }
+
+  const provider = new ProviderClass(settings);
+
+  const cassette = resolveCassetteSettings(options);
+  if (cassette) {
+    return new RecordReplayProvider({ provider, ...cassette });
+  }
+
+  return provider;
+}
+
+module.exports = {
+  createProvider,
+  loadProviderConfig,
+  resolveProviderSettings,
+  resolveCassetteSettings,
+  requiredApiKeyEnv,
+  PROVIDER_TYPES
+};
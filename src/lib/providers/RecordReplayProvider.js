@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Record/Replay Provider
+ * @description Cassette-style wrapper that records every model request/response pair to disk
+ * and serves them back on later runs, making evaluations reproducible without network access
+ * @module RecordReplayProvider
+ * @requires crypto
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fsSync = require('fs');
+const { LLMProvider } = require('./LLMProvider');
+
+const CASSETTE_VERSION = 1;
+
+/**
+ * Supported cassette modes
+ * - record: call the wrapped provider and store every response (overwrites existing entries)
+ * - replay: serve stored responses only; a missing entry is an error
+ * - auto:   replay when an entry exists, otherwise call the wrapped provider and record it
+ * @const {Array<string>}
+ */
+const MODES = ['record', 'replay', 'auto'];
+
+/**
+ * Cassette state shared by every wrapper pointing at the same file, so that ABTestTool and
+ * ExpertEvaluationIntegration instances created separately in one process neither overwrite
+ * each other's recordings nor replay the same slot twice
+ * @type {Map<string, Object>}
+ */
+const cassetteStates = new Map();
+
+/**
+ * @class RecordReplayProvider
+ * @extends LLMProvider
+ * @description Wraps another provider. Requests are keyed by a SHA-256 hash of the canonical
+ * JSON of model, system, messages and tools. Identical requests made several times in one run
+ * are stored as an ordered list and replayed in the same order.
+ * Wrappers that share a cassette path within a process share its state.
+ * @property {LLMProvider} inner - Wrapped provider
+ * @property {string} cassettePath - Cassette file path
+ * @property {string} mode - One of record, replay, auto
+ */
+class RecordReplayProvider extends LLMProvider {
+  /**
+   * @constructor
+   * @param {Object} options - Wrapper settings
+   * @param {LLMProvider} options.provider - Provider to wrap
+   * @param {string} options.cassettePath - Cassette file path
+   * @param {string} [options.mode='auto'] - record, replay or auto
+   * @throws {Error} If the mode is unknown or the cassette path is missing
+   */
+  constructor(options = {}) {
+    const inner = options.provider;
+    super({ name: inner ? inner.name : 'replay', model: inner && inner.model, maxTokens: inner && inner.maxTokens });
+
+    if (!options.cassettePath) {
+      throw new Error('RecordReplayProvider requires a cassettePath');
+    }
+
+    this.mode = options.mode || 'auto';
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown record mode "${this.mode}". Expected one of: ${MODES.join(', ')}`);
+    }
+
+    this.inner = inner;
+    this.cassettePath = path.resolve(options.cassettePath);
+
+    if (!cassetteStates.has(this.cassettePath)) {
+      cassetteStates.set(this.cassettePath, {
+        cassette: this.loadCassette(),
+        callCounts: new Map(),
+        recorded: new Set()
+      });
+    }
+    this.state = cassetteStates.get(this.cassettePath);
+  }
+
+  /**
+   * @method createMessage
+   * @async
+   * @description Serves the request from the cassette or forwards it to the wrapped provider
+   * @param {Object} payload - Messages API payload
+   * @returns {Promise<Object>} Recorded or live response
+   * @throws {Error} With code CASSETTE_MISS when replaying a request that was never recorded
+   */
+  async createMessage(payload) {
+    const request = this.buildPayload(payload);
+    const key = RecordReplayProvider.requestKey(request);
+
+    // Reserve the slot before any await so concurrent calls stay in a deterministic order
+    const index = this.state.callCounts.get(key) || 0;
+    this.state.callCounts.set(key, index + 1);
+
+    const entries = this.state.cassette.interactions[key] || [];
+
+    if (this.mode !== 'record' && entries[index]) {
+      return JSON.parse(JSON.stringify(entries[index].response));
+    }
+
+    if (this.mode === 'replay') {
+      const error = new Error(
+        `No recorded response for request ${key.slice(0, 12)} (call #${index + 1}) in ${this.cassettePath}. ` +
+        'Re-run with PROMPT_EXPERT_RECORD_MODE=record to refresh the cassette.'
+      );
+      error.code = 'CASSETTE_MISS';
+      throw error;
+    }
+
+    const response = await this.inner.createMessage(payload);
+    this.record(key, index, request, response);
+    return response;
+  }
+
+  /**
+   * @method record
+   * @description Stores a response at its slot and persists the cassette
+   * @param {string} key - Request hash
+   * @param {number} index - Call index for this hash
+   * @param {Object} request - Request payload with defaults applied
+   * @param {Object} response - Provider response
+   * @private
+   */
+  record(key, index, request, response) {
+    // First write for a key in record mode replaces stale entries from earlier runs
+    const { cassette, recorded } = this.state;
+    if (this.mode === 'record' && !recorded.has(key)) {
+      recorded.add(key);
+      cassette.interactions[key] = [];
+    }
+
+    const entries = cassette.interactions[key] || (cassette.interactions[key] = []);
+    entries[index] = {
+      request: RecordReplayProvider.keyFields(request),
+      response
+    };
+
+    this.saveCassette();
+  }
+
+  /**
+   * @method loadCassette
+   * @description Reads the cassette file, returning an empty cassette if it does not exist
+   * @returns {Object} Cassette contents
+   * @throws {Error} If the file exists but is not a valid cassette
+   * @private
+   */
+  loadCassette() {
+    if (!fsSync.existsSync(this.cassettePath)) {
+      return { version: CASSETTE_VERSION, interactions: {} };
+    }
+
+    const cassette = JSON.parse(fsSync.readFileSync(this.cassettePath, 'utf8'));
+    if (!cassette || typeof cassette.interactions !== 'object') {
+      throw new Error(`Invalid cassette file: ${this.cassettePath}`);
+    }
+    return cassette;
+  }
+
+  /**
+   * @method saveCassette
+   * @description Writes the cassette with stable key order so diffs stay reviewable
+   * @private
+   */
+  saveCassette() {
+    fsSync.mkdirSync(path.dirname(this.cassettePath), { recursive: true });
+    const { interactions } = this.state.cassette;
+    const sorted = {};
+    for (const key of Object.keys(interactions).sort()) {
+      sorted[key] = interactions[key];
+    }
+    const data = { version: CASSETTE_VERSION, interactions: sorted };
+    fsSync.writeFileSync(this.cassettePath, JSON.stringify(data, null, 2) + '\n');
+  }
+
+  /**
+   * @method describe
+   * @description Describes the wrapped provider plus cassette settings
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return {
+      ...(this.inner ? this.inner.describe() : super.describe()),
+      cassette: this.cassettePath,
+      recordMode: this.mode
+    };
+  }
+
+  /**
+   * @static
+   * @method clearCache
+   * @description Forgets all in-memory cassette state (call counters and loaded files)
+   */
+  static clearCache() {
+    cassetteStates.clear();
+  }
+
+  /**
+   * @static
+   * @method keyFields
+   * @description Extracts the fields that identify a request
+   * @param {Object} request - Request payload
+   * @returns {Object} model, system, messages and tools
+   */
+  static keyFields(request) {
+    return {
+      model: request.model || null,
+      system: request.system || null,
+      messages: request.messages || [],
+      tools: request.tools || null
+    };
+  }
+
+  /**
+   * @static
+   * @method requestKey
+   * @description Hashes the identifying fields of a request
+   * @param {Object} request - Request payload
+   * @returns {string} Hex SHA-256 digest
+   */
+  static requestKey(request) {
+    const canonical = RecordReplayProvider.canonicalize(RecordReplayProvider.keyFields(request));
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  /**
+   * @static
+   * @method canonicalize
+   * @description JSON serialization with sorted object keys
+   * @param {*} value - Value to serialize
+   * @returns {string} Canonical JSON
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(v => RecordReplayProvider.canonicalize(v === undefined ? null : v)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+      return `{${keys.map(k => `${JSON.stringify(k)}:${RecordReplayProvider.canonicalize(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
+
+module.exports = { RecordReplayProvider, MODES };
@@ -0,0 +1,720 @@
+/**
+ * @fileoverview Report Writer
+ * @description Serializes A/B test and PR evaluation results to report artifacts: JSON,
+ * JUnit XML for CI test dashboards, Markdown and a self-contained HTML page
+ * @module ReportWriter
+ * @requires ../abtest/ABTestTool
+ * @requires ../usage/UsageTracker
+ * @requires fs/promises
+ * @requires path
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { ABTestTool } = require('../abtest/ABTestTool');
+const { UsageTracker } = require('../usage/UsageTracker');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Supported formats and their file extensions
+ * @const {Object<string, string>}
+ */
+const REPORT_FORMATS = {
+  json: 'json',
+  junit: 'xml',
+  markdown: 'md',
+  html: 'html'
+};
+
+/**
+ * Environment variable naming the directory the GitHub session writes reports to
+ * @const {string}
+ */
+const REPORT_DIR_ENV = 'PROMPT_EXPERT_REPORT_DIR';
+
+/**
+ * @class ReportWriter
+ * @description Renders results of `ABTestTool.executeABTest` and of the
+ * `evaluate_prompt_changes` / `get_expert_feedback` evaluation tools. Both are first
+ * normalized to one report model:
+ * - `type`: 'abtest' or 'evaluation'
+ * - `status`: 'pass', 'fail' or 'error' (fail means REJECT)
+ * - `sections`: one per evaluation thread, test case or file scenario, each with a status,
+ *   per-criterion scores and the baseline/variant texts shown side by side
+ * - `timings` and `usage` (tokens, estimated cost, per-scope breakdown) copied from the result metrics
+ *
+ * The JSON format keeps the full raw result next to the report header.
+ */
+class ReportWriter {
+  /**
+   * @static
+   * @method render
+   * @description Renders a result in one format
+   * @param {Object} result - A/B test or evaluation result
+   * @param {string} format - One of REPORT_FORMATS
+   * @param {Date} [generatedAt=new Date()] - Report timestamp
+   * @returns {string} Report text
+   * @throws {Error} When the format is unknown
+   */
+  static render(result, format, generatedAt = new Date()) {
+    const report = ReportWriter.normalize(result, generatedAt);
+    switch (format) {
+      case 'json':
+        return ReportWriter.toJson(report, result);
+      case 'junit':
+        return ReportWriter.toJUnit(report);
+      case 'markdown':
+        return ReportWriter.toMarkdown(report);
+      case 'html':
+        return ReportWriter.toHtml(report);
+      default:
+        throw new Error(`Unknown report format "${format}". Available formats: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+  }
+
+  /**
+   * @static
+   * @method write
+   * @async
+   * @description Writes a result in several formats
+   * @param {Object} result - A/B test or evaluation result
+   * @param {Object} options - Output options
+   * @param {string} options.outputDir - Directory (created when missing)
+   * @param {Array<string>} [options.formats] - Formats to write (default: all)
+   * @param {string} [options.baseName] - File name without extension (default: type and timestamp)
+   * @returns {Promise<Array<string>>} Paths of the written files
+   */
+  static async write(result, options) {
+    const formats = options.formats || Object.keys(REPORT_FORMATS);
+    for (const format of formats) {
+      if (!REPORT_FORMATS[format]) {
+        throw new Error(`Unknown report format "${format}". Available formats: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+      }
+    }
+
+    const generatedAt = new Date();
+    const baseName = options.baseName ||
+      `${ReportWriter.detectType(result)}-${generatedAt.toISOString().replace(/[:.]/g, '-')}`;
+    await fs.mkdir(options.outputDir, { recursive: true });
+
+    const written = [];
+    for (const format of formats) {
+      const file = path.join(options.outputDir, `${baseName}.${REPORT_FORMATS[format]}`);
+      await fs.writeFile(file, ReportWriter.render(result, format, generatedAt), 'utf8');
+      written.push(file);
+    }
+    return written;
+  }
+
+  /**
+   * @static
+   * @method detectType
+   * @param {Object} result - A/B test or evaluation result
+   * @returns {string} 'abtest' or 'evaluation'
+   */
+  static detectType(result) {
+    return result.testConfiguration || result.verdict || result.missingFiles ? 'abtest' : 'evaluation';
+  }
+
+  /**
+   * @static
+   * @method normalize
+   * @description Converts a raw result into the report model
+   * @param {Object} result - A/B test or evaluation result
+   * @param {Date} [generatedAt=new Date()] - Report timestamp
+   * @returns {Object} Report model
+   */
+  static normalize(result, generatedAt = new Date()) {
+    return ReportWriter.detectType(result) === 'abtest'
+      ? ReportWriter.normalizeABTest(result, generatedAt)
+      : ReportWriter.normalizeEvaluation(result, generatedAt);
+  }
+
+  /**
+   * @static
+   * @method normalizeABTest
+   * @param {Object} result - executeABTest result
+   * @param {Date} generatedAt - Report timestamp
+   * @returns {Object} Report model
+   * @private
+   */
+  static normalizeABTest(result, generatedAt) {
+    const metrics = result.metrics || {};
+    const base = {
+      type: 'abtest',
+      generatedAt: generatedAt.toISOString(),
+      timings: ReportWriter.pickTimings(metrics),
+      usage: metrics.usage || null
+    };
+
+    if (!result.success) {
+      return {
+        ...base,
+        title: 'A/B Test',
+        status: 'error',
+        decision: 'ERROR',
+        summary: result.error || 'A/B test failed',
+        sections: (result.missingFiles || []).map(file => ({
+          name: `${file.type}: ${file.file}`,
+          status: 'error',
+          message: `Not accessible (HTTP ${file.status})`,
+          criteria: [],
+          notes: []
+        }))
+      };
+    }
+
+    const { testConfiguration, evaluations, verdict } = result;
+    const labelA = `A: ${ReportWriter.formatPath(testConfiguration.promptA)}`;
+    const labelB = `B: ${ReportWriter.formatPath(testConfiguration.promptB)}`;
+    const action = ABTestTool.interpretResults(result);
+    const prompts = result.prompts || {};
+
+    const sections = [{
+      name: 'Verdict',
+      status: action.action === 'REJECT' ? 'fail' : 'pass',
+      decision: action.action,
+      message: action.message,
+      criteria: ReportWriter.pairCriteria(evaluations.promptA.criteria, evaluations.promptB.criteria),
+      notes: [verdict.reasoning, verdict.note, ...(verdict.risks || []).map(risk => `Risk: ${risk}`)].filter(Boolean)
+    }];
+
+    if (prompts.promptA && prompts.promptB) {
+      sections.push({
+        name: 'Prompts',
+        status: 'info',
+        criteria: [],
+        notes: [],
+        responses: {
+          baseline: { label: labelA, text: prompts.promptA.content },
+          variant: { label: labelB, text: prompts.promptB.content }
+        }
+      });
+    }
+
+    if (result.changes) {
+      sections.push({
+        name: 'Changes',
+        status: 'info',
+        message: result.changes.summary,
+        criteria: [],
+        notes: [],
+        diff: result.changes.unified
+      });
+    }
+
+    evaluations.promptA.threads.forEach((threadA, index) => {
+      const threadB = evaluations.promptB.threads[index] || {};
+      sections.push({
+        name: `Thread: ${threadA.type}`,
+        status: 'info',
+        score: threadB.score,
+        message: `A ${ReportWriter.formatScore(threadA.score)} / B ${ReportWriter.formatScore(threadB.score)}`,
+        criteria: ReportWriter.pairCriteria(threadA.criteria, threadB.criteria),
+        notes: (threadB.redFlags || []).map(flag => `Red flag (B): ${flag}`),
+        responses: {
+          baseline: { label: labelA, text: threadA.evaluation || '' },
+          variant: { label: labelB, text: threadB.evaluation || '' }
+        }
+      });
+    });
+
+    // Test suite cases become individual test cases, paired by id
+    const casesA = new Map(((evaluations.promptA.testResults || {}).cases || []).map(c => [c.id, c]));
+    for (const caseB of (evaluations.promptB.testResults || {}).cases || []) {
+      const caseA = casesA.get(caseB.id);
+      sections.push({
+        name: `Test case: ${caseB.id}`,
+        status: caseB.error ? 'error' : (caseB.passed ? 'pass' : 'fail'),
+        message: caseB.error || caseB.checks.filter(check => !check.passed).map(check => check.detail || check.type).join('; '),
+        criteria: [],
+        notes: caseB.description ? [caseB.description] : [],
+        responses: {
+          baseline: { label: `${labelA}${caseA ? (caseA.passed ? ' (pass)' : ' (fail)') : ''}`, text: caseA ? caseA.output : '' },
+          variant: { label: `${labelB}${caseB.passed ? ' (pass)' : ' (fail)'}`, text: caseB.output }
+        }
+      });
+    }
+
+    return {
+      ...base,
+      title: `A/B Test: ${ReportWriter.formatPath(testConfiguration.promptA)} vs ${ReportWriter.formatPath(testConfiguration.promptB)}`,
+      status: sections[0].status,
+      decision: action.action,
+      summary: result.summary,
+      expert: ReportWriter.formatPath(testConfiguration.expert),
+      scores: { baseline: evaluations.promptA.aggregateScore, variant: evaluations.promptB.aggregateScore },
+      sections
+    };
+  }
+
+  /**
+   * @static
+   * @method normalizeEvaluation
+   * @param {Object} result - evaluate_prompt_changes or get_expert_feedback result
+   * @param {Date} generatedAt - Report timestamp
+   * @returns {Object} Report model
+   * @private
+   */
+  static normalizeEvaluation(result, generatedAt) {
+    const metrics = result.metrics || {};
+    const results = result.results || result.detailed_results || [];
+    const base = {
+      type: 'evaluation',
+      generatedAt: generatedAt.toISOString(),
+      timings: ReportWriter.pickTimings(metrics),
+      usage: metrics.usage || null
+    };
+
+    if (result.error) {
+      return { ...base, title: 'Prompt Evaluation', status: 'error', decision: 'ERROR', summary: result.error, sections: [] };
+    }
+
+    const sections = [];
+    for (const entry of results) {
+      if (!entry.evaluation) {
+        sections.push({ name: entry.file, status: 'error', message: entry.error, criteria: [], notes: [] });
+        continue;
+      }
+
+      for (const scenario of entry.evaluation.scenarios || [entry.evaluation]) {
+        sections.push({
+          name: scenario.id ? `${entry.file} [${scenario.id}]` : entry.file,
+          file: entry.file,
+          status: scenario.decision === 'REJECT' ? 'fail' : 'pass',
+          decision: scenario.decision,
+          score: scenario.score,
+          message: (scenario.improvements || []).join('; '),
+          criteria: ReportWriter.pairCriteria(null, scenario.criteria),
+          notes: [
+            scenario.scenario ? `Scenario: ${scenario.scenario}` : null,
+            ...(scenario.redFlags || []).map(flag => `Red flag: ${flag}`)
+          ].filter(Boolean),
+          analysis: scenario.expertAnalysis,
+          responses: scenario.threadA !== undefined ? {
+            baseline: { label: 'Current prompt', text: scenario.threadA },
+            variant: { label: 'Proposed prompt', text: scenario.threadB }
+          } : undefined
+        });
+      }
+    }
+
+    const decisions = results.map(r => r.evaluation && r.evaluation.decision).filter(Boolean);
+    const decision = result.overall_decision ||
+      ['REJECT', 'SUGGEST', 'MERGE'].find(d => decisions.includes(d)) || 'UNKNOWN';
+
+    return {
+      ...base,
+      title: `Prompt Evaluation${result.domain || (results[0] && results[0].domain) ? `: ${result.domain || results[0].domain} expert` : ''}`,
+      status: sections.some(s => s.status === 'error') ? 'error' : (decision === 'REJECT' ? 'fail' : 'pass'),
+      decision,
+      summary: result.summary || `${results.length} file(s) evaluated`,
+      sections
+    };
+  }
+
+  /**
+   * @static
+   * @method toJson
+   * @param {Object} report - Report model
+   * @param {Object} result - Raw result
+   * @returns {string} JSON with the report header and the full result
+   */
+  static toJson(report, result) {
+    return `${JSON.stringify({
+      type: report.type,
+      title: report.title,
+      generatedAt: report.generatedAt,
+      status: report.status,
+      decision: report.decision,
+      timings: report.timings,
+      usage: report.usage,
+      result
+    }, null, 2)}\n`;
+  }
+
+  /**
+   * @static
+   * @method toJUnit
+   * @description One testsuite per report; informational sections (threads, prompts) are
+   * attached as system-out instead of test cases
+   * @param {Object} report - Report model
+   * @returns {string} JUnit XML
+   */
+  static toJUnit(report) {
+    const cases = report.sections.filter(section => section.status !== 'info');
+    const failures = cases.filter(section => section.status === 'fail').length;
+    const errors = cases.filter(section => section.status === 'error').length;
+    const seconds = ((report.timings.totalTime || 0) / 1000).toFixed(3);
+    const x = ReportWriter.escapeXml;
+
+    const testcases = cases.map(section => {
+      const open = `    <testcase classname="prompt-expert.${report.type}" name="${x(section.name)}">`;
+      const body = [];
+      if (section.status === 'fail') {
+        body.push(`      <failure message="${x(section.decision || 'FAIL')}">${x(section.message || '')}</failure>`);
+      } else if (section.status === 'error') {
+        body.push(`      <error message="${x(section.message || 'error')}"/>`);
+      }
+      const detail = ReportWriter.sectionText(section);
+      if (detail) {
+        body.push(`      <system-out>${x(detail)}</system-out>`);
+      }
+      return [open, ...body, '    </testcase>'].join('\n');
+    });
+
+    const info = report.sections
+      .filter(section => section.status === 'info')
+      .map(ReportWriter.sectionText)
+      .join('\n\n');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="prompt-expert" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${seconds}">`,
+      `  <testsuite name="${x(report.title)}" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${seconds}" timestamp="${report.generatedAt}">`,
+      '    <properties>',
+      `      <property name="decision" value="${x(report.decision)}"/>`,
+      ...(report.usage ? [
+        `      <property name="usage.requests" value="${report.usage.requests}"/>`,
+        `      <property name="usage.inputTokens" value="${report.usage.inputTokens}"/>`,
+        `      <property name="usage.outputTokens" value="${report.usage.outputTokens}"/>`,
+        `      <property name="usage.cacheReadInputTokens" value="${report.usage.cacheReadInputTokens || 0}"/>`,
+        `      <property name="usage.cacheCreationInputTokens" value="${report.usage.cacheCreationInputTokens || 0}"/>`,
+        ...(report.usage.cost !== null && report.usage.cost !== undefined
+          ? [
+            `      <property name="usage.cost" value="${report.usage.cost.toFixed(6)}"/>`,
+            `      <property name="usage.currency" value="${x(report.usage.currency || 'USD')}"/>`
+          ]
+          : [])
+      ] : []),
+      '    </properties>',
+      ...testcases,
+      ...(info ? [`    <system-out>${x(info)}</system-out>`] : []),
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * @static
+   * @method toMarkdown
+   * @param {Object} report - Report model
+   * @returns {string} Standalone Markdown document
+   */
+  static toMarkdown(report) {
+    const lines = [
+      `# ${report.title}`,
+      '',
+      `**Decision:** ${report.decision} (${report.status})`,
+      ''
+    ];
+    if (report.expert) lines.push(`**Expert:** ${report.expert}`, '');
+    if (report.scores) {
+      lines.push(`**Scores:** A ${ReportWriter.formatScore(report.scores.baseline)} / B ${ReportWriter.formatScore(report.scores.variant)}`, '');
+    }
+    lines.push(report.summary || '', '', ...ReportWriter.metricsLines(report), '');
+
+    const usageRows = ReportWriter.usageRows(report);
+    if (usageRows.length > 0) {
+      lines.push('| Scope | Requests | Input | Output | Cache read | Cache write | Cost |', '|-------|----------|-------|--------|------------|-------------|------|');
+      lines.push(...usageRows.map(row => `| ${row.join(' | ')} |`), '');
+    }
+
+    for (const section of report.sections) {
+      lines.push(`## ${section.name}`, '');
+      if (section.status !== 'info') {
+        lines.push(`**Status:** ${section.status}${section.decision ? ` (${section.decision})` : ''}${section.score !== undefined && section.score !== null ? ` | **Score:** ${ReportWriter.formatScore(section.score)}` : ''}`, '');
+      }
+      if (section.message) lines.push(section.message, '');
+
+      if (section.criteria.length > 0) {
+        lines.push('| Criterion | Weight | A | B |', '|-----------|--------|---|---|');
+        for (const c of section.criteria) {
+          lines.push(`| ${c.name} | ${ReportWriter.formatWeight(c.weight)} | ${ReportWriter.formatScore(c.baseline)} | ${ReportWriter.formatScore(c.variant)} |`);
+        }
+        lines.push('');
+      }
+
+      for (const note of section.notes) lines.push(`- ${note}`);
+      if (section.notes.length > 0) lines.push('');
+
+      if (section.analysis) lines.push(section.analysis, '');
+      if (section.diff) lines.push('````diff', section.diff, '````', '');
+
+      if (section.responses) {
+        for (const side of ['baseline', 'variant']) {
+          const response = section.responses[side];
+          lines.push(`<details><summary>${response.label}</summary>`, '', '````', response.text || '', '````', '', '</details>', '');
+        }
+      }
+    }
+
+    return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+  }
+
+  /**
+   * @static
+   * @method toHtml
+   * @description Self-contained page (inline CSS, no scripts) with baseline and variant
+   * responses in two columns
+   * @param {Object} report - Report model
+   * @returns {string} HTML document
+   */
+  static toHtml(report) {
+    const h = ReportWriter.escapeHtml;
+
+    const sections = report.sections.map(section => {
+      const criteria = section.criteria.length > 0 ? `
+      <table>
+        <tr><th>Criterion</th><th>Weight</th><th>A</th><th>B</th></tr>
+        ${section.criteria.map(c => `<tr><td>${h(c.name)}</td><td>${ReportWriter.formatWeight(c.weight)}</td><td>${ReportWriter.formatScore(c.baseline)}</td><td>${ReportWriter.formatScore(c.variant)}</td></tr>`).join('\n        ')}
+      </table>` : '';
+
+      const notes = section.notes.length > 0
+        ? `<ul>${section.notes.map(note => `<li>${h(note)}</li>`).join('')}</ul>`
+        : '';
+
+      const diff = section.diff
+        ? `<pre class="diff">${section.diff.split('\n').map(line => {
+          const kind = { '+': 'add', '-': 'del', '@': 'hunk' }[line[0]];
+          return kind && !/^(\+\+\+|---) /.test(line) ? `<span class="${kind}">${h(line)}</span>` : h(line);
+        }).join('\n')}</pre>`
+        : '';
+
+      const responses = section.responses ? `
+      <div class="side-by-side">
+        <div><h4>${h(section.responses.baseline.label)}</h4><pre>${h(section.responses.baseline.text || '')}</pre></div>
+        <div><h4>${h(section.responses.variant.label)}</h4><pre>${h(section.responses.variant.text || '')}</pre></div>
+      </div>` : '';
+
+      return `
+    <section class="${section.status}">
+      <h2>${h(section.name)}${section.status !== 'info' ? ` <span class="badge">${h(section.decision || section.status)}</span>` : ''}</h2>
+      ${section.score !== undefined && section.score !== null && section.status !== 'info' ? `<p>Score: ${ReportWriter.formatScore(section.score)}</p>` : ''}
+      ${section.message ? `<p>${h(section.message)}</p>` : ''}${criteria}
+      ${notes}
+      ${section.analysis ? `<pre class="analysis">${h(section.analysis)}</pre>` : ''}${diff}${responses}
+    </section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${h(report.title)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+    header { border-bottom: 1px solid #d0d7de; margin-bottom: 1rem; }
+    section { border-left: 4px solid #d0d7de; padding: 0 1rem; margin: 1.5rem 0; }
+    section.pass { border-color: #1a7f37; }
+    section.fail { border-color: #cf222e; }
+    section.error { border-color: #9a6700; }
+    .badge { font-size: 0.7em; padding: 0.1em 0.5em; border-radius: 1em; background: #eaeef2; }
+    table { border-collapse: collapse; margin: 0.5rem 0; }
+    th, td { border: 1px solid #d0d7de; padding: 0.25rem 0.75rem; text-align: left; }
+    .side-by-side { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+    pre { white-space: pre-wrap; word-break: break-word; background: #f6f8fa; padding: 0.75rem; max-height: 40rem; overflow: auto; }
+    .diff .add { background: #dafbe1; }
+    .diff .del { background: #ffebe9; }
+    .diff .hunk { color: #8250df; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${h(report.title)}</h1>
+    <p><strong>Decision:</strong> ${h(report.decision)} (${h(report.status)})</p>
+    ${report.expert ? `<p><strong>Expert:</strong> ${h(report.expert)}</p>` : ''}
+    ${report.scores ? `<p><strong>Scores:</strong> A ${ReportWriter.formatScore(report.scores.baseline)} / B ${ReportWriter.formatScore(report.scores.variant)}</p>` : ''}
+    <pre>${h(report.summary || '')}</pre>
+    <p>${ReportWriter.metricsLines(report).map(h).join('<br>')}</p>${ReportWriter.usageRows(report).length > 0 ? `
+    <table>
+      <tr><th>Scope</th><th>Requests</th><th>Input</th><th>Output</th><th>Cache read</th><th>Cache write</th><th>Cost</th></tr>
+      ${ReportWriter.usageRows(report).map(row => `<tr>${row.map(cell => `<td>${h(cell)}</td>`).join('')}</tr>`).join('\n      ')}
+    </table>` : ''}
+  </header>
+${sections}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * @static
+   * @method pairCriteria
+   * @description Joins baseline and variant criterion scores by name
+   * @param {Array<Object>|null} baseline - Criteria of prompt A (null when there is none)
+   * @param {Array<Object>} variant - Criteria of prompt B
+   * @returns {Array<Object>} `{ name, weight, baseline, variant }` rows
+   * @private
+   */
+  static pairCriteria(baseline, variant) {
+    const rows = new Map();
+    for (const c of baseline || []) {
+      rows.set(c.name, { name: c.name, weight: c.weight, baseline: c.score, variant: null });
+    }
+    for (const c of variant || []) {
+      const row = rows.get(c.name) || { name: c.name, weight: c.weight, baseline: null };
+      rows.set(c.name, { ...row, weight: row.weight !== undefined ? row.weight : c.weight, variant: c.score });
+    }
+    return [...rows.values()];
+  }
+
+  /**
+   * @static
+   * @method sectionText
+   * @param {Object} section - Report section
+   * @returns {string} Plain-text section details for JUnit system-out
+   * @private
+   */
+  static sectionText(section) {
+    const parts = [];
+    if (section.status === 'info') parts.push(`== ${section.name} ==`);
+    if (section.status === 'info' && section.message) parts.push(section.message);
+    for (const c of section.criteria) {
+      parts.push(`${c.name}: A ${ReportWriter.formatScore(c.baseline)} / B ${ReportWriter.formatScore(c.variant)}`);
+    }
+    parts.push(...section.notes);
+    if (section.diff) parts.push(section.diff);
+    if (section.responses) {
+      parts.push(`--- ${section.responses.baseline.label}\n${section.responses.baseline.text || ''}`);
+      parts.push(`--- ${section.responses.variant.label}\n${section.responses.variant.text || ''}`);
+    }
+    return parts.join('\n');
+  }
+
+  /**
+   * @static
+   * @method metricsLines
+   * @param {Object} report - Report model
+   * @returns {Array<string>} Timing and token usage lines
+   * @private
+   */
+  static metricsLines(report) {
+    const lines = [];
+    const t = report.timings;
+    if (t.totalTime !== undefined) {
+      const phases = [
+        t.fetchTime !== undefined ? `fetch ${(t.fetchTime / 1000).toFixed(1)}s` : null,
+        t.evaluationTime !== undefined ? `evaluation ${(t.evaluationTime / 1000).toFixed(1)}s` : null
+      ].filter(Boolean);
+      lines.push(`Duration: ${(t.totalTime / 1000).toFixed(1)}s${phases.length > 0 ? ` (${phases.join(', ')})` : ''}`);
+    }
+    if (report.usage) {
+      lines.push(`Token usage: ${UsageTracker.format(report.usage)}`);
+    }
+    lines.push(`Generated: ${report.generatedAt}`);
+    return lines;
+  }
+
+  /**
+   * @static
+   * @method usageRows
+   * @description Per-scope usage (evaluation thread, judge step, tool) as table cells
+   * @param {Object} report - Report model
+   * @returns {Array<Array<string>>} `[scope, requests, input, output, cache read, cache write, cost]` rows
+   * @private
+   */
+  static usageRows(report) {
+    const byScope = (report.usage && report.usage.byScope) || {};
+    const n = value => (value || 0).toLocaleString('en-US');
+    return Object.entries(byScope).map(([scope, counters]) => [
+      scope,
+      String(counters.requests),
+      n(counters.inputTokens),
+      n(counters.outputTokens),
+      n(counters.cacheReadInputTokens),
+      n(counters.cacheCreationInputTokens),
+      UsageTracker.formatCost({ ...counters, currency: report.usage.currency }) || '-'
+    ]);
+  }
+
+  /**
+   * @static
+   * @method pickTimings
+   * @param {Object} metrics - Result metrics
+   * @returns {Object} Timings in milliseconds
+   * @private
+   */
+  static pickTimings(metrics) {
+    const timings = {};
+    for (const key of ['fetchTime', 'evaluationTime', 'totalTime']) {
+      if (typeof metrics[key] === 'number') timings[key] = metrics[key];
+    }
+    return timings;
+  }
+
+  /**
+   * @static
+   * @method formatPath
+   * @param {Object} pathInfo - Parsed ABTestTool path
+   * @returns {string} "path@version" (version omitted for the working tree / default branch)
+   * @private
+   */
+  static formatPath(pathInfo) {
+    if (!pathInfo) return '';
+    const repo = pathInfo.owner && pathInfo.repo ? `${pathInfo.owner}/${pathInfo.repo}:` : '';
+    const version = pathInfo.explicitVersion || (pathInfo.version && pathInfo.version !== 'HEAD')
+      ? `@${pathInfo.version}`
+      : '';
+    return `${repo}${pathInfo.filePath}${version}`;
+  }
+
+  /**
+   * @static
+   * @method formatScore
+   * @param {number|null|undefined} score - Score
+   * @returns {string} Score with one decimal, or '-'
+   * @private
+   */
+  static formatScore(score) {
+    return typeof score === 'number' ? score.toFixed(1) : '-';
+  }
+
+  /**
+   * @static
+   * @method formatWeight
+   * @param {number|null|undefined} weight - Weight between 0 and 1
+   * @returns {string} Percentage, or '-'
+   * @private
+   */
+  static formatWeight(weight) {
+    return typeof weight === 'number' ? `${Math.round(weight * 100)}%` : '-';
+  }
+
+  /**
+   * @static
+   * @method escapeXml
+   * @param {*} value - Text
+   * @returns {string} Text safe for XML attributes and elements
+   * @private
+   */
+  static escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * @static
+   * @method escapeHtml
+   * @param {*} value - Text
+   * @returns {string} Text safe for HTML
+   * @private
+   */
+  static escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = { ReportWriter, REPORT_FORMATS, REPORT_DIR_ENV };
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Evaluation Result Store
+ * @description Persistent record of every evaluation run per prompt file and ref, with
+ * history queries (score over time, last verdict per file, feedback cycle counts)
+ * @module EvaluationResultStore
+ * @requires crypto
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Kinds of runs recorded in the store
+ * @const {Array<string>}
+ */
+const RECORD_KINDS = ['evaluation', 'abtest'];
+
+/**
+ * @class EvaluationResultStore
+ * @description Records evaluation runs through a storage backend (JSON-lines file or a
+ * results branch on GitHub) and answers history queries. Records are loaded once and
+ * kept in memory; runs recorded through this instance are added to that copy.
+ *
+ * Record fields:
+ * - `id`, `timestamp`, `kind` ('evaluation' for PR evaluations, 'abtest' for A/B tests)
+ * - `file`, `ref`, `sha` (git blob SHA of the evaluated content, identifies the revision)
+ * - `decision`, `score`, `criteria`, `improvements`
+ * - optional context: `domain`, `expert`, `baseline`, `pr`, `cycle`, `runId`, `repository`
+ * @property {Object} storage - Backend with `readAll()`, `append(records)` and `describe()`
+ * @property {Array<Object>|null} records - Loaded records (null until first load)
+ */
+class EvaluationResultStore {
+  /**
+   * @constructor
+   * @param {Object} options - Store settings
+   * @param {Object} options.storage - Storage backend (JsonLinesFileStorage, GitHubBranchStorage)
+   */
+  constructor(options = {}) {
+    if (!options.storage) {
+      throw new Error('EvaluationResultStore requires a storage backend');
+    }
+    this.storage = options.storage;
+    this.records = null;
+  }
+
+  /**
+   * @method record
+   * @async
+   * @description Persists one evaluation run
+   * @param {Object} run - Run details (`file` and `kind` required)
+   * @returns {Promise<Object>} Stored record
+   * @throws {Error} When required fields are missing
+   */
+  async record(run) {
+    if (!run.file) {
+      throw new Error('Evaluation record requires a file');
+    }
+    if (!RECORD_KINDS.includes(run.kind)) {
+      throw new Error(`Evaluation record kind must be one of: ${RECORD_KINDS.join(', ')}`);
+    }
+
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      timestamp: new Date().toISOString(),
+      ref: null,
+      sha: null,
+      decision: null,
+      score: null,
+      ...run
+    };
+
+    await this.storage.append([record]);
+    if (this.records) {
+      this.records.push(record);
+    }
+    return record;
+  }
+
+  /**
+   * @method load
+   * @async
+   * @description Loads all records from storage (once)
+   * @returns {Promise<Array<Object>>} Records sorted by timestamp
+   */
+  async load() {
+    if (!this.records) {
+      const records = await this.storage.readAll();
+      this.records = records
+        .filter(record => record && record.file && record.timestamp)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+    return this.records;
+  }
+
+  /**
+   * @method getRuns
+   * @async
+   * @description Lists recorded runs, oldest first
+   * @param {Object} [filter={}] - Filters
+   * @param {string} [filter.file] - Prompt file
+   * @param {string} [filter.kind] - 'evaluation' or 'abtest'
+   * @param {number} [filter.pr] - Pull request number
+   * @param {string} [filter.since] - ISO timestamp; only later runs are returned
+   * @param {number} [filter.limit] - Keep only the most recent runs
+   * @returns {Promise<Array<Object>>} Matching records
+   */
+  async getRuns(filter = {}) {
+    const runs = (await this.load()).filter(record =>
+      (!filter.file || record.file === filter.file) &&
+      (!filter.kind || record.kind === filter.kind) &&
+      (filter.pr === undefined || filter.pr === null || record.pr === filter.pr) &&
+      (!filter.since || record.timestamp > filter.since)
+    );
+    return filter.limit ? runs.slice(-filter.limit) : runs;
+  }
+
+  /**
+   * @method getScoreHistory
+   * @async
+   * @description Score over time for one prompt file
+   * @param {string} file - Prompt file
+   * @param {Object} [options={}] - `kind` and `limit` filters (see getRuns)
+   * @returns {Promise<Array<Object>>} `{ timestamp, kind, ref, sha, score, decision }` oldest first
+   */
+  async getScoreHistory(file, options = {}) {
+    const runs = await this.getRuns({ ...options, file });
+    return runs
+      .filter(run => typeof run.score === 'number')
+      .map(run => ({
+        timestamp: run.timestamp,
+        kind: run.kind,
+        ref: run.ref,
+        sha: run.sha,
+        score: run.score,
+        decision: run.decision
+      }));
+  }
+
+  /**
+   * @method getLastVerdict
+   * @async
+   * @param {string} file - Prompt file
+   * @param {Object} [options={}] - `kind` filter
+   * @returns {Promise<Object|null>} Most recent record for the file
+   */
+  async getLastVerdict(file, options = {}) {
+    const runs = await this.getRuns({ kind: options.kind, file });
+    return runs.length > 0 ? runs[runs.length - 1] : null;
+  }
+
+  /**
+   * @method getLastVerdicts
+   * @async
+   * @description Latest verdict of every recorded prompt file
+   * @param {Object} [options={}] - `kind` filter
+   * @returns {Promise<Array<Object>>} `{ file, decision, score, timestamp, ref, sha, kind }` sorted by file
+   */
+  async getLastVerdicts(options = {}) {
+    const latest = new Map();
+    for (const run of await this.getRuns({ kind: options.kind })) {
+      latest.set(run.file, run);
+    }
+    return [...latest.values()]
+      .sort((a, b) => a.file.localeCompare(b.file))
+      .map(run => ({
+        file: run.file,
+        decision: run.decision,
+        score: run.score,
+        timestamp: run.timestamp,
+        ref: run.ref,
+        sha: run.sha,
+        kind: run.kind
+      }));
+  }
+
+  /**
+   * @method getCycleCount
+   * @async
+   * @description Counts feedback cycles: distinct revisions of a file that received a PR
+   * evaluation (identified by content SHA, or ref when the SHA is unknown). Re-running
+   * the evaluation on unchanged content does not start a new cycle.
+   * @param {string} file - Prompt file
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.pr] - Only count cycles within this pull request
+   * @param {string} [options.excludeSha] - Revision not to count (the one being evaluated)
+   * @returns {Promise<number>} Number of cycles
+   */
+  async getCycleCount(file, options = {}) {
+    const runs = await this.getRuns({ file, kind: 'evaluation', pr: options.pr });
+    const revisions = new Set(
+      runs
+        .filter(run => !options.excludeSha || run.sha !== options.excludeSha)
+        .map(run => run.sha || run.ref || run.id)
+    );
+    return revisions.size;
+  }
+
+  /**
+   * @method describe
+   * @returns {string} Storage location for logs
+   */
+  describe() {
+    return `${this.storage.name} (${this.storage.describe()})`;
+  }
+}
+
+module.exports = { EvaluationResultStore, RECORD_KINDS };
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview GitHub Branch Storage
+ * @description Stores evaluation records as a JSON-lines file committed to a dedicated
+ * results branch, so history survives GitHub Actions runners
+ * @module GitHubBranchStorage
+ * @requires ./JsonLinesFileStorage
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { JsonLinesFileStorage } = require('./JsonLinesFileStorage');
+
+/**
+ * Attempts at appending when another run updated the file first
+ * @const {number}
+ */
+const MAX_APPEND_ATTEMPTS = 3;
+
+/**
+ * @class GitHubBranchStorage
+ * @description JSON-lines file on a results branch, read and written through the GitHub API.
+ * The branch is created as an orphan branch (no shared history with the code) on the
+ * first append. Concurrent runs are handled optimistically: an update based on a stale
+ * file SHA is rejected by GitHub (409) and retried on top of the new content.
+ * @property {string} name - Storage name used in logs
+ * @property {Octokit} octokit - GitHub API client
+ * @property {string} repoOwner - Repository owner
+ * @property {string} repoName - Repository name
+ * @property {string} branch - Results branch
+ * @property {string} filePath - JSON-lines file path on the branch
+ */
+class GitHubBranchStorage {
+  /**
+   * @constructor
+   * @param {Object} options - Storage settings
+   * @param {Octokit} options.octokit - GitHub API client
+   * @param {string} options.repoOwner - Repository owner
+   * @param {string} options.repoName - Repository name
+   * @param {string} options.branch - Results branch
+   * @param {string} options.filePath - JSON-lines file path on the branch
+   */
+  constructor(options = {}) {
+    if (!options.octokit || !options.repoOwner || !options.repoName) {
+      throw new Error('GitHubBranchStorage requires an octokit client, repoOwner and repoName');
+    }
+    this.name = 'github';
+    this.octokit = options.octokit;
+    this.repoOwner = options.repoOwner;
+    this.repoName = options.repoName;
+    this.branch = options.branch;
+    this.filePath = options.filePath;
+  }
+
+  /**
+   * @method readAll
+   * @async
+   * @description Reads every stored record
+   * @returns {Promise<Array<Object>>} Records in the order they were written (empty when the
+   *   branch or file does not exist yet)
+   */
+  async readAll() {
+    const file = await this.readFile();
+    return file ? JsonLinesFileStorage.parseLines(file.text, this.describe()) : [];
+  }
+
+  /**
+   * @method append
+   * @async
+   * @description Commits the records to the end of the file
+   * @param {Array<Object>} records - Records to store
+   * @returns {Promise<void>}
+   * @throws {Error} When the file keeps changing underneath (after MAX_APPEND_ATTEMPTS)
+   */
+  async append(records) {
+    const lines = JsonLinesFileStorage.toLines(records);
+    const message = `Record ${records.length} evaluation result(s)`;
+
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      try {
+        const file = await this.readFile();
+        if (file === null && !(await this.branchExists())) {
+          await this.createBranch(lines, message);
+          return;
+        }
+
+        await this.octokit.repos.createOrUpdateFileContents({
+          owner: this.repoOwner,
+          repo: this.repoName,
+          path: this.filePath,
+          branch: this.branch,
+          message,
+          content: Buffer.from(`${file ? file.text : ''}${lines}`, 'utf8').toString('base64'),
+          sha: file ? file.sha : undefined
+        });
+        return;
+      } catch (error) {
+        // 409: file changed since it was read; 422: branch created by a concurrent run
+        const conflict = error.status === 409 || error.status === 422;
+        if (!conflict || attempt === MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+        console.log(`Results branch changed during update, retrying (${attempt}/${MAX_APPEND_ATTEMPTS})`);
+      }
+    }
+  }
+
+  /**
+   * @method describe
+   * @returns {string} Storage location for logs
+   */
+  describe() {
+    return `${this.repoOwner}/${this.repoName}:${this.filePath}@${this.branch}`;
+  }
+
+  /**
+   * @method readFile
+   * @async
+   * @description Reads the JSON-lines file from the results branch
+   * @returns {Promise<Object|null>} `{ text, sha }`, or null when the branch or file is missing
+   * @private
+   */
+  async readFile() {
+    let data;
+    try {
+      ({ data } = await this.octokit.repos.getContent({
+        owner: this.repoOwner,
+        repo: this.repoName,
+        path: this.filePath,
+        ref: this.branch
+      }));
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+
+    // The contents API omits content for files over 1 MB; read the blob instead
+    let encoded = data.content;
+    if (!encoded && data.size > 0) {
+      ({ data: { content: encoded } } = await this.octokit.git.getBlob({
+        owner: this.repoOwner,
+        repo: this.repoName,
+        file_sha: data.sha
+      }));
+    }
+
+    return { text: Buffer.from(encoded || '', 'base64').toString('utf8'), sha: data.sha };
+  }
+
+  /**
+   * @method branchExists
+   * @async
+   * @returns {Promise<boolean>} Whether the results branch exists
+   * @private
+   */
+  async branchExists() {
+    try {
+      await this.octokit.repos.getBranch({ owner: this.repoOwner, repo: this.repoName, branch: this.branch });
+      return true;
+    } catch (error) {
+      if (error.status === 404) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * @method createBranch
+   * @async
+   * @description Creates the results branch as an orphan commit holding only the results file
+   * @param {string} text - Initial file content
+   * @param {string} message - Commit message
+   * @returns {Promise<void>}
+   * @private
+   */
+  async createBranch(text, message) {
+    const repo = { owner: this.repoOwner, repo: this.repoName };
+    const { data: blob } = await this.octokit.git.createBlob({
+      ...repo,
+      content: Buffer.from(text, 'utf8').toString('base64'),
+      encoding: 'base64'
+    });
+    const { data: tree } = await this.octokit.git.createTree({
+      ...repo,
+      tree: [{ path: this.filePath, mode: '100644', type: 'blob', sha: blob.sha }]
+    });
+    const { data: commit } = await this.octokit.git.createCommit({
+      ...repo,
+      message,
+      tree: tree.sha,
+      parents: []
+    });
+    await this.octokit.git.createRef({ ...repo, ref: `refs/heads/${this.branch}`, sha: commit.sha });
+    console.log(`Created results branch ${this.branch}`);
+  }
+}
+
+module.exports = { GitHubBranchStorage, MAX_APPEND_ATTEMPTS };
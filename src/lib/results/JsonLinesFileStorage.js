@@ -0,0 +1,103 @@
+/**
+ * @fileoverview JSON-Lines File Storage
+ * @description Stores evaluation records as one JSON object per line in a local file
+ * @module JsonLinesFileStorage
+ * @requires fs/promises
+ * @requires path
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * @class JsonLinesFileStorage
+ * @description Append-only JSON-lines file. Lines that fail to parse (e.g. a write cut short)
+ * are skipped with a warning instead of making the whole history unreadable.
+ * @property {string} name - Storage name used in logs
+ * @property {string} filePath - Absolute path of the JSON-lines file
+ */
+class JsonLinesFileStorage {
+  /**
+   * @constructor
+   * @param {Object} options - Storage settings
+   * @param {string} options.filePath - JSON-lines file (created on first append)
+   */
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('JsonLinesFileStorage requires a filePath');
+    }
+    this.name = 'file';
+    this.filePath = path.resolve(options.filePath);
+  }
+
+  /**
+   * @method readAll
+   * @async
+   * @description Reads every stored record
+   * @returns {Promise<Array<Object>>} Records in the order they were written
+   */
+  async readAll() {
+    let text;
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return JsonLinesFileStorage.parseLines(text, this.filePath);
+  }
+
+  /**
+   * @method append
+   * @async
+   * @description Appends records to the file, creating it and its directory when missing
+   * @param {Array<Object>} records - Records to store
+   * @returns {Promise<void>}
+   */
+  async append(records) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, JsonLinesFileStorage.toLines(records), 'utf8');
+  }
+
+  /**
+   * @method describe
+   * @returns {string} Storage location for logs
+   */
+  describe() {
+    return this.filePath;
+  }
+
+  /**
+   * @static
+   * @method parseLines
+   * @param {string} text - JSON-lines text
+   * @param {string} source - File name used in warnings
+   * @returns {Array<Object>} Parsed records
+   */
+  static parseLines(text, source) {
+    const records = [];
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping unreadable result record at ${source}:${index + 1}: ${error.message}`);
+      }
+    });
+    return records;
+  }
+
+  /**
+   * @static
+   * @method toLines
+   * @param {Array<Object>} records - Records
+   * @returns {string} One JSON object per line, newline-terminated
+   */
+  static toLines(records) {
+    return records.map(record => `${JSON.stringify(record)}\n`).join('');
+  }
+}
+
+module.exports = { JsonLinesFileStorage };
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Result Store Factory
+ * @description Resolves where evaluation results are persisted (options, environment,
+ * config/results.json) and creates the store
+ * @module ResultStoreFactory
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const fsSync = require('fs');
+const { EvaluationResultStore } = require('./EvaluationResultStore');
+const { JsonLinesFileStorage } = require('./JsonLinesFileStorage');
+const { GitHubBranchStorage } = require('./GitHubBranchStorage');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', '..', 'config', 'results.json');
+
+/**
+ * Supported storage names ('none' disables the store)
+ * @const {Array<string>}
+ */
+const STORAGE_TYPES = ['file', 'github', 'none'];
+
+/**
+ * @function loadResultsConfig
+ * @description Loads results configuration, falling back to a local JSON-lines file when
+ * the config file is missing or unreadable
+ * @param {string} [configPath] - Path to results.json
+ * @returns {Object} Results configuration
+ */
+function loadResultsConfig(configPath = DEFAULT_CONFIG_PATH) {
+  try {
+    return JSON.parse(fsSync.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    return {
+      storage: 'file',
+      file: { path: '.prompt-expert/results.jsonl' },
+      github: { branch: 'prompt-expert-results', path: 'evaluations.jsonl' },
+      environment: {
+        storage: 'PROMPT_EXPERT_RESULTS',
+        path: 'PROMPT_EXPERT_RESULTS_PATH',
+        branch: 'PROMPT_EXPERT_RESULTS_BRANCH'
+      }
+    };
+  }
+}
+
+/**
+ * @function createResultStore
+ * @description Creates the evaluation result store.
+ * Precedence: ready-made store > options > environment variables > config/results.json.
+ * @param {Object} [options={}] - Factory options
+ * @param {EvaluationResultStore|null} [options.resultStore] - Ready-made store, returned unchanged
+ * @param {string} [options.storage] - 'file', 'github' or 'none'
+ * @param {string} [options.filePath] - JSON-lines file (file storage)
+ * @param {string} [options.branch] - Results branch (github storage)
+ * @param {string} [options.workspace=process.cwd()] - Base directory for relative file paths
+ * @param {Octokit} [options.octokit] - GitHub API client (github storage)
+ * @param {string} [options.repoOwner] - Repository owner (github storage)
+ * @param {string} [options.repoName] - Repository name (github storage)
+ * @param {Object} [options.config] - Preloaded configuration
+ * @returns {EvaluationResultStore|null} Store, or null when storage is 'none'
+ * @throws {Error} When the storage name is unknown
+ */
+function createResultStore(options = {}) {
+  if (options.resultStore instanceof EvaluationResultStore) {
+    return options.resultStore;
+  }
+
+  const config = options.config || loadResultsConfig(options.configPath);
+  const env = config.environment || {};
+  const fromEnv = key => (env[key] && process.env[env[key]]) || undefined;
+
+  const storage = options.storage || fromEnv('storage') || config.storage || 'file';
+  if (!STORAGE_TYPES.includes(storage)) {
+    throw new Error(`Unknown result storage "${storage}". Available storage: ${STORAGE_TYPES.join(', ')}`);
+  }
+
+  if (storage === 'none') {
+    return null;
+  }
+
+  if (storage === 'github') {
+    const github = config.github || {};
+    return new EvaluationResultStore({
+      storage: new GitHubBranchStorage({
+        octokit: options.octokit,
+        repoOwner: options.repoOwner,
+        repoName: options.repoName,
+        branch: options.branch || fromEnv('branch') || github.branch || 'prompt-expert-results',
+        filePath: github.path || 'evaluations.jsonl'
+      })
+    });
+  }
+
+  const filePath = options.filePath || fromEnv('path') || (config.file || {}).path || '.prompt-expert/results.jsonl';
+  return new EvaluationResultStore({
+    storage: new JsonLinesFileStorage({
+      filePath: path.resolve(options.workspace || process.cwd(), filePath)
+    })
+  });
+}
+
+module.exports = { createResultStore, loadResultsConfig, STORAGE_TYPES };
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Content Source Base Class
+ * @description Common interface for the backends that ABTestTool reads experts, prompts,
+ * test suites and test context from (GitHub contents API, local git checkout)
+ * @module ContentSource
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+/**
+ * @class ContentSource
+ * @description Base class for content backends. Paths are the parsed form produced by
+ * ABTestTool.parsePath (`{ owner, repo, filePath, version, explicitVersion, lines }`, version
+ * 'HEAD' when no `@ref` was given). `getContent` resolves a path to either a file or a directory:
+ * - file: `{ type: 'file', path, name, content, sha, size, url }`
+ * - directory: `{ type: 'dir', path, entries: [{ name, path, type }] }`
+ *
+ * Missing paths are reported by throwing an error with `status` 404, the same contract as
+ * the GitHub API, so callers can treat every backend alike. `listCommits`, `ancestor` and
+ * `latestTag` expose the history RefResolver needs for relative refs such as `@3commits-ago`.
+ * @property {string} name - Backend name used in logs
+ */
+class ContentSource {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Source settings
+   * @param {string} [options.name] - Backend name
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+  }
+
+  /**
+   * @method getContent
+   * @async
+   * @description Reads a file or lists a directory
+   * @param {Object} pathInfo - Parsed path
+   * @returns {Promise<Object>} File or directory record
+   * @throws {Error} With status 404 when the path does not exist at the requested version
+   * @abstract
+   */
+  async getContent(pathInfo) {
+    throw new Error(`${this.constructor.name} does not implement getContent`);
+  }
+
+  /**
+   * @method listCommits
+   * @async
+   * @description Lists commits newest first, optionally only those that changed a path
+   * @param {Object} pathInfo - Parsed path (selects the repository)
+   * @param {Object} [options={}] - History filters
+   * @param {string} [options.ref='HEAD'] - Branch, tag or commit to start from
+   * @param {string} [options.path] - Only commits that changed this path (whole history when omitted)
+   * @param {string} [options.until] - Only commits made at or before this ISO 8601 timestamp
+   * @param {number} [options.limit=1] - Commits to return
+   * @returns {Promise<Array<Object>>} `[{ sha, date }]`
+   * @throws {Error} With status 404 when the ref does not exist
+   * @abstract
+   */
+  async listCommits(pathInfo, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement listCommits`);
+  }
+
+  /**
+   * @method ancestor
+   * @async
+   * @description Follows first parents back from a ref, like git's `<ref>~<n>`, so merged
+   * branches do not count
+   * @param {Object} pathInfo - Parsed path (selects the repository)
+   * @param {string} ref - Branch, tag or commit to start from
+   * @param {number} n - First parents to follow (0 is the commit the ref points to)
+   * @returns {Promise<string|null>} Commit SHA, or null when the first-parent history is shorter
+   * @throws {Error} With status 404 when the ref does not exist
+   * @abstract
+   */
+  async ancestor(pathInfo, ref, n) {
+    throw new Error(`${this.constructor.name} does not implement ancestor`);
+  }
+
+  /**
+   * @method latestTag
+   * @async
+   * @description Finds the tag with the highest version number (version sort, so v1.10
+   * follows v1.9)
+   * @param {Object} pathInfo - Parsed path (selects the repository)
+   * @returns {Promise<Object|null>} `{ name, sha }` (sha of the tagged commit), or null when
+   *   the repository has no tags
+   * @abstract
+   */
+  async latestTag(pathInfo) {
+    throw new Error(`${this.constructor.name} does not implement latestTag`);
+  }
+
+  /**
+   * @method location
+   * @description Formats a path for logs and error messages
+   * @param {Object} pathInfo - Parsed path
+   * @returns {string} "owner/repo:path@version#Lstart-Lend" (repository, version and line
+   *   range omitted when unset)
+   */
+  location(pathInfo) {
+    const repo = pathInfo.owner && pathInfo.repo ? `${pathInfo.owner}/${pathInfo.repo}:` : '';
+    const version = pathInfo.explicitVersion || !ContentSource.isDefaultVersion(pathInfo.version)
+      ? `@${pathInfo.version}`
+      : '';
+    const lines = pathInfo.lines ? `#L${pathInfo.lines.start}-L${pathInfo.lines.end}` : '';
+    return `${repo}${pathInfo.filePath}${version}${lines}`;
+  }
+
+  /**
+   * @static
+   * @method isDefaultVersion
+   * @param {string} [version] - Version reference
+   * @returns {boolean} Whether no explicit ref was requested
+   */
+  static isDefaultVersion(version) {
+    return !version || version === 'HEAD';
+  }
+
+  /**
+   * @static
+   * @method error
+   * @description Creates an error carrying an HTTP-style status
+   * @param {string} message - Error message
+   * @param {number} status - Status (404 not found, 400 invalid path, ...)
+   * @returns {Error} Error with `status`
+   */
+  static error(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = { ContentSource };
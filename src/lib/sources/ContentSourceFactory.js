@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Content Source Factory
+ * @description Selects the backend ABTestTool reads content from (GitHub or a local checkout)
+ * @module ContentSourceFactory
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { ContentSource } = require('./ContentSource');
+const { GitHubContentSource } = require('./GitHubContentSource');
+const { LocalGitContentSource } = require('./LocalGitContentSource');
+
+/**
+ * Environment variable selecting the content source by name
+ * @const {string}
+ */
+const SOURCE_ENV = 'PROMPT_EXPERT_SOURCE';
+
+/**
+ * Content source classes by name
+ * @const {Object<string, Function>}
+ */
+const SOURCE_TYPES = {
+  'github': GitHubContentSource,
+  'local': LocalGitContentSource
+};
+
+/**
+ * @function createContentSource
+ * @description Creates the content source.
+ * Precedence: ready-made source > `source` option > PROMPT_EXPERT_SOURCE > 'github' when an
+ * octokit client is available, otherwise 'local'.
+ * @param {Object} [options={}] - Factory options
+ * @param {ContentSource} [options.contentSource] - Ready-made source, returned unchanged
+ * @param {string} [options.source] - 'github' or 'local'
+ * @param {Octokit} [options.octokit] - GitHub API client (github source)
+ * @param {string} [options.rootDir] - Checkout directory (local source)
+ * @param {Object<string, string>} [options.repositories] - Other checkouts by "owner/repo" (local source)
+ * @param {string} [options.repoOwner] - Current repository owner
+ * @param {string} [options.repoName] - Current repository name
+ * @returns {ContentSource} Content source
+ * @throws {Error} When the source name is unknown
+ */
+function createContentSource(options = {}) {
+  if (options.contentSource instanceof ContentSource) {
+    return options.contentSource;
+  }
+
+  const name = options.source || process.env[SOURCE_ENV] || (options.octokit ? 'github' : 'local');
+  const SourceClass = SOURCE_TYPES[name];
+  if (!SourceClass) {
+    throw new Error(`Unknown content source "${name}". Available sources: ${Object.keys(SOURCE_TYPES).join(', ')}`);
+  }
+
+  return new SourceClass(options);
+}
+
+module.exports = { createContentSource, SOURCE_TYPES, SOURCE_ENV };
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview GitHub Content Source
+ * @description Reads files and directories through the GitHub contents API
+ * @module GitHubContentSource
+ * @requires ./ContentSource
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { ContentSource } = require('./ContentSource');
+
+/**
+ * @class GitHubContentSource
+ * @description Content source backed by `octokit.repos.getContent`. Version 'HEAD' reads
+ * the repository's default branch. API errors are passed through unchanged so callers keep
+ * their status-based retry handling.
+ * @extends ContentSource
+ * @property {Octokit} octokit - GitHub API client
+ */
+class GitHubContentSource extends ContentSource {
+  /**
+   * @constructor
+   * @param {Object} options - Source settings
+   * @param {Octokit} options.octokit - GitHub API client
+   */
+  constructor(options = {}) {
+    super({ name: 'github' });
+    if (!options.octokit) {
+      throw new Error('GitHubContentSource requires an octokit client');
+    }
+    this.octokit = options.octokit;
+  }
+
+  /**
+   * @method getContent
+   * @async
+   * @description Reads a file or lists a directory from GitHub
+   * @param {Object} pathInfo - Parsed path
+   * @returns {Promise<Object>} File or directory record
+   * @throws {Error} Octokit error (status 404 when missing) or an HTML-page error
+   */
+  async getContent(pathInfo) {
+    const { data } = await this.octokit.repos.getContent({
+      owner: pathInfo.owner,
+      repo: pathInfo.repo,
+      path: pathInfo.filePath,
+      ref: ContentSource.isDefaultVersion(pathInfo.version) ? undefined : pathInfo.version
+    });
+
+    // Validate response is not HTML error page
+    if (typeof data === 'string' && data.includes('<!DOCTYPE html>')) {
+      throw new Error('Received HTML error page instead of JSON response - GitHub API server error');
+    }
+
+    if (Array.isArray(data)) {
+      return {
+        type: 'dir',
+        path: pathInfo.filePath,
+        entries: data.map(entry => ({ name: entry.name, path: entry.path, type: entry.type }))
+      };
+    }
+
+    return {
+      type: 'file',
+      path: data.path || pathInfo.filePath,
+      name: data.name || pathInfo.filePath.split('/').pop(),
+      content: Buffer.from(data.content || '', 'base64').toString('utf-8'),
+      sha: data.sha,
+      size: data.size,
+      url: data.html_url
+    };
+  }
+
+  /**
+   * @method listCommits
+   * @async
+   * @description Lists commits through `octokit.repos.listCommits` (one page, at most 100)
+   * @param {Object} pathInfo - Parsed path (selects the repository)
+   * @param {Object} [options={}] - `{ ref, path, until, limit }` (see ContentSource.listCommits)
+   * @returns {Promise<Array<Object>>} `[{ sha, date }]`, newest first
+   * @throws {Error} Octokit error (status 404 when the ref does not exist)
+   */
+  async listCommits(pathInfo, options = {}) {
+    const { data } = await this.octokit.repos.listCommits({
+      owner: pathInfo.owner,
+      repo: pathInfo.repo,
+      sha: ContentSource.isDefaultVersion(options.ref) ? undefined : options.ref,
+      path: options.path,
+      until: options.until,
+      per_page: Math.min(options.limit || 1, 100)
+    });
+    return data.map(commit => ({ sha: commit.sha, date: commit.commit.committer.date }));
+  }
+
+  /**
+   * @method ancestor
+   * @async
+   * @description Walks first parents through one page of `octokit.repos.listCommits`,
+   * fetching with `octokit.repos.getCommit` any parent the page does not include (merged
+   * branches interleave the date-ordered list)
+   * @param {Object} pathInfo - Parsed path (selects the repository)
+   * @param {string} ref - Branch, tag or commit to start from
+   * @param {number} n - First parents to follow
+   * @returns {Promise<string|null>} Commit SHA, or null when the first-parent history is shorter
+   * @throws {Error} Octokit error (status 404 when the ref does not exist)
+   */
+  async ancestor(pathInfo, ref, n) {
+    const repo = { owner: pathInfo.owner, repo: pathInfo.repo };
+    const { data } = await this.octokit.repos.listCommits({
+      ...repo,
+      sha: ContentSource.isDefaultVersion(ref) ? undefined : ref,
+      per_page: 100
+    });
+    const page = new Map(data.map(commit => [commit.sha, commit]));
+
+    let commit = data[0];
+    for (let i = 0; commit && i < n; i++) {
+      const [parent] = commit.parents || [];
+      if (!parent) {
+        return null;
+      }
+      commit = page.get(parent.sha) || (await this.octokit.repos.getCommit({ ...repo, ref: parent.sha })).data;
+    }
+    return commit ? commit.sha : null;
+  }
+
+  /**
+   * @method latestTag
+   * @async
+   * @description Takes the first tag of `octokit.repos.listTags`, which GitHub returns in
+   * descending version order
+   * @param {Object} pathInfo - Parsed path (selects the repository)
+   * @returns {Promise<Object|null>} `{ name, sha }`, or null without tags
+   */
+  async latestTag(pathInfo) {
+    const { data } = await this.octokit.repos.listTags({
+      owner: pathInfo.owner,
+      repo: pathInfo.repo,
+      per_page: 1
+    });
+    return data.length > 0 ? { name: data[0].name, sha: data[0].commit.sha } : null;
+  }
+}
+
+module.exports = { GitHubContentSource };
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Local Git Content Source
+ * @description Reads files and directories from a local checkout: the working tree when no
+ * ref is given, git objects for `path@ref`
+ * @module LocalGitContentSource
+ * @requires ./ContentSource
+ * @requires child_process
+ * @requires fs/promises
+ * @requires path
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { ContentSource } = require('./ContentSource');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pathToFileURL } = require('url');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Largest git output accepted when reading an object
+ * @const {number}
+ */
+const MAX_GIT_OUTPUT = 50 * 1024 * 1024;
+
+/**
+ * @class LocalGitContentSource
+ * @description Content source for offline runs from a checkout.
+ * - `path` (no ref) reads the working tree, so uncommitted edits can be A/B tested
+ * - `path@ref` (including `@HEAD`) reads the blob or tree at any branch, tag or commit via `git cat-file`
+ * - `owner/repo:path` reads from another checkout listed in `repositories`
+ * @extends ContentSource
+ * @property {string} rootDir - Checkout used for paths in the current repository
+ * @property {string} [repoOwner] - Owner of the current repository
+ * @property {string} [repoName] - Name of the current repository
+ * @property {Object<string, string>} repositories - Checkout directory per "owner/repo"
+ */
+class LocalGitContentSource extends ContentSource {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Source settings
+   * @param {string} [options.rootDir=process.cwd()] - Checkout directory
+   * @param {string} [options.repoOwner] - Owner of the checkout's repository
+   * @param {string} [options.repoName] - Name of the checkout's repository
+   * @param {Object<string, string>} [options.repositories={}] - Other local checkouts by "owner/repo"
+   */
+  constructor(options = {}) {
+    super({ name: 'local-git' });
+    this.rootDir = path.resolve(options.rootDir || process.cwd());
+    this.repoOwner = options.repoOwner;
+    this.repoName = options.repoName;
+    this.repositories = options.repositories || {};
+  }
+
+  /**
+   * @method getContent
+   * @async
+   * @description Reads a file or lists a directory from the working tree or git objects
+   * @param {Object} pathInfo - Parsed path
+   * @returns {Promise<Object>} File or directory record
+   * @throws {Error} With status 404 when missing, 400 when the path leaves the checkout
+   */
+  async getContent(pathInfo) {
+    const root = this.resolveRoot(pathInfo);
+    const relative = this.toRelative(pathInfo.filePath);
+
+    const workingTree = pathInfo.explicitVersion === undefined
+      ? ContentSource.isDefaultVersion(pathInfo.version)
+      : !pathInfo.explicitVersion;
+
+    if (workingTree) {
+      return this.readWorkingTree(root, relative, pathInfo);
+    }
+    return this.readGitObject(root, relative, pathInfo);
+  }
+
+  /**
+   * @method resolveRoot
+   * @description Picks the checkout holding a path's repository
+   * @param {Object} pathInfo - Parsed path
+   * @returns {string} Checkout directory
+   * @throws {Error} With status 404 for repositories without a local checkout
+   * @private
+   */
+  resolveRoot(pathInfo) {
+    if (!pathInfo.owner || !pathInfo.repo ||
+        (pathInfo.owner === this.repoOwner && pathInfo.repo === this.repoName)) {
+      return this.rootDir;
+    }
+
+    const key = `${pathInfo.owner}/${pathInfo.repo}`;
+    if (this.repositories[key]) {
+      return path.resolve(this.repositories[key]);
+    }
+    throw ContentSource.error(`${key} has no local checkout (add it to the repositories option)`, 404);
+  }
+
+  /**
+   * @method toRelative
+   * @description Normalizes a repository path and rejects paths outside the checkout
+   * @param {string} filePath - Path as given by the caller
+   * @returns {string} Normalized POSIX path ('' for the repository root)
+   * @throws {Error} With status 400 for paths escaping the checkout
+   * @private
+   */
+  toRelative(filePath) {
+    const normalized = path.posix.normalize(String(filePath || '').replace(/\\/g, '/'))
+      .replace(/^\/+/, '')
+      .replace(/\/+$/, '');
+
+    if (normalized === '..' || normalized.startsWith('../')) {
+      throw ContentSource.error(`Path ${filePath} is outside the checkout`, 400);
+    }
+    return normalized === '.' ? '' : normalized;
+  }
+
+  /**
+   * @method readWorkingTree
+   * @async
+   * @param {string} root - Checkout directory
+   * @param {string} relative - Normalized path
+   * @param {Object} pathInfo - Parsed path
+   * @returns {Promise<Object>} File or directory record
+   * @private
+   */
+  async readWorkingTree(root, relative, pathInfo) {
+    const absolute = path.join(root, relative);
+
+    let stats;
+    try {
+      stats = await fs.stat(absolute);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        throw ContentSource.error(`${this.location(pathInfo)} not found in ${root}`, 404);
+      }
+      throw error;
+    }
+
+    if (stats.isDirectory()) {
+      const dirents = await fs.readdir(absolute, { withFileTypes: true });
+      return {
+        type: 'dir',
+        path: relative,
+        entries: dirents
+          .filter(entry => entry.name !== '.git')
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map(entry => ({
+            name: entry.name,
+            path: relative ? `${relative}/${entry.name}` : entry.name,
+            type: entry.isDirectory() ? 'dir' : 'file'
+          }))
+      };
+    }
+
+    const buffer = await fs.readFile(absolute);
+    return this.toFileRecord(relative, buffer, LocalGitContentSource.blobSha(buffer), pathToFileURL(absolute).href);
+  }
+
+  /**
+   * @method readGitObject
+   * @async
+   * @param {string} root - Checkout directory
+   * @param {string} relative - Normalized path
+   * @param {Object} pathInfo - Parsed path
+   * @returns {Promise<Object>} File or directory record
+   * @private
+   */
+  async readGitObject(root, relative, pathInfo) {
+    const spec = `${pathInfo.version}:${relative}`;
+
+    let objectType;
+    try {
+      objectType = (await this.git(root, ['cat-file', '-t', spec])).trim();
+    } catch (error) {
+      throw ContentSource.error(`${this.location(pathInfo)} not found in ${root}: ${LocalGitContentSource.gitMessage(error)}`, 404);
+    }
+
+    if (objectType === 'tree') {
+      const listing = await this.git(root, ['ls-tree', '-z', spec]);
+      return {
+        type: 'dir',
+        path: relative,
+        entries: listing.split('\0').filter(Boolean).map(line => {
+          const [meta, name] = line.split('\t');
+          return {
+            name,
+            path: relative ? `${relative}/${name}` : name,
+            type: meta.split(' ')[1] === 'tree' ? 'dir' : 'file'
+          };
+        })
+      };
+    }
+
+    if (objectType !== 'blob') {
+      throw ContentSource.error(`${this.location(pathInfo)} is a ${objectType}, not a file or directory`, 400);
+    }
+
+    const buffer = await this.git(root, ['cat-file', 'blob', spec], 'buffer');
+    const sha = (await this.git(root, ['rev-parse', spec])).trim();
+    return this.toFileRecord(relative, buffer, sha, `${pathToFileURL(root).href}#${spec}`);
+  }
+
+  /**
+   * @method listCommits
+   * @async
+   * @description Lists commits with `git log`
+   * @param {Object} pathInfo - Parsed path (selects the checkout)
+   * @param {Object} [options={}] - `{ ref, path, until, limit }` (see ContentSource.listCommits)
+   * @returns {Promise<Array<Object>>} `[{ sha, date }]`, newest first
+   * @throws {Error} With status 404 when the ref does not exist
+   */
+  async listCommits(pathInfo, options = {}) {
+    const root = this.resolveRoot(pathInfo);
+    const ref = options.ref || 'HEAD';
+    const args = ['log', '--format=%H %cI', `--max-count=${options.limit || 1}`];
+    if (options.until) {
+      args.push(`--until=${options.until}`);
+    }
+    args.push(ref, '--');
+    if (options.path) {
+      args.push(this.toRelative(options.path) || '.');
+    }
+
+    let output;
+    try {
+      output = await this.git(root, args);
+    } catch (error) {
+      throw ContentSource.error(`Ref ${ref} not found in ${root}: ${LocalGitContentSource.gitMessage(error)}`, 404);
+    }
+    return output.split('\n').filter(Boolean).map(line => {
+      const [sha, date] = line.split(' ');
+      return { sha, date };
+    });
+  }
+
+  /**
+   * @method ancestor
+   * @async
+   * @description Resolves `<ref>~<n>` with `git rev-parse`
+   * @param {Object} pathInfo - Parsed path (selects the checkout)
+   * @param {string} ref - Branch, tag or commit to start from
+   * @param {number} n - First parents to follow
+   * @returns {Promise<string|null>} Commit SHA, or null when the first-parent history is shorter
+   * @throws {Error} With status 404 when the ref does not exist
+   */
+  async ancestor(pathInfo, ref, n) {
+    const root = this.resolveRoot(pathInfo);
+    try {
+      await this.git(root, ['rev-parse', '--verify', `${ref}^{commit}`]);
+    } catch (error) {
+      throw ContentSource.error(`Ref ${ref} not found in ${root}: ${LocalGitContentSource.gitMessage(error)}`, 404);
+    }
+
+    try {
+      return (await this.git(root, ['rev-parse', '--verify', '--quiet', `${ref}~${n}^{commit}`])).trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @method latestTag
+   * @async
+   * @description Finds the highest tag with `git tag --sort=-v:refname`
+   * @param {Object} pathInfo - Parsed path (selects the checkout)
+   * @returns {Promise<Object|null>} `{ name, sha }`, or null without tags
+   */
+  async latestTag(pathInfo) {
+    const root = this.resolveRoot(pathInfo);
+    const name = (await this.git(root, ['tag', '--sort=-v:refname'])).split('\n')[0].trim();
+    if (!name) {
+      return null;
+    }
+    const sha = (await this.git(root, ['rev-parse', `${name}^{commit}`])).trim();
+    return { name, sha };
+  }
+
+  /**
+   * @method toFileRecord
+   * @param {string} relative - Normalized path
+   * @param {Buffer} buffer - File bytes
+   * @param {string} sha - Git blob SHA
+   * @param {string} url - Location shown in reports
+   * @returns {Object} File record
+   * @private
+   */
+  toFileRecord(relative, buffer, sha, url) {
+    return {
+      type: 'file',
+      path: relative,
+      name: relative.split('/').pop(),
+      content: buffer.toString('utf-8'),
+      sha,
+      size: buffer.length,
+      url
+    };
+  }
+
+  /**
+   * @method git
+   * @async
+   * @description Runs a git command in a checkout
+   * @param {string} root - Checkout directory
+   * @param {Array<string>} args - git arguments
+   * @param {string} [encoding='utf8'] - Output encoding ('buffer' for raw bytes)
+   * @returns {Promise<string|Buffer>} Standard output
+   * @private
+   */
+  async git(root, args, encoding = 'utf8') {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd: root,
+      encoding,
+      maxBuffer: MAX_GIT_OUTPUT
+    });
+    return stdout;
+  }
+
+  /**
+   * @static
+   * @method blobSha
+   * @description Computes the git blob SHA of working-tree content, so unchanged files get
+   * the same SHA from either source
+   * @param {Buffer} buffer - File bytes
+   * @returns {string} SHA-1 hex digest
+   */
+  static blobSha(buffer) {
+    return crypto.createHash('sha1')
+      .update(`blob ${buffer.length}\0`)
+      .update(buffer)
+      .digest('hex');
+  }
+
+  /**
+   * @static
+   * @method gitMessage
+   * @param {Error} error - execFile error
+   * @returns {string} First line of git's error output
+   * @private
+   */
+  static gitMessage(error) {
+    const stderr = error.stderr ? String(error.stderr) : '';
+    return (stderr.split('\n').find(Boolean) || error.message).replace(/^fatal:\s*/, '');
+  }
+}
+
+module.exports = { LocalGitContentSource };
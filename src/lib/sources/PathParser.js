@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Path Parser
+ * @description Parses and validates the path strings accepted by the A/B test tools:
+ * `[owner/repo:]path[@ref][#Lstart[-Lend]]`
+ * @module PathParser
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+/**
+ * Error codes raised by PathParser, with the input problem each one describes
+ * @const {Object<string, string>}
+ */
+const PATH_ERRORS = {
+  INVALID_INPUT: 'not a string',
+  EMPTY_PATH: 'empty or whitespace only',
+  URL_NOT_SUPPORTED: 'URLs are not supported; use owner/repo:path',
+  UNC_PATH: 'Windows network (UNC) paths are not supported',
+  WINDOWS_PATH: 'Windows paths are not supported; use forward slashes relative to the repository root',
+  CONTROL_CHARACTERS: 'contains control characters (newlines, tabs, null bytes)',
+  ENCODED_CHARACTERS: 'contains percent-encoded characters',
+  INVALID_CHARACTERS: 'contains whitespace or one of ; | < > ` " \' \\',
+  INVALID_REPOSITORY: 'the part before ":" must be owner/repo',
+  MISSING_PATH: 'no file path',
+  ABSOLUTE_PATH: 'paths are relative to the repository root and must not start with "/"',
+  PATH_TRAVERSAL: 'contains a ".." segment',
+  INVALID_PATH: 'contains an empty or "." segment',
+  EMPTY_REF: 'nothing after "@"',
+  AMBIGUOUS_REF: 'more than one "@" could start the ref; refs containing "@" are not supported',
+  INVALID_LINE_RANGE: 'line ranges are #L<start> or #L<start>-L<end> with 1 <= start <= end'
+};
+
+/**
+ * Repository owner: letters, digits, '-' and '_' (managed users), not starting with a separator
+ * @const {RegExp}
+ */
+const OWNER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,99}$/;
+
+/**
+ * GitHub repository name: letters, digits, '.', '-' and '_', at most 100 characters
+ * @const {RegExp}
+ */
+const REPO_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * Ref: branch, tag, SHA or relative ref (HEAD~2, 3commits-ago, ISO timestamps)
+ * @const {RegExp}
+ */
+const REF_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._\/~:+-]*$/;
+
+/**
+ * Trailing line range, e.g. #L10 or #L10-L20
+ * @const {RegExp}
+ */
+const LINE_RANGE_PATTERN = /#L(\d+)(?:-L?(\d+))?$/;
+
+/**
+ * @class PathParser
+ * @description Grammar-based parser for prompt, expert, test suite and test context paths:
+ *
+ *     spec  := [repo ":"] path ["@" ref] ["#L" start ["-" ["L"] end]]
+ *     repo  := owner "/" name
+ *
+ * - The repository prefix ends at the first ':'; later colons belong to the path or ref.
+ *   A path containing ':' therefore needs the owner/repo prefix.
+ * - '@' inside a file name is allowed when what follows cannot be a ref (`file@.txt`).
+ *   If more than one '@' could start the ref, the input is rejected as ambiguous.
+ * - `.` is the repository root; a trailing '/' marks a directory and is dropped.
+ *
+ * Inputs are rejected before they reach a content source: URLs, UNC and Windows paths,
+ * absolute paths, '..' segments, control and percent-encoded characters, and shell or
+ * markup metacharacters. Every rejection is an Error with a `code` from PATH_ERRORS,
+ * `status` 400 and the offending `input`.
+ */
+class PathParser {
+  /**
+   * @static
+   * @method parse
+   * @description Parses a path string
+   * @param {string} input - Path string
+   * @param {Object} [defaults={}] - Repository used when the path has no owner/repo prefix
+   * @param {string} [defaults.owner] - Repository owner
+   * @param {string} [defaults.repo] - Repository name
+   * @returns {Object} `{ owner, repo, filePath, version, explicitVersion, lines, fullPath }`;
+   *   version is 'HEAD' and explicitVersion false without '@ref', lines is `{ start, end }` or null
+   * @throws {Error} With a PATH_ERRORS code when the input is invalid
+   */
+  static parse(input, defaults = {}) {
+    if (typeof input !== 'string') {
+      throw PathParser.invalid('INVALID_INPUT', input);
+    }
+    if (input.trim() === '') {
+      throw PathParser.invalid('EMPTY_PATH', input);
+    }
+    PathParser.checkForm(input);
+
+    let rest = input;
+    let lines = null;
+    const range = rest.match(LINE_RANGE_PATTERN);
+    if (range) {
+      lines = PathParser.toLineRange(range, input);
+      rest = rest.slice(0, range.index);
+    }
+
+    let owner = defaults.owner;
+    let repo = defaults.repo;
+    // The prefix ends at the first ':' before the ref (timestamps in refs contain ':')
+    const separator = rest.indexOf(':');
+    const at = rest.indexOf('@');
+    if (separator !== -1 && (at === -1 || separator < at)) {
+      [owner, repo] = PathParser.parseRepository(rest.slice(0, separator), input);
+      rest = rest.slice(separator + 1);
+    }
+
+    const { filePath, ref } = PathParser.splitRef(rest, input);
+
+    return {
+      owner,
+      repo,
+      filePath: PathParser.normalizePath(filePath, input),
+      version: ref || 'HEAD',
+      explicitVersion: ref !== null,
+      lines,
+      fullPath: input
+    };
+  }
+
+  /**
+   * @static
+   * @method checkForm
+   * @description Rejects input shapes that are never repository paths
+   * @param {string} input - Path string
+   * @throws {Error} URL_NOT_SUPPORTED, UNC_PATH, WINDOWS_PATH, CONTROL_CHARACTERS,
+   *   ENCODED_CHARACTERS or INVALID_CHARACTERS
+   * @private
+   */
+  static checkForm(input) {
+    if (/^[A-Za-z][A-Za-z0-9+.-]*:\/\//.test(input)) {
+      throw PathParser.invalid('URL_NOT_SUPPORTED', input);
+    }
+    if (/^(\\\\|\/\/)/.test(input)) {
+      throw PathParser.invalid('UNC_PATH', input);
+    }
+    if (/^[A-Za-z]:[\\/]/.test(input)) {
+      throw PathParser.invalid('WINDOWS_PATH', input);
+    }
+    if ([...input].some(c => c.charCodeAt(0) < 0x20 || c.charCodeAt(0) === 0x7f)) {
+      throw PathParser.invalid('CONTROL_CHARACTERS', input);
+    }
+    if (/%[0-9A-Fa-f]{2}/.test(input)) {
+      throw PathParser.invalid('ENCODED_CHARACTERS', input);
+    }
+    if (/[\s;|<>`"'\\]/.test(input)) {
+      throw PathParser.invalid('INVALID_CHARACTERS', input);
+    }
+  }
+
+  /**
+   * @static
+   * @method parseRepository
+   * @param {string} prefix - Text before the first ':'
+   * @param {string} input - Full path string, for errors
+   * @returns {Array<string>} `[owner, repo]`
+   * @throws {Error} INVALID_REPOSITORY
+   * @private
+   */
+  static parseRepository(prefix, input) {
+    const parts = prefix.split('/');
+    const [owner, repo] = parts;
+    const valid = parts.length === 2 &&
+      OWNER_PATTERN.test(owner) &&
+      REPO_PATTERN.test(repo) && repo !== '.' && !repo.includes('..');
+    if (!valid) {
+      throw PathParser.invalid('INVALID_REPOSITORY', input, `"${prefix}" is not owner/repo`);
+    }
+    return [owner, repo];
+  }
+
+  /**
+   * @static
+   * @method splitRef
+   * @description Finds the '@' that starts the ref: the only '@' followed by a valid ref
+   * that runs to the end of the input. Without such an '@', every '@' belongs to the path.
+   * @param {string} text - Path and optional ref
+   * @param {string} input - Full path string, for errors
+   * @returns {Object} `{ filePath, ref }` (ref null when absent)
+   * @throws {Error} EMPTY_REF or AMBIGUOUS_REF
+   * @private
+   */
+  static splitRef(text, input) {
+    if (text.endsWith('@')) {
+      throw PathParser.invalid('EMPTY_REF', input);
+    }
+
+    const segments = text.split('@');
+    if (segments.length === 1) {
+      return { filePath: text, ref: null };
+    }
+
+    // Segments that could be a ref; the ref must be the last segment
+    const candidates = segments.slice(1)
+      .map((segment, index) => ({ segment, index: index + 1 }))
+      .filter(({ segment }) => PathParser.isRef(segment));
+
+    if (candidates.length === 0) {
+      // e.g. "file@.txt": '.txt' cannot be a ref, so the '@' is part of the file name
+      return { filePath: text, ref: null };
+    }
+    if (candidates.length > 1 || candidates[0].index !== segments.length - 1) {
+      throw PathParser.invalid('AMBIGUOUS_REF', input);
+    }
+
+    return {
+      filePath: segments.slice(0, -1).join('@'),
+      ref: segments[segments.length - 1]
+    };
+  }
+
+  /**
+   * @static
+   * @method isRef
+   * @param {string} ref - Candidate ref
+   * @returns {boolean} Whether the text follows git's ref name rules (plus `~N` and
+   *   timestamps for relative refs)
+   */
+  static isRef(ref) {
+    return REF_PATTERN.test(ref) &&
+      !ref.includes('..') &&
+      !ref.includes('//') &&
+      !ref.endsWith('/') &&
+      !ref.endsWith('.') &&
+      !ref.endsWith('.lock');
+  }
+
+  /**
+   * @static
+   * @method normalizePath
+   * @param {string} filePath - Path part
+   * @param {string} input - Full path string, for errors
+   * @returns {string} Path without a trailing '/'
+   * @throws {Error} MISSING_PATH, ABSOLUTE_PATH, PATH_TRAVERSAL or INVALID_PATH
+   * @private
+   */
+  static normalizePath(filePath, input) {
+    if (filePath === '') {
+      throw PathParser.invalid('MISSING_PATH', input);
+    }
+    if (filePath.startsWith('/')) {
+      throw PathParser.invalid('ABSOLUTE_PATH', input);
+    }
+    if (filePath === '.') {
+      return filePath;
+    }
+
+    const trimmed = filePath.endsWith('/') ? filePath.slice(0, -1) : filePath;
+    const segments = trimmed.split('/');
+    if (segments.includes('..')) {
+      throw PathParser.invalid('PATH_TRAVERSAL', input);
+    }
+    if (segments.some(segment => segment === '' || segment === '.')) {
+      throw PathParser.invalid('INVALID_PATH', input);
+    }
+    return trimmed;
+  }
+
+  /**
+   * @static
+   * @method toLineRange
+   * @param {Array<string>} match - LINE_RANGE_PATTERN match
+   * @param {string} input - Full path string, for errors
+   * @returns {Object} `{ start, end }` (1-based, inclusive)
+   * @throws {Error} INVALID_LINE_RANGE
+   * @private
+   */
+  static toLineRange(match, input) {
+    const start = parseInt(match[1], 10);
+    const end = match[2] === undefined ? start : parseInt(match[2], 10);
+    if (start < 1 || end < start) {
+      throw PathParser.invalid('INVALID_LINE_RANGE', input);
+    }
+    return { start, end };
+  }
+
+  /**
+   * @static
+   * @method format
+   * @param {Object} pathInfo - Parsed path
+   * @returns {string} The path in canonical form ("owner/repo:" prefix only when given)
+   */
+  static format(pathInfo) {
+    const repo = pathInfo.owner && pathInfo.repo ? `${pathInfo.owner}/${pathInfo.repo}:` : '';
+    const ref = pathInfo.explicitVersion ? `@${pathInfo.version}` : '';
+    const lines = pathInfo.lines
+      ? `#L${pathInfo.lines.start}${pathInfo.lines.end !== pathInfo.lines.start ? `-L${pathInfo.lines.end}` : ''}`
+      : '';
+    return `${repo}${pathInfo.filePath}${ref}${lines}`;
+  }
+
+  /**
+   * @static
+   * @method invalid
+   * @param {string} code - Key of PATH_ERRORS
+   * @param {*} input - Rejected input
+   * @param {string} [detail] - Specific reason (defaults to the code's description)
+   * @returns {Error} Error with `code`, `status` 400 and `input`
+   */
+  static invalid(code, input, detail) {
+    const shown = typeof input === 'string' ? JSON.stringify(input) : String(input);
+    const error = new Error(`Invalid path ${shown}: ${detail || PATH_ERRORS[code]} (${code})`);
+    error.code = code;
+    error.status = 400;
+    error.input = input;
+    return error;
+  }
+}
+
+module.exports = { PathParser, PATH_ERRORS };
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Ref Resolver
+ * @description Turns relative version references in prompt paths (`@3commits-ago`, `@HEAD~2`,
+ * `@base`, `@pr-head`, `@latest-tag`, `@2026-01-01`) into commit SHAs before content is fetched
+ * @module RefResolver
+ * @requires ./ContentSource
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { ContentSource } = require('./ContentSource');
+
+/**
+ * Deepest relative reference (one page of commit history)
+ * @const {number}
+ */
+const MAX_HISTORY = 100;
+
+/**
+ * Relative reference formats, tried in order
+ * @const {Array<Object>}
+ */
+const REF_PATTERNS = [
+  { kind: 'commits-ago', pattern: /^(\d+)\s*-?\s*commits?-ago$/i },
+  { kind: 'head-offset', pattern: /^HEAD~(\d+)$/ },
+  { kind: 'base', pattern: /^base$/ },
+  { kind: 'pr-head', pattern: /^pr-head$/ },
+  { kind: 'latest-tag', pattern: /^latest-tag$/ },
+  { kind: 'date', pattern: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/ }
+];
+
+/**
+ * @class RefResolver
+ * @description Resolves relative refs through a content source's commit history, counted
+ * back from the head ref (the pull request head inside a pull request, HEAD otherwise):
+ * - `N commits-ago` (also `Ncommits-ago`, `1commit-ago`): the Nth previous commit that changed
+ *   the file (0 is the latest change)
+ * - `HEAD~N`: the Nth first-parent ancestor of the head ref, as in git, whether or not it
+ *   changed the file; commits of merged branches are not counted
+ * - `base`: tip of the pull request's base branch (GITHUB_BASE_REF, default 'main')
+ * - `pr-head`: head of the pull request (`refs/pull/<PR_NUMBER>/head`)
+ * - `latest-tag`: the tag with the highest version number
+ * - `YYYY-MM-DD` or an ISO 8601 timestamp: the last commit that changed the file at or before
+ *   that time (a bare date means the end of that day, UTC)
+ *
+ * Any other version (branch, tag, SHA, HEAD) is passed through unchanged. Resolved paths keep
+ * the reference they were written with in `ref`. Results are cached for the resolver's lifetime.
+ * @property {ContentSource} contentSource - Source of commit history
+ * @property {string} baseRef - Branch `base` resolves to
+ * @property {string|null} prHeadRef - Ref `pr-head` resolves to (null outside a pull request)
+ * @property {string} headRef - Ref that commits-ago, HEAD~N and dates count back from
+ * @property {Map<string, Promise<string>>} cache - Resolutions by repository, path and reference
+ */
+class RefResolver {
+  /**
+   * @constructor
+   * @param {Object} options - Resolver settings
+   * @param {ContentSource} options.contentSource - Source of commit history
+   * @param {string} [options.baseRef] - Base branch (defaults to GITHUB_BASE_REF, then 'main')
+   * @param {number|string} [options.prNumber] - Pull request number (defaults to PR_NUMBER)
+   * @param {string} [options.headRef] - Ref that commits-ago, HEAD~N and dates count back from
+   *   (defaults to the pull request head, then HEAD; a checkout already at the head passes HEAD)
+   */
+  constructor(options = {}) {
+    if (!options.contentSource) {
+      throw new Error('RefResolver requires a contentSource');
+    }
+    this.contentSource = options.contentSource;
+    this.baseRef = options.baseRef || process.env.GITHUB_BASE_REF || 'main';
+    const prNumber = options.prNumber || process.env.PR_NUMBER;
+    this.prHeadRef = prNumber ? `refs/pull/${prNumber}/head` : null;
+    this.headRef = options.headRef || this.prHeadRef || 'HEAD';
+    this.cache = new Map();
+  }
+
+  /**
+   * @static
+   * @method parse
+   * @param {string} [version] - Version part of a path
+   * @returns {Object|null} `{ kind, value }` for a relative reference, null otherwise
+   */
+  static parse(version) {
+    const ref = String(version || '').trim();
+    for (const { kind, pattern } of REF_PATTERNS) {
+      const match = ref.match(pattern);
+      if (match) {
+        return { kind, value: kind === 'commits-ago' || kind === 'head-offset' ? parseInt(match[1], 10) : ref };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @method resolve
+   * @async
+   * @description Replaces a relative version with the commit SHA it points to
+   * @param {Object} pathInfo - Parsed path (see ABTestTool.parsePath)
+   * @returns {Promise<Object>} The same path with `version` set to the SHA and `ref` set to the
+   *   original reference, or the path unchanged when its version is not relative
+   * @throws {Error} UNRESOLVED_REF with status 400 for references that cannot apply (e.g.
+   *   `pr-head` outside a pull request, an invalid date), 404 when the history has no such commit
+   */
+  async resolve(pathInfo) {
+    const parsed = RefResolver.parse(pathInfo.version);
+    if (!parsed) {
+      return pathInfo;
+    }
+
+    const key = `${pathInfo.owner}/${pathInfo.repo}:${pathInfo.filePath}@${pathInfo.version}`;
+    if (!this.cache.has(key)) {
+      const pending = this.resolveSha(pathInfo, parsed);
+      // Failed lookups are retried on the next call
+      pending.catch(() => this.cache.delete(key));
+      this.cache.set(key, pending);
+    }
+
+    const sha = await this.cache.get(key);
+    return { ...pathInfo, version: sha, ref: pathInfo.version };
+  }
+
+  /**
+   * @method resolveSha
+   * @async
+   * @param {Object} pathInfo - Parsed path
+   * @param {Object} parsed - Result of RefResolver.parse
+   * @returns {Promise<string>} Commit SHA
+   * @throws {Error} With status 400 or 404 (see resolve)
+   * @private
+   */
+  async resolveSha(pathInfo, parsed) {
+    const label = `${pathInfo.filePath}@${pathInfo.version}`;
+
+    switch (parsed.kind) {
+      case 'commits-ago':
+        return this.nthCommit(pathInfo, parsed.value, { ref: this.headRef, path: pathInfo.filePath }, label);
+
+      case 'head-offset':
+        return this.ancestor(pathInfo, parsed.value, label);
+
+      case 'base':
+        return this.tip(pathInfo, this.baseRef, label);
+
+      case 'pr-head':
+        if (!this.prHeadRef) {
+          throw RefResolver.unresolved(`${label}: pr-head needs a pull request (set PR_NUMBER)`, 400);
+        }
+        return this.tip(pathInfo, this.prHeadRef, label);
+
+      case 'latest-tag': {
+        const tag = await this.contentSource.latestTag(pathInfo);
+        if (!tag) {
+          throw RefResolver.unresolved(`${label}: the repository has no tags`, 404);
+        }
+        return tag.sha;
+      }
+
+      case 'date': {
+        const until = RefResolver.toTimestamp(parsed.value);
+        if (!until) {
+          throw RefResolver.unresolved(`${label}: "${parsed.value}" is not a valid date`, 400);
+        }
+        const [commit] = await this.contentSource.listCommits(pathInfo, { ref: this.headRef, path: pathInfo.filePath, until, limit: 1 });
+        if (!commit) {
+          throw RefResolver.unresolved(`${label}: ${pathInfo.filePath} has no commits at or before ${until}`, 404);
+        }
+        return commit.sha;
+      }
+
+      default:
+        throw RefResolver.unresolved(`${label}: unsupported reference`, 400);
+    }
+  }
+
+  /**
+   * @method nthCommit
+   * @async
+   * @param {Object} pathInfo - Parsed path
+   * @param {number} n - Commits to go back (0 is the newest)
+   * @param {Object} filters - `listCommits` filters (`ref` and `path`)
+   * @param {string} label - Path and reference for error messages
+   * @returns {Promise<string>} Commit SHA
+   * @throws {Error} With status 400 beyond MAX_HISTORY, 404 when the history is shorter
+   * @private
+   */
+  async nthCommit(pathInfo, n, filters, label) {
+    RefResolver.checkDepth(n, label);
+    const commits = await this.contentSource.listCommits(pathInfo, { ...filters, limit: n + 1 });
+    if (commits.length <= n) {
+      throw RefResolver.unresolved(`${label}: only ${commits.length} commit(s) changed ${filters.path}`, 404);
+    }
+    return commits[n].sha;
+  }
+
+  /**
+   * @method ancestor
+   * @async
+   * @param {Object} pathInfo - Parsed path
+   * @param {number} n - First parents to follow back from the head ref
+   * @param {string} label - Path and reference for error messages
+   * @returns {Promise<string>} Commit SHA
+   * @throws {Error} With status 400 beyond MAX_HISTORY, 404 when the history is shorter
+   * @private
+   */
+  async ancestor(pathInfo, n, label) {
+    RefResolver.checkDepth(n, label);
+    const sha = await this.contentSource.ancestor(pathInfo, this.headRef, n);
+    if (!sha) {
+      throw RefResolver.unresolved(`${label}: ${this.headRef} has fewer than ${n} first-parent ancestor(s)`, 404);
+    }
+    return sha;
+  }
+
+  /**
+   * @method tip
+   * @async
+   * @param {Object} pathInfo - Parsed path
+   * @param {string} ref - Branch or ref name
+   * @param {string} label - Path and reference for error messages
+   * @returns {Promise<string>} SHA of the commit the ref points to
+   * @throws {Error} With status 404 when the ref does not exist
+   * @private
+   */
+  async tip(pathInfo, ref, label) {
+    let commits;
+    try {
+      commits = await this.contentSource.listCommits(pathInfo, { ref, limit: 1 });
+    } catch (error) {
+      if (error.status === 404 || error.status === 422) {
+        throw RefResolver.unresolved(`${label}: ${ref} not found`, 404);
+      }
+      throw error;
+    }
+    const [commit] = commits;
+    if (!commit) {
+      throw RefResolver.unresolved(`${label}: ${ref} has no commits`, 404);
+    }
+    return commit.sha;
+  }
+
+  /**
+   * @static
+   * @method checkDepth
+   * @param {number} n - Commits to go back
+   * @param {string} label - Path and reference for error messages
+   * @throws {Error} UNRESOLVED_REF with status 400 beyond MAX_HISTORY
+   * @private
+   */
+  static checkDepth(n, label) {
+    if (n >= MAX_HISTORY) {
+      throw RefResolver.unresolved(`${label}: relative references reach back at most ${MAX_HISTORY - 1} commits`, 400);
+    }
+  }
+
+  /**
+   * @static
+   * @method unresolved
+   * @param {string} message - Error message
+   * @param {number} status - 400 for references that cannot apply, 404 for missing commits
+   * @returns {Error} Error with code UNRESOLVED_REF and `status`
+   */
+  static unresolved(message, status) {
+    const error = ContentSource.error(message, status);
+    error.code = 'UNRESOLVED_REF';
+    return error;
+  }
+
+  /**
+   * @static
+   * @method toTimestamp
+   * @param {string} value - Date (`YYYY-MM-DD`) or ISO 8601 timestamp
+   * @returns {string|null} ISO timestamp (end of day UTC for a bare date), null when invalid
+   */
+  static toTimestamp(value) {
+    const isDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(isDate ? `${value}T23:59:59Z` : value);
+    if (Number.isNaN(date.getTime()) || (isDate && date.toISOString().slice(0, 10) !== value)) {
+      return null;
+    }
+    return date.toISOString();
+  }
+}
+
+module.exports = { RefResolver, REF_PATTERNS, MAX_HISTORY };
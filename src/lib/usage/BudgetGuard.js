@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Budget Guard
+ * @description Enforces the token and cost caps of config/abtest-limits.json. Every model
+ * request is estimated before it is sent, and a request that would take the run past its
+ * budget stops the run with a BUDGET_EXCEEDED error instead of spending more API credit.
+ * @module BudgetGuard
+ * @requires ./UsageTracker
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const fsSync = require('fs');
+const { UsageTracker, TOKEN_FIELDS } = require('./UsageTracker');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', '..', 'config', 'abtest-limits.json');
+
+/**
+ * Budget levels in increasing severity
+ * @const {Array<string>}
+ */
+const LEVELS = ['ok', 'warning', 'critical', 'exceeded'];
+
+/**
+ * @function loadLimitsConfig
+ * @description Loads the limits configuration. When the file is missing or unreadable a
+ * warning is logged and the fallback keeps the Claude context window, the progressive
+ * strategy and the documented environment variables, so PROMPT_EXPERT_MAX_COST still caps
+ * the run (no presets are defined, so PROMPT_EXPERT_BUDGET_PRESET fails as unknown).
+ * @param {string} [configPath] - Path to abtest-limits.json
+ * @returns {Object} Limits configuration
+ */
+function loadLimitsConfig(configPath = DEFAULT_CONFIG_PATH) {
+  try {
+    return JSON.parse(fsSync.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.warn(`Could not read limits config ${configPath} (${error.message}); no budget presets are available`);
+    return {
+      limits: {
+        claude: { maxTokens: 200000, estimatedCharsPerToken: 4, warnTokens: 150000, criticalTokens: 180000 }
+      },
+      strategies: {
+        progressive: { mode: 'progressive', stopOnWarning: false, stopOnCritical: true }
+      },
+      presets: {},
+      budget: {
+        preset: null,
+        strategy: 'progressive',
+        environment: {
+          preset: 'PROMPT_EXPERT_BUDGET_PRESET',
+          strategy: 'PROMPT_EXPERT_BUDGET_STRATEGY',
+          maxCost: 'PROMPT_EXPERT_MAX_COST'
+        }
+      }
+    };
+  }
+}
+
+/**
+ * @function resolveBudgetSettings
+ * @description Determines the caps and strategy to enforce.
+ * Precedence: explicit options > environment variables > `budget` block of the config.
+ * @param {Object} [options={}] - Overrides
+ * @param {string} [options.preset] - Preset name (small, medium, large, xlarge)
+ * @param {string} [options.strategy] - Strategy name (strict, progressive, lenient)
+ * @param {number} [options.maxCost] - Run cost cap replacing the preset's maxRunCost
+ * @param {Object} [options.config] - Preloaded configuration
+ * @param {string} [options.configPath] - Path to abtest-limits.json
+ * @returns {Object} `{ preset, strategy, stopOnWarning, stopOnCritical, charsPerToken,
+ *   warnRatio, criticalRatio, maxRequestTokens, maxRunTokens, maxRunCost }`
+ * @throws {Error} When the preset, strategy or cost cap is invalid
+ */
+function resolveBudgetSettings(options = {}) {
+  const config = options.config || loadLimitsConfig(options.configPath);
+  const budget = config.budget || {};
+  const env = budget.environment || {};
+
+  const presetName = options.preset || (env.preset && process.env[env.preset]) || budget.preset || null;
+  const strategyName = options.strategy || (env.strategy && process.env[env.strategy]) || budget.strategy || 'progressive';
+
+  const preset = presetName ? (config.presets || {})[presetName] : {};
+  if (!preset || presetName === '_comment') {
+    const known = Object.keys(config.presets || {}).filter(name => name !== '_comment').join(', ');
+    throw new Error(`Unknown budget preset "${presetName}". Configured presets: ${known}`);
+  }
+  const strategy = (config.strategies || {})[strategyName];
+  if (!strategy) {
+    const known = Object.keys(config.strategies || {}).join(', ');
+    throw new Error(`Unknown budget strategy "${strategyName}". Configured strategies: ${known}`);
+  }
+
+  const envCost = env.maxCost && process.env[env.maxCost];
+  const maxRunCost = options.maxCost !== undefined
+    ? options.maxCost
+    : (envCost ? Number(envCost) : preset.maxRunCost);
+  if (maxRunCost !== undefined && maxRunCost !== null && !(Number.isFinite(maxRunCost) && maxRunCost > 0)) {
+    throw new Error(`Invalid run cost cap "${envCost || maxRunCost}": expected a positive number`);
+  }
+
+  const claude = (config.limits && config.limits.claude) || {};
+  const contextTokens = claude.maxTokens || null;
+  const caps = [preset.maxTokens, contextTokens].filter(Boolean);
+
+  return {
+    preset: presetName,
+    strategy: strategyName,
+    stopOnWarning: Boolean(strategy.stopOnWarning),
+    stopOnCritical: Boolean(strategy.stopOnCritical),
+    charsPerToken: claude.estimatedCharsPerToken || 4,
+    warnRatio: contextTokens && claude.warnTokens ? claude.warnTokens / contextTokens : 0.75,
+    criticalRatio: contextTokens && claude.criticalTokens ? claude.criticalTokens / contextTokens : 0.9,
+    maxRequestTokens: caps.length > 0 ? Math.min(...caps) : null,
+    maxRunTokens: preset.maxRunTokens || null,
+    maxRunCost: maxRunCost || null
+  };
+}
+
+/**
+ * @class BudgetGuard
+ * @description Checks every model request of a run against three caps: the estimated size
+ * of the request (`maxTokens` of the preset, bounded by the context window), the tokens of
+ * the whole run (`maxRunTokens`) and its estimated cost (`maxRunCost`). Requests that would
+ * pass a cap are never sent. Crossing the warning or critical threshold of a cap stops the
+ * run as well when the strategy says so (strict stops on warnings, progressive on critical,
+ * lenient only at the cap). One guard can be shared by the session and its tools so that
+ * all of their calls count against the same budget.
+ * @property {Object} settings - Resolved caps and strategy (see resolveBudgetSettings)
+ * @property {UsageTracker} usage - Everything spent under this budget
+ * @property {Set<string>} notified - Thresholds already reported
+ * @property {Object} pending - Estimated tokens and cost of reserved requests still in flight
+ */
+class BudgetGuard {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Guard settings
+   * @param {string} [options.preset] - Preset name (defaults to config, then PROMPT_EXPERT_BUDGET_PRESET)
+   * @param {string} [options.strategy] - Strategy name (defaults to config, then PROMPT_EXPERT_BUDGET_STRATEGY)
+   * @param {number} [options.maxCost] - Run cost cap (defaults to the preset's maxRunCost)
+   * @param {Object} [options.config] - Preloaded limits configuration
+   * @param {Object} [options.pricing] - Price table for cost estimates (defaults to config/pricing.json)
+   */
+  constructor(options = {}) {
+    this.settings = resolveBudgetSettings(options);
+    this.usage = new UsageTracker({ pricing: options.pricing });
+    this.notified = new Set();
+    this.pending = { tokens: 0, cost: 0 };
+  }
+
+  /**
+   * @method check
+   * @description Estimates a request and enforces the caps before it is sent
+   * @param {Object} payload - Messages API payload
+   * @param {Object} [defaults={}] - Provider (or `{ model, maxTokens }`) supplying the model
+   *   and max_tokens when the payload omits them
+   * @returns {Object} `{ level, estimate, notice }`; `notice` describes a threshold crossed
+   *   for the first time (null otherwise). Reserved requests count as already spent.
+   * @throws {Error} BUDGET_EXCEEDED when the request passes a cap, or a threshold the
+   *   strategy stops on
+   */
+  check(payload, defaults = {}) {
+    const estimate = this.estimate(payload, defaults);
+    const spent = this.usage.summary();
+    const spentTokens = BudgetGuard.totalTokens(spent) + this.pending.tokens;
+    const { maxRequestTokens, maxRunTokens, maxRunCost } = this.settings;
+
+    const limits = [
+      { name: 'request', label: 'request size', value: estimate.totalTokens, max: maxRequestTokens },
+      { name: 'runTokens', label: 'run tokens', value: spentTokens + estimate.totalTokens, max: maxRunTokens }
+    ];
+    if (estimate.cost !== null || spent.cost !== null) {
+      limits.push({ name: 'runCost', label: 'run cost', value: (spent.cost || 0) + this.pending.cost + (estimate.cost || 0), max: maxRunCost, currency: spent.currency });
+    }
+
+    let worst = { level: 'ok', limit: null };
+    for (const limit of limits.filter(l => l.max)) {
+      const level = this.levelOf(limit.value, limit.max);
+      if (this.stopsAt(level)) {
+        throw BudgetGuard.error(this.describe(limit, level, estimate, spent));
+      }
+      if (LEVELS.indexOf(level) > LEVELS.indexOf(worst.level)) {
+        worst = { level, limit };
+      }
+    }
+
+    let notice = null;
+    if (worst.limit && !this.notified.has(`${worst.limit.name}:${worst.level}`)) {
+      this.notified.add(`${worst.limit.name}:${worst.level}`);
+      notice = `Budget ${worst.level}: ${worst.limit.label} ${BudgetGuard.formatValue(worst.limit.value, worst.limit)} ` +
+        `of ${BudgetGuard.formatValue(worst.limit.max, worst.limit)} (preset ${this.settings.preset || 'none'}, ${this.settings.strategy} strategy)`;
+    }
+
+    return { level: worst.level, estimate, notice };
+  }
+
+  /**
+   * @method reserve
+   * @description Holds a checked request's estimate against the budget until it completes,
+   * so that requests running in parallel cannot pass a cap together
+   * @param {Object} estimate - Estimate returned by check
+   * @returns {Function} Releases the reservation; call it once the response is recorded or
+   *   the request failed
+   */
+  reserve(estimate) {
+    const cost = estimate.cost || 0;
+    this.pending.tokens += estimate.totalTokens;
+    this.pending.cost += cost;
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        this.pending.tokens -= estimate.totalTokens;
+        this.pending.cost -= cost;
+      }
+    };
+  }
+
+  /**
+   * @method record
+   * @description Counts a model response against the budget
+   * @param {Object} response - Messages API response
+   * @param {string} [scope='other'] - What the call was for
+   */
+  record(response, scope = 'other') {
+    this.usage.record(response, scope);
+  }
+
+  /**
+   * @method estimate
+   * @description Pre-estimates a request: input from the characters of the system prompt,
+   * messages and tool definitions (estimatedCharsPerToken), output at its max_tokens
+   * @param {Object} payload - Messages API payload
+   * @param {Object} [defaults={}] - `{ model, maxTokens }` used when the payload omits them
+   * @returns {Object} `{ model, inputTokens, outputTokens, totalTokens, cost }`
+   */
+  estimate(payload, defaults = {}) {
+    const characters = JSON.stringify([payload.system || '', payload.messages || [], payload.tools || []]).length;
+    const inputTokens = Math.ceil(characters / this.settings.charsPerToken);
+    const outputTokens = payload.max_tokens || defaults.maxTokens || 0;
+    const model = payload.model || defaults.model || null;
+    const cost = this.usage.estimateCost({
+      inputTokens,
+      outputTokens,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: 0
+    }, model);
+
+    return { model, inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, cost };
+  }
+
+  /**
+   * @method summary
+   * @returns {Object} `{ preset, strategy, limits, spent }` for logs and results
+   */
+  summary() {
+    const { preset, strategy, maxRequestTokens, maxRunTokens, maxRunCost } = this.settings;
+    return {
+      preset,
+      strategy,
+      limits: { maxRequestTokens, maxRunTokens, maxRunCost },
+      spent: this.usage.summary()
+    };
+  }
+
+  /**
+   * @method levelOf
+   * @param {number} value - Projected value
+   * @param {number} max - Cap
+   * @returns {string} One of LEVELS
+   * @private
+   */
+  levelOf(value, max) {
+    if (value > max) return 'exceeded';
+    if (value >= max * this.settings.criticalRatio) return 'critical';
+    if (value >= max * this.settings.warnRatio) return 'warning';
+    return 'ok';
+  }
+
+  /**
+   * @method stopsAt
+   * @param {string} level - Budget level
+   * @returns {boolean} Whether the strategy stops the run at this level
+   * @private
+   */
+  stopsAt(level) {
+    return level === 'exceeded' ||
+      (level === 'critical' && this.settings.stopOnCritical) ||
+      (level === 'warning' && this.settings.stopOnWarning);
+  }
+
+  /**
+   * @method describe
+   * @param {Object} limit - Cap that stopped the run
+   * @param {string} level - Level reached
+   * @param {Object} estimate - Estimate of the refused request
+   * @param {Object} spent - Usage summary before the request
+   * @returns {Object} Budget details attached to the error
+   * @private
+   */
+  describe(limit, level, estimate, spent) {
+    const ratio = { exceeded: 1, critical: this.settings.criticalRatio, warning: this.settings.warnRatio }[level];
+    const threshold = limit.max * ratio;
+    const reason = level === 'exceeded'
+      ? `above the cap of ${BudgetGuard.formatValue(limit.max, limit)}`
+      : `past the ${level} threshold of ${BudgetGuard.formatValue(threshold, limit)} (cap ${BudgetGuard.formatValue(limit.max, limit)}), where the ${this.settings.strategy} strategy stops`;
+
+    return {
+      message: `Budget exceeded: the next request would bring the ${limit.label} to ${BudgetGuard.formatValue(limit.value, limit)}, ${reason}`,
+      limit: limit.name,
+      level,
+      value: limit.value,
+      threshold,
+      max: limit.max,
+      preset: this.settings.preset,
+      strategy: this.settings.strategy,
+      estimate,
+      spent
+    };
+  }
+
+  /**
+   * @static
+   * @method error
+   * @param {Object} budget - Budget details from a BUDGET_EXCEEDED error or result
+   * @returns {Error} Error with code BUDGET_EXCEEDED and the details as `budget`
+   */
+  static error(budget) {
+    const error = new Error(budget.message);
+    error.code = 'BUDGET_EXCEEDED';
+    error.budget = budget;
+    return error;
+  }
+
+  /**
+   * @static
+   * @method formatReport
+   * @description Markdown explaining why a run was stopped, for PR comments
+   * @param {Object} budget - Budget details from a BUDGET_EXCEEDED error or result
+   * @returns {string} Markdown
+   */
+  static formatReport(budget) {
+    const spent = budget.spent || {};
+    const cost = UsageTracker.formatCost(spent);
+    return [
+      `**Reason:** ${budget.message}`,
+      '',
+      '| | Tokens | Cost |',
+      '|---|---|---|',
+      `| Spent before stopping | ${BudgetGuard.totalTokens(spent).toLocaleString('en-US')} (${spent.requests || 0} request(s)) | ${cost || 'n/a'} |`,
+      `| Refused request (estimate) | ${budget.estimate.totalTokens.toLocaleString('en-US')} | ${budget.estimate.cost === null ? 'n/a' : UsageTracker.formatCost({ cost: budget.estimate.cost, currency: spent.currency })} |`,
+      '',
+      `**Preset:** \`${budget.preset || 'none'}\` | **Strategy:** \`${budget.strategy}\``,
+      '',
+      'Nothing more was sent to the model. To allow larger runs, choose another preset or strategy ' +
+        '(`PROMPT_EXPERT_BUDGET_PRESET`, `PROMPT_EXPERT_BUDGET_STRATEGY`) or raise the cost cap (`PROMPT_EXPERT_MAX_COST`); ' +
+        'to stay within budget, use fewer samples, test cases or test context.'
+    ].join('\n');
+  }
+
+  /**
+   * @static
+   * @method totalTokens
+   * @param {Object} counters - Usage summary or counters
+   * @returns {number} Input, output and cache tokens together
+   */
+  static totalTokens(counters) {
+    return TOKEN_FIELDS.reduce((sum, field) => sum + (counters[field] || 0), 0);
+  }
+
+  /**
+   * @static
+   * @method formatValue
+   * @param {number} value - Tokens or cost
+   * @param {Object} limit - Cap the value belongs to
+   * @returns {string} "12,000 tokens" or "$1.2345"
+   * @private
+   */
+  static formatValue(value, limit) {
+    return limit.name === 'runCost'
+      ? UsageTracker.formatCost({ cost: value, currency: limit.currency })
+      : `${Math.round(value).toLocaleString('en-US')} tokens`;
+  }
+}
+
+module.exports = { BudgetGuard, loadLimitsConfig, resolveBudgetSettings, LEVELS };
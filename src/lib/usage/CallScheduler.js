@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Call Scheduler
+ * @description Runs independent model calls in parallel while bounding how many are in
+ * flight at once and how many start per minute (`limits.runner.maxConcurrentAPICalls` and
+ * `limits.runner.maxAPICallsPerMinute` of config/abtest-limits.json).
+ * @module CallScheduler
+ * @requires ./BudgetGuard
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { loadLimitsConfig } = require('./BudgetGuard');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Environment variables overriding the runner limits
+ * @const {Object<string, string>}
+ */
+const ENVIRONMENT = {
+  maxConcurrency: 'PROMPT_EXPERT_MAX_CONCURRENCY',
+  maxCallsPerMinute: 'PROMPT_EXPERT_MAX_CALLS_PER_MINUTE'
+};
+
+/**
+ * @function resolveSchedulerSettings
+ * @description Determines the concurrency and rate limits.
+ * Precedence: explicit options > environment variables > `limits.runner` of the config.
+ * @param {Object} [options={}] - Overrides
+ * @param {number} [options.maxConcurrency] - Calls in flight at once
+ * @param {number} [options.maxCallsPerMinute] - Calls started per rolling minute
+ * @param {Object} [options.config] - Preloaded limits configuration
+ * @param {string} [options.configPath] - Path to abtest-limits.json
+ * @returns {Object} `{ maxConcurrency, maxCallsPerMinute }`
+ * @throws {Error} When a limit is not a positive integer
+ */
+function resolveSchedulerSettings(options = {}) {
+  const config = options.config || loadLimitsConfig(options.configPath);
+  const runner = (config.limits && config.limits.runner) || {};
+  const defaults = {
+    maxConcurrency: runner.maxConcurrentAPICalls || 4,
+    maxCallsPerMinute: runner.maxAPICallsPerMinute || 60
+  };
+
+  const settings = {};
+  for (const name of Object.keys(defaults)) {
+    const raw = options[name] !== undefined ? options[name] : process.env[ENVIRONMENT[name]];
+    const value = raw !== undefined && raw !== '' ? Number(raw) : defaults[name];
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`Invalid ${name} "${raw}": expected a positive integer`);
+    }
+    settings[name] = value;
+  }
+  return settings;
+}
+
+/**
+ * @class CallScheduler
+ * @description Bounded-concurrency queue with a rolling one-minute rate limit. Tasks start
+ * in the order they were scheduled once a slot is free and the last minute has room for
+ * another call. Only leaf calls (a single request to the provider) should be scheduled:
+ * a task that waits on other scheduled tasks holds its slot and can starve them. One
+ * scheduler can be shared by the session and its tools so that all of their calls count
+ * against the same limits.
+ * @property {Object} settings - `{ maxConcurrency, maxCallsPerMinute }`
+ * @property {number} active - Tasks currently running
+ * @property {Array<Function>} queue - Start functions of waiting tasks
+ * @property {Array<number>} started - Start times within the last minute
+ */
+class CallScheduler {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Scheduler settings (see resolveSchedulerSettings)
+   * @param {Function} [options.now] - Clock, for tests (defaults to Date.now)
+   * @param {Function} [options.sleep] - Delay function returning a promise, for tests
+   */
+  constructor(options = {}) {
+    this.settings = resolveSchedulerSettings(options);
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.active = 0;
+    this.queue = [];
+    this.started = [];
+    this.timer = null;
+  }
+
+  /**
+   * @method schedule
+   * @async
+   * @description Runs a task once a slot and the rate limit allow it
+   * @param {Function} task - Function returning a promise
+   * @returns {Promise<*>} The task's result
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push(() => {
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            this.active--;
+            this.drain();
+          });
+      });
+      this.drain();
+    });
+  }
+
+  /**
+   * @method drain
+   * @description Starts waiting tasks while slots and the rate limit allow, and wakes up
+   * again when the oldest call of the last minute leaves the window
+   * @private
+   */
+  drain() {
+    while (this.queue.length > 0 && this.active < this.settings.maxConcurrency) {
+      const wait = this.rateDelay();
+      if (wait > 0) {
+        if (!this.timer) {
+          this.timer = this.sleep(wait).then(() => {
+            this.timer = null;
+            this.drain();
+          });
+        }
+        return;
+      }
+
+      this.active++;
+      this.started.push(this.now());
+      this.queue.shift()();
+    }
+  }
+
+  /**
+   * @method rateDelay
+   * @returns {number} Milliseconds until another call may start (0 when it may start now)
+   * @private
+   */
+  rateDelay() {
+    const now = this.now();
+    while (this.started.length > 0 && this.started[0] <= now - MINUTE) {
+      this.started.shift();
+    }
+    if (this.started.length < this.settings.maxCallsPerMinute) {
+      return 0;
+    }
+    return this.started[0] + MINUTE - now;
+  }
+
+  /**
+   * @static
+   * @method all
+   * @async
+   * @description Like Promise.all, but waits for every promise to settle before rejecting,
+   * so no call is left running (and unaccounted for) after a failure
+   * @param {Array<Promise>} promises - Work started in parallel
+   * @returns {Promise<Array>} Results in input order
+   * @throws {Error} The first rejection, in input order
+   */
+  static async all(promises) {
+    const results = await Promise.allSettled(promises);
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+    return results.map(result => result.value);
+  }
+
+  /**
+   * @method summary
+   * @returns {Object} `{ maxConcurrency, maxCallsPerMinute, active, queued }` for logs
+   */
+  summary() {
+    return {
+      ...this.settings,
+      active: this.active,
+      queued: this.queue.length
+    };
+  }
+}
+
+module.exports = { CallScheduler, resolveSchedulerSettings };
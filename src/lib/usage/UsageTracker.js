@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Usage Tracker
+ * @description Token accounting for model calls (input, output and prompt-cache tokens),
+ * grouped by scope (evaluation thread, judge step, tool) with cost estimated from
+ * config/pricing.json
+ * @module UsageTracker
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const fsSync = require('fs');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', '..', 'config', 'pricing.json');
+
+/**
+ * Token counters kept for every scope and for the total
+ * @const {Array<string>}
+ */
+const TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'cacheCreationInputTokens', 'cacheReadInputTokens'];
+
+/**
+ * Price tables already reported as unreadable (warned once per process)
+ * @type {Set<string>}
+ */
+const unreadablePricing = new Set();
+
+/**
+ * @function loadPricingConfig
+ * @description Loads the price table. The PROMPT_EXPERT_PRICING environment variable (name
+ * configurable in the file) points to a replacement table. Without a readable table no cost
+ * is estimated and a warning is logged once.
+ * @param {string} [configPath] - Path to pricing.json
+ * @returns {Object} `{ currency, tokensPerUnit, models }`
+ */
+function loadPricingConfig(configPath = DEFAULT_CONFIG_PATH) {
+  let file = configPath;
+  const read = () => JSON.parse(fsSync.readFileSync(file, 'utf8'));
+  try {
+    const config = read();
+    const override = config.environment && process.env[config.environment.path];
+    if (!override) return config;
+    file = override;
+    return read();
+  } catch (error) {
+    if (!unreadablePricing.has(file)) {
+      unreadablePricing.add(file);
+      console.warn(`Could not read price table ${file} (${error.message}); costs will not be estimated`);
+    }
+    return { currency: 'USD', tokensPerUnit: 1000000, models: {} };
+  }
+}
+
+/**
+ * @class UsageTracker
+ * @description Accumulates the `usage` of model responses for one run. Token fields follow
+ * the Anthropic Messages API: `input_tokens` excludes prompt-cache writes
+ * (`cache_creation_input_tokens`) and reads (`cache_read_input_tokens`), and each of the
+ * four is priced separately. Cost is estimated per response from its model, so runs that
+ * mix models are priced correctly; models missing from the price table are listed as
+ * unpriced.
+ * @property {Object} pricing - Price table `{ currency, tokensPerUnit, models }`
+ * @property {string|null} model - Model assumed when a response does not report one
+ * @property {Object} totals - Counters for the whole run
+ * @property {Object} scopes - Counters per scope name
+ * @property {Set<string>} unpricedModels - Models without a price
+ */
+class UsageTracker {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Tracker settings
+   * @param {Object} [options.pricing] - Price table (defaults to config/pricing.json)
+   * @param {string} [options.model] - Default model (usually the provider's model)
+   */
+  constructor(options = {}) {
+    this.pricing = options.pricing || loadPricingConfig();
+    this.model = options.model || null;
+    this.totals = UsageTracker.emptyCounters();
+    this.scopes = {};
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * @method record
+   * @description Adds one model response
+   * @param {Object} response - Messages API response (`usage`, `model`)
+   * @param {string} [scope='other'] - What the call was for, e.g. 'structural' or 'verdict'
+   * @returns {Object} Counters of this response, including `cost`
+   */
+  record(response, scope = 'other') {
+    const tokens = UsageTracker.normalize(response && response.usage);
+    const model = (response && response.model) || this.model;
+    const cost = this.estimateCost(tokens, model);
+    if (cost === null) {
+      this.unpricedModels.add(model || 'unknown');
+    }
+
+    const entry = { requests: 1, ...tokens, cost };
+    UsageTracker.add(this.totals, entry);
+    UsageTracker.add(this.scopeCounters(scope), entry);
+    return entry;
+  }
+
+  /**
+   * @method merge
+   * @description Adds the summary of another run (e.g. a tool call) under one scope
+   * @param {Object} summary - Result of another tracker's summary()
+   * @param {string} scope - Scope to book the run under
+   */
+  merge(summary, scope) {
+    if (!summary) return;
+    UsageTracker.add(this.totals, summary);
+    UsageTracker.add(this.scopeCounters(scope), summary);
+    for (const model of summary.unpricedModels || []) {
+      this.unpricedModels.add(model);
+    }
+  }
+
+  /**
+   * @method summary
+   * @returns {Object} `{ requests, inputTokens, outputTokens, cacheCreationInputTokens,
+   *   cacheReadInputTokens, cost, currency, unpricedModels, byScope }`; `cost` is null when
+   *   no request could be priced
+   */
+  summary() {
+    const byScope = {};
+    for (const [scope, counters] of Object.entries(this.scopes)) {
+      byScope[scope] = UsageTracker.finish(counters);
+    }
+    return {
+      ...UsageTracker.finish(this.totals),
+      currency: this.pricing.currency || 'USD',
+      unpricedModels: [...this.unpricedModels],
+      byScope
+    };
+  }
+
+  /**
+   * @method estimateCost
+   * @param {Object} tokens - Normalized token counts
+   * @param {string|null} model - Model id
+   * @returns {number|null} Estimated cost, or null when the model has no price
+   */
+  estimateCost(tokens, model) {
+    const price = UsageTracker.findPrice(this.pricing, model);
+    if (!price) return null;
+
+    const unit = this.pricing.tokensPerUnit || 1000000;
+    return (tokens.inputTokens * (price.input || 0) +
+      tokens.outputTokens * (price.output || 0) +
+      tokens.cacheCreationInputTokens * (price.cacheWrite === undefined ? price.input || 0 : price.cacheWrite) +
+      tokens.cacheReadInputTokens * (price.cacheRead === undefined ? price.input || 0 : price.cacheRead)) / unit;
+  }
+
+  /**
+   * @method scopeCounters
+   * @param {string} scope - Scope name
+   * @returns {Object} Counters of the scope (created on first use)
+   * @private
+   */
+  scopeCounters(scope) {
+    if (!this.scopes[scope]) {
+      this.scopes[scope] = UsageTracker.emptyCounters();
+    }
+    return this.scopes[scope];
+  }
+
+  /**
+   * @static
+   * @method findPrice
+   * @description Looks up a model by the longest price-table key it starts with, so
+   * "claude-sonnet-4" prices "claude-sonnet-4-20250514"
+   * @param {Object} pricing - Price table
+   * @param {string|null} model - Model id
+   * @returns {Object|null} `{ input, output, cacheWrite, cacheRead }`
+   */
+  static findPrice(pricing, model) {
+    if (!model) return null;
+    const models = pricing.models || {};
+    const key = Object.keys(models)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return key ? models[key] : null;
+  }
+
+  /**
+   * @static
+   * @method normalize
+   * @param {Object} [usage] - Messages API usage block
+   * @returns {Object} Token counts keyed by TOKEN_FIELDS
+   */
+  static normalize(usage = {}) {
+    const source = usage || {};
+    return {
+      inputTokens: source.input_tokens || 0,
+      outputTokens: source.output_tokens || 0,
+      cacheCreationInputTokens: source.cache_creation_input_tokens || 0,
+      cacheReadInputTokens: source.cache_read_input_tokens || 0
+    };
+  }
+
+  /**
+   * @static
+   * @method emptyCounters
+   * @returns {Object} Zeroed counters
+   * @private
+   */
+  static emptyCounters() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, cacheCreationInputTokens: 0, cacheReadInputTokens: 0, cost: 0, priced: 0 };
+  }
+
+  /**
+   * @static
+   * @method add
+   * @param {Object} target - Counters to increase
+   * @param {Object} entry - Counters or summary to add (`cost` null means unpriced)
+   * @private
+   */
+  static add(target, entry) {
+    target.requests += entry.requests || 0;
+    for (const field of TOKEN_FIELDS) {
+      target[field] += entry[field] || 0;
+    }
+    if (entry.cost !== null && entry.cost !== undefined) {
+      target.cost += entry.cost;
+      target.priced += entry.priced === undefined ? entry.requests || 0 : entry.priced;
+    }
+  }
+
+  /**
+   * @static
+   * @method finish
+   * @param {Object} counters - Accumulated counters
+   * @returns {Object} Public counters (cost null when nothing was priced)
+   * @private
+   */
+  static finish(counters) {
+    const { priced, cost, ...rest } = counters;
+    return { ...rest, priced, cost: priced > 0 ? cost : null };
+  }
+
+  /**
+   * @static
+   * @method format
+   * @description One-line usage summary for logs and comments
+   * @param {Object} summary - Result of summary()
+   * @returns {string} e.g. "48,210 input / 6,930 output tokens (12,000 cached), 21 requests, ~$0.2485"
+   */
+  static format(summary) {
+    if (!summary) return '';
+    const n = value => (value || 0).toLocaleString('en-US');
+    const cached = (summary.cacheReadInputTokens || 0) + (summary.cacheCreationInputTokens || 0);
+    const cost = UsageTracker.formatCost(summary);
+    return `${n(summary.inputTokens)} input / ${n(summary.outputTokens)} output tokens` +
+      `${cached > 0 ? ` (${n(summary.cacheReadInputTokens)} cache read, ${n(summary.cacheCreationInputTokens)} cache write)` : ''}` +
+      `, ${summary.requests} request(s)${cost ? `, ~${cost}` : ''}`;
+  }
+
+  /**
+   * @static
+   * @method formatCost
+   * @param {Object} summary - Summary or scope counters with `cost`
+   * @returns {string} Cost such as "$0.2485" ('' when unpriced); partial when some models were unpriced
+   */
+  static formatCost(summary) {
+    if (!summary || summary.cost === null || summary.cost === undefined) return '';
+    const symbol = (summary.currency || 'USD') === 'USD' ? '$' : `${summary.currency} `;
+    const partial = summary.unpricedModels && summary.unpricedModels.length > 0
+      ? ` (excl. ${summary.unpricedModels.join(', ')})`
+      : '';
+    return `${symbol}${summary.cost.toFixed(4)}${partial}`;
+  }
+}
+
+module.exports = { UsageTracker, loadPricingConfig, TOKEN_FIELDS };
@@ -1,7 +1,10 @@
 const fs = require('fs');
 const path = require('path');
-const { Anthropic } = require('@anthropic-ai/sdk');
 const { Octokit } = require('@octokit/rest');
+const { createProvider } = require('../lib/providers/ProviderFactory');
+const { StructuredJudge } = require('../lib/evaluation/StructuredJudge');
+const { ScenarioSuite } = require('../lib/evaluation/ScenarioSuite');
+const { ExpertRegistry } = require('../lib/evaluation/ExpertRegistry');
 
 const OWNER = process.env.OWNER;
 const REPO = process.env.REPO;
@@ -9,7 +12,8 @@ const PR_NUMBER = parseInt(process.env.PR_NUMBER);
 
 async function evaluate() {
   const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-  const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  const provider = createProvider();
+  const judge = new StructuredJudge({ callModel: payload => provider.createMessage(payload) });
   
   console.log(`Evaluating PR #${PR_NUMBER} in ${OWNER}/${REPO}`);
   
@@ -86,12 +90,13 @@ async function evaluate() {
     // Domain detection now always succeeds with 'general' as fallback
     
     // Load MD-based expert definition from GitHub
+    const expert = (await ExpertRegistry.load(path.join(__dirname, '..', '..'))).resolve(domain);
     let expertDefinition;
     try {
       const { data } = await octokit.repos.getContent({
         owner: OWNER,
         repo: REPO,
-        path: `experts/${domain}-expert.md`,
+        path: expert ? expert.source : `experts/${domain}-expert.md`,
         ref: 'main' // Use main branch for stable expert definitions
       });
       expertDefinition = Buffer.from(data.content, 'base64').toString('utf-8');
@@ -105,37 +110,55 @@ async function evaluate() {
       return;
     }
     
+    // Load the domain's scenario suite; every scenario is run against each changed file
+    const scenarioSuite = await new ScenarioSuite({
+      octokit,
+      repoOwner: OWNER,
+      repoName: REPO,
+      baseDir: path.join(__dirname, '..', '..')
+    }).load(domain);
+    console.log(`Loaded ${scenarioSuite.scenarios.length} ${domain} scenario(s) from ${scenarioSuite.source} suite`);
+    
     // Create MD-based expert module
     const expertModule = {
       name: `${domain.charAt(0).toUpperCase() + domain.slice(1)} Expert`,
       definition: expertDefinition,
-      async evaluatePrompts(oldContent, newContent, anthropic) {
-        // Load domain-specific test scenario from GitHub
-        let testScenario = "Please demonstrate your capabilities with a relevant example.";
-        
-        try {
-          const { data } = await octokit.repos.getContent({
-            owner: OWNER,
-            repo: REPO,
-            path: 'test-scenarios/domain-tests.json',
-            ref: 'main'
-          });
-          const domainTests = JSON.parse(Buffer.from(data.content, 'base64').toString('utf-8'));
-          if (domainTests[domain]) {
-            testScenario = domainTests[domain].scenario;
-            console.log(`Using ${domain} test scenario: ${testScenario}`);
-          } else {
-            console.log(`No specific test scenario for domain ${domain}, using default`);
+      async evaluatePrompts(oldContent, newContent, provider) {
+        const results = [];
+        let report = `### 🔍 3-Thread Evaluation Results\n\n`;
+
+        for (const scenario of scenarioSuite.scenarios) {
+          const result = await this.evaluateScenario(oldContent, newContent, provider, scenario.input);
+          results.push(result);
+          if (scenarioSuite.scenarios.length > 1) {
+            report += `#### Scenario ${scenario.id}: ${result.decision} (${result.score}/10)\n\n`;
           }
-        } catch (error) {
-          console.log(`Could not load domain tests from GitHub: ${error.message}, using default scenario`);
+          report += result.report;
         }
-        
+
+        const summary = ScenarioSuite.summarize(results);
+
+        // Map expert decision to review recommendation
+        const recommendations = { MERGE: 'APPROVE', REJECT: 'REQUEST_CHANGES', SUGGEST: 'SUGGEST' };
+        const recommendation = recommendations[summary.decision];
+        if (results.length > 1) {
+          report += `**Scenario Summary:** ${summary.decision} across ${results.length} scenarios (mean score ${summary.score.toFixed(1)}/10)\n\n`;
+        }
+        console.log(`Expert decision: ${summary.decision} (score ${summary.score}/10 over ${results.length} scenario(s))`);
+
+        return {
+          report,
+          recommendation: recommendation,
+          improvements: summary.improvements.map(item => `- ${item}`),
+          improvement: recommendation === 'APPROVE' ? 1 : 0
+        };
+      },
+
+      async evaluateScenario(oldContent, newContent, provider, testScenario) {
         // Use 3-thread evaluation model as designed
         
         // Thread A: Evaluate current prompt
-        const threadA = await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
+        const threadA = await provider.createMessage({
           max_tokens: 4000,
           messages: [{
             role: 'user',
@@ -144,8 +167,7 @@ async function evaluate() {
         });
         
         // Thread B: Evaluate new prompt  
-        const threadB = await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
+        const threadB = await provider.createMessage({
           max_tokens: 4000,
           messages: [{
             role: 'user',
@@ -162,8 +184,7 @@ ${improvementCycles >= 2 ? '- Be more lenient in your evaluation as improvements
 ${improvementCycles >= 3 ? '- Consider approving if the prompt is reasonably good (7.5/10 or better) to avoid endless cycles' : ''}
 ` : '';
 
-        const comparison = await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
+        const { data: result } = await judge.run('decision', {
           max_tokens: 4000,
           messages: [{
             role: 'user',
@@ -210,110 +231,22 @@ ${threadB.content[0].text}
 
 ## REQUIRED OUTPUT FORMAT
 
-1. Provide detailed analysis comparing both candidates
-2. Include specific examples and reasoning
-3. End your response with this structured format:
-
-=== EVALUATION RESULT ===
-DECISION: [MERGE/REJECT/SUGGEST]
-SCORE: [X]/10
-IMPROVEMENTS NEEDED:
-- [Specific improvement 1]
-- [Specific improvement 2]
-- [etc.]
-=== END RESULT ===
-
-Note: IMPROVEMENTS NEEDED section is only required for SUGGEST decisions.`
+Submit your evaluation with the submit_decision tool:
+1. Detailed analysis comparing both candidates, with specific examples and reasoning
+2. DECISION (MERGE/REJECT/SUGGEST) and SCORE out of 10, with a score for each criterion you applied
+3. Strengths, weaknesses and red flags of Candidate B
+4. IMPROVEMENTS: specific improvements (only required for SUGGEST decisions)`
           }]
         });
         
-        const expertResponse = comparison.content[0].text;
-        
-        // Parse expert decision
-        let recommendation = 'REQUEST_CHANGES';
-        let improvements = [];
-        let score = null;
-        
-        // First try structured format
-        const structuredMatch = expertResponse.match(/=== EVALUATION RESULT ===([\s\S]*?)=== END RESULT ===/);
-        if (structuredMatch) {
-          const structuredContent = structuredMatch[1];
-          
-          // Extract decision
-          const decisionMatch = structuredContent.match(/DECISION:\s*(\w+)/);
-          if (decisionMatch) {
-            const decision = decisionMatch[1].toUpperCase();
-            if (decision === 'MERGE') {
-              recommendation = 'APPROVE';
-              console.log('Expert decision: MERGE (structured)');
-            } else if (decision === 'REJECT') {
-              recommendation = 'REQUEST_CHANGES';
-              console.log('Expert decision: REJECT (structured)');
-            } else if (decision === 'SUGGEST') {
-              recommendation = 'SUGGEST';
-              console.log('Expert decision: SUGGEST (structured)');
-            }
-          }
-          
-          // Extract score
-          const scoreMatch = structuredContent.match(/SCORE:\s*(\d+(?:\.\d+)?)/);
-          if (scoreMatch) {
-            score = parseFloat(scoreMatch[1]);
-          }
-          
-          // Extract improvements
-          const improvementsMatch = structuredContent.match(/IMPROVEMENTS NEEDED:([\s\S]*?)(?:===|$)/);
-          if (improvementsMatch) {
-            const improvementsList = improvementsMatch[1].trim();
-            improvements = improvementsList.split('\n').filter(line => line.trim().startsWith('-')).map(line => line.trim());
-          }
-        } else {
-          // Fallback to old format for backward compatibility
-          if (expertResponse.includes('FINAL DECISION: MERGE')) {
-            recommendation = 'APPROVE';
-            console.log('Expert decision: MERGE (legacy)');
-          } else if (expertResponse.includes('FINAL DECISION: REJECT')) {
-            recommendation = 'REQUEST_CHANGES';
-            console.log('Expert decision: REJECT (legacy)');
-          } else if (expertResponse.includes('FINAL DECISION: SUGGEST')) {
-            recommendation = 'SUGGEST';
-            console.log('Expert decision: SUGGEST (legacy)');
-            
-            // Extract improvements (old format)
-            const improvementsMatch = expertResponse.match(/IMPROVEMENTS NEEDED:([\s\S]*?)(?:\n\n|$)/);
-            if (improvementsMatch) {
-              const improvementsList = improvementsMatch[1].trim();
-              improvements = improvementsList.split('\n').filter(line => line.trim().startsWith('-')).map(line => line.trim());
-            }
-          }
-        }
-        
-        // Fallback to score-based logic if no explicit decision
-        if (!structuredMatch && !expertResponse.includes('FINAL DECISION:')) {
-          // Use extracted score if available, otherwise search for it
-          if (!score) {
-            const scoreMatches = expertResponse.match(/(?:score|rating)[:\s]*(\d+\.?\d*)\/10/i);
-            if (scoreMatches) {
-              score = parseFloat(scoreMatches[1]);
-            }
-          }
-          
-          if (score !== null) {
-            if (score >= 8.5) {
-              recommendation = 'APPROVE';
-              console.log(`Auto-approving based on high score: ${score}/10`);
-            } else if (score >= 6.0) {
-              recommendation = 'SUGGEST';
-              console.log(`Suggesting improvements based on moderate score: ${score}/10`);
-            }
-          }
-        }
+        const expertResponse = StructuredJudge.toMarkdown(result);
+        console.log(`Scenario decision: ${result.decision} (score ${result.score}/10)`);
         
         return {
-          report: `### 🔍 3-Thread Evaluation Results\n\n**Test Scenario (${domain} domain):**\n"${testScenario}"\n\n**Thread A (Current Prompt Response):**\n${threadA.content[0].text}\n\n**Thread B (Proposed Prompt Response):**\n${threadB.content[0].text}\n\n**Thread C (Expert Analysis):**\n${expertResponse}\n\n`,
-          recommendation: recommendation,
-          improvements: improvements,
-          improvement: recommendation === 'APPROVE' ? 1 : 0
+          decision: result.decision,
+          score: result.score,
+          improvements: result.improvements,
+          report: `**Test Scenario (${domain} domain):**\n"${testScenario}"\n\n**Thread A (Current Prompt Response):**\n${threadA.content[0].text}\n\n**Thread B (Proposed Prompt Response):**\n${threadB.content[0].text}\n\n**Thread C (Expert Analysis):**\n${expertResponse}\n\n`
         };
       }
     };
@@ -348,7 +281,7 @@ Note: IMPROVEMENTS NEEDED section is only required for SUGGEST decisions.`
       const newContent = await getFileContent(octokit, OWNER, REPO, file.filename, null, 'head');
       
       // Use expert module to evaluate
-      const evaluation = await expertModule.evaluatePrompts(oldContent, newContent, anthropic);
+      const evaluation = await expertModule.evaluatePrompts(oldContent, newContent, provider);
       
       // Add evaluation results to report
       fullReport += evaluation.report || '### Evaluation Results\n\nNo detailed report provided by expert module.\n\n';
@@ -1,7 +1,9 @@
 const fs = require('fs');
 const path = require('path');
-const { Anthropic } = require('@anthropic-ai/sdk');
 const { Octokit } = require('@octokit/rest');
+const { createProvider } = require('../lib/providers/ProviderFactory');
+const { StructuredJudge } = require('../lib/evaluation/StructuredJudge');
+const { ScenarioSuite } = require('../lib/evaluation/ScenarioSuite');
 const ExpertLoader = require('./expert-loader');
 
 const OWNER = process.env.OWNER;
@@ -57,9 +59,191 @@ function buildContextMessages(contextData) {
   return messages;
 }
 
+/**
+ * Run the current and proposed prompts on one test scenario and have the expert compare them
+ */
+async function compareOnScenario({ provider, judge, domain, expertPrompt, repoContext, contextMessages, oldContent, newContent, testScenario }) {
+  // Build messages for Thread A and Thread B with context
+  const threadAMessages = [];
+  const threadBMessages = [];
+  
+  // Add context messages first (if available)
+  if (contextMessages.length > 0) {
+    console.log(`[EVALUATE] Injecting ${contextMessages.length} context messages into BOTH evaluation threads`);
+    console.log(`[EVALUATE] Context includes files from: ${repoContext.summary ? repoContext.summary.totalFiles + ' files' : 'legacy format'}`);
+    console.log(`[EVALUATE] Both Thread A and Thread B will receive the same repository context`);
+    
+    // Thread A gets context + old prompt
+    threadAMessages.push({
+      role: 'user',
+      content: [
+        ...contextMessages,
+        {
+          type: 'text',
+          text: `\n\nYou are primed with this prompt definition:\n\n${oldContent}\n\nNow respond to this test scenario: "${testScenario}"`
+        }
+      ]
+    });
+    console.log(`[EVALUATE] Thread A prepared with repository context + baseline prompt`);
+    
+    // Thread B gets THE SAME context + new prompt
+    threadBMessages.push({
+      role: 'user',
+      content: [
+        ...contextMessages,
+        {
+          type: 'text',
+          text: `\n\nYou are primed with this prompt definition:\n\n${newContent}\n\nNow respond to this test scenario: "${testScenario}"`
+        }
+      ]
+    });
+    console.log(`[EVALUATE] Thread B prepared with repository context + PR prompt`);
+    console.log(`[EVALUATE] File IDs from repository context are shared between threads`);
+  } else {
+    console.log(`[EVALUATE] No repository context available, using standard evaluation`);
+    // No context, use simple format
+    threadAMessages.push({
+      role: 'user',
+      content: `You are primed with this prompt definition:\n\n${oldContent}\n\nNow respond to this test scenario: "${testScenario}"`
+    });
+    
+    threadBMessages.push({
+      role: 'user',
+      content: `You are primed with this prompt definition:\n\n${newContent}\n\nNow respond to this test scenario: "${testScenario}"`
+    });
+  }
+  
+  // Thread A: Evaluate current prompt WITH repository context (same file IDs as Thread B)
+  console.log(`[EVALUATE] Executing Thread A with ${contextMessages.length > 0 ? 'repository context' : 'no context'}`);
+  const threadA = await provider.createMessage({
+    max_tokens: 4000,
+    messages: threadAMessages
+  });
+  
+  // Thread B: Evaluate new prompt WITH repository context (same file IDs as Thread A)
+  console.log(`[EVALUATE] Executing Thread B with ${contextMessages.length > 0 ? 'repository context' : 'no context'}`);
+  const threadB = await provider.createMessage({
+    max_tokens: 4000,
+    messages: threadBMessages
+  });
+  
+  // Thread C: Expert comparison with enhanced role definition and pairwise evaluation
+  const contextNote = repoContext ? `
+
+**Repository Context Available:**
+- Repository files and structure were provided to BOTH implementations
+- Both Thread A and Thread B had access to the SAME file IDs from ${repoContext.summary?.totalFiles || 0} files
+- The SAME context (file IDs) was injected into both evaluation threads
+- Evaluation should consider how well each prompt utilizes the available context
+- File hashes: ${repoContext.cacheControl?.cacheKeys?.slice(0, 3).map(h => h.substring(0, 8)).join(', ')}${repoContext.cacheControl?.cacheKeys?.length > 3 ? '...' : ''}
+` : '';
+  
+  const { data: expertResult } = await judge.run('decision', {
+    max_tokens: 4000,
+    messages: [
+      {
+        role: 'user', 
+        content: `## LLM ROLE DEFINITION
+You are now assuming the role of a ${domain} domain expert evaluator. Your specific responsibilities are:
+
+**Primary Role:** ${domain} Domain Expert Evaluator
+**Core Function:** Conduct pairwise evaluation of prompt implementations using domain expertise
+**Authority Level:** Senior expert with deep knowledge in ${domain} field
+**Evaluation Approach:** Systematic, criteria-driven, evidence-based assessment
+
+**Domain Expertise Context:**
+${expertPrompt}
+
+**Evaluation Mandate:** 
+- Develop domain-specific evaluation criteria
+- Conduct rigorous pairwise comparison
+- Provide actionable recommendations based on ${domain} best practices
+- Maintain objectivity while leveraging deep domain knowledge
+
+Do you understand your role as a ${domain} domain expert evaluator?`
+      },
+      {
+        role: 'assistant',
+        content: `Yes, I understand. I am now functioning as a ${domain} domain expert evaluator with the mandate to:
+
+1. Apply my deep ${domain} expertise to develop relevant evaluation criteria
+2. Conduct systematic pairwise comparison of prompt implementations  
+3. Provide evidence-based recommendations grounded in ${domain} best practices
+4. Maintain objectivity while leveraging specialized domain knowledge
+
+I am ready to evaluate the prompt implementations using rigorous ${domain} expert methodology.`
+      },
+      {
+        role: 'user',
+        content: `## EVALUATION TASK
+
+**Methodology:** Pairwise evaluation using 2025 LLM evaluation best practices
+**Approach:** Expert-developed criteria followed by systematic comparison
+
+## TEST SCENARIO
+"${testScenario}"
+
+## PROMPT IMPLEMENTATIONS & RESPONSES
+
+### Implementation A (Proposed - PR Candidate)
+**Prompt Definition:**
+${newContent}
+
+**Response to Test Scenario:**
+${threadB.content[0].text}
+
+### Implementation B (Current - Baseline)
+**Prompt Definition:**
+${oldContent}  
+
+**Response to Test Scenario:**
+${threadA.content[0].text}
+
+${contextNote}
+
+## EXPERT EVALUATION PROCESS
+
+**Phase 1: Criteria Development**
+As a ${domain} expert, develop 4-6 specific evaluation criteria tailored to:
+- The nature of this test scenario
+- ${domain} domain standards and best practices  
+- Practical value and real-world applicability
+- Quality indicators specific to this task type
+
+**Phase 2: Pairwise Comparison**
+Systematically compare Implementation A vs Implementation B using your expert-developed criteria.
+
+**Phase 3: Expert Recommendation**
+Provide final recommendation based on your domain expertise and evaluation findings.
+
+## REQUIRED OUTPUT FORMAT
+
+Submit your evaluation with the submit_decision tool:
+- **analysis**: Your evaluation focus as a ${domain} expert, the criteria you developed (and why each is critical for ${domain}), the systematic pairwise analysis with evidence, the pairwise winner (Implementation A/Implementation B/TIE), your confidence level, the decisive factor and your expert rationale
+- **criteria**: Your expert-developed criteria with Implementation A's score (0-10) for each
+- **score**: Overall score (0-10) for Implementation A (Proposed)
+- **strengths** / **weaknesses** / **redFlags**: Findings for Implementation A
+- **decision**:
+  - MERGE: Implementation A (Proposed) is demonstrably superior
+  - REJECT: Implementation B (Current) is demonstrably superior
+  - SUGGEST: Implementation A shows promise but needs specific improvements
+- **improvements**: If SUGGEST, specific actionable changes based on ${domain} expertise`
+      }
+    ]
+  });
+  
+  return {
+    testScenario,
+    threadA: threadA.content[0].text,
+    threadB: threadB.content[0].text,
+    expertResult
+  };
+}
+
 async function evaluate() {
   const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-  const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  const provider = createProvider();
+  const judge = new StructuredJudge({ callModel: payload => provider.createMessage(payload) });
   
   console.log(`Evaluating PR #${PR_NUMBER} in ${OWNER}/${REPO}`);
   
@@ -240,7 +424,6 @@ async function evaluate() {
     
     // Load expert using ExpertLoader
     let expertPrompt = '';
-    let testScenarios = [];
     
     const expertLoader = new ExpertLoader({
       baseDir: path.join(__dirname, '..', '..')
@@ -264,30 +447,21 @@ async function evaluate() {
       } else {
         console.log(`[EVALUATE] Loaded expert from: ${expert.source}`);
       }
-      
-      // Load test scenarios (still from local files for now)
-      const testsPath = path.join(__dirname, '..', '..', 'test-scenarios', `${domain}-tests.json`);
-      try {
-        const testsContent = fs.readFileSync(testsPath, 'utf8');
-        const testsData = JSON.parse(testsContent);
-        testScenarios = testsData.scenarios || [];
-      } catch (testError) {
-        console.log(`[EVALUATE] No test scenarios found for ${domain}, using defaults`);
-        testScenarios = [{
-          scenario: 'Write a function that reverses a string',
-          input: 'Write a function that reverses a string'
-        }];
-      }
     } catch (error) {
       console.error(`[EVALUATE] Error loading expert: ${error.message}`);
       // Fallback to generic expert
       expertPrompt = `You are a ${domain} expert evaluator. Compare the two implementations and provide detailed analysis.`;
-      testScenarios = [{
-        scenario: 'Write a function that reverses a string',
-        input: 'Write a function that reverses a string'
-      }];
     }
     
+    // Load the domain's scenario suite; every scenario is run against each changed file
+    const scenarioSuite = await new ScenarioSuite({
+      octokit,
+      repoOwner: OWNER,
+      repoName: REPO,
+      baseDir: path.join(__dirname, '..', '..')
+    }).load(domain);
+    console.log(`[EVALUATE] Loaded ${scenarioSuite.scenarios.length} ${domain} scenario(s) from ${scenarioSuite.source} suite`);
+    
     // Evaluate prompt files or context-only
     const results = [];
     
@@ -321,38 +495,42 @@ When responding to requests:
           if (!oldContent || oldContent.trim() === '') {
             console.log(`[EVALUATE] New file ${file.filename} - running Thread A analysis only`);
             
-            // Thread A: Analyze the new prompt
-            const threadAMessages = [];
-            
-            // Add context messages if available
-            if (contextMessages.length > 0) {
-              threadAMessages.push({
-                role: 'user',
-                content: [
-                  ...contextMessages,
-                  {
-                    type: 'text',
-                    text: `\n\nYou are primed with this prompt definition:\n\n${newContent}\n\nNow respond to this test scenario: "${testScenario}"`
-                  }
-                ]
-              });
-            } else {
-              threadAMessages.push({
-                role: 'user',
-                content: `You are primed with this prompt definition:\n\n${newContent}\n\nNow respond to this test scenario: "${testScenario}"`
+            // Thread A: Run the new prompt on every scenario
+            const scenarioResponses = [];
+            for (const scenario of scenarioSuite.scenarios) {
+              const testScenario = scenario.input;
+              const threadAMessages = [];
+              
+              // Add context messages if available
+              if (contextMessages.length > 0) {
+                threadAMessages.push({
+                  role: 'user',
+                  content: [
+                    ...contextMessages,
+                    {
+                      type: 'text',
+                      text: `\n\nYou are primed with this prompt definition:\n\n${newContent}\n\nNow respond to this test scenario: "${testScenario}"`
+                    }
+                  ]
+                });
+              } else {
+                threadAMessages.push({
+                  role: 'user',
+                  content: `You are primed with this prompt definition:\n\n${newContent}\n\nNow respond to this test scenario: "${testScenario}"`
+                });
+              }
+              
+              console.log(`[EVALUATE] Executing Thread A for new prompt analysis (scenario ${scenario.id})`);
+              const threadA = await provider.createMessage({
+                max_tokens: 4000,
+                messages: threadAMessages
               });
+              scenarioResponses.push(`**Test Scenario:** "${testScenario}"\n\n${threadA.content[0].text}`);
             }
-            
-            console.log(`[EVALUATE] Executing Thread A for new prompt analysis`);
-            const threadA = await anthropic.messages.create({
-              model: 'claude-sonnet-4-20250514',
-              max_tokens: 4000,
-              messages: threadAMessages
-            });
+            const testResponses = scenarioResponses.join('\n\n---\n\n');
             
             // Expert analysis of the single prompt (no comparison)
-            const expertAnalysis = await anthropic.messages.create({
-              model: 'claude-sonnet-4-20250514',
+            const expertAnalysis = await provider.createMessage({
               max_tokens: 4000,
               messages: [{
                 role: 'user',
@@ -363,8 +541,8 @@ Analyze this new prompt implementation for the ${domain} domain:
 **Prompt Definition:**
 ${newContent}
 
-**Test Response:**
-${threadA.content[0].text}
+**Test Responses:**
+${testResponses}
 
 Please provide:
 1. **Prompt Strengths**: What aspects of this prompt are well-designed?
@@ -383,11 +561,8 @@ Note: This is a new prompt file with no baseline for comparison. Provide constru
 
 This is a **new prompt file** being added to the repository. Since there's no baseline for A/B comparison, we're providing an initial analysis of the prompt's capabilities.
 
-### 🧪 Test Scenario
-"${testScenario}"
-
-### 📊 Thread A Response (New Prompt)
-${threadA.content[0].text}
+### 📊 Thread A Responses (New Prompt, ${scenarioSuite.scenarios.length} scenario(s))
+${testResponses}
 
 ### 🔍 Expert Analysis
 ${expertAnalysis.content[0].text}
@@ -424,269 +599,42 @@ ${expertAnalysis.content[0].text}
           }
         }
         
-        // Select a test scenario
-        let testScenario = 'Write a function that reverses a string';
-        if (testScenarios.length > 0) {
-          const test = testScenarios[Math.floor(Math.random() * testScenarios.length)];
-          testScenario = test.input || test.scenario || testScenario;
-        }
-        
-        // Build messages for Thread A and Thread B with context
-        const threadAMessages = [];
-        const threadBMessages = [];
-        
-        // Add context messages first (if available)
-        if (contextMessages.length > 0) {
-          console.log(`[EVALUATE] Injecting ${contextMessages.length} context messages into BOTH evaluation threads`);
-          console.log(`[EVALUATE] Context includes files from: ${repoContext.summary ? repoContext.summary.totalFiles + ' files' : 'legacy format'}`);
-          console.log(`[EVALUATE] Both Thread A and Thread B will receive the same repository context`);
-          
-          // Thread A gets context + old prompt
-          threadAMessages.push({
-            role: 'user',
-            content: [
-              ...contextMessages,
-              {
-                type: 'text',
-                text: `\n\nYou are primed with this prompt definition:\n\n${oldContent}\n\nNow respond to this test scenario: "${testScenario}"`
-              }
-            ]
-          });
-          console.log(`[EVALUATE] Thread A prepared with repository context + baseline prompt`);
-          
-          // Thread B gets THE SAME context + new prompt
-          threadBMessages.push({
-            role: 'user',
-            content: [
-              ...contextMessages,
-              {
-                type: 'text',
-                text: `\n\nYou are primed with this prompt definition:\n\n${newContent}\n\nNow respond to this test scenario: "${testScenario}"`
-              }
-            ]
-          });
-          console.log(`[EVALUATE] Thread B prepared with repository context + PR prompt`);
-          console.log(`[EVALUATE] File IDs from repository context are shared between threads`);
-        } else {
-          console.log(`[EVALUATE] No repository context available, using standard evaluation`);
-          // No context, use simple format
-          threadAMessages.push({
-            role: 'user',
-            content: `You are primed with this prompt definition:\n\n${oldContent}\n\nNow respond to this test scenario: "${testScenario}"`
-          });
-          
-          threadBMessages.push({
-            role: 'user',
-            content: `You are primed with this prompt definition:\n\n${newContent}\n\nNow respond to this test scenario: "${testScenario}"`
+        // Run every scenario of the suite and combine the expert decisions
+        const scenarioResults = [];
+        for (const scenario of scenarioSuite.scenarios) {
+          console.log(`[EVALUATE] Running scenario ${scenario.id}`);
+          const scenarioResult = await compareOnScenario({
+            provider,
+            judge,
+            domain,
+            expertPrompt,
+            repoContext,
+            contextMessages,
+            oldContent,
+            newContent,
+            testScenario: scenario.input
           });
+          scenarioResults.push({ id: scenario.id, ...scenarioResult });
         }
         
-        // Thread A: Evaluate current prompt WITH repository context (same file IDs as Thread B)
-        console.log(`[EVALUATE] Executing Thread A with ${contextMessages.length > 0 ? 'repository context' : 'no context'}`);
-        const threadA = await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 4000,
-          messages: threadAMessages
-        });
-        
-        // Thread B: Evaluate new prompt WITH repository context (same file IDs as Thread A)
-        console.log(`[EVALUATE] Executing Thread B with ${contextMessages.length > 0 ? 'repository context' : 'no context'}`);
-        const threadB = await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 4000,
-          messages: threadBMessages
-        });
-        
-        // Thread C: Expert comparison with enhanced role definition and pairwise evaluation
-        const contextNote = repoContext ? `
-
-**Repository Context Available:**
-- Repository files and structure were provided to BOTH implementations
-- Both Thread A and Thread B had access to the SAME file IDs from ${repoContext.summary?.totalFiles || 0} files
-- The SAME context (file IDs) was injected into both evaluation threads
-- Evaluation should consider how well each prompt utilizes the available context
-- File hashes: ${repoContext.cacheControl?.cacheKeys?.slice(0, 3).map(h => h.substring(0, 8)).join(', ')}${repoContext.cacheControl?.cacheKeys?.length > 3 ? '...' : ''}
-` : '';
-        
-        const expertComparison = await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 4000,
-          messages: [
-            {
-              role: 'user', 
-              content: `## LLM ROLE DEFINITION
-You are now assuming the role of a ${domain} domain expert evaluator. Your specific responsibilities are:
-
-**Primary Role:** ${domain} Domain Expert Evaluator
-**Core Function:** Conduct pairwise evaluation of prompt implementations using domain expertise
-**Authority Level:** Senior expert with deep knowledge in ${domain} field
-**Evaluation Approach:** Systematic, criteria-driven, evidence-based assessment
-
-**Domain Expertise Context:**
-${expertPrompt}
-
-**Evaluation Mandate:** 
-- Develop domain-specific evaluation criteria
-- Conduct rigorous pairwise comparison
-- Provide actionable recommendations based on ${domain} best practices
-- Maintain objectivity while leveraging deep domain knowledge
-
-Do you understand your role as a ${domain} domain expert evaluator?`
-            },
-            {
-              role: 'assistant',
-              content: `Yes, I understand. I am now functioning as a ${domain} domain expert evaluator with the mandate to:
-
-1. Apply my deep ${domain} expertise to develop relevant evaluation criteria
-2. Conduct systematic pairwise comparison of prompt implementations  
-3. Provide evidence-based recommendations grounded in ${domain} best practices
-4. Maintain objectivity while leveraging specialized domain knowledge
-
-I am ready to evaluate the prompt implementations using rigorous ${domain} expert methodology.`
-            },
-            {
-              role: 'user',
-              content: `## EVALUATION TASK
-
-**Methodology:** Pairwise evaluation using 2025 LLM evaluation best practices
-**Approach:** Expert-developed criteria followed by systematic comparison
-
-## TEST SCENARIO
-"${testScenario}"
-
-## PROMPT IMPLEMENTATIONS & RESPONSES
+        const summary = ScenarioSuite.summarize(scenarioResults.map(r => r.expertResult));
+        const recommendation = summary.decision;
+        const improvements = recommendation === 'SUGGEST' ? summary.improvements : [];
+        const scenarioReports = scenarioResults.map(r => `${scenarioResults.length > 1 ? `#### Scenario ${r.id}: ${r.expertResult.decision} (${r.expertResult.score}/10)\n\n` : ''}**Test Scenario (${domain} domain):**
+"${r.testScenario}"
 
-### Implementation A (Proposed - PR Candidate)
-**Prompt Definition:**
-${newContent}
-
-**Response to Test Scenario:**
-${threadB.content[0].text}
-
-### Implementation B (Current - Baseline)
-**Prompt Definition:**
-${oldContent}  
-
-**Response to Test Scenario:**
-${threadA.content[0].text}
-
-${contextNote}
-
-## EXPERT EVALUATION PROCESS
-
-**Phase 1: Criteria Development**
-As a ${domain} expert, develop 4-6 specific evaluation criteria tailored to:
-- The nature of this test scenario
-- ${domain} domain standards and best practices  
-- Practical value and real-world applicability
-- Quality indicators specific to this task type
-
-**Phase 2: Pairwise Comparison**
-Systematically compare Implementation A vs Implementation B using your expert-developed criteria.
-
-**Phase 3: Expert Recommendation**
-Provide final recommendation based on your domain expertise and evaluation findings.
+**Thread A (Proposed Prompt + Repository Context):**
+${r.threadB}
 
-## REQUIRED OUTPUT FORMAT
+**Thread B (Current Prompt + Repository Context):**
+${r.threadA}
 
-### Expert Role Confirmation
-**Acting as:** ${domain} Domain Expert Evaluator
-**Evaluation Focus:** [Brief statement of what you'll prioritize as a ${domain} expert]
-
-### Domain-Expert Developed Criteria
-1. **[Criterion 1]:** [Description + Why critical for ${domain}]
-2. **[Criterion 2]:** [Description + Why critical for ${domain}]  
-3. **[Criterion 3]:** [Description + Why critical for ${domain}]
-4. **[Criterion 4]:** [Description + Why critical for ${domain}]
-[Additional criteria as needed]
-
-### Systematic Pairwise Analysis
-**Implementation A (Proposed) Assessment:**
-- Criterion 1: [Score/Assessment + Evidence]
-- Criterion 2: [Score/Assessment + Evidence]
-- Criterion 3: [Score/Assessment + Evidence]
-- Criterion 4: [Score/Assessment + Evidence]
-
-**Implementation B (Current) Assessment:**  
-- Criterion 1: [Score/Assessment + Evidence]
-- Criterion 2: [Score/Assessment + Evidence]
-- Criterion 3: [Score/Assessment + Evidence]
-- Criterion 4: [Score/Assessment + Evidence]
-
-### Expert Decision
-**Pairwise Winner:** [Implementation A/Implementation B/TIE]
-**Confidence Level:** [High/Medium/Low]
-**Decisive Factor:** [Most important criterion that determined outcome]
-**Expert Rationale:** [Your reasoning as a ${domain} expert]
-
-**Final Recommendation:** [MERGE/REJECT/SUGGEST]
-- MERGE: Implementation A (Proposed) is demonstrably superior
-- REJECT: Implementation B (Current) is demonstrably superior
-- SUGGEST: Implementation A shows promise but needs specific improvements
-
-[If SUGGEST - Expert Improvement Recommendations:]
-### ${domain} Expert Improvement Plan
-1. **[Improvement 1]:** [Specific actionable change based on ${domain} expertise]
-2. **[Improvement 2]:** [Specific actionable change based on ${domain} expertise]  
-3. **[Improvement 3]:** [Specific actionable change based on ${domain} expertise]`
-            }
-          ]
-        });
-        
-        const expertResponse = expertComparison.content[0].text;
-        
-        // Parse expert recommendation - Enhanced parsing for new format
-        let recommendation = 'REJECT';
-        
-        // First try to parse the new structured format
-        const finalRecommendationMatch = expertResponse.match(/\*\*Final Recommendation:\*\*\s*(MERGE|REJECT|SUGGEST)/);
-        if (finalRecommendationMatch) {
-          recommendation = finalRecommendationMatch[1];
-        } else {
-          // Fallback: try pairwise winner format
-          const pairwiseWinnerMatch = expertResponse.match(/\*\*Pairwise Winner:\*\*\s*(Implementation A|Implementation B|TIE)/);
-          if (pairwiseWinnerMatch) {
-            if (pairwiseWinnerMatch[1] === 'Implementation A') {
-              // Implementation A is PR - merge it
-              recommendation = 'MERGE';
-            } else if (pairwiseWinnerMatch[1] === 'Implementation B') {
-              // Implementation B is baseline - reject PR
-              recommendation = 'REJECT';
-            } else {
-              // TIE - suggest improvements
-              recommendation = 'SUGGEST';
-            }
-          } else {
-            // Legacy fallback
-            if (expertResponse.includes('MERGE')) {
-              recommendation = 'MERGE';
-            } else if (expertResponse.includes('SUGGEST')) {
-              recommendation = 'SUGGEST';
-            }
-          }
-        }
-        
-        // Parse improvements if SUGGEST
-        let improvements = [];
-        if (recommendation === 'SUGGEST') {
-          // Try new format first
-          const newImprovementsMatch = expertResponse.match(/### .+ Expert Improvement Plan\n([\s\S]*?)(?:###|$)/);
-          if (newImprovementsMatch) {
-            improvements = newImprovementsMatch[1]
-              .split('\n')
-              .filter(line => line.trim() && line.includes('**'))
-              .map(line => line.replace(/^\d+\.\s*\*\*.*?\*\*:\s*/, '').trim());
-          } else {
-            // Fallback to old format
-            const oldImprovementsMatch = expertResponse.match(/### Specific Improvements Needed\n([\s\S]*?)(?:###|$)/);
-            if (oldImprovementsMatch) {
-              improvements = oldImprovementsMatch[1]
-                .split('\n')
-                .filter(line => line.trim())
-                .map(line => line.replace(/^\d+\.\s*/, '').trim());
-            }
-          }
-        }
+**Thread C (Expert Analysis):**
+${StructuredJudge.toMarkdown(r.expertResult)}
+`).join('\n');
+        const scenarioSummary = scenarioResults.length > 1
+          ? `\n**Scenario Summary:** ${summary.decision} across ${scenarioResults.length} scenarios (mean score ${summary.score.toFixed(1)}/10)\n`
+          : '';
         
         // Build context notification for the report
         const contextNotification = repoContext ? `
@@ -707,18 +655,7 @@ This context was used to enhance the evaluation accuracy with cache control for
 
 ${contextNotification}
 
-**Test Scenario (${domain} domain):**
-"${testScenario}"
-
-**Thread A (Proposed Prompt + Repository Context):**
-${threadB.content[0].text}
-
-**Thread B (Current Prompt + Repository Context):**
-${threadA.content[0].text}
-
-**Thread C (Expert Analysis):**
-${expertResponse}
-`,
+${scenarioReports}${scenarioSummary}`,
           recommendation: recommendation,
           improvements: improvements,
           oldContent: oldContent,
@@ -5,36 +5,25 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { Octokit } = require('@octokit/rest');
+const { ExpertRegistry } = require('../lib/evaluation/ExpertRegistry');
 
 class ExpertLoader {
   constructor(options = {}) {
     this.baseDir = options.baseDir || process.cwd();
     this.octokit = options.octokit || new Octokit({ auth: process.env.GITHUB_TOKEN });
-    this.expertAliases = {
-      'programming': 'programming-expert',
-      'security': 'security-expert',
-      'data-analysis': 'data-analysis-expert',
-      'financial': 'financial-expert',
-      'general': 'general-expert'
-    };
+    this.registry = ExpertRegistry.bundled();
   }
 
   async initialize() {
-    // Load expert index if available
-    try {
-      const indexPath = path.join(this.baseDir, 'experts', 'index.json');
-      const indexContent = await fs.readFile(indexPath, 'utf8');
-      this.expertIndex = JSON.parse(indexContent);
-    } catch (error) {
-      // No index file, that's ok
-      this.expertIndex = {};
-    }
+    // Experts in baseDir/experts, or the bundled experts/index.json
+    this.registry = await ExpertRegistry.load(this.baseDir);
   }
 
   async loadExpert(expertSpec) {
-    // Check if it's an alias
-    if (this.expertAliases[expertSpec]) {
-      expertSpec = this.expertAliases[expertSpec];
+    // Resolve domains and aliases to the expert id
+    const registered = this.registry.resolve(expertSpec);
+    if (registered) {
+      expertSpec = registered.id;
     }
 
     // Try loading from local experts folder first
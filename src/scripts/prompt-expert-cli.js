@@ -0,0 +1,834 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Prompt Expert Command Line Interface
+ * @description Runs A/B tests, PR evaluations, prompt history and expert lookups outside
+ * GitHub Actions. Exit codes: 0 success, 1 error, 2 REJECT (for pre-commit and CI gates).
+ * @module PromptExpertCLI
+ * @requires @octokit/rest
+ * @requires ../lib/abtest/ABTestTool
+ * @requires ../lib/evaluation/ExpertEvaluationIntegration
+ * @requires ../lib/evaluation/ExpertRegistry
+ * @requires ../lib/evaluation/ExpertValidator
+ * @requires ../lib/reports/ReportWriter
+ * @requires ../lib/results/ResultStoreFactory
+ * @requires ../lib/usage/BudgetGuard
+ * @requires ./expert-loader
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { Octokit } = require('@octokit/rest');
+const { parseArgs } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+const { ABTestTool } = require('../lib/abtest/ABTestTool');
+const { ExpertEvaluationIntegration } = require('../lib/evaluation/ExpertEvaluationIntegration');
+const { ExpertDefinitionParser } = require('../lib/evaluation/ExpertDefinitionParser');
+const { ExpertRegistry, INDEX_FILE } = require('../lib/evaluation/ExpertRegistry');
+const { ExpertValidator } = require('../lib/evaluation/ExpertValidator');
+const { createProvider } = require('../lib/providers/ProviderFactory');
+const { ReportWriter } = require('../lib/reports/ReportWriter');
+const { createResultStore } = require('../lib/results/ResultStoreFactory');
+const { BudgetGuard } = require('../lib/usage/BudgetGuard');
+const ExpertLoader = require('./expert-loader');
+
+/**
+ * Process exit codes
+ * @const {Object<string, number>}
+ */
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  REJECT: 2
+};
+
+/**
+ * Config file looked up in the working directory when --config is not given
+ * @const {string}
+ */
+const CONFIG_FILE = '.prompt-expert.json';
+
+/**
+ * Root of the prompt-expert package (bundled experts live here)
+ * @const {string}
+ */
+const PACKAGE_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Command line options shared by all subcommands (util.parseArgs format)
+ * @const {Object}
+ */
+const OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+  json: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  config: { type: 'string', short: 'c' },
+  repo: { type: 'string' },
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  source: { type: 'string' },
+  report: { type: 'string' },
+  'report-format': { type: 'string' },
+  budget: { type: 'string' },
+  'budget-strategy': { type: 'string' },
+  'max-cost': { type: 'string' },
+  // abtest
+  context: { type: 'string', multiple: true },
+  samples: { type: 'string' },
+  'swap-order': { type: 'boolean' },
+  'test-suite': { type: 'string' },
+  // evaluate
+  domain: { type: 'string' },
+  scenario: { type: 'string' },
+  pr: { type: 'string' },
+  // history
+  limit: { type: 'string' },
+  // experts index
+  check: { type: 'boolean' }
+};
+
+const USAGE = `Usage: prompt-expert <command> [options]
+
+Commands:
+  abtest <expert> <promptA> <promptB>   Compare two prompt versions with an expert
+  evaluate [files...] --domain <name>   Run the PR evaluation (3-thread model) on prompt files
+  history <file>                        Show version history and improvement trends
+  results [file]                        Show recorded verdicts (per file) or one file's score history
+  experts list                          List available experts with their aliases
+  experts show <name>                   Show an expert definition and its weighted criteria
+  experts validate [files...]           Check expert definitions against the expert schema
+  experts index [--check]               Regenerate ${INDEX_FILE} (--check: fail when stale)
+
+Global options:
+  -c, --config <file>     Config file (default: ./${CONFIG_FILE})
+      --repo <owner/repo> Repository for GitHub lookups (default: $GITHUB_REPOSITORY)
+      --provider <name>   Model provider from config/providers.json
+      --model <model>     Model override
+      --json              Print machine-readable JSON
+  -q, --quiet             Hide progress logs
+      --report <dir>      Write report artifacts for abtest/evaluate to a directory
+      --report-format <f> Comma-separated formats: json, junit, markdown, html (default: all)
+      --budget <preset>   Budget preset from config/abtest-limits.json (small, medium, large, xlarge)
+      --budget-strategy <s> Budget strategy: strict, progressive or lenient
+      --max-cost <amount> Stop before the run's estimated cost exceeds this amount
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+abtest options:
+      --source <name>     Content source: local (default) or github
+      --context <path>    Test context path (repeatable)
+      --samples <n>       Judge samples per prompt
+      --swap-order        Run the comparison in both A/B orders
+      --test-suite <path> YAML/JSON test suite run against both prompts
+
+evaluate options:
+      --domain <name>     Expert domain or alias (see experts list)
+      --scenario <text>   Single custom scenario instead of the domain suite
+      --pr <number>       Pull request whose files are evaluated
+
+history/results options:
+      --limit <n>         Number of versions or runs (default: 10)
+
+Paths accept "path", "path@ref" and "owner/repo:path@ref". With the local source, "path"
+reads the working tree and "path@ref" reads git history.
+
+Exit codes: 0 success, 1 error, 2 REJECT`;
+
+/**
+ * @class PromptExpertCLI
+ * @description Parses arguments, loads the config file and dispatches to a subcommand.
+ * Progress logs from the libraries go to stderr so stdout only carries the result.
+ * @property {Object} stdout - Stream results are written to
+ * @property {Object} stderr - Stream progress logs and errors are written to
+ * @property {Object} env - Environment variables
+ * @property {string} cwd - Working directory
+ */
+class PromptExpertCLI {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - CLI options (streams and environment are injectable)
+   * @param {Object} [options.stdout=process.stdout] - Result stream
+   * @param {Object} [options.stderr=process.stderr] - Log stream
+   * @param {Object} [options.env=process.env] - Environment variables
+   * @param {string} [options.cwd=process.cwd()] - Working directory
+   */
+  constructor(options = {}) {
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+    this.env = options.env || process.env;
+    this.cwd = options.cwd || process.cwd();
+  }
+
+  /**
+   * @method run
+   * @async
+   * @description Runs one command
+   * @param {Array<string>} argv - Arguments without the node and script paths
+   * @returns {Promise<number>} Exit code
+   */
+  async run(argv) {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+      this.stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return EXIT_CODES.ERROR;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (values.version) {
+      this.stdout.write(`${require('../../package.json').version}\n`);
+      return EXIT_CODES.OK;
+    }
+    if (values.help) {
+      this.stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.OK;
+    }
+    if (!command) {
+      this.stderr.write(`${USAGE}\n`);
+      return EXIT_CODES.ERROR;
+    }
+
+    const restoreConsole = this.redirectConsole(values.quiet);
+    try {
+      const config = await this.loadConfig(values.config);
+      const settings = { ...values, config };
+
+      switch (command) {
+        case 'abtest':
+          return await this.abtest(args, settings);
+        case 'evaluate':
+          return await this.evaluate(args, settings);
+        case 'history':
+          return await this.history(args, settings);
+        case 'results':
+          return await this.results(args, settings);
+        case 'experts':
+          return await this.experts(args, settings);
+        default:
+          throw new Error(`Unknown command "${command}". Run prompt-expert --help for usage.`);
+      }
+    } catch (error) {
+      if (values.json) {
+        this.writeJson({ success: false, error: error.message });
+      } else {
+        this.stderr.write(`Error: ${error.message}\n`);
+      }
+      return EXIT_CODES.ERROR;
+    } finally {
+      restoreConsole();
+    }
+  }
+
+  /**
+   * @method abtest
+   * @async
+   * @description Runs ABTestTool.executeABTest; exits 2 when the variant is rejected
+   * @param {Array<string>} args - Positionals: expert, promptA, promptB
+   * @param {Object} settings - Parsed options and config
+   * @returns {Promise<number>} Exit code
+   */
+  async abtest(args, settings) {
+    const defaults = settings.config.abtest || {};
+    const [expertPath = defaults.expert, promptA, promptB] = args.length >= 3 ? args : [undefined, ...args];
+    if (!expertPath || !promptA || !promptB) {
+      throw new Error('abtest needs <expert> <promptA> <promptB> (the expert may come from abtest.expert in the config file)');
+    }
+
+    const source = settings.source || settings.config.source || 'local';
+    const repo = this.resolveRepo(settings);
+    const tool = new ABTestTool({
+      octokit: source === 'github' ? this.createOctokit() : undefined,
+      source,
+      provider: this.createProvider(settings),
+      repoOwner: repo.owner,
+      repoName: repo.name,
+      workspace: this.cwd,
+      resultStore: this.createResultStore(settings),
+      budget: this.createBudget(settings)
+    });
+
+    const result = await tool.executeABTest(
+      expertPath,
+      promptA,
+      promptB,
+      settings.context || defaults.context || [],
+      0,
+      {
+        samples: settings.samples !== undefined ? Number(settings.samples) : defaults.samples,
+        swapOrder: settings['swap-order'] || Boolean(defaults.swapOrder),
+        testSuitePath: settings['test-suite'] || defaults.testSuite
+      }
+    );
+
+    await this.writeReports(result, settings);
+
+    const interpretation = ABTestTool.interpretResults(result);
+    if (settings.json) {
+      this.writeJson({ ...result, action: interpretation.action });
+    } else if (result.success) {
+      this.stdout.write(`${result.summary}\nAction: ${interpretation.action} - ${interpretation.message}\n`);
+    } else {
+      this.stdout.write(`A/B test failed: ${result.error}\n${this.formatMissingFiles(result)}`);
+    }
+
+    if (!result.success) return EXIT_CODES.ERROR;
+    return interpretation.action === 'REJECT' ? EXIT_CODES.REJECT : EXIT_CODES.OK;
+  }
+
+  /**
+   * @method evaluate
+   * @async
+   * @description Runs the evaluate_prompt_changes tool; exits 2 when any file is rejected
+   * @param {Array<string>} files - Prompt files (optional with --pr)
+   * @param {Object} settings - Parsed options and config
+   * @returns {Promise<number>} Exit code
+   */
+  async evaluate(files, settings) {
+    const defaults = settings.config.evaluate || {};
+    const domain = settings.domain || defaults.domain;
+    if (!domain) {
+      throw new Error('evaluate needs --domain (or evaluate.domain in the config file)');
+    }
+
+    const prNumber = settings.pr ? parseInt(settings.pr, 10) : null;
+    if (files.length === 0 && !prNumber) {
+      throw new Error('evaluate needs prompt files or --pr <number>');
+    }
+    if (prNumber) {
+      // ExpertEvaluationIntegration reads the PR head through PR_NUMBER
+      process.env.PR_NUMBER = String(prNumber);
+    }
+
+    const experts = await ExpertRegistry.load(await this.resolveExpertsBase(settings.config));
+    const integration = this.createIntegration(settings, experts);
+    const context = prNumber ? { pr: { number: prNumber } } : {};
+    const result = await integration.executeEvaluationTool('evaluate_prompt_changes', {
+      domain,
+      files,
+      test_scenario: settings.scenario
+    }, context);
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    await this.writeReports({ domain, ...result }, settings);
+
+    const decision = integration.determineOverallDecision(result.results);
+    if (settings.json) {
+      this.writeJson({ success: true, decision, ...result });
+    } else {
+      for (const entry of result.results) {
+        const evaluation = entry.evaluation;
+        this.stdout.write(evaluation
+          ? `${entry.file}: ${evaluation.decision} (${evaluation.score.toFixed(1)}/10, ${evaluation.scenarios.length} scenario(s))\n`
+          : `${entry.file}: ERROR ${entry.error}\n`);
+        for (const improvement of (evaluation && evaluation.improvements) || []) {
+          this.stdout.write(`  - ${improvement}\n`);
+        }
+      }
+      this.stdout.write(`\n${integration.generateFeedbackSummary(result.results, domain)}\nDecision: ${decision}\n`);
+    }
+
+    return decision === 'REJECT' ? EXIT_CODES.REJECT : EXIT_CODES.OK;
+  }
+
+  /**
+   * @method history
+   * @async
+   * @description Runs the get_prompt_history tool
+   * @param {Array<string>} args - Positionals: file
+   * @param {Object} settings - Parsed options and config
+   * @returns {Promise<number>} Exit code
+   */
+  async history(args, settings) {
+    const [filePath] = args;
+    if (!filePath) {
+      throw new Error('history needs a prompt file path');
+    }
+
+    const integration = this.createIntegration(settings);
+    const result = await integration.executeEvaluationTool('get_prompt_history', {
+      file_path: filePath,
+      limit: settings.limit ? parseInt(settings.limit, 10) : 10
+    }, {});
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    if (settings.json) {
+      this.writeJson({ success: true, ...result });
+    } else {
+      this.stdout.write(`History of ${result.file} (${result.versions.length} version(s))\n`);
+      for (const version of result.versions) {
+        this.stdout.write(`${version.version}  ${version.date}  ${version.author}  ${version.message.split('\n')[0]}\n`);
+      }
+      if (result.evaluations && result.evaluations.scoreHistory.length > 0) {
+        this.stdout.write(`\nRecorded evaluations (${result.evaluations.cycles} feedback cycle(s))\n`);
+        this.writeScoreHistory(result.evaluations.scoreHistory);
+      }
+    }
+    return EXIT_CODES.OK;
+  }
+
+  /**
+   * @method results
+   * @async
+   * @description Queries the evaluation result store: last verdict per file, or the score
+   * history and cycle count of one file
+   * @param {Array<string>} args - Positionals: optional file
+   * @param {Object} settings - Parsed options and config
+   * @returns {Promise<number>} Exit code
+   */
+  async results(args, settings) {
+    const [filePath] = args;
+    const store = this.createResultStore(settings);
+    if (!store) {
+      throw new Error('Result storage is disabled (storage "none")');
+    }
+
+    if (!filePath) {
+      const verdicts = await store.getLastVerdicts();
+      if (settings.json) {
+        this.writeJson({ success: true, store: store.describe(), verdicts });
+      } else if (verdicts.length === 0) {
+        this.stdout.write(`No evaluations recorded in ${store.describe()}\n`);
+      } else {
+        for (const verdict of verdicts) {
+          this.stdout.write(`${verdict.file.padEnd(40)} ${String(verdict.decision).padEnd(8)} ${this.formatScore(verdict.score)}  ${verdict.timestamp}  ${verdict.kind}\n`);
+        }
+      }
+      return EXIT_CODES.OK;
+    }
+
+    const limit = settings.limit ? parseInt(settings.limit, 10) : 10;
+    const scoreHistory = await store.getScoreHistory(filePath, { limit });
+    const lastVerdict = await store.getLastVerdict(filePath);
+    const cycles = await store.getCycleCount(filePath);
+
+    if (settings.json) {
+      this.writeJson({ success: true, store: store.describe(), file: filePath, scoreHistory, lastVerdict, cycles });
+    } else {
+      this.stdout.write(`${filePath}: ${scoreHistory.length} recorded run(s), ${cycles} feedback cycle(s)\n`);
+      this.writeScoreHistory(scoreHistory);
+      if (lastVerdict) {
+        this.stdout.write(`Last verdict: ${lastVerdict.decision} (${lastVerdict.kind}, ${lastVerdict.timestamp})\n`);
+      }
+    }
+    return EXIT_CODES.OK;
+  }
+
+  /**
+   * @method experts
+   * @async
+   * @description Lists experts, shows one definition, validates definitions or regenerates
+   * the expert registry
+   * @param {Array<string>} args - Positionals: 'list', 'show <name>', 'validate [files...]' or 'index'
+   * @param {Object} settings - Parsed options and config
+   * @returns {Promise<number>} Exit code
+   */
+  async experts(args, settings) {
+    const [action, name] = args;
+    const baseDir = await this.resolveExpertsBase(settings.config);
+
+    if (action === 'validate') {
+      return this.validateExperts(args.slice(1), baseDir, settings);
+    }
+
+    if (action === 'index') {
+      return this.indexExperts(baseDir, settings);
+    }
+
+    if (action === 'list') {
+      const experts = await this.listExperts(baseDir);
+      if (settings.json) {
+        this.writeJson({ success: true, experts });
+      } else {
+        for (const expert of experts) {
+          this.stdout.write(`${expert.name.padEnd(24)} ${String(expert.criteria).padStart(2)} criteria  ${expert.description || ''}\n`);
+          if (expert.aliases.length > 0) {
+            this.stdout.write(`${''.padEnd(24)} aliases: ${expert.aliases.join(', ')}\n`);
+          }
+        }
+      }
+      return EXIT_CODES.OK;
+    }
+
+    if (action === 'show') {
+      if (!name) {
+        throw new Error('experts show needs an expert name');
+      }
+      const loader = new ExpertLoader({ baseDir, octokit: this.createOctokit() });
+      await loader.initialize();
+      const expert = await loader.loadExpert(name);
+      const definition = ExpertDefinitionParser.parse(expert.content);
+
+      if (settings.json) {
+        this.writeJson({ success: true, ...expert, ...definition });
+      } else {
+        this.stdout.write(`${expert.content}\n`);
+        if (definition.criteria.length > 0) {
+          this.stdout.write(`\nWeighted criteria (${definition.weightSource}):\n`);
+          for (const criterion of definition.criteria) {
+            this.stdout.write(`  ${(criterion.weight * 100).toFixed(0).padStart(3)}%  ${criterion.name}\n`);
+          }
+        }
+      }
+      return EXIT_CODES.OK;
+    }
+
+    throw new Error('experts needs a subcommand: list, show <name>, validate [files...] or index');
+  }
+
+  /**
+   * @method indexExperts
+   * @async
+   * @description Writes the expert registry discovered from experts/*.md to
+   * experts/index.json. With --check nothing is written and the command fails when the
+   * file is missing or out of date.
+   * @param {string} baseDir - Directory containing experts/
+   * @param {Object} settings - Parsed options and config
+   * @returns {Promise<number>} Exit code (1 when --check finds a stale index)
+   * @private
+   */
+  async indexExperts(baseDir, settings) {
+    const registry = await ExpertRegistry.discover(baseDir);
+    if (!registry) {
+      throw new Error(`No expert definitions in ${path.join(baseDir, 'experts')}`);
+    }
+
+    const file = path.join(baseDir, INDEX_FILE);
+    const expected = `${JSON.stringify(registry.toIndex(), null, 2)}\n`;
+    const current = await fs.readFile(file, 'utf8').catch(() => null);
+    const upToDate = current === expected;
+
+    if (!settings.check && !upToDate) {
+      await fs.writeFile(file, expected);
+    }
+    const stale = settings.check && !upToDate;
+
+    if (settings.json) {
+      this.writeJson({ success: !stale, file: INDEX_FILE, upToDate, experts: registry.list().length });
+    } else if (stale) {
+      this.stdout.write(`${INDEX_FILE} is out of date: run prompt-expert experts index\n`);
+    } else {
+      this.stdout.write(`${INDEX_FILE} ${upToDate ? 'is up to date' : 'written'} (${registry.list().length} experts)\n`);
+    }
+
+    if (stale && this.env.GITHUB_ACTIONS === 'true') {
+      this.stdout.write(`::error file=${INDEX_FILE}::out of date - run prompt-expert experts index and commit the result\n`);
+    }
+    return stale ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+  }
+
+  /**
+   * @method validateExperts
+   * @async
+   * @description Validates the given expert files, or every file in experts/. In GitHub
+   * Actions each problem is also written as a workflow annotation on the file.
+   * @param {Array<string>} files - Expert files (all of experts/ when empty)
+   * @param {string} baseDir - Directory containing experts/
+   * @param {Object} settings - Parsed options and config
+   * @returns {Promise<number>} Exit code (1 when any definition is invalid)
+   * @private
+   */
+  async validateExperts(files, baseDir, settings) {
+    const result = files.length > 0
+      ? await ExpertValidator.validateFiles(files, { cwd: this.cwd })
+      : await ExpertValidator.validateDirectory(path.join(baseDir, 'experts'), { cwd: this.cwd });
+
+    if (settings.json) {
+      this.writeJson({ success: result.valid, files: result.files.map(({ definition, ...file }) => file) });
+    } else {
+      for (const file of result.files) {
+        const status = file.valid ? 'OK' : `${file.errors.length} error(s)`;
+        const warnings = file.warnings.length > 0 ? `, ${file.warnings.length} warning(s)` : '';
+        this.stdout.write(`${file.file}: ${status}${warnings}\n`);
+        file.errors.forEach(error => this.stdout.write(`  error    ${error}\n`));
+        file.warnings.forEach(warning => this.stdout.write(`  warning  ${warning}\n`));
+      }
+      const invalid = result.files.filter(file => !file.valid).length;
+      this.stdout.write(`\n${result.files.length} expert definition(s) checked, ${invalid} invalid\n`);
+    }
+
+    if (this.env.GITHUB_ACTIONS === 'true') {
+      for (const file of result.files) {
+        file.errors.forEach(error => this.stdout.write(`::error file=${file.file}::${error}\n`));
+        file.warnings.forEach(warning => this.stdout.write(`::warning file=${file.file}::${warning}\n`));
+      }
+    }
+
+    return result.valid ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+  }
+
+  /**
+   * @method listExperts
+   * @async
+   * @param {string} baseDir - Directory containing experts/
+   * @returns {Promise<Array<Object>>} `{ name, path, domain, aliases, description, criteria }` per expert
+   * @private
+   */
+  async listExperts(baseDir) {
+    const registry = await ExpertRegistry.discover(baseDir);
+
+    const experts = [];
+    for (const expert of registry ? registry.list() : []) {
+      const { criteria } = ExpertDefinitionParser.parse(await fs.readFile(path.join(baseDir, expert.source), 'utf8'));
+      experts.push({
+        name: expert.id,
+        path: expert.source,
+        domain: expert.domain,
+        aliases: expert.aliases,
+        description: expert.description,
+        criteria: criteria.length
+      });
+    }
+    return experts;
+  }
+
+  /**
+   * @method writeReports
+   * @async
+   * @description Writes report artifacts when --report (or report.dir in the config) is set
+   * @param {Object} result - A/B test or evaluation result
+   * @param {Object} settings - Parsed options and config
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeReports(result, settings) {
+    const defaults = settings.config.report || {};
+    const outputDir = settings.report || defaults.dir;
+    if (!outputDir) return;
+
+    const formats = settings['report-format']
+      ? settings['report-format'].split(',').map(format => format.trim()).filter(Boolean)
+      : defaults.formats;
+    const written = await ReportWriter.write(result, { outputDir: path.resolve(this.cwd, outputDir), formats });
+    this.stderr.write(`Reports written: ${written.join(', ')}\n`);
+  }
+
+  /**
+   * @method loadConfig
+   * @async
+   * @description Reads the JSON config file. An explicit --config must exist; the default
+   * ./.prompt-expert.json is optional.
+   * @param {string} [configPath] - Path given with --config
+   * @returns {Promise<Object>} Config values
+   * @private
+   */
+  async loadConfig(configPath) {
+    const file = path.resolve(this.cwd, configPath || CONFIG_FILE);
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && !configPath) return {};
+      throw new Error(`Cannot read config file ${file}: ${error.message}`);
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON in config file ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @method resolveRepo
+   * @param {Object} settings - Parsed options and config
+   * @returns {Object} `{ owner, name }` (undefined when no repository is configured)
+   * @private
+   */
+  resolveRepo(settings) {
+    const repo = settings.repo || settings.config.repo || this.env.GITHUB_REPOSITORY || '';
+    const [owner, name] = repo.split('/');
+    return { owner: owner || undefined, name: name || undefined };
+  }
+
+  /**
+   * @method resolveExpertsBase
+   * @async
+   * @description Uses the working directory when it has an experts/ folder (or the config
+   * names one), otherwise the experts bundled with the package
+   * @param {Object} config - Config values
+   * @returns {Promise<string>} Directory containing experts/
+   * @private
+   */
+  async resolveExpertsBase(config) {
+    if (config.baseDir) {
+      return path.resolve(this.cwd, config.baseDir);
+    }
+    try {
+      await fs.access(path.join(this.cwd, 'experts'));
+      return this.cwd;
+    } catch (error) {
+      return PACKAGE_ROOT;
+    }
+  }
+
+  /**
+   * @method createIntegration
+   * @param {Object} settings - Parsed options and config
+   * @param {ExpertRegistry} [experts] - Expert registry (defaults to the bundled experts)
+   * @returns {ExpertEvaluationIntegration} Integration bound to the configured repository
+   * @throws {Error} When no repository is configured
+   * @private
+   */
+  createIntegration(settings, experts) {
+    const repo = this.resolveRepo(settings);
+    if (!repo.owner || !repo.name) {
+      throw new Error('This command reads from GitHub: set --repo owner/repo, "repo" in the config file or GITHUB_REPOSITORY');
+    }
+    return new ExpertEvaluationIntegration({
+      octokit: this.createOctokit(),
+      provider: this.createProvider(settings),
+      repoOwner: repo.owner,
+      repoName: repo.name,
+      workspace: this.cwd,
+      resultStore: this.createResultStore(settings),
+      budget: this.createBudget(settings),
+      experts
+    });
+  }
+
+  /**
+   * @method createResultStore
+   * @param {Object} settings - Parsed options and config
+   * @returns {EvaluationResultStore|null} Store from the config file's `results` block
+   *   (environment and config/results.json otherwise); null when disabled
+   * @private
+   */
+  createResultStore(settings) {
+    const results = settings.config.results || {};
+    const repo = this.resolveRepo(settings);
+    const storage = results.storage;
+    return createResultStore({
+      storage,
+      filePath: results.path,
+      branch: results.branch,
+      workspace: this.cwd,
+      octokit: storage === 'github' ? this.createOctokit() : undefined,
+      repoOwner: repo.owner,
+      repoName: repo.name
+    });
+  }
+
+  /**
+   * @method createBudget
+   * @param {Object} settings - Parsed options and config
+   * @returns {BudgetGuard} Budget (flags > config file `budget` block > environment >
+   *   config/abtest-limits.json)
+   * @throws {Error} When the preset, strategy or cost cap is invalid
+   * @private
+   */
+  createBudget(settings) {
+    const budget = settings.config.budget || {};
+    const maxCost = settings['max-cost'] !== undefined ? Number(settings['max-cost']) : budget.maxCost;
+    return new BudgetGuard({
+      preset: settings.budget || budget.preset,
+      strategy: settings['budget-strategy'] || budget.strategy,
+      maxCost
+    });
+  }
+
+  /**
+   * @method createProvider
+   * @param {Object} settings - Parsed options and config
+   * @returns {LLMProvider} Provider (flags > config file > environment > config/providers.json)
+   * @private
+   */
+  createProvider(settings) {
+    return createProvider({
+      providerName: settings.provider || settings.config.provider,
+      model: settings.model || settings.config.model
+    });
+  }
+
+  /**
+   * @method createOctokit
+   * @returns {Octokit} GitHub client authenticated with GITHUB_TOKEN when set
+   * @private
+   */
+  createOctokit() {
+    return new Octokit({ auth: this.env.GITHUB_TOKEN });
+  }
+
+  /**
+   * @method redirectConsole
+   * @description Sends library console.log/info/warn output to stderr (or drops it with
+   * --quiet) so stdout carries only the command result
+   * @param {boolean} quiet - Whether to drop progress logs
+   * @returns {Function} Restores the original console methods
+   * @private
+   */
+  redirectConsole(quiet) {
+    const original = { log: console.log, info: console.info, warn: console.warn };
+    const write = quiet
+      ? () => {}
+      : (...parts) => this.stderr.write(`${parts.map(p => (typeof p === 'string' ? p : JSON.stringify(p))).join(' ')}\n`);
+
+    console.log = write;
+    console.info = write;
+    console.warn = write;
+
+    return () => Object.assign(console, original);
+  }
+
+  /**
+   * @method writeScoreHistory
+   * @param {Array<Object>} scoreHistory - Store score history entries
+   * @private
+   */
+  writeScoreHistory(scoreHistory) {
+    for (const entry of scoreHistory) {
+      this.stdout.write(`${entry.timestamp}  ${this.formatScore(entry.score)}  ${String(entry.decision).padEnd(8)} ${entry.kind.padEnd(10)} ${entry.ref || ''}${entry.sha ? ` (${entry.sha.substring(0, 8)})` : ''}\n`);
+    }
+  }
+
+  /**
+   * @method formatScore
+   * @param {number|null} score - Score
+   * @returns {string} Score with one decimal
+   * @private
+   */
+  formatScore(score) {
+    return typeof score === 'number' ? score.toFixed(1).padStart(4) : '   -';
+  }
+
+  /**
+   * @method writeJson
+   * @param {Object} value - Result to print
+   * @private
+   */
+  writeJson(value) {
+    this.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+  }
+
+  /**
+   * @method formatMissingFiles
+   * @param {Object} result - Failed A/B test result
+   * @returns {string} One line per missing file
+   * @private
+   */
+  formatMissingFiles(result) {
+    return (result.missingFiles || [])
+      .map(file => `  ${file.type}: ${file.file} (${file.status})\n`)
+      .join('');
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  new PromptExpertCLI().run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = PromptExpertCLI;
+module.exports.EXIT_CODES = EXIT_CODES;
@@ -4,13 +4,12 @@
  * @fileoverview Prompt Expert Integration Session Manager
  * @description Expert-driven A/B testing and evaluation system for GitHub Actions
  * @module PromptExpertSession
- * @requires @anthropic-ai/sdk
  * @requires @octokit/rest
+ * @requires ../lib/providers/ProviderFactory
  * @author Prompt Expert Team
  * @version 1.0.0
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
 const { Octokit } = require('@octokit/rest');
 const fs = require('fs').promises;
 const path = require('path');
@@ -19,9 +18,18 @@ const { promisify } = require('util');
 const execAsync = promisify(exec);
 const execFileAsync = promisify(execFile);
 const { PromptRoleManager } = require('../lib/evaluation/PromptRoleManager');
+const { ExpertRegistry } = require('../lib/evaluation/ExpertRegistry');
 const { ExpertEvaluationIntegration } = require('../lib/evaluation/ExpertEvaluationIntegration');
 const { StructuredSystemPrompt } = require('../lib/evaluation/StructuredSystemPrompt');
 const { ABTestTool } = require('../lib/abtest/ABTestTool');
+const { PromptTournament } = require('../lib/abtest/PromptTournament');
+const { PromptBisector } = require('../lib/abtest/PromptBisector');
+const { createProvider, requiredApiKeyEnv } = require('../lib/providers/ProviderFactory');
+const { ReportWriter, REPORT_DIR_ENV } = require('../lib/reports/ReportWriter');
+const { createResultStore } = require('../lib/results/ResultStoreFactory');
+const { UsageTracker } = require('../lib/usage/UsageTracker');
+const { BudgetGuard } = require('../lib/usage/BudgetGuard');
+const { CallScheduler } = require('../lib/usage/CallScheduler');
 
 /**
  * @class PromptExpertSession
@@ -32,6 +40,9 @@ const { ABTestTool } = require('../lib/abtest/ABTestTool');
  * @property {string} repoName - GitHub repository name
  * @property {Function} log - Thread-safe logging function
  * @property {Object} metrics - Session metrics tracking
+ * @property {UsageTracker} usage - Token usage and estimated cost of the session: the
+ *   conversation loop ('session') and every tool run, by tool name
+ * @property {BudgetGuard|null} budget - Token and cost caps shared by the session and its tools
  * @property {PromptRoleManager|null} roleManager - Role management instance
  * @property {Object|null} currentRole - Currently loaded expert role
  * @property {ExpertEvaluationIntegration|null} expertIntegration - Expert evaluation integration
@@ -104,6 +115,12 @@ class PromptExpertSession {
       toolCalls: 0,
       errors: 0
     };
+    this.usage = new UsageTracker();
+    this.budget = null;
+    this.scheduler = null;
+
+    // Experts addressable by name (replaced by the workspace's experts/ in run())
+    this.experts = ExpertRegistry.bundled();
 
     // Initialize role manager
     this.roleManager = null;
@@ -136,6 +153,9 @@ class PromptExpertSession {
       
       // Validate environment
       this.validateEnvironment();
+
+      // Expert names for the command and the evaluation tools
+      this.experts = await ExpertRegistry.load(process.env.GITHUB_WORKSPACE || process.cwd());
       
       // Parse command from comment
       const command = this.parseCommand();
@@ -144,32 +164,58 @@ class PromptExpertSession {
       const context = this.buildContext();
       
       // Initialize clients
-      const { anthropic, octokit } = this.initializeClients();
+      const { provider, octokit } = this.initializeClients();
+
+      // One budget for the conversation and every tool it runs (config/abtest-limits.json)
+      this.budget = new BudgetGuard();
+      this.log('info', 'Budget guard enabled', this.budget.summary());
+
+      // Shared concurrency and rate limits for all model calls (limits.runner)
+      this.scheduler = new CallScheduler();
       
       // Initialize role manager
       this.roleManager = new PromptRoleManager({
+        octokit,
+        repoOwner: this.repoOwner,
+        repoName: this.repoName,
+        workspace: context.workspace,
+        experts: this.experts
+      });
+
+      // Evaluation history (results branch in the workflow, see config/results.json)
+      const resultStore = createResultStore({
         octokit,
         repoOwner: this.repoOwner,
         repoName: this.repoName,
         workspace: context.workspace
       });
+      if (resultStore) {
+        this.log('info', `Recording evaluation results to ${resultStore.describe()}`);
+      }
 
       // Initialize expert evaluation integration
       this.expertIntegration = new ExpertEvaluationIntegration({
         octokit,
-        anthropic,
+        provider,
         repoOwner: this.repoOwner,
         repoName: this.repoName,
-        workspace: context.workspace
+        workspace: context.workspace,
+        resultStore,
+        budget: this.budget,
+        scheduler: this.scheduler,
+        experts: this.experts
       });
 
       // Initialize AB Test tool
       this.abTestTool = new ABTestTool({
         octokit,
-        anthropic,
+        provider,
         repoOwner: this.repoOwner,
         repoName: this.repoName,
-        workspace: context.workspace
+        workspace: context.workspace,
+        resultStore,
+        budget: this.budget,
+        scheduler: this.scheduler
       });
 
       // Load role if specified
@@ -188,7 +234,7 @@ class PromptExpertSession {
       }
       
       // Process request with Claude
-      const result = await this.processRequest(command, context, anthropic, octokit);
+      const result = await this.processRequest(command, context, provider, octokit);
       
       // Post results
       await this.postResults(context, result, octokit);
@@ -198,6 +244,7 @@ class PromptExpertSession {
         duration: Date.now() - this.startTime,
         toolCalls: this.metrics.toolCalls,
         errors: this.metrics.errors,
+        usage: this.usage.summary(),
         endTime: new Date().toISOString(),
         sessionSummary: `Session ${this.sessionId} processed ${this.metrics.toolCalls} tool calls with ${this.metrics.errors} errors in ${Date.now() - this.startTime}ms`
       });
@@ -211,12 +258,17 @@ class PromptExpertSession {
 
   /**
    * @method validateEnvironment
-   * @description Validates that all required environment variables are present
+   * @description Validates that all required environment variables are present,
+   * including the API key of the configured LLM provider (not needed when replaying a cassette)
    * @throws {Error} If any required environment variables are missing
    * @private
    */
   validateEnvironment() {
-    const required = ['GITHUB_TOKEN', 'ANTHROPIC_API_KEY', 'GITHUB_REPOSITORY', 'COMMENT_BODY'];
+    const apiKeyEnv = requiredApiKeyEnv();
+    const required = ['GITHUB_TOKEN', 'GITHUB_REPOSITORY', 'COMMENT_BODY'];
+    if (apiKeyEnv) {
+      required.splice(1, 0, apiKeyEnv);
+    }
     const missing = required.filter(key => !process.env[key]);
     
     if (missing.length > 0) {
@@ -231,7 +283,8 @@ class PromptExpertSession {
    * @returns {string} returns.prompt - User's full request text (everything after @prompt-expert)
    * @returns {string} returns.raw - Original comment text
    * @returns {string} returns.mode - Command mode ('expert' for prompt evaluation)
-   * @returns {string|null} returns.role - Expert role if specified inline
+   * @returns {string|null} returns.role - Expert id named inline, otherwise the action's
+   *   `expert-type` input (INPUT_EXPERT-TYPE) when it names a registered expert
    * @throws {Error} If command format is invalid
    * @private
    */
@@ -252,9 +305,20 @@ class PromptExpertSession {
       
       const expertMatch = fullPrompt.match(/^([a-z-]+)\s+(.+)/i);
       if (expertMatch && this.isKnownExpert(expertMatch[1])) {
-        role = expertMatch[1];
+        role = this.experts.resolve(expertMatch[1]).id;
         prompt = expertMatch[2];
       }
+
+      const expertType = process.env['INPUT_EXPERT-TYPE'];
+      if (!role && expertType) {
+        if (this.isKnownExpert(expertType)) {
+          role = this.experts.resolve(expertType).id;
+        } else {
+          this.log('warn', `Unknown expert-type input: ${expertType}`, {
+            available: this.experts.list().map(expert => expert.id)
+          });
+        }
+      }
       
       // If no prompt provided, use the full input or a default
       prompt = prompt || fullPrompt || 'Please analyze and help with this pull request';
@@ -272,20 +336,13 @@ class PromptExpertSession {
 
   /**
    * @method isKnownExpert
-   * @description Checks if a string matches a known expert role
+   * @description Checks if a string is the id, domain or alias of a registered expert
    * @param {string} name - Potential expert name
    * @returns {boolean} Whether this is a known expert
    * @private
    */
   isKnownExpert(name) {
-    const knownExperts = [
-      'security', 'security-expert',
-      'programming', 'programming-expert', 
-      'financial', 'financial-expert',
-      'data-analysis', 'data-expert',
-      'general', 'general-expert'
-    ];
-    return knownExperts.includes(name.toLowerCase());
+    return this.experts.has(name);
   }
 
   /**
@@ -333,25 +390,22 @@ class PromptExpertSession {
 
   /**
    * @method initializeClients
-   * @description Initializes Anthropic and GitHub API clients
+   * @description Initializes the configured LLM provider and GitHub API client
    * @returns {Object} Initialized clients
-   * @returns {Anthropic} returns.anthropic - Anthropic Claude API client
+   * @returns {LLMProvider} returns.provider - Model provider (see config/providers.json)
    * @returns {Octokit} returns.octokit - GitHub API client
    * @private
    */
   initializeClients() {
-    const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-      maxRetries: 3,
-      timeout: 60000
-    });
+    const provider = createProvider();
+    this.log('info', `Using LLM provider: ${provider.name}`, provider.describe());
     
     const octokit = new Octokit({
       auth: process.env.GITHUB_TOKEN,
       retry: { enabled: true, retries: 3 }
     });
     
-    return { anthropic, octokit };
+    return { provider, octokit };
   }
 
   /**
@@ -360,14 +414,14 @@ class PromptExpertSession {
    * @description Processes the user request through Claude with available tools
    * @param {Object} command - Parsed command object
    * @param {Object} context - Execution context
-   * @param {Anthropic} anthropic - Anthropic API client
+   * @param {LLMProvider} provider - Model provider
    * @param {Octokit} octokit - GitHub API client
    * @returns {Promise<Object>} Processing results
    * @returns {string} returns.response - Final response text
    * @returns {Array} returns.toolCalls - Array of tool call results
    * @private
    */
-  async processRequest(command, context, anthropic, octokit) {
+  async processRequest(command, context, provider, octokit) {
     // Define available tools based on mode
     const tools = this.getTools(context, command.mode);
     
@@ -396,7 +450,7 @@ class PromptExpertSession {
     this.log('api_request', 'CLAUDE API REQUEST - Initial Message', {
       payload: {
         messages: messages,
-        model: 'claude-sonnet-4-20250514',
+        model: provider.model,
         max_tokens: 4000,
         tools: tools.map(t => ({ name: t.name, description: t.description })),
         tool_choice: { type: 'auto' }
@@ -415,7 +469,6 @@ class PromptExpertSession {
       
       // Log the API request payload for each iteration
       const apiPayload = {
-        model: 'claude-sonnet-4-20250514',
         max_tokens: 4000,
         messages: messages,
         tools: tools,
@@ -431,7 +484,7 @@ class PromptExpertSession {
       });
       
       // Call Claude API with retry logic
-      const response = await this.callClaudeWithRetry(anthropic, apiPayload);
+      const response = await this.callClaudeWithRetry(provider, apiPayload);
       
       // Log the API response
       this.log('api_response', `CLAUDE API RESPONSE - Iteration ${iterations}`, {
@@ -477,6 +530,12 @@ class PromptExpertSession {
       // Execute tools
       const toolResults = await this.executeTools(toolUses, context, octokit);
       results.toolCalls.push(...toolResults);
+
+      // A tool stopped by the budget guard ends the session - continuing would only spend more
+      const budgetStop = toolResults.find(tr => tr.result && tr.result.code === 'BUDGET_EXCEEDED');
+      if (budgetStop) {
+        throw BudgetGuard.error(budgetStop.result.budget);
+      }
       
       // Log each tool response individually
       for (const result of toolResults) {
@@ -541,7 +600,35 @@ class PromptExpertSession {
             tool.input.pathToExpertPromptDefinition,
             tool.input.pathToPromptA,
             tool.input.pathToPromptB,
-            tool.input.testContextPaths || []
+            tool.input.testContextPaths || [],
+            tool.input.iterationCount || 0,
+            { samples: tool.input.samples, swapOrder: tool.input.swapOrder, testSuitePath: tool.input.testSuitePath }
+          );
+        } else if (tool.name === 'ab_tournament') {
+          const tournament = new PromptTournament({ abTestTool: this.abTestTool });
+          result = await tournament.execute(
+            tool.input.pathToExpertPromptDefinition,
+            tool.input.promptPaths,
+            tool.input.testContextPaths || [],
+            tool.input.iterationCount || 0,
+            { mode: tool.input.mode, samples: tool.input.samples, swapOrder: tool.input.swapOrder }
+          );
+        } else if (tool.name === 'bisect_prompt') {
+          const bisector = new PromptBisector({
+            abTestTool: this.abTestTool,
+            versionManager: this.expertIntegration.versionManager
+          });
+          result = await bisector.execute(
+            tool.input.pathToExpertPromptDefinition,
+            tool.input.promptPath,
+            tool.input.goodRef,
+            tool.input.badRef,
+            {
+              testSuitePath: tool.input.testSuitePath,
+              testContextPaths: tool.input.testContextPaths || [],
+              samples: tool.input.samples,
+              minScoreDrop: tool.input.minScoreDrop
+            }
           );
         } else if (evaluationTools.includes(tool.name)) {
           result = await this.expertIntegration.executeEvaluationTool(tool.name, tool.input, context);
@@ -568,6 +655,11 @@ class PromptExpertSession {
           }
         }
         
+        if (result && result.metrics && result.metrics.usage) {
+          this.usage.merge(result.metrics.usage, tool.name);
+        }
+        await this.writeReports(tool.name, result);
+
         results.push({
           id: tool.id,
           name: tool.name,
@@ -578,7 +670,9 @@ class PromptExpertSession {
         results.push({
           id: tool.id,
           name: tool.name,
-          result: { error: error.message }
+          result: error.code === 'BUDGET_EXCEEDED'
+            ? { error: error.message, code: error.code, budget: error.budget }
+            : { error: error.message }
         });
       }
     }
@@ -793,16 +887,16 @@ class PromptExpertSession {
       }
     ];
 
-    // Add AB test tool (always available)
-    const abTestTool = ABTestTool.getToolDefinition();
+    // Add AB test, tournament and bisection tools (always available)
+    const abTestTools = [ABTestTool.getToolDefinition(), PromptTournament.getToolDefinition(), PromptBisector.getToolDefinition()];
     
     // Only add expert evaluation tools in expert mode
     if (mode === 'expert' && this.expertIntegration) {
       const evaluationTools = this.expertIntegration.getEvaluationTools();
-      return [...standardTools, abTestTool, ...evaluationTools];
+      return [...standardTools, ...abTestTools, ...evaluationTools];
     }
 
-    return [...standardTools, abTestTool];
+    return [...standardTools, ...abTestTools];
   }
 
   /**
@@ -845,14 +939,23 @@ class PromptExpertSession {
   /**
    * @method callClaudeWithRetry
    * @async
-   * @description Calls Claude API with retry logic and exponential backoff
-   * @param {Anthropic} anthropic - Anthropic API client
+   * @description Calls Claude API with retry logic and exponential backoff. The request's
+   * estimate is reserved in the budget until it succeeds or finally fails, so concurrent
+   * calls cannot together overshoot the limit.
+   * @param {LLMProvider} provider - Model provider
    * @param {Object} payload - API request payload
    * @returns {Promise<Object>} Claude API response
-   * @throws {Error} If all retry attempts fail
+   * @throws {Error} If all retry attempts fail, or BUDGET_EXCEEDED before sending a request
+   *   the budget does not allow
    * @private
    */
-  async callClaudeWithRetry(anthropic, payload) {
+  async callClaudeWithRetry(provider, payload) {
+    const budget = this.budget.check(payload, provider);
+    if (budget.notice) {
+      this.log('warn', budget.notice, { estimate: budget.estimate });
+    }
+    const release = this.budget.reserve(budget.estimate);
+
     const maxRetries = 3;
     const baseDelay = 2000; // 2 seconds base delay for Claude API
     let lastError = null;
@@ -869,8 +972,11 @@ class PromptExpertSession {
           await new Promise(resolve => setTimeout(resolve, delay));
         }
         
-        // Make the API call
-        const response = await anthropic.messages.create(payload);
+        // Make the API call within the shared concurrency and rate limits
+        const response = await this.scheduler.schedule(() => provider.createMessage(payload));
+        this.usage.record(response, 'session');
+        this.budget.record(response, 'session');
+        release();
         
         // Success - return the response
         if (attempt > 0) {
@@ -892,6 +998,7 @@ class PromptExpertSession {
             statusCode: error.status || 'unknown',
             headers: error.headers || {}
           });
+          release();
           throw error;
         }
         
@@ -993,6 +1100,34 @@ class PromptExpertSession {
     return false;
   }
 
+  /**
+   * @method writeReports
+   * @async
+   * @description Writes report artifacts for A/B test and evaluation results when
+   * PROMPT_EXPERT_REPORT_DIR is set (the workflow uploads that directory). Failures are
+   * logged and never fail the tool call.
+   * @param {string} toolName - Tool that produced the result
+   * @param {Object} result - Tool result
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeReports(toolName, result) {
+    const outputDir = process.env[REPORT_DIR_ENV];
+    if (!outputDir || !['ab_test', 'evaluate_prompt_changes', 'get_expert_feedback'].includes(toolName)) {
+      return;
+    }
+
+    try {
+      const files = await ReportWriter.write(result, {
+        outputDir,
+        baseName: `${toolName}-${this.sessionId.split('-').pop()}-${this.metrics.toolCalls}`
+      });
+      this.log('info', `Reports written for ${toolName}`, { files });
+    } catch (error) {
+      this.log('warn', `Could not write reports for ${toolName}`, { error: error.message });
+    }
+  }
+
   /**
    * @method postResults
    * @async
@@ -1014,11 +1149,28 @@ class PromptExpertSession {
     const errors = this.metrics.errors > 0 
       ? `errors: ${this.metrics.errors} | ` 
       : '';
+    const usage = this.usage.summary();
+    const cost = UsageTracker.formatCost(usage);
+    const tokens = usage.requests > 0
+      ? `tokens: ${usage.inputTokens.toLocaleString('en-US')} in / ${usage.outputTokens.toLocaleString('en-US')} out${cost ? ` (~${cost})` : ''} | `
+      : '';
     
-    const body = `${result.response}
+    // Tournament leaderboards and bisect reports are always shown, whatever the response text says
+    const leaderboards = result.toolCalls
+      .filter(t => ['ab_tournament', 'bisect_prompt'].includes(t.name) && t.result && t.result.success)
+      .map(t => `\n\n${t.name === 'ab_tournament' ? t.result.leaderboard : t.result.report}`)
+      .join('');
+
+    // Reviewers always see what changed between the prompts of each A/B test
+    const diffs = result.toolCalls
+      .filter(t => t.name === 'ab_test' && t.result && t.result.success && t.result.changes)
+      .map(t => `\n\n${ABTestTool.formatChanges(t.result)}`)
+      .join('');
+
+    const body = `${result.response}${leaderboards}${diffs}
 
 ---
-<sub>${tools}${errors}${duration}s | session: ${this.sessionId.split('-').pop()}</sub>`;
+<sub>${tools}${errors}${tokens}${duration}s | session: ${this.sessionId.split('-').pop()}</sub>`;
 
     if (context.pr) {
       await octokit.issues.createComment({
@@ -1061,8 +1213,16 @@ class PromptExpertSession {
         ? `https://github.com/${this.repoOwner}/${this.repoName}/actions/runs/${runId}`
         : null;
       
-      // Build error message with hyperlink
-      let body = `## ❌ Prompt Expert Error
+      // Build error message with hyperlink (budget stops explain the limit instead)
+      let body = error.code === 'BUDGET_EXCEEDED'
+        ? `## 💸 Prompt Expert Budget Exceeded
+
+The session was stopped before a model request that would exceed its budget.
+
+${BudgetGuard.formatReport(error.budget)}
+
+**Session ID:** \`${this.sessionId}\``
+        : `## ❌ Prompt Expert Error
 
 **Error:** ${error.message}
 
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Fake Anthropic
+ * @description In-memory stand-in for the `@anthropic-ai/sdk` client: validates requests the
+ * way the Messages API does and answers with scripted responses
+ * @module FakeAnthropic
+ * @requires ../../src/lib/providers/LocalStubProvider
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { LocalStubProvider } = require('../../src/lib/providers/LocalStubProvider');
+
+/**
+ * @class FakeAnthropic
+ * @description Drop-in for `new Anthropic()` (pass it as `options.anthropic`). Each
+ * `messages.create` call is validated - model, max_tokens, alternating roles, forced tools
+ * that exist, tool calls answered by tool results in the next message - and rejected with a 400
+ * `invalid_request_error` otherwise. Responses can be scripted as an array (served in
+ * order, the last one repeating) or as a function of the request and call index, and may be:
+ * - text: a text block, or a tool_use block synthesized from the schema when the request
+ *   forces a tool (values are taken from the text, e.g. "Score: 8/10", "MERGE")
+ * - an array of content blocks (see FakeAnthropic.text and FakeAnthropic.toolUse)
+ * - an Error, which is thrown (see FakeAnthropic.apiError)
+ * @property {Array<Object>} calls - Every request, in order
+ * @property {Object} messages - `{ create }`, as on the SDK client
+ */
+class FakeAnthropic {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Fake settings
+   * @param {Array<string|Array|Error>|Function} [options.responses] - Scripted responses
+   * @param {string} [options.defaultText='Score: 7/10'] - Text returned when nothing is scripted
+   */
+  constructor(options = {}) {
+    this.responses = options.responses || null;
+    this.defaultText = options.defaultText || 'Score: 7/10';
+    this.calls = [];
+    this.messages = { create: payload => this.create(payload) };
+  }
+
+  /**
+   * @method create
+   * @async
+   * @param {Object} payload - Messages API request
+   * @returns {Promise<Object>} Messages API response
+   * @throws {Error} 400 invalid_request_error for malformed requests, or a scripted error
+   */
+  async create(payload) {
+    FakeAnthropic.validate(payload);
+    const index = this.calls.length;
+    this.calls.push(payload);
+
+    let scripted;
+    if (typeof this.responses === 'function') {
+      scripted = await this.responses(payload, index);
+    } else if (Array.isArray(this.responses) && this.responses.length > 0) {
+      scripted = this.responses[Math.min(index, this.responses.length - 1)];
+    }
+    if (scripted instanceof Error) {
+      throw scripted;
+    }
+
+    const content = FakeAnthropic.toContent(scripted === undefined || scripted === null ? this.defaultText : scripted, payload, index);
+    const output = content.map(block => block.text || JSON.stringify(block.input || '')).join('');
+    return {
+      id: `msg_fake_${index + 1}`,
+      type: 'message',
+      role: 'assistant',
+      model: payload.model,
+      content,
+      stop_reason: content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn',
+      stop_sequence: null,
+      usage: {
+        input_tokens: Math.ceil((JSON.stringify(payload.messages).length + JSON.stringify(payload.system || '').length) / 4),
+        output_tokens: Math.ceil(output.length / 4)
+      }
+    };
+  }
+
+  /**
+   * @method requestsWithTool
+   * @param {string} name - Tool name
+   * @returns {Array<Object>} Requests that forced the tool
+   */
+  requestsWithTool(name) {
+    return this.calls.filter(call => call.tool_choice && call.tool_choice.type === 'tool' && call.tool_choice.name === name);
+  }
+
+  /**
+   * @static
+   * @method toContent
+   * @param {string|Array<Object>} scripted - Scripted response
+   * @param {Object} payload - Request
+   * @param {number} index - Call index
+   * @returns {Array<Object>} Content blocks
+   * @private
+   */
+  static toContent(scripted, payload, index) {
+    if (Array.isArray(scripted)) {
+      return scripted;
+    }
+    const choice = payload.tool_choice;
+    if (choice && choice.type === 'tool') {
+      const tool = payload.tools.find(t => t.name === choice.name);
+      return [FakeAnthropic.toolUse(tool.name, LocalStubProvider.sampleFromSchema(tool.input_schema, scripted), `toolu_fake_${index + 1}`)];
+    }
+    return FakeAnthropic.text(scripted);
+  }
+
+  /**
+   * @static
+   * @method validate
+   * @description Applies the Messages API request checks the library could get wrong
+   * @param {Object} payload - Request
+   * @throws {Error} 400 invalid_request_error
+   * @private
+   */
+  static validate(payload) {
+    const fail = message => { throw FakeAnthropic.apiError(400, 'invalid_request_error', message); };
+
+    if (!payload || typeof payload.model !== 'string' || payload.model === '') fail('model: Field required');
+    if (!Number.isInteger(payload.max_tokens) || payload.max_tokens < 1) fail('max_tokens: must be a positive integer');
+    if (!Array.isArray(payload.messages) || payload.messages.length === 0) fail('messages: at least one message is required');
+
+    const tools = payload.tools || [];
+    if (payload.tool_choice && payload.tool_choice.type === 'tool' && !tools.some(t => t.name === payload.tool_choice.name)) {
+      fail(`tool_choice: tool ${payload.tool_choice.name} not found in tools`);
+    }
+
+    payload.messages.forEach((message, i) => {
+      const expected = i % 2 === 0 ? 'user' : 'assistant';
+      if (message.role !== expected) fail(`messages.${i}.role: expected ${expected}, got ${message.role}`);
+      if (message.content === undefined || message.content === '' ||
+        (Array.isArray(message.content) && message.content.length === 0)) {
+        fail(`messages.${i}.content: must not be empty`);
+      }
+
+      const blocks = Array.isArray(message.content) ? message.content : [];
+      const results = blocks.filter(block => block.type === 'tool_result');
+      if (results.length > 0) {
+        const previous = payload.messages[i - 1];
+        const calls = new Set((Array.isArray(previous && previous.content) ? previous.content : [])
+          .filter(block => block.type === 'tool_use')
+          .map(block => block.id));
+        for (const result of results) {
+          if (!calls.has(result.tool_use_id)) {
+            fail(`messages.${i}: tool_result ${result.tool_use_id} has no matching tool_use in the previous message`);
+          }
+        }
+      }
+
+      const next = payload.messages[i + 1];
+      if (message.role === 'assistant' && next) {
+        const answered = new Set((Array.isArray(next.content) ? next.content : [])
+          .filter(block => block.type === 'tool_result')
+          .map(block => block.tool_use_id));
+        for (const call of blocks.filter(block => block.type === 'tool_use')) {
+          if (!answered.has(call.id)) {
+            fail(`messages.${i + 1}: tool_use ${call.id} was not answered by a tool_result in the next message`);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * @static
+   * @method text
+   * @param {string} text - Response text
+   * @returns {Array<Object>} A single text block
+   */
+  static text(text) {
+    return [{ type: 'text', text }];
+  }
+
+  /**
+   * @static
+   * @method toolUse
+   * @param {string} name - Tool name
+   * @param {Object} input - Tool input
+   * @param {string} [id] - Tool use id
+   * @returns {Object} A tool_use block
+   */
+  static toolUse(name, input, id = `toolu_${name}`) {
+    return { type: 'tool_use', id, name, input };
+  }
+
+  /**
+   * @static
+   * @method apiError
+   * @param {number} status - HTTP status
+   * @param {string} type - Anthropic error type, e.g. 'invalid_request_error'
+   * @param {string} message - Error message
+   * @returns {Error} Error shaped like the SDK's APIError (`status`, `type`, `error`)
+   */
+  static apiError(status, type, message) {
+    const error = new Error(`${status} ${JSON.stringify({ type: 'error', error: { type, message } })}`);
+    error.status = status;
+    error.type = type;
+    error.error = { type: 'error', error: { type, message } };
+    return error;
+  }
+}
+
+module.exports = { FakeAnthropic };
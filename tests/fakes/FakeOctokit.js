@@ -0,0 +1,688 @@
+/**
+ * @fileoverview Fake Octokit
+ * @description In-memory stand-in for the `@octokit/rest` client used by the tests: a small
+ * commit graph per repository (branches, tags, pull requests) served through the contents,
+ * commits, git, pulls and issues endpoints the library calls
+ * @module FakeOctokit
+ * @requires crypto
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { LocalGitContentSource } = require('../../src/lib/sources/LocalGitContentSource');
+
+/**
+ * Commit date of the first commit; every further commit is one hour later
+ * @const {number}
+ */
+const EPOCH = Date.parse('2026-01-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Largest file the contents API returns with its content (1 MB)
+ * @const {number}
+ */
+const MAX_CONTENT_SIZE = 1024 * 1024;
+
+/**
+ * @class FakeOctokit
+ * @description Repositories are built with `commit`, `tag` and `openPullRequest`; the
+ * `repos`, `git`, `pulls` and `issues` namespaces answer like the GitHub REST API (base64 file
+ * contents, directory listings, newest-first commit lists, errors with `status` 404).
+ * File updates must name the SHA of the file they replace (409 when it is stale), and
+ * files over `maxContentSize` come without content, to be read as blobs.
+ * Refs may be a branch, tag, full or abbreviated SHA, `HEAD`, `refs/heads/*`, `refs/tags/*`
+ * or `refs/pull/<n>/head`; no ref means the default branch.
+ * @property {Map<string, Object>} repositories - Repository state by "owner/repo"
+ * @property {Array<Object>} comments - Issue and pull request comments, in creation order
+ * @property {Array<Object>} calls - Every API call as `{ method, params }`
+ */
+class FakeOctokit {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - Fake settings
+   * @param {string} [options.owner='octo'] - Owner of the default repository
+   * @param {string} [options.repo='prompts'] - Name of the default repository
+   * @param {string} [options.defaultBranch='main'] - Default branch of new repositories
+   * @param {number} [options.maxContentSize=MAX_CONTENT_SIZE] - Largest file served with its content
+   */
+  constructor(options = {}) {
+    this.owner = options.owner || 'octo';
+    this.repo = options.repo || 'prompts';
+    this.defaultBranch = options.defaultBranch || 'main';
+    this.maxContentSize = options.maxContentSize || MAX_CONTENT_SIZE;
+    this.repositories = new Map();
+    this.comments = [];
+    this.calls = [];
+    this.commitCount = 0;
+
+    this.repos = {
+      getContent: params => this.call('repos.getContent', params, () => this.getContent(params)),
+      listCommits: params => this.call('repos.listCommits', params, () => this.listCommits(params)),
+      getCommit: params => this.call('repos.getCommit', params, () => this.getCommit(params)),
+      listTags: params => this.call('repos.listTags', params, () => this.listTags(params)),
+      getBranch: params => this.call('repos.getBranch', params, () => this.getBranch(params)),
+      createOrUpdateFileContents: params =>
+        this.call('repos.createOrUpdateFileContents', params, () => this.createOrUpdateFileContents(params))
+    };
+    this.git = {
+      getBlob: params => this.call('git.getBlob', params, () => this.getBlob(params)),
+      createBlob: params => this.call('git.createBlob', params, () => this.createBlob(params)),
+      createTree: params => this.call('git.createTree', params, () => this.createTree(params)),
+      createCommit: params => this.call('git.createCommit', params, () => this.createCommit(params)),
+      createRef: params => this.call('git.createRef', params, () => this.createRef(params))
+    };
+    this.pulls = {
+      get: params => this.call('pulls.get', params, () => this.getPullRequest(params)),
+      listFiles: params => this.call('pulls.listFiles', params, () => this.listPullRequestFiles(params))
+    };
+    this.issues = {
+      createComment: params => this.call('issues.createComment', params, () => this.createComment(params)),
+      listComments: params => this.call('issues.listComments', params, () => ({
+        data: this.comments.filter(c => c.repository === FakeOctokit.key(params) && c.issue_number === params.issue_number)
+      }))
+    };
+  }
+
+  /**
+   * @method commit
+   * @description Adds a commit on top of a branch (created from the default branch when new)
+   * @param {Object<string, string|null>} files - Contents by path; null deletes the file
+   * @param {Object} [options={}] - Commit settings
+   * @param {string} [options.message] - Commit message
+   * @param {string} [options.branch] - Branch (defaults to the default branch)
+   * @param {string} [options.author='Test Author'] - Author name
+   * @param {string} [options.date] - ISO commit date (defaults to one hour after the previous commit)
+   * @param {string} [options.repository] - "owner/repo" (defaults to the default repository)
+   * @returns {string} Commit SHA
+   */
+  commit(files, options = {}) {
+    const repository = this.repository(options.repository, true);
+    const branch = options.branch || repository.defaultBranch;
+    const parentSha = repository.branches.get(branch) || repository.branches.get(repository.defaultBranch) || null;
+    const parent = parentSha ? repository.commits.get(parentSha) : null;
+
+    const tree = new Map(parent ? parent.tree : []);
+    for (const [filePath, content] of Object.entries(files)) {
+      if (content === null) {
+        tree.delete(filePath);
+      } else {
+        tree.set(filePath, content);
+      }
+    }
+
+    const sha = this.addCommit(repository, tree, parentSha, options.message || `Update ${Object.keys(files).join(', ')}`, options);
+    repository.branches.set(branch, sha);
+    return sha;
+  }
+
+  /**
+   * @method tag
+   * @param {string} name - Tag name
+   * @param {string} [ref] - Tagged ref (defaults to the default branch)
+   * @param {Object} [options={}] - `{ repository }`
+   * @returns {string} SHA of the tagged commit
+   */
+  tag(name, ref, options = {}) {
+    const repository = this.repository(options.repository);
+    const sha = this.resolveRef(repository, ref);
+    repository.tags.set(name, sha);
+    return sha;
+  }
+
+  /**
+   * @method openPullRequest
+   * @description Registers a pull request from a branch; `refs/pull/<number>/head` follows the branch
+   * @param {number} number - Pull request number
+   * @param {Object} options - Pull request settings
+   * @param {string} options.head - Head branch
+   * @param {string} [options.base] - Base branch (defaults to the default branch)
+   * @param {string} [options.repository] - "owner/repo"
+   * @returns {Object} The pull request record
+   */
+  openPullRequest(number, options) {
+    const repository = this.repository(options.repository);
+    const pull = { number, head: options.head, base: options.base || repository.defaultBranch };
+    repository.pulls.set(number, pull);
+    return pull;
+  }
+
+  /**
+   * @method fileAt
+   * @param {string} filePath - Repository path
+   * @param {string} [ref] - Ref (defaults to the default branch)
+   * @param {Object} [options={}] - `{ repository }`
+   * @returns {string|undefined} File content at the ref
+   */
+  fileAt(filePath, ref, options = {}) {
+    const repository = this.repository(options.repository);
+    return repository.commits.get(this.resolveRef(repository, ref)).tree.get(filePath);
+  }
+
+  /**
+   * @method callsTo
+   * @param {string} method - Endpoint, e.g. 'repos.getContent'
+   * @returns {Array<Object>} Parameters of every call to the endpoint
+   */
+  callsTo(method) {
+    return this.calls.filter(c => c.method === method).map(c => c.params);
+  }
+
+  /**
+   * @method call
+   * @async
+   * @description Records an API call and runs it asynchronously, like the real client
+   * @param {string} method - Endpoint name
+   * @param {Object} params - Request parameters
+   * @param {Function} handler - Produces the `{ data }` response
+   * @returns {Promise<Object>} Response
+   * @private
+   */
+  async call(method, params = {}, handler) {
+    this.calls.push({ method, params });
+    return handler();
+  }
+
+  /**
+   * @method getContent
+   * @param {Object} params - `{ owner, repo, path, ref }`
+   * @returns {Object} `{ data }` with a file record or a directory listing
+   * @throws {Error} With status 404 for unknown repositories, refs and paths
+   * @private
+   */
+  getContent(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    const commit = repository.commits.get(this.resolveRef(repository, params.ref));
+    const target = ['', '.', '/'].includes(params.path || '') ? '' : params.path.replace(/\/$/, '');
+
+    if (target !== '' && commit.tree.has(target)) {
+      return { data: this.fileRecord(repository, target, commit.tree.get(target), params.ref) };
+    }
+
+    const prefix = target === '' ? '' : `${target}/`;
+    const children = new Map();
+    for (const [filePath, content] of commit.tree) {
+      if (!filePath.startsWith(prefix)) continue;
+      const [name, ...rest] = filePath.slice(prefix.length).split('/');
+      const childPath = `${prefix}${name}`;
+      if (!children.has(name)) {
+        children.set(name, rest.length > 0
+          ? { type: 'dir', name, path: childPath, sha: FakeOctokit.hash(`tree:${childPath}`), size: 0 }
+          : { ...this.fileRecord(repository, childPath, content, params.ref), content: undefined, encoding: undefined });
+      }
+    }
+    if (children.size === 0) {
+      throw FakeOctokit.error(404, 'Not Found');
+    }
+    return { data: [...children.values()].sort((a, b) => a.name.localeCompare(b.name)) };
+  }
+
+  /**
+   * @method listCommits
+   * @param {Object} params - `{ owner, repo, sha, path, until, per_page }`
+   * @returns {Object} `{ data }` with commits newest first (first-parent history)
+   * @throws {Error} With status 404 for unknown repositories and refs
+   * @private
+   */
+  listCommits(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    const limit = params.per_page || 30;
+    const until = params.until ? Date.parse(params.until) : Infinity;
+    const data = [];
+
+    let sha = this.resolveRef(repository, params.sha);
+    while (sha && data.length < limit) {
+      const commit = repository.commits.get(sha);
+      const parent = commit.parent ? repository.commits.get(commit.parent) : null;
+      if (Date.parse(commit.date) <= until && (!params.path || FakeOctokit.touches(commit, parent, params.path))) {
+        data.push(this.commitRecord(commit, params));
+      }
+      sha = commit.parent;
+    }
+    return { data };
+  }
+
+  /**
+   * @method getCommit
+   * @param {Object} params - `{ owner, repo, ref }`
+   * @returns {Object} `{ data }` with the commit in the listCommits shape
+   * @throws {Error} With status 404 for unknown repositories and refs
+   * @private
+   */
+  getCommit(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    return { data: this.commitRecord(repository.commits.get(this.resolveRef(repository, params.ref)), params) };
+  }
+
+  /**
+   * @method listTags
+   * @param {Object} params - `{ owner, repo, per_page }`
+   * @returns {Object} `{ data }` with `{ name, commit: { sha } }`, highest version first
+   * @private
+   */
+  listTags(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    const data = [...repository.tags]
+      .sort(([a], [b]) => b.localeCompare(a, undefined, { numeric: true }))
+      .map(([name, sha]) => ({ name, commit: { sha } }));
+    return { data: data.slice(0, params.per_page || 30) };
+  }
+
+  /**
+   * @method createOrUpdateFileContents
+   * @param {Object} params - `{ owner, repo, path, message, content (base64), branch, sha }`;
+   *   `sha` is the blob SHA of the file being replaced
+   * @returns {Object} `{ data: { content, commit } }`
+   * @throws {Error} With status 422 when an existing file is updated without `sha`, and 409
+   *   when `sha` is not the file's current blob
+   * @private
+   */
+  createOrUpdateFileContents(params) {
+    const key = FakeOctokit.key(params);
+    const repository = this.repository(key);
+    const head = repository.branches.get(params.branch || repository.defaultBranch);
+    const current = head ? repository.commits.get(head).tree.get(params.path) : undefined;
+    if (current !== undefined && !params.sha) {
+      throw FakeOctokit.error(422, 'Invalid request. "sha" wasn\'t supplied.');
+    }
+    if (current !== undefined && params.sha !== LocalGitContentSource.blobSha(Buffer.from(current, 'utf8'))) {
+      throw FakeOctokit.error(409, `${params.path} does not match ${params.sha}`);
+    }
+
+    const content = Buffer.from(params.content, 'base64').toString('utf8');
+    const sha = this.commit({ [params.path]: content }, { message: params.message, branch: params.branch, repository: key });
+    return {
+      data: {
+        content: { path: params.path, sha: LocalGitContentSource.blobSha(Buffer.from(content, 'utf8')) },
+        commit: { sha }
+      }
+    };
+  }
+
+  /**
+   * @method getBranch
+   * @param {Object} params - `{ owner, repo, branch }`
+   * @returns {Object} `{ data: { name, commit: { sha } } }`
+   * @throws {Error} With status 404 for unknown branches
+   * @private
+   */
+  getBranch(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    if (!repository.branches.has(params.branch)) {
+      throw FakeOctokit.error(404, 'Branch not found');
+    }
+    return { data: { name: params.branch, commit: { sha: repository.branches.get(params.branch) } } };
+  }
+
+  /**
+   * @method getBlob
+   * @param {Object} params - `{ owner, repo, file_sha }`
+   * @returns {Object} `{ data: { sha, size, content (base64), encoding } }`
+   * @throws {Error} With status 404 for unknown blobs
+   * @private
+   */
+  getBlob(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    const content = repository.blobs.get(params.file_sha);
+    if (content === undefined) {
+      throw FakeOctokit.error(404, 'Not Found');
+    }
+    const buffer = Buffer.from(content, 'utf8');
+    return { data: { sha: params.file_sha, size: buffer.length, content: buffer.toString('base64'), encoding: 'base64' } };
+  }
+
+  /**
+   * @method createBlob
+   * @param {Object} params - `{ owner, repo, content, encoding }` ('utf-8' or 'base64')
+   * @returns {Object} `{ data: { sha } }`
+   * @private
+   */
+  createBlob(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    const buffer = Buffer.from(params.content, params.encoding === 'base64' ? 'base64' : 'utf8');
+    const sha = LocalGitContentSource.blobSha(buffer);
+    repository.blobs.set(sha, buffer.toString('utf8'));
+    return { data: { sha } };
+  }
+
+  /**
+   * @method createTree
+   * @param {Object} params - `{ owner, repo, tree, base_tree }`; entries are `{ path, sha }`
+   *   of created blobs, or `{ path, sha: null }` to delete
+   * @returns {Object} `{ data: { sha } }`
+   * @throws {Error} With status 422 for unknown blobs or base trees
+   * @private
+   */
+  createTree(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    if (params.base_tree && !repository.trees.has(params.base_tree)) {
+      throw FakeOctokit.error(422, 'Invalid tree info');
+    }
+
+    const tree = new Map(params.base_tree ? repository.trees.get(params.base_tree) : []);
+    for (const entry of params.tree) {
+      if (entry.sha === null) {
+        tree.delete(entry.path);
+      } else if (repository.blobs.has(entry.sha)) {
+        tree.set(entry.path, repository.blobs.get(entry.sha));
+      } else {
+        throw FakeOctokit.error(422, 'Invalid tree info');
+      }
+    }
+
+    const sha = FakeOctokit.hash(`tree:${JSON.stringify([...tree])}`);
+    repository.trees.set(sha, tree);
+    return { data: { sha } };
+  }
+
+  /**
+   * @method createCommit
+   * @param {Object} params - `{ owner, repo, message, tree, parents }` (at most one parent;
+   *   none for an orphan commit)
+   * @returns {Object} `{ data: { sha, tree: { sha }, parents } }`
+   * @throws {Error} With status 422 for unknown trees or parents
+   * @private
+   */
+  createCommit(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    const parents = params.parents || [];
+    if (!repository.trees.has(params.tree) || parents.some(parent => !repository.commits.has(parent))) {
+      throw FakeOctokit.error(422, 'Invalid commit info');
+    }
+
+    const sha = this.addCommit(repository, repository.trees.get(params.tree), parents[0] || null, params.message);
+    return { data: { sha, tree: { sha: params.tree }, parents: parents.map(parent => ({ sha: parent })) } };
+  }
+
+  /**
+   * @method createRef
+   * @param {Object} params - `{ owner, repo, ref, sha }` with ref `refs/heads/*` or `refs/tags/*`
+   * @returns {Object} `{ data: { ref, object: { sha } } }`
+   * @throws {Error} With status 422 when the ref already exists or the commit is unknown
+   * @private
+   */
+  createRef(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    const [, kind, name] = params.ref.match(/^refs\/(heads|tags)\/(.+)$/) || [];
+    const refs = kind === 'tags' ? repository.tags : repository.branches;
+    if (!name || !repository.commits.has(params.sha)) {
+      throw FakeOctokit.error(422, 'Invalid request');
+    }
+    if (refs.has(name)) {
+      throw FakeOctokit.error(422, 'Reference already exists');
+    }
+    refs.set(name, params.sha);
+    return { data: { ref: params.ref, object: { sha: params.sha } } };
+  }
+
+  /**
+   * @method getPullRequest
+   * @param {Object} params - `{ owner, repo, pull_number }`
+   * @returns {Object} `{ data: { number, head, base } }`
+   * @throws {Error} With status 404 for unknown pull requests
+   * @private
+   */
+  getPullRequest(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    const pull = this.pullRequest(repository, params.pull_number);
+    return {
+      data: {
+        number: pull.number,
+        head: { ref: pull.head, sha: repository.branches.get(pull.head) },
+        base: { ref: pull.base, sha: repository.branches.get(pull.base) }
+      }
+    };
+  }
+
+  /**
+   * @method listPullRequestFiles
+   * @param {Object} params - `{ owner, repo, pull_number }`
+   * @returns {Object} `{ data }` with `{ filename, status, sha }` for files that differ between
+   *   the base and head branches
+   * @private
+   */
+  listPullRequestFiles(params) {
+    const repository = this.repository(FakeOctokit.key(params));
+    const pull = this.pullRequest(repository, params.pull_number);
+    const base = repository.commits.get(repository.branches.get(pull.base)).tree;
+    const head = repository.commits.get(repository.branches.get(pull.head)).tree;
+
+    const data = [];
+    for (const filename of new Set([...base.keys(), ...head.keys()])) {
+      if (base.get(filename) === head.get(filename)) continue;
+      const status = !base.has(filename) ? 'added' : !head.has(filename) ? 'removed' : 'modified';
+      data.push({ filename, status, sha: FakeOctokit.hash(head.get(filename) || '') });
+    }
+    return { data };
+  }
+
+  /**
+   * @method createComment
+   * @param {Object} params - `{ owner, repo, issue_number, body }`
+   * @returns {Object} `{ data: { id, body, html_url } }`
+   * @private
+   */
+  createComment(params) {
+    const comment = {
+      id: this.comments.length + 1,
+      repository: FakeOctokit.key(params),
+      issue_number: params.issue_number,
+      body: params.body
+    };
+    this.comments.push(comment);
+    return {
+      data: {
+        id: comment.id,
+        body: comment.body,
+        html_url: `https://github.com/${comment.repository}/issues/${comment.issue_number}#issuecomment-${comment.id}`
+      }
+    };
+  }
+
+  /**
+   * @method repository
+   * @param {string} [key] - "owner/repo" (defaults to the default repository)
+   * @param {boolean} [create=false] - Create the repository when it does not exist
+   * @returns {Object} Repository state
+   * @throws {Error} With status 404 for unknown repositories
+   * @private
+   */
+  repository(key, create = false) {
+    const name = key || `${this.owner}/${this.repo}`;
+    if (!this.repositories.has(name)) {
+      if (!create) {
+        throw FakeOctokit.error(404, 'Not Found');
+      }
+      this.repositories.set(name, {
+        name,
+        defaultBranch: this.defaultBranch,
+        commits: new Map(),
+        branches: new Map(),
+        tags: new Map(),
+        pulls: new Map(),
+        blobs: new Map(),
+        trees: new Map()
+      });
+    }
+    return this.repositories.get(name);
+  }
+
+  /**
+   * @method pullRequest
+   * @param {Object} repository - Repository state
+   * @param {number} number - Pull request number
+   * @returns {Object} Pull request record
+   * @throws {Error} With status 404 for unknown pull requests
+   * @private
+   */
+  pullRequest(repository, number) {
+    const pull = repository.pulls.get(Number(number));
+    if (!pull) {
+      throw FakeOctokit.error(404, 'Not Found');
+    }
+    return pull;
+  }
+
+  /**
+   * @method resolveRef
+   * @param {Object} repository - Repository state
+   * @param {string} [ref] - Ref to resolve
+   * @returns {string} Commit SHA
+   * @throws {Error} With status 404 when the ref does not exist
+   * @private
+   */
+  resolveRef(repository, ref) {
+    const name = !ref || ref === 'HEAD' ? repository.defaultBranch : ref.replace(/^refs\/(heads|tags)\//, '');
+    const pull = name.match(/^refs\/pull\/(\d+)\/head$/);
+
+    let sha;
+    if (pull) {
+      const record = repository.pulls.get(parseInt(pull[1], 10));
+      sha = record && repository.branches.get(record.head);
+    } else if (repository.branches.has(name)) {
+      sha = repository.branches.get(name);
+    } else if (repository.tags.has(name)) {
+      sha = repository.tags.get(name);
+    } else if (/^[0-9a-f]{4,40}$/.test(name)) {
+      const matches = [...repository.commits.keys()].filter(candidate => candidate.startsWith(name));
+      sha = matches.length === 1 ? matches[0] : undefined;
+    }
+
+    if (!sha) {
+      throw FakeOctokit.error(404, `No commit found for the ref ${ref}`);
+    }
+    return sha;
+  }
+
+  /**
+   * @method addCommit
+   * @param {Object} repository - Repository state
+   * @param {Map<string, string>} tree - Contents by path
+   * @param {string|null} parentSha - Parent commit
+   * @param {string} message - Commit message
+   * @param {Object} [options={}] - `{ author, date }` (see commit)
+   * @returns {string} SHA of the new commit
+   * @private
+   */
+  addCommit(repository, tree, parentSha, message, options = {}) {
+    const date = options.date || new Date(EPOCH + this.commitCount * HOUR).toISOString();
+    const sha = crypto.createHash('sha1')
+      .update(`${parentSha}\n${date}\n${message}\n${JSON.stringify([...tree])}\n${this.commitCount}`)
+      .digest('hex');
+    this.commitCount++;
+
+    repository.commits.set(sha, {
+      sha,
+      parent: parentSha,
+      tree,
+      message,
+      author: options.author || 'Test Author',
+      date
+    });
+    return sha;
+  }
+
+  /**
+   * @method commitRecord
+   * @param {Object} commit - Commit state
+   * @param {Object} params - Request parameters with `owner` and `repo`
+   * @returns {Object} Commit in the commits API shape
+   * @private
+   */
+  commitRecord(commit, params) {
+    return {
+      sha: commit.sha,
+      html_url: `https://github.com/${FakeOctokit.key(params)}/commit/${commit.sha}`,
+      commit: {
+        message: commit.message,
+        author: { name: commit.author, date: commit.date },
+        committer: { name: commit.author, date: commit.date }
+      },
+      parents: commit.parent ? [{ sha: commit.parent }] : []
+    };
+  }
+
+  /**
+   * @method fileRecord
+   * @description Also registers the content as a blob, so git.getBlob can serve files
+   *   returned without content
+   * @param {Object} repository - Repository state
+   * @param {string} filePath - Repository path
+   * @param {string} content - File content
+   * @param {string} [ref] - Requested ref, for the URL
+   * @returns {Object} File record in the contents API shape
+   * @private
+   */
+  fileRecord(repository, filePath, content, ref) {
+    const buffer = Buffer.from(content, 'utf8');
+    const sha = LocalGitContentSource.blobSha(buffer);
+    const truncated = buffer.length > this.maxContentSize;
+    repository.blobs.set(sha, content);
+    return {
+      type: 'file',
+      encoding: truncated ? 'none' : 'base64',
+      name: filePath.split('/').pop(),
+      path: filePath,
+      sha,
+      size: buffer.length,
+      content: truncated ? '' : buffer.toString('base64'),
+      html_url: `https://github.com/${repository.name}/blob/${ref || repository.defaultBranch}/${filePath}`
+    };
+  }
+
+  /**
+   * @static
+   * @method touches
+   * @param {Object} commit - Commit record
+   * @param {Object|null} parent - Parent commit record
+   * @param {string} filePath - File or directory path
+   * @returns {boolean} Whether the commit changed the path (or anything below it)
+   * @private
+   */
+  static touches(commit, parent, filePath) {
+    const matches = candidate => candidate === filePath || candidate.startsWith(`${filePath}/`);
+    const paths = new Set([...commit.tree.keys(), ...(parent ? parent.tree.keys() : [])]);
+    return [...paths].some(candidate =>
+      matches(candidate) && (!parent || commit.tree.get(candidate) !== parent.tree.get(candidate)));
+  }
+
+  /**
+   * @static
+   * @method key
+   * @param {Object} params - Request parameters with `owner` and `repo`
+   * @returns {string} "owner/repo"
+   * @private
+   */
+  static key(params) {
+    return `${params.owner}/${params.repo}`;
+  }
+
+  /**
+   * @static
+   * @method hash
+   * @param {string} text - Text to hash
+   * @returns {string} SHA-1 hex digest
+   * @private
+   */
+  static hash(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+  }
+
+  /**
+   * @static
+   * @method error
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   * @returns {Error} Error shaped like Octokit's RequestError (`status`, `response`)
+   */
+  static error(status, message) {
+    const error = new Error(message);
+    error.name = 'HttpError';
+    error.status = status;
+    error.response = { status, data: { message } };
+    return error;
+  }
+}
+
+module.exports = { FakeOctokit, MAX_CONTENT_SIZE };
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Test Fixtures
+ * @description Repository contents and helpers shared by the unit tests
+ * @module fixtures
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CallScheduler } = require('../../src/lib/usage/CallScheduler');
+const { EvaluationResultStore } = require('../../src/lib/results/EvaluationResultStore');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Expert definition used by every test (the bundled programming expert)
+ * @const {string}
+ */
+const EXPERT = fs.readFileSync(path.join(ROOT, 'experts', 'programming-expert.md'), 'utf8');
+
+/**
+ * Prompt versions committed by seedRepository, oldest first
+ * @const {Array<string>}
+ */
+const PROMPT_VERSIONS = [
+  '# Code Reviewer\n\nReview the code.\n',
+  '# Code Reviewer\n\nReview the code for bugs.\n\n## Rules\n- Be specific\n',
+  '# Code Reviewer\n\nYou are a senior engineer. Review the code for bugs and security issues.\n\n## Rules\n- Be specific\n- Cite line numbers\n\n## Example\nInput: a diff\nOutput: findings\n'
+];
+
+/**
+ * @function seedRepository
+ * @description Builds the default repository of a FakeOctokit:
+ * - main: experts/programming-expert.md, test-scenarios/programming-tests.json,
+ *   context/api.md and three commits of prompts/code-reviewer.md (tag v1.0 on the second)
+ * - feature/stricter: prompts/code-reviewer.md with a marker line, open as pull request #7
+ * @param {FakeOctokit} octokit - Fake to seed
+ * @returns {Object} Commit SHAs `{ first, second, third, feature }`
+ */
+function seedRepository(octokit) {
+  const first = octokit.commit({
+    'experts/programming-expert.md': EXPERT,
+    'test-scenarios/programming-tests.json': JSON.stringify({
+      domain: 'programming',
+      scenarios: [
+        { id: 'review-sql', input: 'Review a function that builds SQL from user input' },
+        { id: 'review-loop', input: 'Review an off-by-one loop' }
+      ]
+    }),
+    'context/api.md': '# API\n\nGET /users returns a list of users.\n',
+    'prompts/code-reviewer.md': PROMPT_VERSIONS[0]
+  }, { message: 'Add code reviewer prompt' });
+  const second = octokit.commit({ 'prompts/code-reviewer.md': PROMPT_VERSIONS[1] }, { message: 'Expert feedback: add rules' });
+  octokit.tag('v1.0', second);
+  const third = octokit.commit({ 'prompts/code-reviewer.md': PROMPT_VERSIONS[2] }, { message: 'Apply expert improvement suggestions' });
+
+  const feature = octokit.commit({
+    'prompts/code-reviewer.md': `${PROMPT_VERSIONS[2]}\nVARIANT-B: flag every unchecked input.\n`
+  }, { message: 'Stricter input checks', branch: 'feature/stricter' });
+  octokit.openPullRequest(7, { head: 'feature/stricter' });
+
+  return { first, second, third, feature };
+}
+
+/**
+ * @function createScheduler
+ * @returns {CallScheduler} Scheduler without a practical rate limit, so tests never wait
+ */
+function createScheduler() {
+  return new CallScheduler({ maxConcurrency: 4, maxCallsPerMinute: 10000 });
+}
+
+/**
+ * @function createResultStore
+ * @returns {EvaluationResultStore} Result store backed by an in-memory record list
+ */
+function createResultStore() {
+  const records = [];
+  return new EvaluationResultStore({
+    storage: {
+      readAll: async () => [...records],
+      append: async added => { records.push(...added); },
+      describe: () => 'memory'
+    }
+  });
+}
+
+/**
+ * @function requestText
+ * @param {Object} payload - Messages API request
+ * @returns {string} All text of the request (system prompt and messages)
+ */
+function requestText(payload) {
+  return JSON.stringify([payload.system || '', payload.messages]);
+}
+
+module.exports = { EXPERT, PROMPT_VERSIONS, seedRepository, createScheduler, createResultStore, requestText };
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Temporary Git Repository
+ * @description Real git repositories in temporary directories, for testing the local-git
+ * content source and ref resolution against actual `git` behavior
+ * @module gitRepository
+ * @requires child_process
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Commit date of the first commit; every further commit or merge is one hour later
+ * @const {number}
+ */
+const EPOCH = Date.parse('2026-01-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * @function createGitRepository
+ * @description Initializes a repository on branch main in a new temporary directory
+ * @returns {Object} Repository handle:
+ * - `dir`: checkout directory
+ * - `git(...args)`: runs git there and returns trimmed standard output
+ * - `commit(files, message)`: writes files (null deletes), commits and returns the SHA
+ * - `merge(branch, message)`: merges a branch with a merge commit and returns its SHA
+ * - `remove()`: deletes the directory
+ */
+function createGitRepository() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-expert-git-'));
+  let count = 0;
+
+  const git = (...args) => {
+    const date = new Date(EPOCH + count * HOUR).toISOString();
+    return execFileSync('git', ['-c', 'user.name=Test Author', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', ...args], {
+      cwd: dir,
+      encoding: 'utf8',
+      env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+    }).trim();
+  };
+  const head = () => {
+    count++;
+    return git('rev-parse', 'HEAD');
+  };
+
+  git('init', '--quiet', '--initial-branch=main');
+
+  return {
+    dir,
+    git,
+    commit(files, message = 'Update') {
+      for (const [filePath, content] of Object.entries(files)) {
+        const absolute = path.join(dir, filePath);
+        if (content === null) {
+          fs.rmSync(absolute);
+        } else {
+          fs.mkdirSync(path.dirname(absolute), { recursive: true });
+          fs.writeFileSync(absolute, content);
+        }
+      }
+      git('add', '--all');
+      git('commit', '--quiet', '-m', message);
+      return head();
+    },
+    merge(branch, message = `Merge ${branch}`) {
+      git('merge', '--quiet', '--no-ff', '-m', message, branch);
+      return head();
+    },
+    remove() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { createGitRepository };
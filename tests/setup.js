@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Jest Setup
+ * @description Keeps every test offline and independent of the developer's environment:
+ * credentials and run settings are removed so that only the fakes in tests/fakes are used,
+ * and library logging is silenced (tests assert on results, not log output)
+ * @author Prompt Expert Team
+ * @version 1.0.0
+ */
+
+const ISOLATED_VARIABLES = [
+  'ANTHROPIC_API_KEY',
+  'OPENAI_API_KEY',
+  'OPENAI_BASE_URL',
+  'GITHUB_TOKEN',
+  'GITHUB_REPOSITORY',
+  'GITHUB_BASE_REF',
+  'GITHUB_WORKSPACE',
+  'GITHUB_RUN_ID',
+  'PR_NUMBER',
+  'ISSUE_NUMBER',
+  'COMMENT_BODY'
+];
+
+for (const name of Object.keys(process.env)) {
+  if (ISOLATED_VARIABLES.includes(name) || name.startsWith('PROMPT_EXPERT_')) {
+    delete process.env[name];
+  }
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
@@ -0,0 +1,294 @@
+const { ABTestTool } = require('../../src/lib/abtest/ABTestTool');
+const { FakeOctokit } = require('../fakes/FakeOctokit');
+const { FakeAnthropic } = require('../fakes/FakeAnthropic');
+const { PROMPT_VERSIONS, seedRepository, createScheduler, requestText } = require('../fakes/fixtures');
+
+const EXPERT_PATH = 'experts/programming-expert.md';
+
+/**
+ * Judge that scores the variant (the prompt containing VARIANT-B) higher
+ */
+function variantWins(payload) {
+  if (payload.tool_choice.name === 'submit_evaluation') {
+    return requestText(payload).includes('VARIANT-B') ? 'Score: 9/10' : 'Score: 5/10';
+  }
+  return 'Score: 8/10. The SECOND prompt is better. recommendProduction: true';
+}
+
+function createTool(octokit, anthropic) {
+  return new ABTestTool({
+    octokit,
+    anthropic,
+    repoOwner: 'octo',
+    repoName: 'prompts',
+    scheduler: createScheduler()
+  });
+}
+
+describe('ABTestTool', () => {
+  let octokit;
+  let anthropic;
+  let shas;
+  let tool;
+
+  beforeEach(() => {
+    octokit = new FakeOctokit();
+    shas = seedRepository(octokit);
+    anthropic = new FakeAnthropic({ responses: variantWins });
+    tool = createTool(octokit, anthropic);
+  });
+
+  describe('executeABTest', () => {
+    it('compares two versions end to end and prefers the better one', async () => {
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@main',
+        'prompts/code-reviewer.md@feature/stricter', [], 0, { samples: 2 });
+
+      expect(result.success).toBe(true);
+      expect(result.verdict.winner).toBe('B');
+      expect(result.verdict.winnerVersion).toBe('feature/stricter');
+      expect(result.testConfiguration.samples).toBe(2);
+      expect(result.prompts.promptA.content).toBe(PROMPT_VERSIONS[2]);
+      expect(result.prompts.promptB.content).toContain('VARIANT-B');
+      expect(result.changes.stats.linesAdded).toBeGreaterThan(0);
+      expect(result.metrics.usage.requests).toBe(anthropic.calls.length);
+      // Three evaluation perspectives per sample and prompt
+      expect(anthropic.requestsWithTool('submit_evaluation')).toHaveLength(12);
+
+      const refs = octokit.callsTo('repos.getContent').map(params => params.ref);
+      expect(refs).toEqual(expect.arrayContaining(['main', 'feature/stricter']));
+    });
+
+    it('collects three judge samples per prompt by default, enough for a significant verdict', async () => {
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@main',
+        'prompts/code-reviewer.md@feature/stricter');
+
+      expect(result.testConfiguration.samples).toBe(3);
+      expect(anthropic.requestsWithTool('submit_evaluation')).toHaveLength(18);
+      expect(result.verdict).toMatchObject({ winner: 'B', confidence: 'high', significant: true, sufficientSamples: true, recommendProduction: true });
+      expect(ABTestTool.interpretResults(result).action).toBe('DEPLOY');
+    });
+
+    it('shows the judge both prompt texts, swapped with their evaluations, when swapping order', async () => {
+      await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@main',
+        'prompts/code-reviewer.md@feature/stricter', [], 0, { samples: 2, swapOrder: true });
+
+      // Each request split into the FIRST and SECOND prompt sections
+      const sections = anthropic.requestsWithTool('submit_comparison')
+        .map(payload => requestText(payload).split('SECOND PROMPT:'));
+
+      expect(sections).toHaveLength(2);
+      for (const section of sections.flat()) expect(section).toMatch(/Prompt text:.*You are a senior engineer/);
+      expect(sections.map(([first, second]) => [first.includes('VARIANT-B'), second.includes('VARIANT-B')])).toEqual([[false, true], [true, false]]);
+    });
+
+    it('reports a single-sample run as inconclusive instead of a regression', async () => {
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@main',
+        'prompts/code-reviewer.md@feature/stricter', [], 0, { samples: 1 });
+
+      expect(result.verdict).toMatchObject({ winner: 'B', confidence: 'low', pValue: null, sufficientSamples: false, recommendProduction: false });
+      expect(ABTestTool.interpretResults(result)).toMatchObject({
+        action: 'REVIEW',
+        message: 'Inconclusive - one judge sample per prompt cannot be tested for significance; rerun with 2 or more samples'
+      });
+    });
+
+    it('resolves relative references to commit SHAs', async () => {
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@1commits-ago',
+        'prompts/code-reviewer.md@latest-tag', [], 0, { samples: 1 });
+
+      // 1commits-ago and latest-tag (v1.0) are the same commit
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Identical versions provided');
+      expect(result.details).toContain(shas.second);
+      expect(anthropic.calls).toHaveLength(0);
+    });
+
+    it('evaluates a resolved reference against HEAD', async () => {
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@2commits-ago',
+        'prompts/code-reviewer.md', [], 0, { samples: 1 });
+
+      expect(result.success).toBe(true);
+      expect(result.testConfiguration.promptA.version).toBe(shas.first);
+      expect(result.testConfiguration.promptA.ref).toBe('2commits-ago');
+      expect(result.prompts.promptA.content).toBe(PROMPT_VERSIONS[0]);
+    });
+
+    it('rejects identical paths without calling the model', async () => {
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md', 'prompts/code-reviewer.md');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Identical versions provided');
+      expect(anthropic.calls).toHaveLength(0);
+    });
+
+    it('lists files that do not exist before fetching anything', async () => {
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@v1.0',
+        'prompts/missing.md', ['context/missing.md']);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('File verification failed');
+      expect(result.missingFiles.map(f => [f.file, f.status])).toEqual([
+        ['octo/prompts:prompts/missing.md', 404],
+        ['octo/prompts:context/missing.md', 404]
+      ]);
+      expect(anthropic.calls).toHaveLength(0);
+    });
+
+    it('loads directories given as test context', async () => {
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@v1.0',
+        'prompts/code-reviewer.md', ['context/'], 0, { samples: 1 });
+
+      expect(result.success).toBe(true);
+      expect(result.testContext.files.map(f => f.path)).toEqual(['context/api.md']);
+      const evaluations = anthropic.requestsWithTool('submit_evaluation');
+      expect(evaluations.length).toBeGreaterThan(0);
+      expect(anthropic.calls.some(call => requestText(call).includes('GET /users'))).toBe(true);
+    });
+
+    it('reports malformed paths with their error code', async () => {
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@main@v1.0', 'prompts/code-reviewer.md');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('AMBIGUOUS_REF');
+      expect(result.error).toContain('promptA');
+      expect(octokit.calls).toHaveLength(0);
+    });
+
+    it('reports references that cannot be resolved with their error code', async () => {
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@5commits-ago', 'prompts/code-reviewer.md');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('UNRESOLVED_REF');
+      expect(result.error).toContain('only 3 commit(s) changed prompts/code-reviewer.md');
+      expect(anthropic.calls).toHaveLength(0);
+    });
+
+    it('returns model errors without retrying requests that cannot succeed', async () => {
+      anthropic.responses = () => FakeAnthropic.apiError(400, 'invalid_request_error', 'prompt is too long');
+
+      const result = await tool.executeABTest(EXPERT_PATH, 'prompts/code-reviewer.md@v1.0',
+        'prompts/code-reviewer.md', [], 0, { samples: 1 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('prompt is too long');
+      // The evaluations run in parallel, but none of them is sent twice
+      const requests = anthropic.calls.map(call => JSON.stringify(call));
+      expect(new Set(requests).size).toBe(requests.length);
+    });
+  });
+
+  describe('runThreeThreadEvaluation', () => {
+    it('weights the per-criterion means with the weights declared in the expert file', async () => {
+      const expertPrompt = {
+        content: '## Evaluation Criteria\n\n### 1. Accuracy (75% weight)\n- Right?\n\n### 2. Style (25% weight)\n- Neat?\n'
+      };
+      const thread = (score, accuracy, style) => ({ type: 'structural', score, aspects: {}, criteria: [{ name: 'Accuracy', score: accuracy }, { name: 'Style', score: style }] });
+      jest.spyOn(tool, 'evaluateStructure').mockResolvedValue(thread(1, 8, 2));
+      jest.spyOn(tool, 'evaluateDomainExpertise').mockResolvedValue(thread(1, 10, 4));
+      jest.spyOn(tool, 'evaluateEffectiveness').mockResolvedValue({ type: 'effectiveness', score: 1, aspects: {}, criteria: [{ name: 'Accuracy', score: 6 }] });
+
+      const result = await tool.runThreeThreadEvaluation(expertPrompt, 'prompt', {});
+
+      expect(result.scoring).toBe('weighted-criteria');
+      expect(result.criteria).toEqual([{ name: 'Accuracy', weight: 0.75, score: 8 }, { name: 'Style', weight: 0.25, score: 3 }]);
+      expect(result.aggregateScore).toBeCloseTo(0.75 * 8 + 0.25 * 3, 10);
+    });
+  });
+
+  describe('compareEvaluations', () => {
+    const evaluation = score => ({ aggregateScore: score, threads: [] });
+
+    /**
+     * Judge preferring `answers[order]`, where order is AB or BA by the prompt shown first
+     */
+    function judge(answers) {
+      return jest.spyOn(tool, 'getDetailedComparison').mockImplementation(async (expertPrompt, first) => ({
+        analysis: 'Compared',
+        preferred: answers[first.aggregateScore === 7 ? 'AB' : 'BA']
+      }));
+    }
+
+    it('maps the preference of both orderings back to A/B when they agree', async () => {
+      judge({ AB: 'SECOND', BA: 'FIRST' });
+
+      const comparison = await tool.compareEvaluations({}, evaluation(7), evaluation(8), {}, {}, { swapOrder: true });
+
+      expect(comparison.positionBias.orderings.map(o => o.preferred)).toEqual(['B', 'B']);
+      expect(comparison.positionBias).toMatchObject({ preferred: 'B', consistency: 1, consistent: true, inconclusive: false });
+      expect(comparison.expertPreference).toBe('B');
+    });
+
+    it('reports a tie when the orderings disagree', async () => {
+      judge({ AB: 'FIRST', BA: 'FIRST' });
+      const flipped = await tool.compareEvaluations({}, evaluation(7), evaluation(8), {}, {}, { swapOrder: true });
+
+      expect(flipped.positionBias).toMatchObject({ preferred: 'TIE', consistency: 0, inconclusive: true });
+      expect(flipped.expertPreference).toBe('TIE');
+
+      judge({ AB: 'FIRST', BA: 'TIE' });
+      const partial = await tool.compareEvaluations({}, evaluation(7), evaluation(8), {}, {}, { swapOrder: true });
+
+      expect(partial.positionBias).toMatchObject({ preferred: 'TIE', consistency: 0.5, inconclusive: false });
+      expect(partial.expertPreference).toBe('TIE');
+    });
+  });
+
+  describe('fetchContent', () => {
+    it('reads a line range of a file', async () => {
+      const fetched = await tool.fetchContent(tool.parsePath('prompts/code-reviewer.md@v1.0#L3-L5'));
+
+      expect(fetched.content).toBe('Review the code for bugs.\n\n## Rules');
+      expect(fetched.lines).toEqual({ start: 3, end: 5 });
+    });
+
+    it('rejects a line range past the end of the file', async () => {
+      await expect(tool.fetchContent(tool.parsePath('prompts/code-reviewer.md#L500')))
+        .rejects.toMatchObject({ code: 'INVALID_LINE_RANGE' });
+    });
+
+    it('reads other repositories', async () => {
+      octokit.commit({ 'shared/reviewer.md': '# Shared reviewer\n' }, { repository: 'team/library' });
+
+      const fetched = await tool.fetchContent(tool.parsePath('team/library:shared/reviewer.md'));
+
+      expect(fetched.content).toBe('# Shared reviewer\n');
+      expect(octokit.callsTo('repos.getContent').pop()).toMatchObject({ owner: 'team', repo: 'library' });
+    });
+  });
+
+  describe('parsePath', () => {
+    // PathParser.test.js covers the grammar; these check the tool's defaults and errors
+    it.each([
+      ['owner/repo:path@branch@tag', 'AMBIGUOUS_REF'],
+      ['owner/repo:../../etc/passwd', 'PATH_TRAVERSAL'],
+      ['a//b.md', 'INVALID_PATH'],
+      ['file.md#L9-L3', 'INVALID_LINE_RANGE']
+    ])('rejects %j with %s', (input, code) => {
+      expect(() => tool.parsePath(input)).toThrow(expect.objectContaining({ code, status: 400 }));
+    });
+
+    it.each([
+      ['file.txt', { owner: 'octo', repo: 'prompts', filePath: 'file.txt', version: 'HEAD', explicitVersion: false }],
+      ['owner/repo:file.txt@feature-branch', { owner: 'owner', repo: 'repo', filePath: 'file.txt', version: 'feature-branch' }],
+      ['prompts/a.md@HEAD~2', { filePath: 'prompts/a.md', version: 'HEAD~2' }],
+      ['prompts/a.md@2026-01-01T10:00:00Z', { owner: 'octo', filePath: 'prompts/a.md', version: '2026-01-01T10:00:00Z' }],
+      ['owner/repo:dir/a:b.md@v1', { repo: 'repo', filePath: 'dir/a:b.md', version: 'v1' }],
+      ['prompts/a.md@main#L10-L20', { version: 'main', lines: { start: 10, end: 20 } }],
+      ['prompts/a.md#L7', { version: 'HEAD', lines: { start: 7, end: 7 } }]
+    ])('parses %j', (input, expected) => {
+      expect(tool.parsePath(input)).toMatchObject(expected);
+    });
+  });
+
+  describe('validateInputs', () => {
+    it('names the argument holding a malformed path', () => {
+      expect(() => tool.validateInputs(EXPERT_PATH, 'a.md', 'b.md', ['context/', '../secrets']))
+        .toThrow(expect.objectContaining({ code: 'PATH_TRAVERSAL', message: expect.stringContaining('test context path 2') }));
+    });
+
+    it('limits the number of test context paths', () => {
+      const paths = Array.from({ length: 21 }, (_, i) => `context/${i}.md`);
+      expect(() => tool.validateInputs(EXPERT_PATH, 'a.md', 'b.md', paths)).toThrow('Too many test context paths');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const path = require('path');
+const { BudgetGuard, loadLimitsConfig, resolveBudgetSettings } = require('../../src/lib/usage/BudgetGuard');
+
+const MISSING_CONFIG = path.join(__dirname, 'missing-limits.json');
+
+const PRICING = {
+  currency: 'USD',
+  tokensPerUnit: 1000000,
+  models: { 'claude-sonnet-4': { input: 3, output: 15 } }
+};
+
+/**
+ * Payload of about `characters` characters of input
+ */
+function payload(characters, maxTokens = 1000) {
+  return { model: 'claude-sonnet-4-20250514', max_tokens: maxTokens, messages: [{ role: 'user', content: 'x'.repeat(characters) }] };
+}
+
+describe('BudgetGuard', () => {
+  afterEach(() => {
+    delete process.env.PROMPT_EXPERT_BUDGET_PRESET;
+    delete process.env.PROMPT_EXPERT_BUDGET_STRATEGY;
+    delete process.env.PROMPT_EXPERT_MAX_COST;
+  });
+
+  describe('resolveBudgetSettings', () => {
+    it('uses the budget block of config/abtest-limits.json', () => {
+      expect(resolveBudgetSettings()).toMatchObject({
+        preset: 'large',
+        strategy: 'progressive',
+        stopOnWarning: false,
+        stopOnCritical: true,
+        maxRequestTokens: 150000,
+        maxRunTokens: 3000000,
+        maxRunCost: 10
+      });
+    });
+
+    it('prefers options over environment variables over the config', () => {
+      process.env.PROMPT_EXPERT_BUDGET_PRESET = 'small';
+      process.env.PROMPT_EXPERT_BUDGET_STRATEGY = 'strict';
+      process.env.PROMPT_EXPERT_MAX_COST = '1.5';
+
+      expect(resolveBudgetSettings()).toMatchObject({ preset: 'small', strategy: 'strict', maxRequestTokens: 50000, maxRunCost: 1.5 });
+      expect(resolveBudgetSettings({ preset: 'medium', strategy: 'lenient', maxCost: 3 }))
+        .toMatchObject({ preset: 'medium', strategy: 'lenient', maxRunTokens: 1500000, maxRunCost: 3 });
+    });
+
+    it('rejects unknown presets and strategies and invalid cost caps', () => {
+      expect(() => resolveBudgetSettings({ preset: 'huge' }))
+        .toThrow('Unknown budget preset "huge". Configured presets: small, medium, large, xlarge');
+      expect(() => resolveBudgetSettings({ strategy: 'yolo' })).toThrow('Unknown budget strategy "yolo"');
+
+      process.env.PROMPT_EXPERT_MAX_COST = 'ten';
+      expect(() => resolveBudgetSettings()).toThrow('Invalid run cost cap "ten": expected a positive number');
+    });
+
+    it('still reads the environment variables when the limits file is missing', () => {
+      const config = loadLimitsConfig(MISSING_CONFIG);
+      process.env.PROMPT_EXPERT_MAX_COST = '1';
+      process.env.PROMPT_EXPERT_BUDGET_STRATEGY = 'progressive';
+
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('no budget presets are available'));
+      expect(resolveBudgetSettings({ config })).toMatchObject({ preset: null, maxRequestTokens: 200000, maxRunCost: 1 });
+
+      process.env.PROMPT_EXPERT_BUDGET_PRESET = 'small';
+      expect(() => resolveBudgetSettings({ config })).toThrow('Unknown budget preset "small"');
+    });
+  });
+
+  describe('check', () => {
+    it('estimates requests from their characters and max_tokens', () => {
+      const guard = new BudgetGuard({ pricing: PRICING });
+
+      expect(guard.estimate(payload(4000, 500))).toMatchObject({ outputTokens: 500, model: 'claude-sonnet-4-20250514' });
+      const { estimate } = guard.check(payload(4000, 500));
+      expect(estimate.inputTokens).toBe(Math.ceil(JSON.stringify(['', payload(4000).messages, []]).length / 4));
+      expect(estimate.cost).toBeCloseTo((estimate.inputTokens * 3 + 500 * 15) / 1e6, 10);
+    });
+
+    it('refuses a request that would pass the run cost cap', () => {
+      const guard = new BudgetGuard({ pricing: PRICING, maxCost: 0.01 });
+      guard.record({ model: 'claude-sonnet-4', usage: { input_tokens: 2000, output_tokens: 200 } });
+
+      let error;
+      try {
+        guard.check(payload(4000, 1000));
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.code).toBe('BUDGET_EXCEEDED');
+      expect(error.budget).toMatchObject({ limit: 'runCost', level: 'exceeded', max: 0.01, preset: 'large' });
+      expect(error.message).toMatch(/^Budget exceeded: the next request would bring the run cost to/);
+    });
+
+    it('reports each threshold once and stops where the strategy says', () => {
+      const progressive = new BudgetGuard({ pricing: PRICING, maxCost: 0.1 });
+      const strict = new BudgetGuard({ pricing: PRICING, maxCost: 0.1, strategy: 'strict' });
+      const warning = payload(4000, 5000); // about 0.078 of 0.1: past the 75% warning threshold
+
+      expect(progressive.check(warning)).toMatchObject({ level: 'warning', notice: expect.stringMatching(/^Budget warning: run cost/) });
+      expect(progressive.check(warning).notice).toBeNull();
+      expect(() => strict.check(warning)).toThrow('where the strict strategy stops');
+    });
+
+    it('counts reserved requests until they are released', () => {
+      const guard = new BudgetGuard({ pricing: PRICING, maxCost: 0.12 });
+      const { estimate } = guard.check(payload(400, 3000));
+
+      const release = guard.reserve(estimate);
+      guard.reserve(guard.check(payload(400, 3000)).estimate);
+      expect(() => guard.check(payload(400, 3000))).toThrow('above the cap of');
+
+      release();
+      release();
+      expect(guard.pending.tokens).toBe(estimate.totalTokens);
+      expect(guard.check(payload(400, 3000)).level).toBe('warning');
+    });
+  });
+});
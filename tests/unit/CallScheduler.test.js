@@ -0,0 +1,130 @@
+const { CallScheduler, resolveSchedulerSettings } = require('../../src/lib/usage/CallScheduler');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Lets pending promise callbacks run
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Task that runs until `finish` is called, recording when it started
+ */
+function deferred(log, name) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  const task = () => {
+    log.push(name);
+    return done.then(() => name);
+  };
+  return { task, finish: () => finish() };
+}
+
+/**
+ * Scheduler on a manual clock: `advance(ms)` moves time and wakes the pending sleep
+ */
+function createClockedScheduler(options) {
+  const clock = { time: 0, sleeps: [] };
+  const scheduler = new CallScheduler({
+    ...options,
+    now: () => clock.time,
+    sleep: ms => new Promise(resolve => clock.sleeps.push({ ms, resolve }))
+  });
+  clock.advance = async ms => {
+    clock.time += ms;
+    clock.sleeps.splice(0).forEach(sleep => sleep.resolve());
+    await flush();
+  };
+  return { scheduler, clock };
+}
+
+describe('CallScheduler', () => {
+  afterEach(() => {
+    delete process.env.PROMPT_EXPERT_MAX_CONCURRENCY;
+    delete process.env.PROMPT_EXPERT_MAX_CALLS_PER_MINUTE;
+  });
+
+  describe('resolveSchedulerSettings', () => {
+    it('prefers options over environment variables over limits.runner', () => {
+      expect(resolveSchedulerSettings()).toEqual({ maxConcurrency: 4, maxCallsPerMinute: 60 });
+
+      process.env.PROMPT_EXPERT_MAX_CONCURRENCY = '2';
+      process.env.PROMPT_EXPERT_MAX_CALLS_PER_MINUTE = '30';
+      expect(resolveSchedulerSettings()).toEqual({ maxConcurrency: 2, maxCallsPerMinute: 30 });
+      expect(resolveSchedulerSettings({ maxConcurrency: 8 })).toEqual({ maxConcurrency: 8, maxCallsPerMinute: 30 });
+    });
+
+    it('rejects limits that are not positive integers', () => {
+      expect(() => resolveSchedulerSettings({ maxConcurrency: 0 })).toThrow('Invalid maxConcurrency "0": expected a positive integer');
+      process.env.PROMPT_EXPERT_MAX_CALLS_PER_MINUTE = '1.5';
+      expect(() => resolveSchedulerSettings()).toThrow('Invalid maxCallsPerMinute "1.5"');
+    });
+  });
+
+  describe('schedule', () => {
+    it('keeps at most maxConcurrency tasks in flight and starts them in order', async () => {
+      const { scheduler } = createClockedScheduler({ maxConcurrency: 2, maxCallsPerMinute: 100 });
+      const log = [];
+      const tasks = ['a', 'b', 'c', 'd'].map(name => deferred(log, name));
+      const results = tasks.map(({ task }) => scheduler.schedule(task));
+      await flush();
+
+      expect(log).toEqual(['a', 'b']);
+      expect(scheduler.summary()).toMatchObject({ active: 2, queued: 2 });
+
+      tasks[1].finish();
+      await flush();
+      expect(log).toEqual(['a', 'b', 'c']);
+
+      tasks.forEach(({ finish }) => finish());
+      expect(await Promise.all(results)).toEqual(['a', 'b', 'c', 'd']);
+      expect(scheduler.summary()).toMatchObject({ active: 0, queued: 0 });
+    });
+
+    it('waits until the oldest call of the last minute leaves the window', async () => {
+      const { scheduler, clock } = createClockedScheduler({ maxConcurrency: 10, maxCallsPerMinute: 2 });
+      const log = [];
+      const call = name => scheduler.schedule(async () => log.push(`${name}@${clock.time}`));
+
+      call('a');
+      await flush();
+      await clock.advance(10000);
+      call('b');
+      call('c');
+      call('d');
+      await flush();
+
+      expect(log).toEqual(['a@0', 'b@10000']);
+      // One timer for the queue, until call a is a minute old
+      expect(clock.sleeps.map(sleep => sleep.ms)).toEqual([MINUTE - 10000]);
+
+      await clock.advance(MINUTE - 10000);
+      expect(log).toEqual(['a@0', 'b@10000', `c@${MINUTE}`]);
+      expect(clock.sleeps.map(sleep => sleep.ms)).toEqual([10000]);
+
+      await clock.advance(10000);
+      expect(log).toEqual(['a@0', 'b@10000', `c@${MINUTE}`, `d@${MINUTE + 10000}`]);
+    });
+
+    it('frees the slot of a failed task', async () => {
+      const { scheduler } = createClockedScheduler({ maxConcurrency: 1, maxCallsPerMinute: 100 });
+
+      await expect(scheduler.schedule(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+      expect(await scheduler.schedule(async () => 'next')).toBe('next');
+    });
+  });
+
+  describe('all', () => {
+    it('waits for every promise before rejecting with the first failure in input order', async () => {
+      let settled = false;
+      const slow = new Promise(resolve => setImmediate(() => { settled = true; resolve('slow'); }));
+
+      await expect(CallScheduler.all([slow, Promise.reject(new Error('first')), Promise.reject(new Error('second'))]))
+        .rejects.toThrow('first');
+      expect(settled).toBe(true);
+      expect(await CallScheduler.all([Promise.resolve(1), 2])).toEqual([1, 2]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { EvaluationResultStore } = require('../../src/lib/results/EvaluationResultStore');
+const { JsonLinesFileStorage } = require('../../src/lib/results/JsonLinesFileStorage');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const at = hour => new Date(Date.UTC(2026, 0, 1, hour)).toISOString();
+
+describe('EvaluationResultStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-expert-results-'));
+    store = new EvaluationResultStore({ storage: new JsonLinesFileStorage({ filePath: path.join(dir, 'results.jsonl') }) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Records PR evaluations and A/B tests of two files, out of timestamp order
+   */
+  async function seed() {
+    const runs = [
+      { kind: 'evaluation', file: 'prompts/a.md', timestamp: at(3), sha: 'a2', ref: 'refs/pull/7/head', pr: 7, decision: 'SUGGEST', score: 7 },
+      { kind: 'evaluation', file: 'prompts/a.md', timestamp: at(1), sha: 'a1', ref: 'refs/pull/7/head', pr: 7, decision: 'REJECT', score: 4 },
+      { kind: 'evaluation', file: 'prompts/a.md', timestamp: at(2), sha: 'a1', ref: 'refs/pull/7/head', pr: 7, decision: 'REJECT', score: 5 },
+      { kind: 'abtest', file: 'prompts/a.md', timestamp: at(4), ref: 'feature', decision: 'DEPLOY', score: null },
+      { kind: 'evaluation', file: 'prompts/a.md', timestamp: at(5), sha: 'a3', pr: 9, decision: 'MERGE', score: 9 },
+      { kind: 'evaluation', file: 'prompts/b.md', timestamp: at(0), sha: 'b1', pr: 9, decision: 'MERGE', score: 8.5 }
+    ];
+    for (const run of runs) await store.record(run);
+  }
+
+  it('validates records and fills in ids, timestamps and empty fields', async () => {
+    await expect(store.record({ kind: 'evaluation' })).rejects.toThrow('Evaluation record requires a file');
+    await expect(store.record({ kind: 'review', file: 'prompts/a.md' })).rejects.toThrow('Evaluation record kind must be one of: evaluation, abtest');
+
+    const record = await store.record({ kind: 'abtest', file: 'prompts/a.md' });
+
+    expect(record).toMatchObject({ id: expect.stringMatching(/^[0-9a-f]{16}$/), ref: null, sha: null, decision: null, score: null });
+    expect(Date.parse(record.timestamp)).not.toBeNaN();
+    expect(await store.storage.readAll()).toEqual([record]);
+  });
+
+  it('loads stored records once, sorted by timestamp, and adds later runs to that copy', async () => {
+    await seed();
+    const fresh = new EvaluationResultStore({ storage: store.storage });
+    const readAll = jest.spyOn(fresh.storage, 'readAll');
+
+    expect((await fresh.getRuns()).map(run => run.timestamp)).toEqual([0, 1, 2, 3, 4, 5].map(at));
+    await fresh.record({ kind: 'abtest', file: 'prompts/b.md', timestamp: at(6) });
+
+    expect((await fresh.getRuns({ file: 'prompts/b.md' })).map(run => run.kind)).toEqual(['evaluation', 'abtest']);
+    expect(readAll).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports the score history of a file, oldest first, skipping runs without a score', async () => {
+    await seed();
+
+    expect(await store.getScoreHistory('prompts/a.md')).toEqual([
+      { timestamp: at(1), kind: 'evaluation', ref: 'refs/pull/7/head', sha: 'a1', score: 4, decision: 'REJECT' },
+      { timestamp: at(2), kind: 'evaluation', ref: 'refs/pull/7/head', sha: 'a1', score: 5, decision: 'REJECT' },
+      { timestamp: at(3), kind: 'evaluation', ref: 'refs/pull/7/head', sha: 'a2', score: 7, decision: 'SUGGEST' },
+      { timestamp: at(5), kind: 'evaluation', ref: null, sha: 'a3', score: 9, decision: 'MERGE' }
+    ]);
+    expect((await store.getScoreHistory('prompts/a.md', { limit: 3 })).map(entry => entry.score)).toEqual([7, 9]);
+    expect(await store.getScoreHistory('prompts/missing.md')).toEqual([]);
+  });
+
+  it('returns the last verdict per file and across files', async () => {
+    await seed();
+
+    expect(await store.getLastVerdict('prompts/a.md')).toMatchObject({ decision: 'MERGE', pr: 9 });
+    expect(await store.getLastVerdict('prompts/a.md', { kind: 'abtest' })).toMatchObject({ decision: 'DEPLOY', ref: 'feature' });
+    expect(await store.getLastVerdict('prompts/missing.md')).toBeNull();
+    expect((await store.getLastVerdicts()).map(verdict => [verdict.file, verdict.decision])).toEqual([['prompts/a.md', 'MERGE'], ['prompts/b.md', 'MERGE']]);
+  });
+
+  it('counts feedback cycles as distinct evaluated revisions', async () => {
+    await seed();
+
+    // a1 (evaluated twice), a2 and a3; the A/B test is not a cycle
+    expect(await store.getCycleCount('prompts/a.md')).toBe(3);
+    expect(await store.getCycleCount('prompts/a.md', { pr: 7 })).toBe(2);
+    expect(await store.getCycleCount('prompts/a.md', { pr: 7, excludeSha: 'a2' })).toBe(1);
+    expect(await store.getCycleCount('prompts/missing.md')).toBe(0);
+  });
+});
@@ -0,0 +1,98 @@
+const { ExpertDefinitionParser } = require('../../src/lib/evaluation/ExpertDefinitionParser');
+
+/**
+ * Expert definition with the given criterion headings and trailing text
+ */
+function expert(headings, extra = '') {
+  return [
+    '---',
+    'id: reviewer',
+    'domain: "programming"',
+    '---',
+    '# Reviewer Expert',
+    '',
+    '## Evaluation Criteria',
+    '',
+    ...headings.flatMap(heading => [`### ${heading}`, '- Scored from 1 to 10', '']),
+    '## Scoring',
+    '### 9. Not a criterion (50% weight)',
+    extra
+  ].join('\n');
+}
+
+const weights = parsed => parsed.criteria.map(c => [c.name, Number(c.weight.toFixed(4))]);
+
+describe('ExpertDefinitionParser', () => {
+  describe('parse', () => {
+    it('reads weights from the criterion headings', () => {
+      const parsed = ExpertDefinitionParser.parse(expert(['1. Correctness (35% weight)', '2. Style (25% weight)', '3. Tests (40% weight)']));
+
+      expect(parsed.frontmatter).toEqual({ id: 'reviewer', domain: 'programming' });
+      expect(parsed.weightSource).toBe('heading');
+      expect(weights(parsed)).toEqual([['Correctness', 0.35], ['Style', 0.25], ['Tests', 0.4]]);
+      expect(parsed.criteria[0].description).toBe('- Scored from 1 to 10');
+    });
+
+    it('falls back to the Weighted Overall Score formula, matching shortened names', () => {
+      const parsed = ExpertDefinitionParser.parse(expert(
+        ['1. Clarity & Communication', '2. Data Privacy & Ethics', '3. Reasoning & Logic'],
+        '- **Weighted Overall Score**: (Clarity × 0.5) + (Privacy & Ethics × 0.3) + (Reasoning x 0.2)'
+      ));
+
+      expect(parsed.weightSource).toBe('formula');
+      expect(weights(parsed)).toEqual([['Clarity & Communication', 0.5], ['Data Privacy & Ethics', 0.3], ['Reasoning & Logic', 0.2]]);
+    });
+
+    it('prefers heading weights over the formula', () => {
+      const parsed = ExpertDefinitionParser.parse(expert(
+        ['1. Clarity (60% weight)', '2. Tone (40% weight)'],
+        'Weighted Overall Score: (Clarity × 0.1) + (Tone × 0.9)'
+      ));
+
+      expect(parsed.weightSource).toBe('heading');
+      expect(weights(parsed)).toEqual([['Clarity', 0.6], ['Tone', 0.4]]);
+    });
+
+    it('rescales declared weights that do not sum to 100%', () => {
+      const parsed = ExpertDefinitionParser.parse(expert(['1. Clarity (30% weight)', '2. Tone (30% weight)', '3. Depth (60% weight)']));
+
+      expect(weights(parsed)).toEqual([['Clarity', 0.25], ['Tone', 0.25], ['Depth', 0.5]]);
+    });
+
+    it('gives undeclared criteria what the declared weights leave, or equal weights when nothing is left', () => {
+      expect(weights(ExpertDefinitionParser.parse(expert(['1. Clarity (40% weight)', '2. Tone', '3. Depth']))))
+        .toEqual([['Clarity', 0.4], ['Tone', 0.3], ['Depth', 0.3]]);
+      expect(weights(ExpertDefinitionParser.parse(expert(['1. Clarity (100% weight)', '2. Tone']))))
+        .toEqual([['Clarity', 0.5], ['Tone', 0.5]]);
+    });
+
+    it('weighs criteria equally without weights and finds none without a criteria section', () => {
+      const parsed = ExpertDefinitionParser.parse(expert(['1. Clarity', '2. Tone', '3. Depth', '4. Focus']));
+
+      expect(parsed.weightSource).toBe('equal');
+      expect(weights(parsed)).toEqual([['Clarity', 0.25], ['Tone', 0.25], ['Depth', 0.25], ['Focus', 0.25]]);
+      expect(ExpertDefinitionParser.parse('# Expert\n\nNo criteria here.')).toEqual({ frontmatter: {}, criteria: [], weightSource: 'none' });
+    });
+  });
+
+  describe('weightedScore', () => {
+    const criteria = [{ name: 'Clarity', weight: 0.5 }, { name: 'Tone', weight: 0.25 }, { name: 'Depth', weight: 0.25 }];
+
+    it('weights criterion scores, matching names loosely and rescaling over scored criteria', () => {
+      expect(ExpertDefinitionParser.weightedScore(criteria, [
+        { name: 'clarity', score: 8 },
+        { name: 'TONE', score: 4 },
+        { name: 'Depth', score: 6 }
+      ]).score).toBe(6.5);
+
+      const partial = ExpertDefinitionParser.weightedScore(criteria, [{ name: 'Clarity', score: 9 }, { name: 'Depth', score: 3 }]);
+      expect(partial.score).toBe(7);
+      expect(partial.breakdown.map(c => c.name)).toEqual(['Clarity', 'Depth']);
+    });
+
+    it('returns null when no criterion was scored', () => {
+      expect(ExpertDefinitionParser.weightedScore(criteria, [{ name: 'Speed', score: 9 }])).toBeNull();
+      expect(ExpertDefinitionParser.weightedScore(criteria, undefined)).toBeNull();
+    });
+  });
+});
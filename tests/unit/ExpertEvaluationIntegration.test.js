@@ -0,0 +1,231 @@
+const { ExpertEvaluationIntegration } = require('../../src/lib/evaluation/ExpertEvaluationIntegration');
+const { ExpertDefinitionParser } = require('../../src/lib/evaluation/ExpertDefinitionParser');
+const { ExpertRegistry } = require('../../src/lib/evaluation/ExpertRegistry');
+const { FakeOctokit } = require('../fakes/FakeOctokit');
+const { FakeAnthropic } = require('../fakes/FakeAnthropic');
+const { EXPERT, seedRepository, createScheduler, createResultStore, requestText } = require('../fakes/fixtures');
+
+const CRITERIA = ExpertDefinitionParser.parse(EXPERT).criteria.map(c => c.name);
+
+/**
+ * Judge input scoring every programming criterion
+ */
+function decision(score, verdict, improvements = []) {
+  return {
+    analysis: 'Candidate B checks its inputs.',
+    decision: verdict,
+    score,
+    criteria: CRITERIA.map(name => ({ name, score })),
+    strengths: ['Specific'],
+    weaknesses: [],
+    redFlags: [],
+    improvements
+  };
+}
+
+/**
+ * Threads answer with the variant they were primed with; the judge approves
+ */
+function approvingJudge(payload, index) {
+  if (payload.tool_choice && payload.tool_choice.name === 'submit_decision') {
+    return [FakeAnthropic.toolUse('submit_decision', decision(9, 'MERGE'), `toolu_decision_${index}`)];
+  }
+  return requestText(payload).includes('VARIANT-B') ? 'Flagged the unchecked input.' : 'Looks fine.';
+}
+
+describe('ExpertEvaluationIntegration', () => {
+  let octokit;
+  let shas;
+  let anthropic;
+  let savedPrNumber;
+
+  beforeEach(() => {
+    octokit = new FakeOctokit();
+    shas = seedRepository(octokit);
+    anthropic = new FakeAnthropic({ responses: approvingJudge });
+    savedPrNumber = process.env.PR_NUMBER;
+    process.env.PR_NUMBER = '7';
+  });
+
+  afterEach(() => {
+    if (savedPrNumber === undefined) {
+      delete process.env.PR_NUMBER;
+    } else {
+      process.env.PR_NUMBER = savedPrNumber;
+    }
+  });
+
+  function createIntegration(options = {}) {
+    return new ExpertEvaluationIntegration({
+      octokit,
+      anthropic,
+      repoOwner: 'octo',
+      repoName: 'prompts',
+      scheduler: createScheduler(),
+      ...options
+    });
+  }
+
+  describe('evaluate_prompt_changes', () => {
+    it('evaluates the prompt files of the pull request against every repository scenario', async () => {
+      const result = await createIntegration().executeEvaluationTool('evaluate_prompt_changes', { domain: 'programming' }, { pr: { number: 7 } });
+
+      expect(result.error).toBeUndefined();
+      expect(result.results).toHaveLength(1);
+      const [file] = result.results;
+      expect(file).toMatchObject({ file: 'prompts/code-reviewer.md', domain: 'programming', scenarioSource: 'github' });
+      expect(file.evaluation).toMatchObject({ decision: 'MERGE', score: 9 });
+      expect(file.evaluation.scenarios.map(s => s.id)).toEqual(['review-sql', 'review-loop']);
+      expect(file.evaluation.scenarios[0]).toMatchObject({ threadA: 'Looks fine.', threadB: 'Flagged the unchecked input.' });
+
+      const refs = octokit.callsTo('repos.getContent').filter(c => c.path === 'prompts/code-reviewer.md').map(c => c.ref);
+      expect(refs).toEqual(['refs/pull/7/head', 'main']);
+      expect(anthropic.requestsWithTool('submit_decision')).toHaveLength(2);
+      expect(anthropic.calls).toHaveLength(6);
+      expect(result.metrics.usage.requests).toBe(6);
+    });
+
+    it('offers the registered domains and resolves expert ids and aliases', async () => {
+      const integration = createIntegration({
+        experts: new ExpertRegistry([
+          { id: 'programming-expert', aliases: ['programming', 'code'], domain: 'programming', source: 'experts/programming-expert.md' }
+        ])
+      });
+
+      const [tool] = integration.getEvaluationTools();
+      expect(tool.input_schema.properties.domain.enum).toEqual(['programming']);
+      expect(createIntegration().getEvaluationTools()[0].input_schema.properties.domain.enum)
+        .toEqual(['data-analysis', 'financial', 'general', 'programming', 'security']);
+
+      const { results: [file] } = await integration.evaluatePromptChanges({ domain: 'code', test_scenario: 'Review a parser' }, { pr: { number: 7 } });
+      expect(file).toMatchObject({ domain: 'programming', evaluation: { decision: 'MERGE' } });
+      expect(octokit.callsTo('repos.getContent')).toContainEqual(expect.objectContaining({ path: 'experts/programming-expert.md' }));
+
+      expect(await integration.evaluatePromptChanges({ domain: 'astrology' }, { pr: { number: 7 } }))
+        .toEqual({ error: 'Unknown expert domain: astrology (available: programming)' });
+    });
+
+    it('scores the weighted criteria when the judge score disagrees', async () => {
+      anthropic.responses = (payload, index) => (payload.tool_choice
+        ? [FakeAnthropic.toolUse('submit_decision', { ...decision(7, 'SUGGEST', ['Name the input']), score: 2 }, `toolu_${index}`)]
+        : 'Answer');
+
+      const { results: [file] } = await createIntegration().evaluatePromptChanges({ domain: 'programming', test_scenario: 'Review a parser' }, { pr: { number: 7 } });
+
+      expect(file.scenarioSource).toBe('custom');
+      expect(file.evaluation.scenarios[0]).toMatchObject({ score: 7, judgeScore: 2, decision: 'SUGGEST' });
+      expect(file.evaluation.improvements).toEqual(['Name the input']);
+    });
+
+    it('derives the decision from the weighted score', async () => {
+      anthropic.responses = (payload, index) => (payload.tool_choice
+        ? [FakeAnthropic.toolUse('submit_decision', { ...decision(5, 'MERGE'), score: 9 }, `toolu_${index}`)]
+        : 'Answer');
+      const integration = createIntegration();
+
+      const { results: [file] } = await integration.evaluatePromptChanges({ domain: 'programming', test_scenario: 'Review a parser' }, { pr: { number: 7 } });
+
+      expect(file.evaluation.scenarios[0]).toMatchObject({ score: 5, decision: 'REJECT', judgeScore: 9, judgeDecision: 'MERGE' });
+      expect(integration.determineOverallDecision([file])).toBe('REJECT');
+      expect([8.5, 8.4, 6, 5.9].map(ExpertEvaluationIntegration.decisionForScore)).toEqual(['MERGE', 'SUGGEST', 'SUGGEST', 'REJECT']);
+    });
+
+    it('asks the judge again when its output misses a criterion', async () => {
+      anthropic.responses = (payload, index) => {
+        if (!payload.tool_choice) return 'Answer';
+        const input = decision(9, 'MERGE');
+        if (payload.messages.length === 1) input.criteria = input.criteria.slice(1);
+        return [FakeAnthropic.toolUse('submit_decision', input, `toolu_${index}`)];
+      };
+
+      const { results: [file] } = await createIntegration().evaluatePromptChanges({ domain: 'programming', test_scenario: 'Review a parser' }, { pr: { number: 7 } });
+
+      expect(file.evaluation.decision).toBe('MERGE');
+      const [, retry] = anthropic.requestsWithTool('submit_decision');
+      expect(retry.messages[2].content[0]).toMatchObject({ type: 'tool_result', is_error: true });
+      expect(retry.messages[2].content[0].content).toContain('$.criteria: must have at least 5 item(s)');
+    });
+
+    it('records a feedback cycle per evaluation when a result store is configured', async () => {
+      const resultStore = createResultStore();
+      const integration = createIntegration({ resultStore });
+
+      const { results: [file] } = await integration.evaluatePromptChanges({ domain: 'programming' }, { pr: { number: 7 } });
+
+      expect(file.cycle).toBe(1);
+      expect(await resultStore.getLastVerdict('prompts/code-reviewer.md')).toMatchObject({ decision: 'MERGE', pr: 7 });
+    });
+
+    it('returns an error for an unknown expert domain', async () => {
+      const result = await createIntegration().evaluatePromptChanges({ domain: 'financial' }, { pr: { number: 7 } });
+
+      expect(result).toEqual({ error: 'Expert definition not found for domain: financial (fetching from GitHub)' });
+      expect(anthropic.calls).toHaveLength(0);
+    });
+
+    it('returns an error when nothing looks like a prompt file', async () => {
+      const result = await createIntegration().evaluatePromptChanges({ domain: 'programming', files: ['src/index.js'] }, {});
+
+      expect(result).toEqual({ error: 'No prompt files found to evaluate' });
+    });
+
+    it('does not resend requests the API rejected as invalid', async () => {
+      anthropic.responses = [FakeAnthropic.apiError(400, 'invalid_request_error', 'bad request')];
+
+      const result = await createIntegration().evaluatePromptChanges({ domain: 'programming', test_scenario: 'Review a parser' }, { pr: { number: 7 } });
+
+      expect(result.error).toContain('invalid_request_error');
+      const sent = anthropic.calls.map(requestText);
+      expect(new Set(sent).size).toBe(sent.length);
+    });
+  });
+
+  describe('get_prompt_history', () => {
+    it('returns versions and trends without recorded evaluations', async () => {
+      const history = await createIntegration().executeEvaluationTool('get_prompt_history', { file_path: 'prompts/code-reviewer.md', limit: 2 }, {});
+
+      expect(history.versions.map(v => v.version)).toEqual([shas.third.substring(0, 8), shas.second.substring(0, 8)]);
+      expect(history.versions[0]).not.toHaveProperty('content');
+      expect(history.trends.totalVersions).toBe(3);
+      expect(history.evaluations).toBeNull();
+    });
+  });
+
+  describe('compare_prompt_versions', () => {
+    it('compares two versions of the prompt', async () => {
+      const comparison = await createIntegration().executeEvaluationTool('compare_prompt_versions', {
+        file_path: 'prompts/code-reviewer.md',
+        old_version: shas.second.substring(0, 8),
+        new_version: shas.third.substring(0, 8)
+      }, {});
+
+      expect(comparison.changes.linesAdded).toBeGreaterThan(0);
+      expect(comparison.structure.rules.added.map(r => r.text)).toEqual(['Cite line numbers']);
+    });
+
+    it('returns an error for unknown versions', async () => {
+      const comparison = await createIntegration().comparePromptVersions({ file_path: 'prompts/code-reviewer.md', old_version: 'abc', new_version: 'def' });
+
+      expect(comparison).toEqual({ error: 'One or both versions not found' });
+    });
+  });
+
+  describe('get_expert_feedback', () => {
+    it('summarizes the pull request evaluation', async () => {
+      const feedback = await createIntegration().executeEvaluationTool('get_expert_feedback', { domain: 'programming' }, { pr: { number: 7 } });
+
+      expect(feedback).toMatchObject({ domain: 'programming', pr_number: 7, files_evaluated: 1, overall_decision: 'MERGE' });
+      expect(feedback.summary).toContain('- Ready to merge: 1');
+      expect(feedback.summary).toContain('- Average score: 9.0/10');
+    });
+
+    it('requires a pull request', async () => {
+      await expect(createIntegration().executeEvaluationTool('get_expert_feedback', { domain: 'programming' }, {}))
+        .resolves.toEqual({ error: 'No PR context available' });
+    });
+  });
+
+  it('rejects unknown tools', async () => {
+    await expect(createIntegration().executeEvaluationTool('delete_prompt', {}, {})).rejects.toThrow('Unknown evaluation tool: delete_prompt');
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExpertRegistry } = require('../../src/lib/evaluation/ExpertRegistry');
+const PromptExpertCLI = require('../../src/scripts/prompt-expert-cli');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function stream() {
+  return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+describe('ExpertRegistry', () => {
+  describe('describe', () => {
+    it('derives the id, aliases and source from the file and its frontmatter', () => {
+      const entry = ExpertRegistry.describe('review-expert.md',
+        '---\nname: Review Expert\ndomain: code-review\naliases: review, Reviewer \nversion: 2.0.0\ndescription: Reviews\n---\n');
+
+      expect(entry).toEqual({
+        id: 'review-expert',
+        aliases: ['code-review', 'review', 'Reviewer'],
+        domain: 'code-review',
+        name: 'Review Expert',
+        description: 'Reviews',
+        version: '2.0.0',
+        source: 'experts/review-expert.md'
+      });
+    });
+  });
+
+  describe('resolve', () => {
+    const registry = new ExpertRegistry([
+      { id: 'security-expert', aliases: ['security', 'audit'], domain: 'security' },
+      { id: 'audit', aliases: ['compliance', 'security'], domain: 'compliance' }
+    ]);
+
+    it('accepts ids and aliases case-insensitively', () => {
+      expect(registry.resolve('SECURITY').id).toBe('security-expert');
+      expect(registry.resolve('compliance').id).toBe('audit');
+      expect(registry.has('unknown')).toBe(false);
+      expect(registry.resolve(undefined)).toBeNull();
+    });
+
+    it('prefers ids over aliases and earlier experts over later ones', () => {
+      expect(registry.resolve('audit').id).toBe('audit');
+      expect(registry.domains()).toEqual(['security', 'compliance']);
+    });
+
+    it('keeps a domain with the first expert defining it, even over a later id', () => {
+      const shared = new ExpertRegistry([
+        { id: 'programming-expert', aliases: ['programming'], domain: 'programming' },
+        { id: 'programming', aliases: [], domain: 'programming' }
+      ]);
+
+      expect(shared.resolve('programming').id).toBe('programming-expert');
+      expect(shared.domains()).toEqual(['programming']);
+    });
+  });
+
+  describe('discover', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('makes a new expert file addressable without regenerating the index', async () => {
+      fs.mkdirSync(path.join(dir, 'experts'));
+      fs.writeFileSync(path.join(dir, 'experts', 'legal-expert.md'), '---\ndomain: legal\naliases: law\n---\n# Legal\n');
+      fs.writeFileSync(path.join(dir, 'experts', 'notes.txt'), 'ignored');
+
+      const registry = await ExpertRegistry.load(dir);
+
+      expect(registry.list().map(expert => expert.id)).toEqual(['legal-expert']);
+      expect(registry.resolve('law').source).toBe('experts/legal-expert.md');
+    });
+
+    it('falls back to the bundled index without expert definitions', async () => {
+      expect(await ExpertRegistry.discover(dir)).toBeNull();
+      expect((await ExpertRegistry.load(dir)).toIndex()).toEqual(ExpertRegistry.bundled().toIndex());
+    });
+
+    it('matches the committed experts/index.json for the bundled experts', async () => {
+      const registry = await ExpertRegistry.discover(ROOT);
+
+      expect(registry.toIndex()).toEqual(ExpertRegistry.bundled().toIndex());
+      expect(registry.domains()).toEqual(['data-analysis', 'financial', 'general', 'programming', 'security']);
+      expect(registry.resolve('data').id).toBe('data-analysis-expert');
+      expect(registry.resolve('programming').id).toBe('programming-expert');
+      // Every bundled expert is reachable by its own id
+      expect(registry.list().every(expert => registry.resolve(expert.id) === expert)).toBe(true);
+    });
+
+    it('regenerates and checks the index as prompt-expert experts index', async () => {
+      fs.mkdirSync(path.join(dir, 'experts'));
+      fs.copyFileSync(path.join(ROOT, 'experts', 'security-expert.md'), path.join(dir, 'experts', 'security-expert.md'));
+      const cli = () => new PromptExpertCLI({ stdout: stream(), stderr: stream(), env: { GITHUB_ACTIONS: 'true' }, cwd: dir });
+
+      const stale = cli();
+      expect(await stale.run(['experts', 'index', '--check'])).toBe(PromptExpertCLI.EXIT_CODES.ERROR);
+      expect(stale.stdout.text).toContain('experts/index.json is out of date: run prompt-expert experts index\n');
+      expect(stale.stdout.text).toContain('::error file=experts/index.json::');
+      expect(fs.existsSync(path.join(dir, 'experts', 'index.json'))).toBe(false);
+
+      expect(await cli().run(['experts', 'index'])).toBe(PromptExpertCLI.EXIT_CODES.OK);
+      const index = JSON.parse(fs.readFileSync(path.join(dir, 'experts', 'index.json'), 'utf8'));
+      expect(index.experts).toEqual([expect.objectContaining({ id: 'security-expert', aliases: ['security'] })]);
+
+      const fresh = cli();
+      expect(await fresh.run(['experts', 'index', '--check'])).toBe(PromptExpertCLI.EXIT_CODES.OK);
+      expect(fresh.stdout.text).toBe('experts/index.json is up to date (1 experts)\n');
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExpertValidator } = require('../../src/lib/evaluation/ExpertValidator');
+const PromptExpertCLI = require('../../src/scripts/prompt-expert-cli');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const VALID = `---
+name: Test Expert
+domain: testing
+version: 1.2.0
+description: Evaluates test prompts
+---
+
+# Test Expert
+
+## Evaluation Criteria
+
+### 1. Coverage (60% weight)
+- Are edge cases tested?
+
+### 2. Clarity (40% weight)
+- Are the tests readable?
+
+## Red Flags
+
+- Tests that can never fail
+
+## Scoring Rubric
+
+- **8-10**: Thorough
+- **4-7**: Gaps
+- **0-3**: Misleading
+
+## Response Format
+
+\`\`\`
+## Evaluation
+Score: X/10
+\`\`\`
+`;
+
+function stream() {
+  return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+describe('ExpertValidator', () => {
+  describe('validate', () => {
+    it('accepts a definition that follows the schema', () => {
+      const result = ExpertValidator.validate(VALID);
+
+      expect(result).toMatchObject({ valid: true, errors: [], warnings: [] });
+      expect(result.definition).toMatchObject({
+        name: 'Test Expert',
+        domain: 'testing',
+        version: '1.2.0',
+        criteria: [
+          { name: 'Coverage', weight: 60, description: '- Are edge cases tested?' },
+          { name: 'Clarity', weight: 40, description: '- Are the tests readable?' }
+        ],
+        redFlags: ['Tests that can never fail'],
+        scoringRubric: [
+          { min: 8, max: 10, description: 'Thorough' },
+          { min: 4, max: 7, description: 'Gaps' },
+          { min: 0, max: 3, description: 'Misleading' }
+        ]
+      });
+      // Headings inside the fenced sample response belong to the section
+      expect(result.definition.responseFormat).toBe('```\n## Evaluation\nScore: X/10\n```');
+    });
+
+    it('reports every missing field and section', () => {
+      const { valid, errors } = ExpertValidator.validate('# Expert\n\nYou are an expert.\n');
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        '$: missing frontmatter (a leading --- block with name, domain, version and description)',
+        ...['name', 'domain', 'version', 'description', 'criteria', 'redFlags', 'scoringRubric', 'responseFormat']
+          .map(field => `$.${field}: is required`)
+      ]);
+    });
+
+    it('requires declared weights that sum to 100%', () => {
+      const unweighted = ExpertValidator.validate(VALID.replace(' (40% weight)', ''));
+      const short = ExpertValidator.validate(VALID.replace('(40% weight)', '(30% weight)'));
+
+      expect(unweighted.errors).toEqual(['$.criteria[1].weight: "Clarity" declares no weight - end its heading with "(N% weight)"']);
+      expect(short.errors).toEqual(['$.criteria: weights must sum to 100% (got 90%)']);
+    });
+
+    it('rejects duplicate criteria', () => {
+      const { errors } = ExpertValidator.validate(VALID.replace('2. Clarity', '2. coverage'));
+
+      expect(errors).toEqual(['$.criteria[1].name: duplicate criterion "coverage"']);
+    });
+
+    it('requires the rubric to cover 0-10 exactly once', () => {
+      const gap = ExpertValidator.validate(VALID.replace('**4-7**', '**5-7**'));
+      const overlap = ExpertValidator.validate(VALID.replace('**0-3**', '**0-4**'));
+      const top = ExpertValidator.validate(VALID.replace('**8-10**', '**8-9**'));
+
+      expect(gap.errors).toEqual(['$.scoringRubric: scores 4 are not covered']);
+      expect(overlap.errors).toEqual(['$.scoringRubric: band 4-7 overlaps the previous band']);
+      expect(top.errors).toEqual(['$.scoringRubric: scores 10 are not covered']);
+    });
+
+    it('checks frontmatter formats and warns about unknown fields', () => {
+      const result = ExpertValidator.validate(VALID
+        .replace('domain: testing', 'domain: Unit Testing')
+        .replace('version: 1.2.0', 'version: v1\nowner: qa'));
+
+      expect(result.errors).toEqual([
+        '$.domain: must match pattern ^[a-z][a-z0-9-]*$',
+        '$.version: must match pattern ^\\d+\\.\\d+\\.\\d+$'
+      ]);
+      expect(result.warnings).toEqual(['$.owner: unknown frontmatter field (expected name, domain, aliases, version, description)']);
+    });
+  });
+
+  describe('validateDirectory', () => {
+    it('accepts every bundled expert', async () => {
+      const result = await ExpertValidator.validateDirectory('experts', { cwd: ROOT });
+
+      expect(result.files.filter(file => !file.valid)).toEqual([]);
+      expect(result.valid).toBe(true);
+      expect(result.files.map(file => file.file)).toContain('experts/security-expert.md');
+    });
+  });
+
+  describe('validateFiles', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'experts-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('warns when two files define the same domain and reports unreadable files', async () => {
+      fs.writeFileSync(path.join(dir, 'a.md'), VALID);
+      fs.writeFileSync(path.join(dir, 'b.md'), VALID);
+
+      const result = await ExpertValidator.validateFiles(['a.md', 'b.md', 'missing.md'], { cwd: dir });
+
+      expect(result.valid).toBe(false);
+      expect(result.files[1]).toMatchObject({ valid: true, warnings: ['$.domain: "testing" is also defined by a.md'] });
+      expect(result.files[2].errors[0]).toMatch(/^\$: cannot read file/);
+    });
+
+    it('rejects aliases that already name another expert', async () => {
+      fs.writeFileSync(path.join(dir, 'a.md'), VALID.replace('domain: testing', 'domain: testing\naliases: qa'));
+      fs.writeFileSync(path.join(dir, 'b.md'), VALID.replace('domain: testing', 'domain: review\naliases: qa, a, checks'));
+      fs.writeFileSync(path.join(dir, 'c.md'), VALID.replace('domain: testing', 'domain: audit\naliases: Bad Alias'));
+
+      const result = await ExpertValidator.validateFiles(['a.md', 'b.md', 'c.md'], { cwd: dir });
+
+      expect(result.files[0].valid).toBe(true);
+      expect(result.files[1].errors).toEqual(['$.aliases: "qa" is already used by a.md', '$.aliases: "a" is already used by a.md']);
+      expect(result.files[2].errors).toEqual(['$.aliases: must match pattern ^[a-z][a-z0-9-]*(\\s*,\\s*[a-z][a-z0-9-]*)*$']);
+    });
+
+    it('runs as prompt-expert experts validate, with annotations in GitHub Actions', async () => {
+      fs.mkdirSync(path.join(dir, 'experts'));
+      fs.writeFileSync(path.join(dir, 'experts', 'good.md'), VALID);
+      fs.writeFileSync(path.join(dir, 'experts', 'bad.md'), VALID.replace('version: 1.2.0\n', '').replace('domain: testing', 'domain: other'));
+      const stdout = stream();
+
+      const code = await new PromptExpertCLI({ stdout, stderr: stream(), env: { GITHUB_ACTIONS: 'true' }, cwd: dir })
+        .run(['experts', 'validate']);
+
+      expect(code).toBe(PromptExpertCLI.EXIT_CODES.ERROR);
+      expect(stdout.text).toContain('experts/bad.md: 1 error(s)\n  error    $.version: is required\n');
+      expect(stdout.text).toContain('experts/good.md: OK\n');
+      expect(stdout.text).toContain('2 expert definition(s) checked, 1 invalid');
+      expect(stdout.text).toContain('::error file=experts/bad.md::$.version: is required');
+    });
+
+    it('prints JSON results and succeeds for valid files', async () => {
+      fs.writeFileSync(path.join(dir, 'good.md'), VALID);
+      const stdout = stream();
+
+      const code = await new PromptExpertCLI({ stdout, stderr: stream(), env: {}, cwd: dir })
+        .run(['experts', 'validate', 'good.md', '--json']);
+
+      expect(code).toBe(PromptExpertCLI.EXIT_CODES.OK);
+      expect(JSON.parse(stdout.text)).toEqual({
+        success: true,
+        files: [{ file: 'good.md', valid: true, errors: [], warnings: [] }]
+      });
+    });
+  });
+});
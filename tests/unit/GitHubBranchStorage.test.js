@@ -0,0 +1,106 @@
+const { GitHubBranchStorage, MAX_APPEND_ATTEMPTS } = require('../../src/lib/results/GitHubBranchStorage');
+const { FakeOctokit } = require('../fakes/FakeOctokit');
+
+const BRANCH = 'prompt-expert-results';
+const FILE = 'evaluations.jsonl';
+
+const lines = records => records.map(record => `${JSON.stringify(record)}\n`).join('');
+
+describe('GitHubBranchStorage', () => {
+  let octokit;
+  let storage;
+
+  beforeEach(() => {
+    octokit = new FakeOctokit();
+    octokit.commit({ 'prompts/reviewer.md': '# Reviewer\n' }, { message: 'Add reviewer' });
+    storage = new GitHubBranchStorage({ octokit, repoOwner: 'octo', repoName: 'prompts', branch: BRANCH, filePath: FILE });
+  });
+
+  it('requires a client and repository', () => {
+    expect(() => new GitHubBranchStorage({ octokit, repoOwner: 'octo' }))
+      .toThrow('GitHubBranchStorage requires an octokit client, repoOwner and repoName');
+  });
+
+  it('reads nothing before the results branch exists', async () => {
+    expect(await storage.readAll()).toEqual([]);
+    expect(storage.describe()).toBe(`octo/prompts:${FILE}@${BRANCH}`);
+  });
+
+  it('creates the results branch as an orphan commit holding only the results file', async () => {
+    await storage.append([{ file: 'prompts/reviewer.md', score: 7 }]);
+
+    const repository = octokit.repositories.get('octo/prompts');
+    const commit = repository.commits.get(repository.branches.get(BRANCH));
+    expect(commit).toMatchObject({ parent: null, message: 'Record 1 evaluation result(s)' });
+    expect([...commit.tree.keys()]).toEqual([FILE]);
+    expect(octokit.callsTo('git.createCommit')[0].parents).toEqual([]);
+    // The code branch is untouched
+    expect(octokit.fileAt(FILE, 'main')).toBeUndefined();
+
+    await storage.append([{ file: 'prompts/reviewer.md', score: 8 }, { file: 'prompts/writer.md', score: 5 }]);
+
+    expect(octokit.callsTo('git.createRef')).toHaveLength(1);
+    expect(octokit.fileAt(FILE, BRANCH)).toBe(lines([
+      { file: 'prompts/reviewer.md', score: 7 }, { file: 'prompts/reviewer.md', score: 8 }, { file: 'prompts/writer.md', score: 5 }
+    ]));
+    expect((await storage.readAll()).map(record => record.score)).toEqual([7, 8, 5]);
+  });
+
+  it('reads the file as a blob when the contents API omits content over 1 MB', async () => {
+    const large = new FakeOctokit({ maxContentSize: 64 });
+    const records = Array.from({ length: 4 }, (_, i) => ({ file: `prompts/p${i}.md`, score: i }));
+    large.commit({ [FILE]: lines(records) }, { branch: BRANCH });
+    storage = new GitHubBranchStorage({ octokit: large, repoOwner: 'octo', repoName: 'prompts', branch: BRANCH, filePath: FILE });
+
+    expect(await storage.readAll()).toEqual(records);
+    expect(large.callsTo('git.getBlob')).toHaveLength(1);
+
+    await storage.append([{ file: 'prompts/p4.md', score: 4 }]);
+    expect(large.fileAt(FILE, BRANCH)).toBe(lines([...records, { file: 'prompts/p4.md', score: 4 }]));
+  });
+
+  it('retries on top of a concurrent update when the file SHA is stale (409)', async () => {
+    await storage.append([{ file: 'prompts/a.md', run: 1 }]);
+    const update = octokit.repos.createOrUpdateFileContents;
+    octokit.repos.createOrUpdateFileContents = jest.fn(async params => {
+      if (octokit.repos.createOrUpdateFileContents.mock.calls.length === 1) {
+        // Another run appends between our read and our write
+        octokit.commit({ [FILE]: `${octokit.fileAt(FILE, BRANCH)}${lines([{ file: 'prompts/a.md', run: 2 }])}` }, { branch: BRANCH });
+      }
+      return update(params);
+    });
+
+    await storage.append([{ file: 'prompts/a.md', run: 3 }]);
+
+    expect(octokit.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(2);
+    expect((await storage.readAll()).map(record => record.run)).toEqual([1, 2, 3]);
+  });
+
+  it('retries when a concurrent run created the branch first (422)', async () => {
+    const createRef = octokit.git.createRef;
+    octokit.git.createRef = jest.fn(async params => {
+      octokit.commit({ [FILE]: lines([{ file: 'prompts/a.md', run: 1 }]) }, { branch: BRANCH });
+      return createRef(params);
+    });
+
+    await storage.append([{ file: 'prompts/a.md', run: 2 }]);
+
+    expect(octokit.git.createRef).toHaveBeenCalledTimes(1);
+    expect((await storage.readAll()).map(record => record.run)).toEqual([1, 2]);
+  });
+
+  it(`gives up after ${MAX_APPEND_ATTEMPTS} conflicting attempts and passes other errors through`, async () => {
+    await storage.append([{ file: 'prompts/a.md' }]);
+    const conflict = FakeOctokit.error(409, 'evaluations.jsonl does not match');
+    octokit.repos.createOrUpdateFileContents = jest.fn(async () => { throw conflict; });
+
+    await expect(storage.append([{ file: 'prompts/b.md' }])).rejects.toBe(conflict);
+    expect(octokit.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(MAX_APPEND_ATTEMPTS);
+
+    const forbidden = FakeOctokit.error(403, 'Resource not accessible by integration');
+    octokit.repos.createOrUpdateFileContents = jest.fn(async () => { throw forbidden; });
+
+    await expect(storage.append([{ file: 'prompts/b.md' }])).rejects.toBe(forbidden);
+    expect(octokit.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(1);
+  });
+});
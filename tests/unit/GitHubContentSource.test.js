@@ -0,0 +1,106 @@
+const { GitHubContentSource } = require('../../src/lib/sources/GitHubContentSource');
+
+/**
+ * Octokit stand-in whose `repos` methods are jest mocks answering with `data`
+ */
+function createOctokit(data = {}) {
+  const answer = name => jest.fn(async () => {
+    if (data[name] instanceof Error) throw data[name];
+    return { data: data[name] };
+  });
+  return {
+    repos: { getContent: answer('getContent'), listCommits: answer('listCommits'), getCommit: answer('getCommit'), listTags: answer('listTags') }
+  };
+}
+
+const at = (filePath, version) => ({ owner: 'octo', repo: 'prompts', filePath, version });
+
+describe('GitHubContentSource', () => {
+  it('requires an octokit client', () => {
+    expect(() => new GitHubContentSource()).toThrow('GitHubContentSource requires an octokit client');
+  });
+
+  describe('getContent', () => {
+    it('decodes files and reads the default branch for HEAD', async () => {
+      const octokit = createOctokit({
+        getContent: { path: 'prompts/reviewer.md', name: 'reviewer.md', content: Buffer.from('v2\n').toString('base64'), sha: 'b10b', size: 3, html_url: 'https://github.com/octo/prompts/blob/main/prompts/reviewer.md' }
+      });
+      const source = new GitHubContentSource({ octokit });
+
+      expect(await source.getContent(at('prompts/reviewer.md', 'HEAD'))).toEqual({
+        type: 'file', path: 'prompts/reviewer.md', name: 'reviewer.md', content: 'v2\n', sha: 'b10b', size: 3,
+        url: 'https://github.com/octo/prompts/blob/main/prompts/reviewer.md'
+      });
+      await source.getContent(at('prompts/reviewer.md', 'v1.0'));
+
+      expect(octokit.repos.getContent.mock.calls.map(([params]) => params.ref)).toEqual([undefined, 'v1.0']);
+      expect(octokit.repos.getContent.mock.calls[0][0]).toMatchObject({ owner: 'octo', repo: 'prompts', path: 'prompts/reviewer.md' });
+    });
+
+    it('lists directories', async () => {
+      const source = new GitHubContentSource({
+        octokit: createOctokit({ getContent: [{ name: 'nested', path: 'prompts/nested', type: 'dir', sha: 't' }, { name: 'a.md', path: 'prompts/a.md', type: 'file', size: 1 }] })
+      });
+
+      expect(await source.getContent(at('prompts', 'main'))).toEqual({
+        type: 'dir',
+        path: 'prompts',
+        entries: [{ name: 'nested', path: 'prompts/nested', type: 'dir' }, { name: 'a.md', path: 'prompts/a.md', type: 'file' }]
+      });
+    });
+
+    it('rejects HTML error pages and passes API errors through', async () => {
+      const html = new GitHubContentSource({ octokit: createOctokit({ getContent: '<!DOCTYPE html><html>Unicorn!</html>' }) });
+      await expect(html.getContent(at('prompts/a.md', 'main'))).rejects.toThrow('Received HTML error page instead of JSON response');
+
+      const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+      const missing = new GitHubContentSource({ octokit: createOctokit({ getContent: notFound }) });
+      await expect(missing.getContent(at('prompts/a.md', 'main'))).rejects.toBe(notFound);
+    });
+  });
+
+  describe('history', () => {
+    it('lists one page of commits, reading the default branch for HEAD', async () => {
+      const octokit = createOctokit({ listCommits: [{ sha: 'c2', commit: { committer: { date: '2026-01-01T01:00:00Z' } } }] });
+      const source = new GitHubContentSource({ octokit });
+
+      expect(await source.listCommits(at('', 'HEAD'), { path: 'prompts/a.md', until: '2026-01-02T00:00:00Z', limit: 5 }))
+        .toEqual([{ sha: 'c2', date: '2026-01-01T01:00:00Z' }]);
+      await source.listCommits(at('', 'HEAD'), { ref: 'refs/pull/7/head', limit: 500 });
+
+      expect(octokit.repos.listCommits.mock.calls.map(([params]) => params)).toEqual([
+        { owner: 'octo', repo: 'prompts', sha: undefined, path: 'prompts/a.md', until: '2026-01-02T00:00:00Z', per_page: 5 },
+        { owner: 'octo', repo: 'prompts', sha: 'refs/pull/7/head', path: undefined, until: undefined, per_page: 100 }
+      ]);
+    });
+
+    it('walks first parents past merged commits, fetching parents missing from the page', async () => {
+      // m merges d into c; listCommits orders by date, so d comes before c
+      const octokit = createOctokit({
+        listCommits: [
+          { sha: 'm', parents: [{ sha: 'c' }, { sha: 'd' }] },
+          { sha: 'd', parents: [{ sha: 'b' }] },
+          { sha: 'c', parents: [{ sha: 'b' }] }
+        ],
+        getCommit: { sha: 'b', parents: [] }
+      });
+      const source = new GitHubContentSource({ octokit });
+
+      expect(await source.ancestor(at('', 'HEAD'), 'refs/pull/7/head', 0)).toBe('m');
+      expect(await source.ancestor(at('', 'HEAD'), 'refs/pull/7/head', 1)).toBe('c');
+      expect(await source.ancestor(at('', 'HEAD'), 'refs/pull/7/head', 2)).toBe('b');
+      expect(await source.ancestor(at('', 'HEAD'), 'refs/pull/7/head', 3)).toBeNull();
+      expect(octokit.repos.listCommits).toHaveBeenCalledWith({ owner: 'octo', repo: 'prompts', sha: 'refs/pull/7/head', per_page: 100 });
+      expect(octokit.repos.getCommit).toHaveBeenCalledWith({ owner: 'octo', repo: 'prompts', ref: 'b' });
+    });
+
+    it('takes the first tag GitHub lists', async () => {
+      const source = new GitHubContentSource({ octokit: createOctokit({ listTags: [{ name: 'v1.10', commit: { sha: 't10' } }] }) });
+      const untagged = new GitHubContentSource({ octokit: createOctokit({ listTags: [] }) });
+
+      expect(await source.latestTag(at('', 'HEAD'))).toEqual({ name: 'v1.10', sha: 't10' });
+      expect(await untagged.latestTag(at('', 'HEAD'))).toBeNull();
+      expect(source.octokit.repos.listTags).toHaveBeenCalledWith({ owner: 'octo', repo: 'prompts', per_page: 1 });
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const { JsonLinesFileStorage } = require('../../src/lib/results/JsonLinesFileStorage');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('JsonLinesFileStorage', () => {
+  let dir;
+  let storage;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-expert-results-'));
+    storage = new JsonLinesFileStorage({ filePath: path.join(dir, 'nested', 'results.jsonl') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('requires a file path', () => {
+    expect(() => new JsonLinesFileStorage()).toThrow('JsonLinesFileStorage requires a filePath');
+  });
+
+  it('reads nothing before the first append, then creates the file and its directory', async () => {
+    expect(await storage.readAll()).toEqual([]);
+
+    await storage.append([{ file: 'prompts/a.md', score: 7 }]);
+    await storage.append([{ file: 'prompts/b.md', score: 5 }, { file: 'prompts/a.md', score: 8 }]);
+
+    expect(fs.readFileSync(storage.filePath, 'utf8')).toBe(
+      '{"file":"prompts/a.md","score":7}\n{"file":"prompts/b.md","score":5}\n{"file":"prompts/a.md","score":8}\n'
+    );
+    expect((await storage.readAll()).map(record => record.score)).toEqual([7, 5, 8]);
+    expect(storage.describe()).toBe(storage.filePath);
+  });
+
+  it('skips unreadable lines with a warning instead of failing', async () => {
+    fs.mkdirSync(path.dirname(storage.filePath));
+    fs.writeFileSync(storage.filePath, '{"file":"prompts/a.md"}\n\n{"file":"prompts/b\n{"file":"prompts/c.md"}\n');
+
+    expect(await storage.readAll()).toEqual([{ file: 'prompts/a.md' }, { file: 'prompts/c.md' }]);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/^Skipping unreadable result record at .*results\.jsonl:3: /));
+  });
+});
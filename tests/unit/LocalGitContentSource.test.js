@@ -0,0 +1,138 @@
+const { LocalGitContentSource } = require('../../src/lib/sources/LocalGitContentSource');
+const { createGitRepository } = require('../fakes/gitRepository');
+const fs = require('fs');
+const path = require('path');
+
+const at = (filePath, version, extra = {}) => ({ filePath, version, ...extra });
+
+describe('LocalGitContentSource', () => {
+  let repository;
+  let source;
+  let shas;
+
+  beforeEach(() => {
+    repository = createGitRepository();
+    shas = [
+      repository.commit({ 'prompts/reviewer.md': 'v1\n', 'README.md': '# Prompts\n' }, 'Add reviewer'),
+      repository.commit({ 'prompts/reviewer.md': 'v2\n', 'prompts/nested/extra.md': 'extra\n' }, 'Revise reviewer')
+    ];
+    source = new LocalGitContentSource({ rootDir: repository.dir, repoOwner: 'octo', repoName: 'prompts' });
+  });
+
+  afterEach(() => {
+    repository.remove();
+  });
+
+  describe('getContent', () => {
+    it('reads the working tree without a ref, including uncommitted edits', async () => {
+      fs.writeFileSync(path.join(repository.dir, 'prompts/reviewer.md'), 'draft\n');
+
+      const file = await source.getContent(at('prompts/reviewer.md', 'HEAD'));
+
+      expect(file).toMatchObject({ type: 'file', path: 'prompts/reviewer.md', name: 'reviewer.md', content: 'draft\n', size: 6 });
+      expect(file.sha).toBe(repository.git('hash-object', 'prompts/reviewer.md'));
+      expect(file.url).toMatch(/^file:\/\/.*\/prompts\/reviewer\.md$/);
+    });
+
+    it('reads committed blobs with git cat-file for an explicit ref', async () => {
+      fs.writeFileSync(path.join(repository.dir, 'prompts/reviewer.md'), 'draft\n');
+
+      const head = await source.getContent(at('prompts/reviewer.md', 'HEAD', { explicitVersion: true }));
+      const first = await source.getContent(at('prompts/reviewer.md', shas[0]));
+
+      expect(head.content).toBe('v2\n');
+      expect(first).toMatchObject({ content: 'v1\n', sha: repository.git('rev-parse', `${shas[0]}:prompts/reviewer.md`) });
+      expect(first.url).toContain(`#${shas[0]}:prompts/reviewer.md`);
+    });
+
+    it('lists directories from the working tree and from git trees', async () => {
+      fs.writeFileSync(path.join(repository.dir, 'prompts/untracked.md'), 'new\n');
+      const names = listing => listing.entries.map(entry => [entry.path, entry.type]);
+
+      expect(names(await source.getContent(at('prompts', 'HEAD')))).toEqual([
+        ['prompts/nested', 'dir'], ['prompts/reviewer.md', 'file'], ['prompts/untracked.md', 'file']
+      ]);
+      expect(names(await source.getContent(at('prompts/', shas[1])))).toEqual([['prompts/nested', 'dir'], ['prompts/reviewer.md', 'file']]);
+      // The root hides .git; git trees keep git's byte order
+      expect(names(await source.getContent(at('', 'HEAD')))).toEqual([['prompts', 'dir'], ['README.md', 'file']]);
+      expect(names(await source.getContent(at('.', shas[0])))).toEqual([['README.md', 'file'], ['prompts', 'dir']]);
+    });
+
+    it('fails with 404 for missing paths and refs', async () => {
+      await expect(source.getContent(at('prompts/missing.md', 'HEAD'))).rejects.toMatchObject({ status: 404 });
+      await expect(source.getContent(at('prompts/nested/extra.md', shas[0]))).rejects.toMatchObject({ status: 404 });
+      await expect(source.getContent(at('prompts/reviewer.md', 'no-such-branch'))).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('repositories and paths', () => {
+    it('normalizes paths and rejects paths that leave the checkout', async () => {
+      expect(source.toRelative('/prompts//nested/../reviewer.md/')).toBe('prompts/reviewer.md');
+      expect(source.toRelative('prompts\\nested\\extra.md')).toBe('prompts/nested/extra.md');
+      expect(source.toRelative('.')).toBe('');
+      // Absolute paths are taken from the repository root
+      expect(source.toRelative('/../etc/passwd')).toBe('etc/passwd');
+
+      for (const escaping of ['..', '../secrets.txt', 'prompts/../../secrets.txt', 'prompts\\..\\..\\secrets.txt']) {
+        await expect(source.getContent(at(escaping, 'HEAD'))).rejects.toMatchObject({ status: 400, message: `Path ${escaping} is outside the checkout` });
+      }
+    });
+
+    it('reads other repositories only from checkouts listed in repositories', async () => {
+      const other = createGitRepository();
+      other.commit({ 'shared.md': 'shared\n' });
+      try {
+        const withOther = new LocalGitContentSource({ rootDir: repository.dir, repoOwner: 'octo', repoName: 'prompts', repositories: { 'octo/shared': other.dir } });
+
+        expect((await withOther.getContent(at('shared.md', 'HEAD', { owner: 'octo', repo: 'shared' }))).content).toBe('shared\n');
+        expect((await withOther.getContent(at('README.md', 'HEAD', { owner: 'octo', repo: 'prompts' }))).content).toBe('# Prompts\n');
+        await expect(source.getContent(at('shared.md', 'HEAD', { owner: 'octo', repo: 'shared' })))
+          .rejects.toMatchObject({ status: 404, message: 'octo/shared has no local checkout (add it to the repositories option)' });
+      } finally {
+        other.remove();
+      }
+    });
+  });
+
+  describe('history', () => {
+    it('lists commits newest first, filtered by path and date', async () => {
+      const third = repository.commit({ 'README.md': '# Prompts v2\n' });
+      const list = options => source.listCommits(at('', 'HEAD'), options).then(commits => commits.map(c => c.sha));
+
+      expect(await list({ limit: 10 })).toEqual([third, shas[1], shas[0]]);
+      expect(await list({ path: 'prompts/reviewer.md', limit: 10 })).toEqual([shas[1], shas[0]]);
+      expect(await list({ ref: shas[1] })).toEqual([shas[1]]);
+      expect(await list({ until: '2026-01-01T00:30:00Z', limit: 10 })).toEqual([shas[0]]);
+      expect((await source.listCommits(at('', 'HEAD')))[0]).toEqual({ sha: third, date: '2026-01-01T02:00:00+00:00' });
+      await expect(source.listCommits(at('', 'HEAD'), { ref: 'no-such-branch' })).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('finds first-parent ancestors', async () => {
+      repository.git('checkout', '--quiet', '-b', 'side', shas[0]);
+      repository.commit({ 'side.md': 'side\n' });
+      repository.git('checkout', '--quiet', 'main');
+      const merge = repository.merge('side');
+
+      expect(await source.ancestor(at('', 'HEAD'), 'HEAD', 0)).toBe(merge);
+      expect(await source.ancestor(at('', 'HEAD'), 'HEAD', 1)).toBe(shas[1]);
+      expect(await source.ancestor(at('', 'HEAD'), 'side', 1)).toBe(shas[0]);
+      expect(await source.ancestor(at('', 'HEAD'), 'HEAD', 3)).toBeNull();
+      await expect(source.ancestor(at('', 'HEAD'), 'no-such-branch', 1)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('finds the tag with the highest version', async () => {
+      expect(await source.latestTag(at('', 'HEAD'))).toBeNull();
+
+      repository.git('tag', 'v1.9', shas[1]);
+      repository.git('tag', '-a', 'v1.10', '-m', 'Release 1.10', shas[0]);
+
+      expect(await source.latestTag(at('', 'HEAD'))).toEqual({ name: 'v1.10', sha: shas[0] });
+    });
+  });
+
+  describe('blobSha', () => {
+    it('matches git hash-object', () => {
+      expect(LocalGitContentSource.blobSha(Buffer.from('v2\n'))).toBe(repository.git('rev-parse', 'HEAD:prompts/reviewer.md'));
+    });
+  });
+});
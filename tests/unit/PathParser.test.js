@@ -0,0 +1,175 @@
+const { PathParser, PATH_ERRORS } = require('../../src/lib/sources/PathParser');
+
+const DEFAULTS = { owner: 'octo', repo: 'prompts' };
+
+/**
+ * Parse result in the shape of LEGACY_CASES
+ */
+function parsed(filePath, version = 'HEAD', repository = 'owner/repo') {
+  const [owner, repo] = repository.split('/');
+  return { owner, repo, filePath, version };
+}
+
+/**
+ * Inputs of the retired edge-case script, in its order (its invalid paths, then its valid
+ * edge cases), with the error code or parse result each one gets
+ */
+const LEGACY_CASES = [
+  ['', 'EMPTY_PATH'],
+  [null, 'INVALID_INPUT'],
+  [undefined, 'INVALID_INPUT'],
+  ['   ', 'EMPTY_PATH'],
+  // No ':', so this is a nested path in the repository under test
+  ['owner/repo/path', parsed('owner/repo/path', 'HEAD', 'octo/prompts')],
+  ['owner:repo:path', 'INVALID_REPOSITORY'],
+  ['/etc/passwd', 'ABSOLUTE_PATH'],
+  ['../../../etc/passwd', 'PATH_TRAVERSAL'],
+  ['owner/repo:path@branch@tag', 'AMBIGUOUS_REF'],
+  ['owner/repo:path with spaces', 'INVALID_CHARACTERS'],
+  ['owner/repo:path\nwith\nnewlines', 'CONTROL_CHARACTERS'],
+  ['owner/repo:path;rm -rf /', 'INVALID_CHARACTERS'],
+  ['owner/repo:path%00.txt', 'ENCODED_CHARACTERS'],
+  ['owner/repo:path<script>', 'INVALID_CHARACTERS'],
+  ['owner/repo:../../etc/passwd', 'PATH_TRAVERSAL'],
+  ['https://github.com/owner/repo', 'URL_NOT_SUPPORTED'],
+  ['\\\\server\\share\\file', 'UNC_PATH'],
+  ['C:\\Users\\file.txt', 'WINDOWS_PATH'],
+  ['owner/repo:file.txt@', 'EMPTY_REF'],
+  ['@branch', 'MISSING_PATH'],
+  [':file.txt', 'INVALID_REPOSITORY'],
+  ['owner/:file.txt', 'INVALID_REPOSITORY'],
+  ['/owner/repo:file.txt', 'INVALID_REPOSITORY'],
+  // A trailing '/' marks a directory and is dropped; reading a file there still works
+  ['owner/repo:file.txt/', parsed('file.txt')],
+  ['owner..repo:file.txt', 'INVALID_REPOSITORY'],
+  ['owner/repo...:file.txt', 'INVALID_REPOSITORY'],
+  // Valid refs: branches may contain '/', and SHAs may be abbreviated
+  ['owner/repo:file@feature/branch', parsed('file', 'feature/branch')],
+  ['owner/repo:file@v1.2.3', parsed('file', 'v1.2.3')],
+  ['owner/repo:file@abc123def456789', parsed('file', 'abc123def456789')],
+  // The valid edge cases
+  ['file.txt', parsed('file.txt', 'HEAD', 'octo/prompts')],
+  ['path/to/file.txt', parsed('path/to/file.txt', 'HEAD', 'octo/prompts')],
+  ['path/to/file.txt@main', parsed('path/to/file.txt', 'main', 'octo/prompts')],
+  ['owner/repo:file.txt', parsed('file.txt')],
+  ['owner/repo:file.txt@feature-branch', parsed('file.txt', 'feature-branch')],
+  ['owner/repo:file.txt@v1.0.0', parsed('file.txt', 'v1.0.0')],
+  ['owner/repo:file.txt@abc123def456789abc123def456789abc12345', parsed('file.txt', 'abc123def456789abc123def456789abc12345')],
+  ['owner-with-dash/repo_with_underscore:file.txt', parsed('file.txt', 'HEAD', 'owner-with-dash/repo_with_underscore')],
+  ['UPPERCASE/REPO:FILE.TXT', parsed('FILE.TXT', 'HEAD', 'UPPERCASE/REPO')],
+  ['123owner/456repo:789file.txt', parsed('789file.txt', 'HEAD', '123owner/456repo')],
+  ['o/r:f', parsed('f', 'HEAD', 'o/r')],
+  ['very-long-owner-name-that-is-still-valid/very-long-repo-name-that-is-still-valid:very/long/path/to/file/that/is/still/valid.txt',
+    parsed('very/long/path/to/file/that/is/still/valid.txt', 'HEAD', 'very-long-owner-name-that-is-still-valid/very-long-repo-name-that-is-still-valid')],
+  ['owner/repo:.github/workflows/test.yml', parsed('.github/workflows/test.yml')],
+  ['owner/repo:src/file.min.js', parsed('src/file.min.js')],
+  ['owner/repo:file.tar.gz', parsed('file.tar.gz')],
+  ['owner/repo:файл.txt', parsed('файл.txt')],
+  ['owner/repo:file(1).txt', parsed('file(1).txt')],
+  ['owner/repo:file[1].txt', parsed('file[1].txt')],
+  ['owner/repo:file{1}.txt', parsed('file{1}.txt')],
+  ['owner/repo:file$.txt', parsed('file$.txt')],
+  ['owner/repo:file#.txt', parsed('file#.txt')],
+  ['owner/repo:file%.txt', parsed('file%.txt')],
+  ['owner/repo:file&.txt', parsed('file&.txt')],
+  ['owner/repo:file+.txt', parsed('file+.txt')],
+  ['owner/repo:file=.txt', parsed('file=.txt')],
+  ['owner/repo:file~.txt', parsed('file~.txt')],
+  ['owner/repo:file!.txt', parsed('file!.txt')],
+  ['owner/repo:file@.txt', parsed('file@.txt')]
+];
+
+function rejection(input) {
+  try {
+    PathParser.parse(input, DEFAULTS);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected ${JSON.stringify(input)} to be rejected`);
+}
+
+describe('PathParser', () => {
+  describe('parse', () => {
+    it('returns every part of a full path', () => {
+      expect(PathParser.parse('team/library:prompts/a.md@v1.2#L3-L9', DEFAULTS)).toEqual({
+        owner: 'team',
+        repo: 'library',
+        filePath: 'prompts/a.md',
+        version: 'v1.2',
+        explicitVersion: true,
+        lines: { start: 3, end: 9 },
+        fullPath: 'team/library:prompts/a.md@v1.2#L3-L9'
+      });
+      expect(PathParser.parse('.', DEFAULTS)).toMatchObject({ filePath: '.', version: 'HEAD', explicitVersion: false });
+    });
+
+    it('rejects paths with an Error carrying the code, status 400 and the input', () => {
+      const error = rejection('prompts/../secrets.md');
+
+      expect(error).toMatchObject({ code: 'PATH_TRAVERSAL', status: 400, input: 'prompts/../secrets.md' });
+      expect(error.message).toBe(`Invalid path "prompts/../secrets.md": ${PATH_ERRORS.PATH_TRAVERSAL} (PATH_TRAVERSAL)`);
+      expect(rejection('owner/:a.md').message).toBe('Invalid path "owner/:a.md": "owner/" is not owner/repo (INVALID_REPOSITORY)');
+      expect(rejection(42).message).toBe(`Invalid path 42: ${PATH_ERRORS.INVALID_INPUT} (INVALID_INPUT)`);
+    });
+
+    it.each([
+      ['tab', 'a\tb.md'],
+      ['null byte', 'a\u0000.md'],
+      ['unit separator', 'a\u001f.md'],
+      ['delete', 'a\u007f.md'],
+      ['carriage return', 'a.md@main\r']
+    ])('rejects a %s as CONTROL_CHARACTERS', (name, input) => {
+      expect(rejection(input).code).toBe('CONTROL_CHARACTERS');
+    });
+
+    it('accepts non-ASCII characters above the control range', () => {
+      expect(PathParser.parse('prompts/caf\u00e9-\u{1F600}.md', DEFAULTS).filePath).toBe('prompts/caf\u00e9-\u{1F600}.md');
+      expect(PathParser.parse('prompts/\u0080.md', DEFAULTS).filePath).toBe('prompts/\u0080.md');
+    });
+
+    it('checks the form of the input before its structure', () => {
+      // Both a URL and a traversal; the form check wins
+      expect(rejection('https://example.com/../a.md').code).toBe('URL_NOT_SUPPORTED');
+      expect(rejection('../a b.md').code).toBe('INVALID_CHARACTERS');
+    });
+
+    it('raises every code of PATH_ERRORS', () => {
+      const inputs = [null, '', 'https://x/y', '//server/share', 'C:/a.md', 'a\n.md', 'a%2e.md', 'a b.md', 'x:a.md',
+        '@main', '/a.md', '../a.md', 'a/./b.md', 'a.md@', 'a@main@v1', 'a.md#L0'];
+
+      expect(inputs.map(input => rejection(input).code).sort()).toEqual(Object.keys(PATH_ERRORS).sort());
+    });
+  });
+
+  describe('legacy edge cases', () => {
+    it.each(LEGACY_CASES)('%j gives %j', (input, expected) => {
+      let outcome;
+      try {
+        const { owner, repo, filePath, version } = PathParser.parse(input, DEFAULTS);
+        outcome = { owner, repo, filePath, version };
+      } catch (error) {
+        outcome = error.code;
+      }
+
+      expect(outcome).toEqual(expected);
+    });
+  });
+
+  describe('isRef', () => {
+    it('follows git ref name rules', () => {
+      expect(['main', 'feature/x', 'v1.0.0', 'HEAD~3', '2026-01-01T10:00:00Z'].every(PathParser.isRef)).toBe(true);
+      expect(['.txt', 'a..b', 'a//b', 'a/', 'a.', 'a.lock', ''].some(PathParser.isRef)).toBe(false);
+    });
+  });
+
+  describe('format', () => {
+    it.each([
+      'a.md',
+      'a.md@main',
+      'team/library:prompts/a.md@v1#L3',
+      'team/library:prompts/a.md#L3-L9'
+    ])('round-trips %j', input => {
+      expect(PathParser.format(PathParser.parse(input))).toBe(input);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const { PromptBisector } = require('../../src/lib/abtest/PromptBisector');
+const { PromptVersionManager } = require('../../src/lib/evaluation/PromptVersionManager');
+
+const EXPERT_PATH = 'experts/programming-expert.md';
+const PROMPT_PATH = 'prompts/code-reviewer.md';
+const MARKER = 'REGRESSED: answer in one word.';
+const BASE_PROMPT = '# Code Reviewer\n\nReview the code for bugs.\n\n## Example\nInput: a diff\n';
+
+/**
+ * Seven versions of the prompt, oldest first; the marker arrives in the fifth (index 4)
+ */
+const HISTORY = Array.from({ length: 7 }, (_, i) => ({
+  sha: `${i}`.repeat(40),
+  message: i === 0 ? 'Add code reviewer prompt' : `Revision ${i}`,
+  author: i === 4 ? 'Dana' : 'Test Author',
+  date: new Date(Date.UTC(2026, 0, 1, i)).toISOString(),
+  content: i === 0 ? BASE_PROMPT : `${BASE_PROMPT}- Rule ${i}\n${i >= 4 ? `${MARKER}\n` : ''}`
+}));
+
+/**
+ * Octokit stand-in serving HISTORY as the prompt's commits, newest first from `sha`
+ * (a commit SHA, or the newest commit for a branch)
+ */
+function createOctokit() {
+  const bySha = new Map(HISTORY.map(commit => [commit.sha, commit]));
+  return {
+    repos: {
+      listCommits: jest.fn(async ({ sha }) => ({
+        data: HISTORY.slice(0, bySha.has(sha) ? HISTORY.indexOf(bySha.get(sha)) + 1 : HISTORY.length).reverse().map(commit => ({
+          sha: commit.sha,
+          commit: { message: commit.message, author: { name: commit.author, date: commit.date }, committer: { date: commit.date } }
+        }))
+      })),
+      getContent: jest.fn(async ({ ref }) => ({ data: { content: Buffer.from(bySha.get(ref).content).toString('base64') } }))
+    }
+  };
+}
+
+/**
+ * A/B test tool stand-in: a prompt with the marker scores 4, any other 8. `fail(sha)` makes
+ * the A/B test of that commit fail with the returned result.
+ */
+function createTool(fail = () => null) {
+  const score = sha => (HISTORY.find(commit => commit.sha === sha).content.includes(MARKER) ? 4 : 8);
+  return {
+    pricing: {},
+    provider: { model: 'test-model' },
+    normalizeSampleCount: samples => samples || 3,
+    handleError: error => ({ success: false, error: error.message }),
+    executeABTest: jest.fn(async (expert, pathA, pathB) => {
+      const [shaA, shaB] = [pathA, pathB].map(p => p.split('@')[1]);
+      const failure = fail(shaB);
+      if (failure) return failure;
+      const [scoreA, scoreB] = [score(shaA), score(shaB)];
+      return {
+        success: true,
+        evaluations: { promptA: { aggregateScore: scoreA }, promptB: { aggregateScore: scoreB } },
+        verdict: { winner: scoreB > scoreA ? 'B' : 'A', confidence: 'high', scoreDifference: scoreB - scoreA },
+        comparison: { improvements: [], regressions: [] },
+        metrics: { usage: { requests: 6, inputTokens: 600, outputTokens: 60, byScope: {} } }
+      };
+    })
+  };
+}
+
+const sha = i => HISTORY[i].sha;
+const short = i => sha(i).slice(0, 8);
+
+describe('PromptBisector', () => {
+  let tool;
+  let bisector;
+
+  beforeEach(() => {
+    tool = createTool();
+    bisector = new PromptBisector({
+      abTestTool: tool,
+      versionManager: new PromptVersionManager({ octokit: createOctokit(), repoOwner: 'octo', repoName: 'prompts' })
+    });
+  });
+
+  it('finds the first bad commit with a binary search over the prompt history', async () => {
+    const result = await bisector.execute(EXPERT_PATH, PROMPT_PATH, sha(0).slice(0, 10), 'main');
+
+    expect(result.success).toBe(true);
+    expect(result.regression).toBe(true);
+    // The known-bad head first, then the midpoints 3 and 4, always against the good version
+    expect(result.steps.map(step => [step.sha, step.regressed])).toEqual([[sha(6), true], [sha(3), false], [sha(4), true]]);
+    expect(tool.executeABTest.mock.calls.map(call => [call[1], call[2]])).toEqual(
+      [6, 3, 4].map(i => [`${PROMPT_PATH}@${sha(0)}`, `${PROMPT_PATH}@${sha(i)}`])
+    );
+    expect(result.steps[0]).toMatchObject({ scoreGood: 8, score: 4, drop: 4, newlyFailingCases: [], action: 'REJECT' });
+    expect(result.firstBad).toMatchObject({ sha: sha(4), version: short(4), author: 'Dana', message: 'Revision 4', drop: 4 });
+    expect(result.lastGood).toMatchObject({ sha: sha(3), message: 'Revision 3' });
+    expect(result.changes.structure).toEqual(['Rule added in Code Reviewer > Example: Rule 4', 'Rule removed from Code Reviewer > Example: Rule 3']);
+    expect(result.summary).toBe(
+      `Bisect Complete: ${PROMPT_PATH} regressed in ${short(4)} ("Revision 4" by Dana), -4.0 against ${short(0)}; ` +
+      'found in 3 A/B test(s) over 5 intermediate commit(s).'
+    );
+    expect(result.report).toContain(`| 2 | ${short(3)} | 8.0 → 8.0 (+0.0) | good |`);
+    expect(result.metrics.usage.requests).toBe(18);
+    expect(Object.keys(result.metrics.usage.byScope).sort()).toEqual([short(3), short(4), short(6)]);
+  });
+
+  it('stops after the known-bad ref when it does not regress', async () => {
+    const result = await bisector.execute(EXPERT_PATH, PROMPT_PATH, sha(1), sha(3));
+
+    expect(result).toMatchObject({ success: true, regression: false, firstBad: null, lastGood: null });
+    expect(result.steps).toHaveLength(1);
+    expect(result.summary).toBe(`No regression: ${PROMPT_PATH}@${short(3)} scored +0.0 against ${short(1)} (threshold 0.5), so the range was not bisected.`);
+  });
+
+  it('aborts with the failing step when an A/B test fails', async () => {
+    bisector.abTestTool = createTool(shaB => (shaB === sha(3) ? { success: false, error: 'Prompt rejected' } : null));
+
+    const result = await bisector.execute(EXPERT_PATH, PROMPT_PATH, sha(0), 'main');
+
+    expect(result).toMatchObject({ success: false, error: `A/B test of ${short(3)} failed: Prompt rejected`, summary: 'Bisect aborted after 2 A/B test(s)' });
+    expect(result.steps.map(step => step.sha)).toEqual([sha(6), sha(3)]);
+  });
+
+  it('passes the budget guard code through when it stops an A/B test', async () => {
+    const budget = { preset: 'small', spent: { tokens: 120000 } };
+    bisector.abTestTool = createTool(() => ({ success: false, error: 'Token budget exceeded', code: 'BUDGET_EXCEEDED', budget }));
+
+    const result = await bisector.execute(EXPERT_PATH, PROMPT_PATH, sha(0), 'main');
+
+    expect(result).toMatchObject({ success: false, code: 'BUDGET_EXCEEDED', budget, summary: 'Bisect aborted after 1 A/B test(s)' });
+  });
+
+  it('rejects invalid ranges before running any A/B test', async () => {
+    const cases = [
+      [[`${PROMPT_PATH}@main`, sha(0), 'main'], 'promptPath must not include a ref; pass the refs as goodRef and badRef'],
+      [[PROMPT_PATH, 'main', 'main'], 'goodRef and badRef must differ'],
+      [[PROMPT_PATH, sha(0), 'main', { minScoreDrop: 0 }], 'minScoreDrop must be a positive number'],
+      [[PROMPT_PATH, sha(6), 'main'], `goodRef ${sha(6)} is the latest version of ${PROMPT_PATH} at main; nothing to bisect`],
+      [[PROMPT_PATH, 'deadbeef', 'main'], `goodRef deadbeef is not a commit that changed ${PROMPT_PATH} in the last 7 commit(s) before main`]
+    ];
+
+    for (const [[promptPath, goodRef, badRef, options], error] of cases) {
+      expect(await bisector.execute(EXPERT_PATH, promptPath, goodRef, badRef, options)).toMatchObject({ success: false, error });
+    }
+    expect(tool.executeABTest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,217 @@
+const PromptExpertCLI = require('../../src/scripts/prompt-expert-cli');
+const { ABTestTool } = require('../../src/lib/abtest/ABTestTool');
+const { ExpertEvaluationIntegration } = require('../../src/lib/evaluation/ExpertEvaluationIntegration');
+const { createGitRepository } = require('../fakes/gitRepository');
+const fs = require('fs');
+const path = require('path');
+
+const { EXIT_CODES } = PromptExpertCLI;
+const EXPERT_PATH = 'experts/programming-expert.md';
+
+/**
+ * Writable stand-in collecting everything written to it in `text`
+ */
+function createStream() {
+  return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+/**
+ * A/B test result as executeABTest returns it, with a verdict interpretResults maps to
+ * DEPLOY (winner B) or REJECT (winner A)
+ */
+function abResult(winner) {
+  return {
+    success: true,
+    summary: `AB Test Complete: winner ${winner}`,
+    verdict: { winner, winnerVersion: winner === 'B' ? 'feature' : 'main', confidence: 'high', recommendProduction: winner === 'B', scoreDifference: winner === 'B' ? 2 : -2 },
+    evaluations: { promptA: {}, promptB: {} },
+    comparison: { improvements: [], regressions: [] }
+  };
+}
+
+describe('PromptExpertCLI', () => {
+  let repository;
+  let stdout;
+  let stderr;
+  let cli;
+
+  const run = (...argv) => cli.run(argv);
+  const writeConfig = (config, file = '.prompt-expert.json') => fs.writeFileSync(path.join(repository.dir, file), JSON.stringify(config));
+
+  beforeEach(() => {
+    repository = createGitRepository();
+    repository.commit({
+      [EXPERT_PATH]: fs.readFileSync(path.join(__dirname, '..', '..', EXPERT_PATH), 'utf8'),
+      'prompts/reviewer.md': '# Reviewer\n\nReview the code.\n'
+    }, 'Add reviewer');
+    writeConfig({ provider: 'local', results: { storage: 'none' } });
+    stdout = createStream();
+    stderr = createStream();
+    cli = new PromptExpertCLI({ stdout, stderr, env: {}, cwd: repository.dir });
+  });
+
+  afterEach(() => {
+    repository.remove();
+  });
+
+  describe('arguments', () => {
+    it('prints usage for --help and the package version for --version', async () => {
+      expect(await run('--help')).toBe(EXIT_CODES.OK);
+      expect(stdout.text).toContain('Usage: prompt-expert <command> [options]');
+
+      stdout.text = '';
+      expect(await run('abtest', '-v')).toBe(EXIT_CODES.OK);
+      expect(stdout.text).toBe(`${require('../../package.json').version}\n`);
+    });
+
+    it('fails with usage on stderr for unknown options and a missing command', async () => {
+      expect(await run('abtest', '--no-such-option')).toBe(EXIT_CODES.ERROR);
+      expect(stderr.text).toMatch(/Unknown option '--no-such-option'[\s\S]*Usage: prompt-expert/);
+
+      stderr.text = '';
+      expect(await run()).toBe(EXIT_CODES.ERROR);
+      expect(stderr.text).toContain('Usage: prompt-expert');
+      expect(stdout.text).toBe('');
+    });
+
+    it('reports unknown commands and missing positionals as errors', async () => {
+      expect(await run('deploy')).toBe(EXIT_CODES.ERROR);
+      expect(await run('abtest', 'prompts/reviewer.md')).toBe(EXIT_CODES.ERROR);
+      expect(await run('history')).toBe(EXIT_CODES.ERROR);
+
+      expect(stderr.text.split('\n').filter(Boolean)).toEqual([
+        'Error: Unknown command "deploy". Run prompt-expert --help for usage.',
+        'Error: abtest needs <expert> <promptA> <promptB> (the expert may come from abtest.expert in the config file)',
+        'Error: history needs a prompt file path'
+      ]);
+    });
+
+    it('passes abtest flags to the A/B test', async () => {
+      const execute = jest.spyOn(ABTestTool.prototype, 'executeABTest').mockResolvedValue(abResult('B'));
+
+      await run('abtest', EXPERT_PATH, 'prompts/reviewer.md@main', 'prompts/reviewer.md', '--samples', '4', '--swap-order',
+        '--context', 'context/a.md', '--context', 'context/b.md', '--test-suite', 'suites/reviewer.yaml');
+
+      expect(execute).toHaveBeenCalledWith(EXPERT_PATH, 'prompts/reviewer.md@main', 'prompts/reviewer.md', ['context/a.md', 'context/b.md'], 0,
+        { samples: 4, swapOrder: true, testSuitePath: 'suites/reviewer.yaml' });
+    });
+  });
+
+  describe('config', () => {
+    it('fills abtest defaults from ./.prompt-expert.json, with flags taking precedence', async () => {
+      writeConfig({ provider: 'local', results: { storage: 'none' }, abtest: { expert: EXPERT_PATH, samples: 5, swapOrder: true, context: ['context/a.md'] } });
+      const execute = jest.spyOn(ABTestTool.prototype, 'executeABTest').mockResolvedValue(abResult('B'));
+
+      await run('abtest', 'prompts/reviewer.md@main', 'prompts/reviewer.md');
+      await run('abtest', 'prompts/reviewer.md@main', 'prompts/reviewer.md', '--samples', '2');
+
+      expect(execute.mock.calls.map(call => [call[0], call[3], call[5].samples, call[5].swapOrder])).toEqual([
+        [EXPERT_PATH, ['context/a.md'], 5, true],
+        [EXPERT_PATH, ['context/a.md'], 2, true]
+      ]);
+    });
+
+    it('reads --config relative to the working directory and requires it to exist', async () => {
+      writeConfig({ provider: 'local', results: { storage: 'none' }, abtest: { expert: EXPERT_PATH } }, 'ci.json');
+      jest.spyOn(ABTestTool.prototype, 'executeABTest').mockResolvedValue(abResult('B'));
+
+      expect(await run('abtest', '-c', 'ci.json', 'prompts/reviewer.md@main', 'prompts/reviewer.md')).toBe(EXIT_CODES.OK);
+      expect(await run('abtest', '--config', 'missing.json', 'prompts/reviewer.md@main', 'prompts/reviewer.md')).toBe(EXIT_CODES.ERROR);
+      expect(stderr.text).toContain(`Error: Cannot read config file ${path.join(repository.dir, 'missing.json')}`);
+    });
+
+    it('rejects a config file that is not JSON, also without --config', async () => {
+      fs.writeFileSync(path.join(repository.dir, '.prompt-expert.json'), '{ provider: local }');
+
+      expect(await run('--json', 'experts', 'list')).toBe(EXIT_CODES.ERROR);
+      expect(JSON.parse(stdout.text)).toEqual({
+        success: false,
+        error: expect.stringMatching(/^Invalid JSON in config file .*\.prompt-expert\.json: /)
+      });
+    });
+  });
+
+  describe('abtest', () => {
+    it('runs the A/B test against the working tree and exits 2 when the variant is rejected', async () => {
+      fs.writeFileSync(path.join(repository.dir, 'prompts/reviewer.md'), '# Reviewer\n\nReview the code for bugs.\n\n## Rules\n- Be specific\n');
+
+      const code = await run('abtest', EXPERT_PATH, 'prompts/reviewer.md@HEAD', 'prompts/reviewer.md', '--samples', '2');
+
+      expect(code).toBe(EXIT_CODES.REJECT);
+      expect(stdout.text).toMatch(/^AB Test Complete: [\s\S]*\nAction: REJECT - Keep current version/);
+      // Library progress logs go to stderr so stdout carries only the result
+      expect(stderr.text).not.toBe('');
+    });
+
+    it('prints the result with its action as JSON and exits 0 on DEPLOY', async () => {
+      jest.spyOn(ABTestTool.prototype, 'executeABTest').mockResolvedValue(abResult('B'));
+
+      expect(await run('abtest', EXPERT_PATH, 'prompts/reviewer.md@main', 'prompts/reviewer.md', '--json')).toBe(EXIT_CODES.OK);
+      expect(JSON.parse(stdout.text)).toMatchObject({ success: true, action: 'DEPLOY', verdict: { winner: 'B' } });
+    });
+
+    it('lists missing files and exits 1 when the A/B test fails', async () => {
+      const failure = { success: false, error: 'Missing files', missingFiles: [{ type: 'Prompt B', file: 'prompts/missing.md', status: 404 }] };
+      jest.spyOn(ABTestTool.prototype, 'executeABTest').mockResolvedValue(failure);
+
+      expect(await run('abtest', EXPERT_PATH, 'prompts/reviewer.md', 'prompts/missing.md')).toBe(EXIT_CODES.ERROR);
+      expect(stdout.text).toBe('A/B test failed: Missing files\n  Prompt B: prompts/missing.md (404)\n');
+
+      stdout.text = '';
+      expect(await run('abtest', EXPERT_PATH, 'prompts/reviewer.md', 'prompts/missing.md', '--json')).toBe(EXIT_CODES.ERROR);
+      expect(JSON.parse(stdout.text)).toMatchObject({ ...failure, action: 'ERROR' });
+    });
+  });
+
+  describe('evaluate', () => {
+    const evaluation = (decision, score) => ({ decision, score, scenarios: [{}], improvements: decision === 'MERGE' ? [] : ['Add examples'] });
+
+    it('exits 2 when any file is rejected and 0 otherwise', async () => {
+      const execute = jest.spyOn(ExpertEvaluationIntegration.prototype, 'executeEvaluationTool');
+      execute.mockResolvedValueOnce({ results: [{ file: 'prompts/a.md', evaluation: evaluation('MERGE', 9) }, { file: 'prompts/b.md', evaluation: evaluation('REJECT', 3) }] });
+      execute.mockResolvedValueOnce({ results: [{ file: 'prompts/a.md', evaluation: evaluation('MERGE', 9) }] });
+
+      expect(await run('evaluate', 'prompts/a.md', 'prompts/b.md', '--domain', 'programming', '--repo', 'octo/prompts')).toBe(EXIT_CODES.REJECT);
+      expect(stdout.text).toContain('prompts/a.md: MERGE (9.0/10, 1 scenario(s))\nprompts/b.md: REJECT (3.0/10, 1 scenario(s))\n  - Add examples\n');
+      expect(stdout.text).toMatch(/Decision: REJECT\n$/);
+
+      stdout.text = '';
+      expect(await run('evaluate', 'prompts/a.md', '--domain', 'programming', '--repo', 'octo/prompts', '--json')).toBe(EXIT_CODES.OK);
+      expect(JSON.parse(stdout.text)).toMatchObject({ success: true, decision: 'MERGE', results: [{ file: 'prompts/a.md' }] });
+      expect(execute).toHaveBeenCalledWith('evaluate_prompt_changes', { domain: 'programming', files: ['prompts/a.md'], test_scenario: undefined }, {});
+    });
+
+    it('needs a domain, files and a repository', async () => {
+      expect(await run('evaluate', 'prompts/a.md')).toBe(EXIT_CODES.ERROR);
+      expect(await run('evaluate', '--domain', 'programming')).toBe(EXIT_CODES.ERROR);
+      expect(await run('evaluate', 'prompts/a.md', '--domain', 'programming')).toBe(EXIT_CODES.ERROR);
+
+      expect(stderr.text.split('\n').filter(line => line.startsWith('Error:'))).toEqual([
+        'Error: evaluate needs --domain (or evaluate.domain in the config file)',
+        'Error: evaluate needs prompt files or --pr <number>',
+        'Error: This command reads from GitHub: set --repo owner/repo, "repo" in the config file or GITHUB_REPOSITORY'
+      ]);
+    });
+  });
+
+  describe('experts', () => {
+    it('lists the experts of the working directory as text or JSON', async () => {
+      expect(await run('experts', 'list')).toBe(EXIT_CODES.OK);
+      expect(stdout.text).toMatch(/^programming-expert\s+5 criteria {2}Evaluates prompts for code generation/);
+
+      stdout.text = '';
+      expect(await run('experts', 'list', '--json')).toBe(EXIT_CODES.OK);
+      expect(JSON.parse(stdout.text)).toMatchObject({ success: true, experts: [{ name: 'programming-expert', path: EXPERT_PATH, criteria: 5 }] });
+    });
+
+    it('exits 1 when the expert index is stale under --check', async () => {
+      expect(await run('experts', 'index', '--check')).toBe(EXIT_CODES.ERROR);
+      expect(stdout.text).toBe('experts/index.json is out of date: run prompt-expert experts index\n');
+
+      stdout.text = '';
+      expect(await run('experts', 'index')).toBe(EXIT_CODES.OK);
+      expect(await run('experts', 'index', '--check')).toBe(EXIT_CODES.OK);
+      expect(stdout.text).toBe('experts/index.json written (1 experts)\nexperts/index.json is up to date (1 experts)\n');
+    });
+  });
+});
@@ -0,0 +1,243 @@
+const PromptExpertSession = require('../../src/scripts/prompt-expert-session');
+const { ABTestTool } = require('../../src/lib/abtest/ABTestTool');
+const { ExpertEvaluationIntegration } = require('../../src/lib/evaluation/ExpertEvaluationIntegration');
+const { createProvider } = require('../../src/lib/providers/ProviderFactory');
+const { BudgetGuard } = require('../../src/lib/usage/BudgetGuard');
+const { FakeOctokit } = require('../fakes/FakeOctokit');
+const { FakeAnthropic } = require('../fakes/FakeAnthropic');
+const { seedRepository, createScheduler, requestText } = require('../fakes/fixtures');
+
+const AB_TEST_INPUT = {
+  pathToExpertPromptDefinition: 'experts/programming-expert.md',
+  pathToPromptA: 'prompts/code-reviewer.md@main',
+  pathToPromptB: 'prompts/code-reviewer.md@feature/stricter',
+  samples: 1
+};
+
+/**
+ * Conversation that runs one A/B test and then answers; judge calls prefer the variant
+ */
+function abTestConversation(payload) {
+  if (payload.tool_choice && payload.tool_choice.type === 'tool') {
+    if (payload.tool_choice.name === 'submit_evaluation') {
+      return requestText(payload).includes('VARIANT-B') ? 'Score: 9/10' : 'Score: 5/10';
+    }
+    return 'Score: 8/10. The SECOND prompt is better. recommendProduction: true';
+  }
+  const last = payload.messages[payload.messages.length - 1];
+  return Array.isArray(last.content)
+    ? 'The stricter prompt wins.'
+    : [FakeAnthropic.text('Running an A/B test.')[0], FakeAnthropic.toolUse('ab_test', AB_TEST_INPUT, 'toolu_ab')];
+}
+
+describe('PromptExpertSession', () => {
+  const ENVIRONMENT = ['COMMENT_BODY', 'GITHUB_REPOSITORY', 'PR_NUMBER', 'ISSUE_NUMBER', 'INPUT_EXPERT-TYPE'];
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(ENVIRONMENT.map(name => [name, process.env[name]]));
+    process.env.GITHUB_REPOSITORY = 'octo/prompts';
+  });
+
+  afterEach(() => {
+    for (const name of ENVIRONMENT) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+  });
+
+  describe('parseCommand', () => {
+    it('takes everything after @prompt-expert as the request', () => {
+      process.env.COMMENT_BODY = 'Thanks!\n@prompt-expert compare the prompts\nin this PR';
+
+      expect(new PromptExpertSession().parseCommand()).toEqual({
+        prompt: 'compare the prompts\nin this PR',
+        raw: process.env.COMMENT_BODY,
+        mode: 'expert',
+        role: null
+      });
+    });
+
+    it('detects a leading expert role', () => {
+      process.env.COMMENT_BODY = '@prompt-expert security-expert analyze the PR';
+
+      expect(new PromptExpertSession().parseCommand()).toMatchObject({ role: 'security-expert', prompt: 'analyze the PR' });
+    });
+
+    it('resolves domains and aliases of registered experts to the expert id', () => {
+      process.env.COMMENT_BODY = '@prompt-expert Data analyze the PR';
+
+      expect(new PromptExpertSession().parseCommand()).toMatchObject({ role: 'data-analysis-expert', prompt: 'analyze the PR' });
+    });
+
+    it('falls back to the expert-type action input', () => {
+      process.env.COMMENT_BODY = '@prompt-expert analyze the PR';
+      process.env['INPUT_EXPERT-TYPE'] = 'programming';
+
+      expect(new PromptExpertSession().parseCommand()).toMatchObject({ role: 'programming-expert', prompt: 'analyze the PR' });
+
+      process.env['INPUT_EXPERT-TYPE'] = 'astrology';
+      expect(new PromptExpertSession().parseCommand()).toMatchObject({ role: null });
+    });
+
+    it('keeps unknown first words in the request', () => {
+      process.env.COMMENT_BODY = '@prompt-expert analyze the PR';
+
+      expect(new PromptExpertSession().parseCommand()).toMatchObject({ role: null, prompt: 'analyze the PR' });
+    });
+
+    it('rejects comments without the command', () => {
+      process.env.COMMENT_BODY = 'prompt-expert please help';
+
+      expect(() => new PromptExpertSession().parseCommand()).toThrow('Invalid command format. Use: @prompt-expert <request>');
+    });
+  });
+
+  describe('buildContext', () => {
+    it('reads the repository, pull request and issue from the environment', () => {
+      process.env.PR_NUMBER = '7';
+
+      const session = new PromptExpertSession();
+      const context = session.buildContext();
+
+      expect(session).toMatchObject({ repoOwner: 'octo', repoName: 'prompts' });
+      expect(context).toMatchObject({ repository: 'octo/prompts', repoOwner: 'octo', repoName: 'prompts', pr: { number: 7 } });
+      expect(context.issue).toBeUndefined();
+    });
+  });
+
+  describe('validateEnvironment', () => {
+    it('lists every missing variable', () => {
+      expect(() => new PromptExpertSession().validateEnvironment())
+        .toThrow('Missing required environment variables: GITHUB_TOKEN, ANTHROPIC_API_KEY, COMMENT_BODY');
+    });
+  });
+
+  describe('with fake clients', () => {
+    let octokit;
+    let anthropic;
+    let session;
+
+    beforeEach(() => {
+      octokit = new FakeOctokit();
+      seedRepository(octokit);
+      anthropic = new FakeAnthropic({ responses: abTestConversation });
+
+      session = new PromptExpertSession();
+      session.budget = new BudgetGuard();
+      session.scheduler = createScheduler();
+      const options = {
+        octokit,
+        anthropic,
+        repoOwner: 'octo',
+        repoName: 'prompts',
+        budget: session.budget,
+        scheduler: session.scheduler
+      };
+      session.abTestTool = new ABTestTool(options);
+      session.expertIntegration = new ExpertEvaluationIntegration(options);
+    });
+
+    describe('executeTools', () => {
+      it('routes A/B tests to the A/B test tool and merges their usage', async () => {
+        const [call] = await session.executeTools([FakeAnthropic.toolUse('ab_test', AB_TEST_INPUT, 'toolu_1')], {}, octokit);
+
+        expect(call).toMatchObject({ id: 'toolu_1', name: 'ab_test' });
+        expect(call.result.success).toBe(true);
+        expect(call.result.verdict.winner).toBe('B');
+        expect(session.usage.summary().requests).toBe(anthropic.calls.length);
+        expect(session.metrics).toEqual({ toolCalls: 1, errors: 0 });
+      });
+
+      it('routes evaluation tools to the expert integration', async () => {
+        const [call] = await session.executeTools([
+          FakeAnthropic.toolUse('get_prompt_history', { file_path: 'prompts/code-reviewer.md', limit: 1 }, 'toolu_2')
+        ], {}, octokit);
+
+        expect(call.result.versions).toHaveLength(1);
+        expect(call.result.trends.totalVersions).toBe(3);
+      });
+
+      it('answers unknown tools and tool failures with an error result', async () => {
+        const results = await session.executeTools([
+          FakeAnthropic.toolUse('delete_everything', {}, 'toolu_3'),
+          FakeAnthropic.toolUse('get_expert_feedback', { domain: 'programming' }, 'toolu_4')
+        ], {}, octokit);
+
+        expect(results.map(r => r.result)).toEqual([
+          { error: 'Unknown tool: delete_everything' },
+          { error: 'No PR context available' }
+        ]);
+        expect(session.metrics.toolCalls).toBe(2);
+      });
+    });
+
+    describe('callClaudeWithRetry', () => {
+      const payload = { max_tokens: 500, messages: [{ role: 'user', content: 'Which prompt is better?' }] };
+
+      it('holds the request estimate in the budget until the request succeeds or fails', async () => {
+        const provider = createProvider({ anthropic: new FakeAnthropic({ defaultText: 'Done' }) });
+        const createMessage = provider.createMessage.bind(provider);
+        const pending = [];
+        jest.spyOn(provider, 'createMessage').mockImplementation(async request => {
+          pending.push(session.budget.pending.tokens);
+          return createMessage(request);
+        });
+
+        await session.callClaudeWithRetry(provider, payload);
+
+        expect(pending[0]).toBe(session.budget.estimate(payload, provider).totalTokens);
+        expect(session.budget.pending.tokens).toBe(0);
+        expect(session.budget.usage.summary().requests).toBe(1);
+
+        const rejecting = createProvider({ anthropic: new FakeAnthropic({ responses: [FakeAnthropic.apiError(400, 'invalid_request_error', 'Bad request')] }) });
+        await expect(session.callClaudeWithRetry(rejecting, payload)).rejects.toThrow('Bad request');
+        expect(session.budget.pending).toEqual({ tokens: 0, cost: 0 });
+      });
+    });
+
+    describe('processRequest', () => {
+      it('runs the requested tools and returns the final answer', async () => {
+        const provider = createProvider({ anthropic });
+
+        const result = await session.processRequest({ prompt: 'Which prompt is better?', mode: 'expert', role: null },
+          { repository: 'octo/prompts', pr: { number: 7 } }, provider, octokit);
+
+        expect(result.response).toBe('The stricter prompt wins.');
+        expect(result.toolCalls.map(t => t.name)).toEqual(['ab_test']);
+
+        // The tool result answers the tool call in the follow-up request
+        const conversation = anthropic.calls.filter(call => !call.tool_choice || call.tool_choice.type === 'auto');
+        expect(conversation).toHaveLength(2);
+        expect(conversation[1].messages[2].content[0]).toMatchObject({ type: 'tool_result', tool_use_id: 'toolu_ab' });
+        expect(session.usage.summary().requests).toBe(anthropic.calls.length);
+      });
+    });
+
+    describe('postResults', () => {
+      it('comments on the pull request with the answer, the prompt diff and a stats footer', async () => {
+        const provider = createProvider({ anthropic });
+        const context = { repository: 'octo/prompts', pr: { number: 7 } };
+        const result = await session.processRequest({ prompt: 'Which prompt is better?', mode: 'expert', role: null }, context, provider, octokit);
+
+        await session.postResults(context, result, octokit);
+
+        expect(octokit.comments).toHaveLength(1);
+        const [comment] = octokit.comments;
+        expect(comment.issue_number).toBe(7);
+        expect(comment.body.startsWith('The stricter prompt wins.')).toBe(true);
+        expect(comment.body).toContain('+VARIANT-B: flag every unchecked input.');
+        expect(comment.body).toMatch(/<sub>tools: ab_test \| tokens: [\d,]+ in \/ [\d,]+ out/);
+      });
+
+      it('does not comment without a pull request or issue', async () => {
+        await session.postResults({}, { response: 'Done', toolCalls: [] }, octokit);
+
+        expect(octokit.comments).toHaveLength(0);
+      });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptRoleManager } = require('../../src/lib/evaluation/PromptRoleManager');
+const { FakeOctokit } = require('../fakes/FakeOctokit');
+const { seedRepository } = require('../fakes/fixtures');
+
+describe('PromptRoleManager', () => {
+  let octokit;
+  let workspace;
+
+  beforeEach(() => {
+    octokit = new FakeOctokit();
+    seedRepository(octokit);
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'role-manager-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  function createManager(repoName = 'prompts') {
+    return new PromptRoleManager({ octokit, repoOwner: 'octo', repoName, workspace });
+  }
+
+  describe('loadRole', () => {
+    it('loads an expert domain from the main branch on GitHub', async () => {
+      const role = await createManager().loadRole('programming-expert');
+
+      expect(octokit.callsTo('repos.getContent')).toEqual([
+        { owner: 'octo', repo: 'prompts', path: 'experts/programming-expert.md', ref: 'main' }
+      ]);
+      expect(role).toMatchObject({
+        name: 'programming-expert',
+        source: 'github',
+        path: 'experts/programming-expert.md',
+        sha: expect.stringMatching(/^[0-9a-f]{40}$/)
+      });
+      expect(role.systemPrompt).toContain('You are an expert in evaluating programming-focused prompts');
+      expect(role.metadata.domain).toBe('programming');
+      expect(role.metadata.weightedCriteria[0]).toEqual({ name: 'Code Correctness', weight: 0.3 });
+    });
+
+    it('resolves expert domains and aliases through the registry', async () => {
+      const role = await createManager().loadRole('programming');
+
+      expect(role).toMatchObject({ name: 'programming-expert', path: 'experts/programming-expert.md' });
+    });
+
+    it('falls back to the local workspace when GitHub has no such file', async () => {
+      fs.mkdirSync(path.join(workspace, 'experts'));
+      fs.writeFileSync(path.join(workspace, 'experts', 'local-expert.md'), '# Local\n\nReview carefully.\n');
+
+      const role = await createManager().loadRole('local-expert');
+
+      expect(role).toMatchObject({ name: 'local-expert', source: 'file' });
+      expect(role.systemPrompt).toBe('You are an expert assistant. Follow these guidelines:\n\nReview carefully.');
+    });
+
+    it('reads domain and version from the frontmatter only', async () => {
+      fs.mkdirSync(path.join(workspace, 'prompts'));
+      fs.writeFileSync(path.join(workspace, 'prompts', 'advisor.md'),
+        '# Advisor\n\nAsk about the problem domain: finance, health or law.\nSupported version: 2\n');
+
+      const role = await createManager().loadRole('prompts/advisor.md');
+
+      expect(role.metadata).toMatchObject({ domain: null, version: null });
+      expect((await createManager().loadRole('programming-expert')).metadata)
+        .toMatchObject({ domain: 'programming', version: '1.0.0' });
+    });
+
+    it('throws when the role exists nowhere', async () => {
+      await expect(createManager().loadRole('unknown-expert')).rejects.toThrow('Could not load role: unknown-expert');
+    });
+
+    it('caches roles until the cache is cleared', async () => {
+      const manager = createManager();
+
+      const first = await manager.loadRole('programming-expert');
+      expect(await manager.loadRole('programming-expert')).toBe(first);
+      expect(octokit.callsTo('repos.getContent')).toHaveLength(1);
+
+      manager.clearCache();
+      await manager.loadRole('programming-expert');
+      expect(octokit.callsTo('repos.getContent')).toHaveLength(2);
+    });
+  });
+
+  describe('getAvailableRoles', () => {
+    it('lists the experts directory on GitHub', async () => {
+      const roles = await createManager().getAvailableRoles();
+
+      expect(roles).toEqual([expect.objectContaining({
+        identifier: 'programming-expert',
+        name: 'Programming-expert Expert',
+        source: 'github',
+        path: 'experts/programming-expert.md'
+      })]);
+    });
+
+    it('lists local experts when the repository is unavailable', async () => {
+      fs.mkdirSync(path.join(workspace, 'experts'));
+      fs.writeFileSync(path.join(workspace, 'experts', 'security.md'), '# Security\n');
+      fs.writeFileSync(path.join(workspace, 'experts', 'notes.txt'), 'ignored');
+
+      const roles = await createManager('missing').getAvailableRoles();
+
+      expect(roles).toEqual([{ identifier: 'security', name: 'Security Expert', source: 'local', path: 'experts/security.md' }]);
+    });
+  });
+
+  describe('buildRoleSystemMessage', () => {
+    it('adds the run context and role details to the system prompt', async () => {
+      const role = await createManager().loadRole('programming-expert');
+
+      const message = createManager().buildRoleSystemMessage(role, {
+        repository: 'octo/prompts',
+        actor: 'reviewer',
+        pr: { number: 7 }
+      });
+
+      expect(message.startsWith(role.systemPrompt)).toBe(true);
+      expect(message).toContain('- Repository: octo/prompts\n- Actor: reviewer\n- Pull Request: #7');
+      expect(message).not.toContain('- Issue:');
+      expect(message).toContain('You are operating in the role of: programming-expert\nDomain expertise: programming');
+      expect(message).toContain('Evaluation criteria: Code Correctness, Code Quality');
+    });
+  });
+});
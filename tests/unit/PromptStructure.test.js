@@ -0,0 +1,113 @@
+const { PromptStructure } = require('../../src/lib/evaluation/PromptStructure');
+
+const PROMPT = [
+  'You are a code reviewer.',
+  '',
+  '# Rules',
+  '- Always cite line numbers',
+  '  when quoting code.',
+  '1. You should keep answers short.',
+  '',
+  '## Security',
+  '* Consider OWASP categories',
+  '',
+  '# Examples',
+  '```js',
+  '- not a rule',
+  '# not a heading',
+  '```',
+  '- Use plain language'
+].join('\n');
+
+describe('PromptStructure', () => {
+  describe('parse', () => {
+    it('finds nested sections, multi-line rules and fenced examples', () => {
+      const { sections, rules, examples } = PromptStructure.parse(PROMPT);
+
+      expect(sections).toEqual([
+        { title: 'Rules', level: 1, path: 'Rules', line: 3 },
+        { title: 'Security', level: 2, path: 'Rules > Security', line: 8 },
+        { title: 'Examples', level: 1, path: 'Examples', line: 11 }
+      ]);
+      expect(rules).toEqual([
+        { text: 'Always cite line numbers when quoting code.', section: 'Rules', line: 4, strength: 'required', level: 3 },
+        { text: 'You should keep answers short.', section: 'Rules', line: 6, strength: 'recommended', level: 2 },
+        { text: 'Consider OWASP categories', section: 'Rules > Security', line: 9, strength: 'optional', level: 1 },
+        { text: 'Use plain language', section: 'Examples', line: 16, strength: 'unspecified', level: 0 }
+      ]);
+      expect(examples).toEqual([{ language: 'js', content: '- not a rule\n# not a heading', section: 'Examples', line: 12 }]);
+    });
+
+    it('keeps an unterminated fence as an example', () => {
+      expect(PromptStructure.parse('Intro\n~~~\nexample').examples).toEqual([{ language: null, content: 'example', section: '', line: 2 }]);
+    });
+  });
+
+  describe('ruleStrength', () => {
+    it('takes the strongest modal wording in the rule', () => {
+      expect(PromptStructure.ruleStrength('You may add examples but must not invent APIs')).toEqual({ strength: 'required', level: 3 });
+      expect(PromptStructure.ruleStrength("Don't guess")).toEqual({ strength: 'required', level: 3 });
+      expect(PromptStructure.ruleStrength('Prefer short answers')).toEqual({ strength: 'recommended', level: 2 });
+      expect(PromptStructure.ruleStrength('Mustard is a condiment')).toEqual({ strength: 'unspecified', level: 0 });
+    });
+  });
+
+  describe('compare', () => {
+    it('classifies rule changes by strength and reports moved sections and examples', () => {
+      const oldPrompt = [
+        '# Role', 'You review code.',
+        '# Rules',
+        '- You should cite line numbers',
+        '- Always explain the fix',
+        '- Keep a friendly tone',
+        '- Mention test coverage',
+        '# Output', '```', 'Verdict: ...', '```'
+      ].join('\n');
+      const newPrompt = [
+        '# Rules',
+        '- You must cite line numbers',
+        '- Consider explaining the fix',
+        '- Keep a warm and friendly tone',
+        '- Flag hard-coded secrets',
+        '# Output:', '```', 'Verdict:   ...', '```',
+        '# Role', 'You review code.',
+        '# Format', '```json', '{}', '```'
+      ].join('\n');
+
+      const diff = PromptStructure.compare(oldPrompt, newPrompt);
+
+      expect(diff.sections).toEqual({ added: ['Format'], removed: [], reordered: ['Role'] });
+      expect(diff.rules).toEqual({
+        added: [{ section: 'Rules', text: 'Flag hard-coded secrets', strength: 'unspecified' }],
+        removed: [{ section: 'Rules', text: 'Mention test coverage', strength: 'unspecified' }],
+        tightened: [{ section: 'Rules', old: 'You should cite line numbers', new: 'You must cite line numbers', from: 'recommended', to: 'required' }],
+        relaxed: [{ section: 'Rules', old: 'Always explain the fix', new: 'Consider explaining the fix', from: 'required', to: 'optional' }],
+        reworded: [{ section: 'Rules', old: 'Keep a friendly tone', new: 'Keep a warm and friendly tone', from: 'unspecified', to: 'unspecified' }]
+      });
+      expect(diff.examples).toEqual({ added: [{ section: 'Format', language: 'json', line: 13 }], removed: [] });
+      expect(diff.summary).toEqual([
+        'Section added: Format',
+        'Section moved: Role',
+        'Rule added in Rules: Flag hard-coded secrets',
+        'Rule removed from Rules: Mention test coverage',
+        'Rule tightened (recommended → required): You must cite line numbers',
+        'Rule relaxed (required → optional): Consider explaining the fix',
+        'Rule reworded: Keep a warm and friendly tone',
+        'Example added in Format (json)'
+      ]);
+    });
+
+    it('reports nothing for whitespace and case-only edits', () => {
+      const diff = PromptStructure.compare('- Be  brief\n```\na b\n```', '- be brief\n```\na\tb\n```');
+
+      expect(diff.summary).toEqual([]);
+    });
+  });
+
+  describe('similarity', () => {
+    it('ignores modal words', () => {
+      expect(PromptStructure.similarity('You should cite sources', 'You must cite sources')).toBe(1);
+      expect(PromptStructure.similarity('must', 'should')).toBe(0);
+    });
+  });
+});
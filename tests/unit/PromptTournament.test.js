@@ -0,0 +1,105 @@
+const { PromptTournament, MAX_CANDIDATES } = require('../../src/lib/abtest/PromptTournament');
+
+/**
+ * A/B test tool stand-in whose judge prefers the evaluation with the higher score
+ */
+function createTool() {
+  return {
+    validateInputs: jest.fn(),
+    getDetailedComparison: jest.fn(async (expert, first, second) => ({
+      preferred: first.aggregateScore === second.aggregateScore ? 'TIE' : first.aggregateScore > second.aggregateScore ? 'FIRST' : 'SECOND'
+    })),
+    runPositionSwapComparison: jest.fn(async () => ({ preferred: 'TIE', consistency: 0, inconclusive: true }))
+  };
+}
+
+const candidate = (id, score) => ({
+  id, path: `prompts/${id.toLowerCase()}.md`, content: { content: `Prompt ${id}` }, evaluation: { aggregateScore: score }
+});
+
+describe('PromptTournament', () => {
+  describe('schedule', () => {
+    it('pairs every candidate once in round-robin and against the baseline in pairwise mode', () => {
+      expect(PromptTournament.schedule(4, 'round-robin')).toEqual([[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]]);
+      expect(PromptTournament.schedule(4, 'pairwise')).toEqual([[0, 1], [0, 2], [0, 3]]);
+      expect(PromptTournament.label(2)).toBe('C');
+    });
+  });
+
+  describe('validateInputs', () => {
+    it('rejects too few, too many, duplicate candidates and unknown modes', () => {
+      const tournament = new PromptTournament({ abTestTool: createTool() });
+      const paths = count => Array.from({ length: count }, (_, i) => `prompts/p${i}.md`);
+
+      expect(() => tournament.validateInputs('experts/x.md', paths(1), 'round-robin')).toThrow('A tournament needs at least 2 prompt paths');
+      expect(() => tournament.validateInputs('experts/x.md', paths(MAX_CANDIDATES + 1), 'round-robin')).toThrow(`Too many candidates (max ${MAX_CANDIDATES}, got ${MAX_CANDIDATES + 1})`);
+      expect(() => tournament.validateInputs('experts/x.md', ['a.md', 'b.md', 'a.md'], 'round-robin')).toThrow('Prompt paths must be distinct');
+      expect(() => tournament.validateInputs('experts/x.md', paths(3), 'knockout')).toThrow('Unknown tournament mode "knockout". Use one of: round-robin, pairwise');
+
+      tournament.validateInputs('experts/x.md', paths(4), 'pairwise');
+      // Candidates after the first two are checked against the baseline
+      expect(tournament.abTestTool.validateInputs.mock.calls.map(call => call[2])).toEqual(['prompts/p2.md', 'prompts/p3.md']);
+    });
+  });
+
+  describe('playMatch', () => {
+    it('alternates the presentation order and maps the preference back to the candidates', async () => {
+      const tool = createTool();
+      const tournament = new PromptTournament({ abTestTool: tool });
+      const [a, b] = [candidate('A', 6), candidate('B', 8)];
+
+      const even = await tournament.playMatch('expert', a, b, 0, {});
+      const odd = await tournament.playMatch('expert', a, b, 1, {});
+
+      expect(even).toEqual({ a: 'A', b: 'B', result: 0, preferred: 'B', presentedFirst: 'A' });
+      expect(odd).toEqual({ a: 'A', b: 'B', result: 0, preferred: 'B', presentedFirst: 'B' });
+      expect(tool.getDetailedComparison.mock.calls.map(call => [call[1], call[2]])).toEqual([[a.evaluation, b.evaluation], [b.evaluation, a.evaluation]]);
+      expect(tool.getDetailedComparison.mock.calls.map(call => call[5])).toEqual([
+        { blind: true, contents: ['Prompt A', 'Prompt B'] }, { blind: true, contents: ['Prompt B', 'Prompt A'] }
+      ]);
+    });
+
+    it('counts a judge tie, or a preference that flips with position, as half a win', async () => {
+      const tool = createTool();
+      const tournament = new PromptTournament({ abTestTool: tool });
+
+      expect(await tournament.playMatch('expert', candidate('A', 7), candidate('B', 7), 0, {})).toMatchObject({ result: 0.5, preferred: 'TIE' });
+      expect(await tournament.playMatch('expert', candidate('A', 9), candidate('C', 2), 0, { swapOrder: true })).toEqual({
+        a: 'A', b: 'C', result: 0.5, preferred: 'TIE', positionConsistency: 0, inconclusive: true
+      });
+
+      tool.runPositionSwapComparison.mockResolvedValue({ preferred: 'B', consistency: 1, inconclusive: false });
+      expect(await tournament.playMatch('expert', candidate('A', 9), candidate('C', 2), 0, { swapOrder: true })).toMatchObject({ result: 0, preferred: 'C' });
+      expect(tool.runPositionSwapComparison).toHaveBeenLastCalledWith('expert', { aggregateScore: 9 }, { aggregateScore: 2 }, ['Prompt A', 'Prompt C']);
+    });
+  });
+
+  describe('formatLeaderboard', () => {
+    it('renders standings best first with record, rating and mean score', () => {
+      const result = {
+        mode: 'round-robin',
+        standings: [
+          { rank: 1, id: 'B', path: 'prompts/b.md', rating: 1620.4, wins: 2, losses: 0, ties: 0, meanScore: 8.25 },
+          { rank: 2, id: 'A', path: 'prompts/a.md', rating: 1500, wins: 1, losses: 1, ties: 0, meanScore: 7 },
+          { rank: 3, id: 'C', path: 'prompts/c.md', rating: 1379.6, wins: 0, losses: 2, ties: 0, meanScore: 5 }
+        ],
+        matches: [{ a: 'A', b: 'B' }, { a: 'A', b: 'C' }, { a: 'B', b: 'C', inconclusive: true }]
+      };
+
+      expect(PromptTournament.formatLeaderboard(result).split('\n')).toEqual([
+        '### 🏆 Prompt Tournament Leaderboard (round-robin)',
+        '',
+        '| Rank | Candidate | Prompt | Rating | W-L-T | Mean Score |',
+        '|------|-----------|--------|--------|-------|------------|',
+        '| 1 | B | `prompts/b.md` | 1620 | 2-0-0 | 8.3/10 |',
+        '| 2 | A | `prompts/a.md` | 1500 | 1-1-0 | 7.0/10 |',
+        '| 3 | C | `prompts/c.md` | 1380 | 0-2-0 | 5.0/10 |',
+        '',
+        '<sub>Bradley-Terry ratings on the Elo scale (1500 = average) from 3 expert comparison(s); 1 flipped with presentation order and counted as ties.</sub>'
+      ]);
+      expect(PromptTournament.generateSummary(result)).toBe(
+        'Tournament Complete: Candidate B (prompts/b.md) ranks first of 3 with rating 1620, 120 points ahead of A (67% expected preference).'
+      );
+    });
+  });
+});
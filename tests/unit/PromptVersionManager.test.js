@@ -0,0 +1,113 @@
+const { PromptVersionManager } = require('../../src/lib/evaluation/PromptVersionManager');
+const { FakeOctokit } = require('../fakes/FakeOctokit');
+const { PROMPT_VERSIONS, seedRepository, createResultStore } = require('../fakes/fixtures');
+
+const PROMPT_PATH = 'prompts/code-reviewer.md';
+
+describe('PromptVersionManager', () => {
+  let octokit;
+  let shas;
+  let manager;
+
+  beforeEach(() => {
+    octokit = new FakeOctokit();
+    shas = seedRepository(octokit);
+    manager = new PromptVersionManager({ octokit, repoOwner: 'octo', repoName: 'prompts' });
+  });
+
+  describe('getVersionHistory', () => {
+    it('returns the commits that changed the file, newest first, with their content', async () => {
+      const history = await manager.getVersionHistory(PROMPT_PATH);
+
+      expect(history.map(v => v.sha)).toEqual([shas.third, shas.second, shas.first]);
+      expect(history.map(v => v.content)).toEqual([...PROMPT_VERSIONS].reverse());
+      expect(history[0]).toMatchObject({
+        version: shas.third.substring(0, 8),
+        author: 'Test Author',
+        message: 'Apply expert improvement suggestions'
+      });
+      expect(history[0].metadata).toMatchObject({ sectionCount: 3, ruleCount: 2, hasExamples: false });
+    });
+
+    it('starts at the given ref', async () => {
+      const history = await manager.getVersionHistory(PROMPT_PATH, 10, { ref: 'feature/stricter' });
+
+      expect(history.map(v => v.sha)).toEqual([shas.feature, shas.third, shas.second, shas.first]);
+    });
+
+    it('caches histories per file, limit and ref', async () => {
+      await manager.getVersionHistory(PROMPT_PATH, 2);
+      await manager.getVersionHistory(PROMPT_PATH, 2);
+
+      expect(octokit.callsTo('repos.listCommits')).toHaveLength(1);
+      expect(octokit.callsTo('repos.listCommits')[0]).toMatchObject({ path: PROMPT_PATH, per_page: 2 });
+    });
+
+    it('returns an empty history when GitHub is unavailable', async () => {
+      const offline = new PromptVersionManager({ octokit, repoOwner: 'octo', repoName: 'missing' });
+
+      await expect(offline.getVersionHistory(PROMPT_PATH)).resolves.toEqual([]);
+    });
+  });
+
+  describe('compareVersions', () => {
+    it('diffs two versions by short hash and scores the structural change', async () => {
+      const comparison = await manager.compareVersions(PROMPT_PATH, shas.first.substring(0, 8), shas.third);
+
+      expect(comparison.oldVersion.sha).toBe(shas.first);
+      expect(comparison.newVersion.sha).toBe(shas.third);
+      expect(comparison.changes.linesAdded).toBeGreaterThan(0);
+      expect(comparison.changes.unified).toContain(`${PROMPT_PATH}@${shas.first.substring(0, 8)}`);
+      expect(comparison.structure.rules.added.map(r => r.text)).toEqual(['Be specific', 'Cite line numbers']);
+      expect(comparison.improvementScore).toBeGreaterThan(0);
+    });
+
+    it('rejects versions outside the history', async () => {
+      await expect(manager.compareVersions(PROMPT_PATH, 'deadbeef', shas.third)).rejects.toThrow('One or both versions not found');
+    });
+  });
+
+  describe('getImprovementTrends', () => {
+    it('reports each change with its expert decision and quality indicators', async () => {
+      const trends = await manager.getImprovementTrends(PROMPT_PATH);
+
+      expect(trends.totalVersions).toBe(3);
+      expect(trends.timespan).toEqual({ start: '2026-01-01T00:00:00.000Z', end: '2026-01-01T02:00:00.000Z' });
+      expect(trends.improvements.map(i => i.expertDecision)).toEqual(['SUGGEST', 'UNKNOWN']);
+      expect(trends.improvements[0].qualityIndicators).toMatchObject({ addedRules: 1, addedSections: 1 });
+      expect(trends.expertFeedback.map(f => f.version)).toEqual([shas.third.substring(0, 8), shas.second.substring(0, 8)]);
+    });
+  });
+
+  describe('trackFeedbackCycle', () => {
+    it('counts cycles from commit messages without a result store', async () => {
+      const cycle = await manager.trackFeedbackCycle(PROMPT_PATH, 'SUGGEST', ['Add examples']);
+
+      // "Apply expert improvement suggestions" is the only earlier suggestion
+      expect(cycle).toMatchObject({ filePath: PROMPT_PATH, expertDecision: 'SUGGEST', cycleNumber: 2 });
+      expect(cycle.record).toBeUndefined();
+    });
+
+    it('persists cycles to the result store, counting each revision once', async () => {
+      const store = createResultStore();
+      const tracked = new PromptVersionManager({ octokit, repoOwner: 'octo', repoName: 'prompts', resultStore: store });
+
+      const first = await tracked.trackFeedbackCycle(PROMPT_PATH, 'SUGGEST', [], { sha: 'aaa', pr: 7, score: 6 });
+      const again = await tracked.trackFeedbackCycle(PROMPT_PATH, 'SUGGEST', [], { sha: 'aaa', pr: 7, score: 6.5 });
+      const next = await tracked.trackFeedbackCycle(PROMPT_PATH, 'MERGE', [], { sha: 'bbb', pr: 7, score: 9 });
+
+      expect([first.cycleNumber, again.cycleNumber, next.cycleNumber]).toEqual([1, 1, 2]);
+      expect(next.record).toMatchObject({ kind: 'evaluation', file: PROMPT_PATH, decision: 'MERGE', cycle: 2, pr: 7 });
+      expect(octokit.callsTo('repos.listCommits')).toHaveLength(0);
+    });
+  });
+
+  describe('calculateChanges', () => {
+    it('flags changes to more than 10% of the lines as significant', () => {
+      const base = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+
+      expect(manager.calculateChanges(base, `${base}\nline 20`).significantChange).toBe(false);
+      expect(manager.calculateChanges(base, `${base}\nline 20\nline 21\nline 22`).significantChange).toBe(true);
+    });
+  });
+});
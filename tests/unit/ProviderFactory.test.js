@@ -0,0 +1,65 @@
+const path = require('path');
+const {
+  createProvider,
+  loadProviderConfig,
+  resolveProviderSettings,
+  requiredApiKeyEnv
+} = require('../../src/lib/providers/ProviderFactory');
+const { OpenAICompatibleProvider } = require('../../src/lib/providers/OpenAICompatibleProvider');
+const { LocalStubProvider } = require('../../src/lib/providers/LocalStubProvider');
+const { RecordReplayProvider } = require('../../src/lib/providers/RecordReplayProvider');
+
+const MISSING_CONFIG = path.join(__dirname, 'missing-providers.json');
+
+describe('ProviderFactory', () => {
+  afterEach(() => {
+    delete process.env.PROMPT_EXPERT_PROVIDER;
+    delete process.env.PROMPT_EXPERT_MODEL;
+  });
+
+  describe('resolveProviderSettings', () => {
+    it('defaults to the configured provider and model', () => {
+      expect(resolveProviderSettings()).toMatchObject({ name: 'anthropic', type: 'anthropic', model: 'claude-sonnet-4-20250514' });
+    });
+
+    it('prefers options over environment variables over the config default', () => {
+      process.env.PROMPT_EXPERT_PROVIDER = 'openai';
+      process.env.PROMPT_EXPERT_MODEL = 'gpt-4o-mini';
+
+      expect(resolveProviderSettings()).toMatchObject({ name: 'openai', type: 'openai-compatible', model: 'gpt-4o-mini' });
+      expect(resolveProviderSettings({ providerName: 'local', model: 'stub-2' })).toMatchObject({ name: 'local', model: 'stub-2' });
+    });
+
+    it('rejects unknown providers and types', () => {
+      expect(() => resolveProviderSettings({ providerName: 'mystery' }))
+        .toThrow('Unknown LLM provider "mystery". Configured providers: anthropic, openai, local');
+      expect(() => resolveProviderSettings({ config: { providers: { odd: { type: 'grpc' } } }, providerName: 'odd' }))
+        .toThrow('Provider "odd" has unsupported type "grpc"');
+    });
+
+    it('keeps every built-in provider when the config file is missing', () => {
+      const config = loadProviderConfig(MISSING_CONFIG);
+      process.env.PROMPT_EXPERT_PROVIDER = 'openai';
+
+      expect(Object.keys(config.providers)).toEqual(['anthropic', 'openai', 'local']);
+      expect(resolveProviderSettings({ config })).toMatchObject({ type: 'openai-compatible', apiKeyEnv: 'OPENAI_API_KEY' });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('using the built-in providers'));
+    });
+  });
+
+  describe('createProvider', () => {
+    it('instantiates the provider class of the resolved type', () => {
+      expect(createProvider({ providerName: 'local' })).toBeInstanceOf(LocalStubProvider);
+      expect(createProvider({ providerName: 'openai' })).toBeInstanceOf(OpenAICompatibleProvider);
+    });
+
+    it('wraps the provider for record/replay and then needs no API key for replays', () => {
+      const options = { providerName: 'anthropic', cassette: 'cassette.json', recordMode: 'replay' };
+
+      expect(createProvider(options)).toBeInstanceOf(RecordReplayProvider);
+      expect(requiredApiKeyEnv(options)).toBeNull();
+      expect(requiredApiKeyEnv({ providerName: 'anthropic' })).toBe('ANTHROPIC_API_KEY');
+      expect(requiredApiKeyEnv({ providerName: 'local' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { Ranking, BASE_RATING } = require('../../src/lib/abtest/Ranking');
+
+/**
+ * Matches from a win matrix: `wins[a][b]` is how often a was preferred over b
+ */
+function matchesFrom(wins) {
+  const matches = [];
+  for (const [a, row] of Object.entries(wins)) {
+    for (const [b, count] of Object.entries(row)) {
+      for (let i = 0; i < count; i++) matches.push({ a, b, result: 1 });
+    }
+  }
+  return matches;
+}
+
+describe('Ranking', () => {
+  describe('bradleyTerry', () => {
+    it('matches the closed form for two players', () => {
+      const matches = matchesFrom({ a: { b: 3 }, b: { a: 1 } });
+
+      // Without a prior the odds are the win ratio 3:1, with geometric mean 1
+      const plain = Ranking.bradleyTerry(['a', 'b'], matches, { prior: 0 });
+      expect(plain.a).toBeCloseTo(Math.sqrt(3), 6);
+      expect(plain.b).toBeCloseTo(1 / Math.sqrt(3), 6);
+
+      // The default prior adds half a win each way: 3.5:1.5
+      const shrunk = Ranking.bradleyTerry(['a', 'b'], matches);
+      expect(shrunk.a / shrunk.b).toBeCloseTo(3.5 / 1.5, 6);
+    });
+
+    it('solves the maximum-likelihood equations for a known win matrix', () => {
+      const wins = { a: { b: 4, c: 5 }, b: { a: 2, c: 3 }, c: { a: 1, b: 3 } };
+      const players = ['a', 'b', 'c'];
+      const strength = Ranking.bradleyTerry(players, matchesFrom(wins), { prior: 0 });
+
+      // Each player's expected wins under the fit equal its actual wins
+      for (const p of players) {
+        const actual = players.reduce((sum, q) => sum + ((wins[p] || {})[q] || 0), 0);
+        const expected = players.filter(q => q !== p).reduce((sum, q) => {
+          const games = (wins[p][q] || 0) + (wins[q][p] || 0);
+          return sum + games * strength[p] / (strength[p] + strength[q]);
+        }, 0);
+        expect(expected).toBeCloseTo(actual, 6);
+      }
+      expect(strength.a).toBeGreaterThan(strength.b);
+      expect(strength.b).toBeGreaterThan(strength.c);
+      expect(strength.a * strength.b * strength.c).toBeCloseTo(1, 9);
+    });
+
+    it('rates players equally when every match is tied or the wins are cyclic', () => {
+      const tied = Ranking.bradleyTerry(['a', 'b'], [{ a: 'a', b: 'b', result: 0.5 }, { a: 'b', b: 'a', result: 0.5 }]);
+      expect(tied).toEqual({ a: 1, b: 1 });
+
+      const cyclic = Ranking.bradleyTerry(['a', 'b', 'c'], matchesFrom({ a: { b: 1 }, b: { c: 1 }, c: { a: 1 } }));
+      for (const value of Object.values(cyclic)) expect(value).toBeCloseTo(1, 9);
+    });
+
+    it('keeps a candidate without wins at a finite strength', () => {
+      const strength = Ranking.bradleyTerry(['a', 'b', 'c'], matchesFrom({ a: { b: 1, c: 2 }, b: { c: 2 } }));
+
+      expect(strength.c).toBeGreaterThan(0);
+      expect(Number.isFinite(strength.a)).toBe(true);
+      expect(strength.a).toBeGreaterThan(strength.b);
+      expect(strength.b).toBeGreaterThan(strength.c);
+    });
+  });
+
+  describe('rank', () => {
+    it('orders players by rating and tallies wins, losses and ties', () => {
+      const matches = [
+        { a: 'A', b: 'B', result: 1 },
+        { a: 'A', b: 'C', result: 0.5 },
+        { a: 'B', b: 'C', result: 0 },
+        { a: 'C', b: 'A', result: 1 }
+      ];
+
+      const standings = Ranking.rank(['A', 'B', 'C'], matches);
+
+      expect(standings.map(s => [s.rank, s.id, s.wins, s.losses, s.ties, s.played])).toEqual([
+        [1, 'C', 2, 0, 1, 3],
+        [2, 'A', 1, 1, 1, 3],
+        [3, 'B', 0, 2, 0, 2]
+      ]);
+      expect(standings[2].rating).toBeLessThan(BASE_RATING);
+      expect(standings[0].rating).toBeCloseTo(Ranking.toElo(standings[0].strength), 9);
+    });
+
+    it('breaks rating ties with the tiebreak scores', () => {
+      const matches = [{ a: 'A', b: 'B', result: 0.5 }];
+
+      expect(Ranking.rank(['A', 'B'], matches).map(s => s.id)).toEqual(['A', 'B']);
+      expect(Ranking.rank(['A', 'B'], matches, { tiebreak: { A: 6.5, B: 7 } }).map(s => s.id)).toEqual(['B', 'A']);
+    });
+  });
+
+  describe('Elo scale', () => {
+    it('maps strength 1 to 1500 and a 400-point gap to 10:1 odds', () => {
+      expect(Ranking.toElo(1)).toBe(BASE_RATING);
+      expect(Ranking.toElo(10)).toBeCloseTo(BASE_RATING + 400, 9);
+      expect(Ranking.expectedScore(1900, 1500)).toBeCloseTo(10 / 11, 9);
+      expect(Ranking.expectedScore(1500, 1500)).toBe(0.5);
+    });
+  });
+});
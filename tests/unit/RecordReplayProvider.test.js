@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RecordReplayProvider } = require('../../src/lib/providers/RecordReplayProvider');
+const { LocalStubProvider } = require('../../src/lib/providers/LocalStubProvider');
+
+const REQUEST = {
+  system: 'You are a judge.',
+  messages: [{ role: 'user', content: 'Score this prompt' }],
+  max_tokens: 100
+};
+
+const textOf = response => response.content[0].text;
+
+describe('RecordReplayProvider', () => {
+  let dir;
+  let cassettePath;
+
+  beforeEach(() => {
+    RecordReplayProvider.clearCache();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    cassettePath = path.join(dir, 'nested', 'run.json');
+  });
+
+  afterEach(() => {
+    RecordReplayProvider.clearCache();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function wrap(mode, responses = ['first', 'second', 'third']) {
+    const inner = new LocalStubProvider({ responses });
+    return { inner, provider: new RecordReplayProvider({ provider: inner, cassettePath, mode }) };
+  }
+
+  describe('requestKey', () => {
+    it('hashes model, system, messages and tools independent of key order', () => {
+      const key = RecordReplayProvider.requestKey({ model: 'm', ...REQUEST });
+
+      expect(key).toMatch(/^[0-9a-f]{64}$/);
+      expect(RecordReplayProvider.requestKey({ messages: REQUEST.messages, system: REQUEST.system, model: 'm', max_tokens: 5 })).toBe(key);
+      expect(RecordReplayProvider.requestKey({ model: 'other', ...REQUEST })).not.toBe(key);
+      expect(RecordReplayProvider.requestKey({ model: 'm', ...REQUEST, tools: [{ name: 'submit' }] })).not.toBe(key);
+    });
+
+    it('serializes objects with sorted keys and drops undefined values', () => {
+      expect(RecordReplayProvider.canonicalize({ b: 1, a: [undefined, { d: undefined, c: 'x' }] })).toBe('{"a":[null,{"c":"x"}],"b":1}');
+    });
+  });
+
+  describe('createMessage', () => {
+    it('records repeated identical requests in order and replays them without the wrapped provider', async () => {
+      const recorder = wrap('record');
+      expect(textOf(await recorder.provider.createMessage(REQUEST))).toBe('first');
+      expect(textOf(await recorder.provider.createMessage(REQUEST))).toBe('second');
+
+      const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+      const key = RecordReplayProvider.requestKey({ model: 'local-stub', ...REQUEST });
+      expect(Object.keys(cassette.interactions)).toEqual([key]);
+      expect(cassette.interactions[key][0].request).toEqual({ model: 'local-stub', system: REQUEST.system, messages: REQUEST.messages, tools: null });
+
+      RecordReplayProvider.clearCache();
+      const replayer = wrap('replay');
+      expect(textOf(await replayer.provider.createMessage(REQUEST))).toBe('first');
+      expect(textOf(await replayer.provider.createMessage(REQUEST))).toBe('second');
+      expect(replayer.inner.calls).toHaveLength(0);
+
+      await expect(replayer.provider.createMessage(REQUEST)).rejects.toMatchObject({
+        code: 'CASSETTE_MISS',
+        message: expect.stringContaining('(call #3)')
+      });
+    });
+
+    it('records only the missing slots in auto mode', async () => {
+      await wrap('record').provider.createMessage(REQUEST);
+      RecordReplayProvider.clearCache();
+
+      const auto = wrap('auto', ['live']);
+      expect(textOf(await auto.provider.createMessage(REQUEST))).toBe('first');
+      expect(textOf(await auto.provider.createMessage(REQUEST))).toBe('live');
+      expect(auto.inner.calls).toHaveLength(1);
+    });
+
+    it('replaces the entries of a request re-recorded in record mode', async () => {
+      const first = wrap('record');
+      await first.provider.createMessage(REQUEST);
+      await first.provider.createMessage(REQUEST);
+      RecordReplayProvider.clearCache();
+
+      await wrap('record', ['fresh']).provider.createMessage(REQUEST);
+
+      const [entries] = Object.values(JSON.parse(fs.readFileSync(cassettePath, 'utf8')).interactions);
+      expect(entries.map(entry => textOf(entry.response))).toEqual(['fresh']);
+    });
+
+    it('shares call counters between wrappers of the same cassette', async () => {
+      await wrap('record').provider.createMessage(REQUEST);
+      await wrap('record').provider.createMessage(REQUEST);
+
+      const [entries] = Object.values(JSON.parse(fs.readFileSync(cassettePath, 'utf8')).interactions);
+      expect(entries).toHaveLength(2);
+    });
+  });
+
+  it('rejects unknown modes and invalid cassette files', () => {
+    expect(() => wrap('rewind')).toThrow('Unknown record mode "rewind". Expected one of: record, replay, auto');
+    expect(() => new RecordReplayProvider({ provider: new LocalStubProvider() })).toThrow('requires a cassettePath');
+
+    fs.mkdirSync(path.dirname(cassettePath));
+    fs.writeFileSync(cassettePath, '{"version":1}');
+    expect(() => wrap('replay')).toThrow(`Invalid cassette file: ${cassettePath}`);
+  });
+});
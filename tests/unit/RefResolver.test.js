@@ -0,0 +1,162 @@
+const { RefResolver, MAX_HISTORY } = require('../../src/lib/sources/RefResolver');
+const { LocalGitContentSource } = require('../../src/lib/sources/LocalGitContentSource');
+const { GitHubContentSource } = require('../../src/lib/sources/GitHubContentSource');
+const { createGitRepository } = require('../fakes/gitRepository');
+const { FakeOctokit } = require('../fakes/FakeOctokit');
+const { seedRepository } = require('../fakes/fixtures');
+
+const PROMPT = { owner: 'octo', repo: 'prompts', filePath: 'prompts/code-reviewer.md' };
+
+function at(version) {
+  return { ...PROMPT, version };
+}
+
+/**
+ * Rejection of `promise`, for asserting on the error's code and status
+ */
+async function failure(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('RefResolver', () => {
+  let repository;
+  let source;
+  let shas;
+  let resolver;
+  let local;
+
+  beforeEach(() => {
+    // Three versions of the prompt on main (v1.0 tags the second), pull request #7 on top
+    // of the third, a commit on main that does not touch the prompt, then a merged docs
+    // branch (started from the third commit, so its commit is newer than main's last one)
+    repository = createGitRepository();
+    shas = {
+      first: repository.commit({ 'prompts/code-reviewer.md': '# Code Reviewer\n\nv1\n', 'context/api.md': '# API\n' }),
+      second: repository.commit({ 'prompts/code-reviewer.md': '# Code Reviewer\n\nv2\n' }),
+      third: repository.commit({ 'prompts/code-reviewer.md': '# Code Reviewer\n\nv3\n' })
+    };
+    repository.git('tag', 'v1.0', shas.second);
+    repository.git('checkout', '--quiet', '-b', 'feature/stricter');
+    shas.feature = repository.commit({ 'prompts/code-reviewer.md': '# Code Reviewer\n\nv3\nBe strict.\n' });
+    repository.git('update-ref', 'refs/pull/7/head', shas.feature);
+    repository.git('checkout', '--quiet', 'main');
+    shas.unrelated = repository.commit({ 'context/api.md': '# API v2\n' });
+    repository.git('checkout', '--quiet', '-b', 'docs', shas.third);
+    shas.docs = repository.commit({ 'context/guide.md': '# Guide\n' });
+    repository.git('checkout', '--quiet', 'main');
+    shas.merge = repository.merge('docs');
+
+    source = new LocalGitContentSource({ rootDir: repository.dir, repoOwner: 'octo', repoName: 'prompts' });
+    // In a pull request history is counted from its head; a checkout of the head counts from HEAD
+    resolver = new RefResolver({ contentSource: source, baseRef: 'main', prNumber: 7 });
+    local = new RefResolver({ contentSource: source, baseRef: 'main', prNumber: 7, headRef: 'HEAD' });
+  });
+
+  afterEach(() => {
+    repository.remove();
+  });
+
+  describe('parse', () => {
+    it('recognizes relative references and passes everything else through', () => {
+      expect(RefResolver.parse('3commits-ago')).toEqual({ kind: 'commits-ago', value: 3 });
+      expect(RefResolver.parse('1 commit-ago')).toEqual({ kind: 'commits-ago', value: 1 });
+      expect(RefResolver.parse('HEAD~2')).toEqual({ kind: 'head-offset', value: 2 });
+      expect(RefResolver.parse('2026-01-01T01:30Z')).toEqual({ kind: 'date', value: '2026-01-01T01:30Z' });
+      expect(['main', 'v1.0', 'HEAD', 'abc1234', undefined].map(RefResolver.parse)).toEqual([null, null, null, null, null]);
+    });
+  });
+
+  describe('resolve', () => {
+    it('counts commits-ago in the file history from the pull request head', async () => {
+      expect(await resolver.resolve(at('1commits-ago'))).toEqual({ ...at(shas.third), ref: '1commits-ago' });
+      expect((await resolver.resolve(at('0commits-ago'))).version).toBe(shas.feature);
+      expect((await local.resolve(at('0commits-ago'))).version).toBe(shas.third);
+      expect((await local.resolve(at('1commits-ago'))).version).toBe(shas.second);
+    });
+
+    it('follows first parents for HEAD~N, so commits of merged branches do not count', async () => {
+      // git log lists the docs commit right after the merge, but it is not a first parent
+      expect((await source.listCommits(at('HEAD'), { limit: 3 })).map(commit => commit.sha)).toEqual([shas.merge, shas.docs, shas.unrelated]);
+
+      expect(await Promise.all(['HEAD~0', 'HEAD~1', 'HEAD~2', 'HEAD~4'].map(async ref => (await local.resolve(at(ref))).version)))
+        .toEqual([shas.merge, shas.unrelated, shas.third, shas.first]);
+      expect((await resolver.resolve(at('HEAD~1'))).version).toBe(shas.third);
+    });
+
+    it('resolves base, pr-head, latest-tag and dates', async () => {
+      expect((await resolver.resolve(at('base'))).version).toBe(shas.merge);
+      expect((await resolver.resolve(at('pr-head'))).version).toBe(shas.feature);
+      expect((await resolver.resolve(at('latest-tag'))).version).toBe(shas.second);
+      // A bare date means the end of that day; the prompt last changed in the pull request
+      expect((await resolver.resolve(at('2026-01-01'))).version).toBe(shas.feature);
+      expect((await local.resolve(at('2026-01-01'))).version).toBe(shas.third);
+      expect((await resolver.resolve(at('2026-01-01T01:30:00Z'))).version).toBe(shas.second);
+    });
+
+    it('returns other versions unchanged without reading the history', async () => {
+      const listCommits = jest.spyOn(source, 'listCommits');
+
+      expect(await resolver.resolve(at('v1.0'))).toEqual(at('v1.0'));
+      expect(listCommits).not.toHaveBeenCalled();
+    });
+
+    it('caches resolutions', async () => {
+      const listCommits = jest.spyOn(source, 'listCommits');
+
+      await resolver.resolve(at('2commits-ago'));
+      await resolver.resolve(at('2commits-ago'));
+
+      expect(listCommits).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails with UNRESOLVED_REF: 400 for references that cannot apply, 404 for missing commits', async () => {
+      const cases = [
+        [resolver, at('4commits-ago'), 404, 'only 4 commit(s) changed prompts/code-reviewer.md'],
+        [resolver, at(`HEAD~${MAX_HISTORY}`), 400, `at most ${MAX_HISTORY - 1} commits`],
+        [local, at('HEAD~5'), 404, 'HEAD has fewer than 5 first-parent ancestor(s)'],
+        [resolver, at('2025-12-31'), 404, 'has no commits at or before 2025-12-31T23:59:59.000Z'],
+        [resolver, at('2026-02-30'), 400, '"2026-02-30" is not a valid date']
+      ];
+
+      for (const [refResolver, pathInfo, status, message] of cases) {
+        const error = await failure(refResolver.resolve(pathInfo));
+        expect(error).toMatchObject({ code: 'UNRESOLVED_REF', status });
+        expect(error.message).toContain(message);
+      }
+    });
+
+    it('needs a pull request for pr-head and an existing base branch', async () => {
+      const outside = new RefResolver({ contentSource: source, baseRef: 'develop' });
+
+      expect(outside.headRef).toBe('HEAD');
+      expect(await failure(outside.resolve(at('pr-head')))).toMatchObject({ code: 'UNRESOLVED_REF', status: 400 });
+      const error = await failure(outside.resolve(at('base')));
+      expect(error).toMatchObject({ code: 'UNRESOLVED_REF', status: 404 });
+      expect(error.message).toBe('prompts/code-reviewer.md@base: develop not found');
+    });
+
+    it('retries failed lookups', async () => {
+      await failure(local.resolve(at('3commits-ago')));
+      repository.commit({ 'prompts/code-reviewer.md': '# Code Reviewer\n\nv4\n' });
+
+      expect((await local.resolve(at('3commits-ago'))).version).toBe(shas.first);
+    });
+  });
+
+  describe('with the GitHub source', () => {
+    it('reads the pull request history instead of the default branch', async () => {
+      const octokit = new FakeOctokit();
+      const seeded = seedRepository(octokit);
+      const pr = new RefResolver({ contentSource: new GitHubContentSource({ octokit }), prNumber: 7 });
+
+      expect((await pr.resolve(at('0commits-ago'))).version).toBe(seeded.feature);
+      expect((await pr.resolve(at('HEAD~1'))).version).toBe(seeded.third);
+      expect(octokit.callsTo('repos.listCommits').map(params => params.sha)).toEqual(['refs/pull/7/head', 'refs/pull/7/head']);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReportWriter } = require('../../src/lib/reports/ReportWriter');
+
+const GENERATED_AT = new Date('2026-01-02T03:04:05.000Z');
+const HOSTILE = '<script>alert("x")</script> & \'quoted\'';
+
+function evaluationResult(overrides = {}) {
+  return {
+    domain: 'programming',
+    overall_decision: 'REJECT',
+    results: [{
+      file: 'prompts/reviewer.md',
+      evaluation: {
+        decision: 'REJECT',
+        score: 4.25,
+        criteria: [{ name: 'Clarity & focus', weight: 0.4, score: 4 }],
+        improvements: [`Remove ${HOSTILE}`],
+        redFlags: ['Leaks \u0001secrets'],
+        expertAnalysis: 'Analysis </pre> breaks out',
+        threadA: 'old <b>',
+        threadB: 'new </div>'
+      }
+    }, {
+      file: 'prompts/missing.md',
+      error: 'Not Found'
+    }],
+    metrics: { totalTime: 1500, usage: { requests: 2, inputTokens: 100, outputTokens: 20, cost: 0.0006, currency: 'USD', byScope: {} } },
+    ...overrides
+  };
+}
+
+describe('ReportWriter', () => {
+  describe('normalize', () => {
+    it('turns each evaluated file into a section and failed files into errors', () => {
+      const report = ReportWriter.normalize(evaluationResult(), GENERATED_AT);
+
+      expect(report).toMatchObject({ type: 'evaluation', title: 'Prompt Evaluation: programming expert', status: 'error', decision: 'REJECT' });
+      expect(report.sections.map(s => [s.name, s.status])).toEqual([
+        ['prompts/reviewer.md', 'fail'],
+        ['prompts/missing.md', 'error']
+      ]);
+      expect(report.sections[0].criteria).toEqual([{ name: 'Clarity & focus', weight: 0.4, baseline: null, variant: 4 }]);
+    });
+
+    it('reports a failed A/B test with one error per inaccessible file', () => {
+      const report = ReportWriter.normalize({
+        success: false,
+        error: 'File verification failed',
+        missingFiles: [{ type: 'promptB', file: 'octo/prompts:a&b.md', status: 404 }]
+      }, GENERATED_AT);
+
+      expect(report).toMatchObject({ type: 'abtest', status: 'error', decision: 'ERROR', summary: 'File verification failed' });
+      expect(report.sections).toEqual([{ name: 'promptB: octo/prompts:a&b.md', status: 'error', message: 'Not accessible (HTTP 404)', criteria: [], notes: [] }]);
+    });
+  });
+
+  describe('toJUnit', () => {
+    it('escapes markup and drops control characters', () => {
+      const xml = ReportWriter.render(evaluationResult(), 'junit', GENERATED_AT);
+
+      expect(xml).not.toContain('<script>');
+      expect(xml).not.toContain('\u0001');
+      expect(xml).toContain('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &apos;quoted&apos;');
+      expect(xml).toContain('Red flag: Leaks secrets');
+      expect(xml).toContain('<testcase classname="prompt-expert.evaluation" name="prompts/reviewer.md">');
+      expect(xml).toContain('<failure message="REJECT">');
+      expect(xml).toContain('<error message="Not Found"/>');
+      expect(xml).toContain('tests="2" failures="1" errors="1" time="1.500" timestamp="2026-01-02T03:04:05.000Z"');
+      expect(xml).toContain('<property name="usage.cost" value="0.000600"/>');
+    });
+
+    it('escapes every XML special character', () => {
+      expect(ReportWriter.escapeXml('a<b>&"c"\'\u0000\t\n')).toBe('a&lt;b&gt;&amp;&quot;c&quot;&apos;\t\n');
+      expect(ReportWriter.escapeXml(null)).toBe('');
+    });
+  });
+
+  describe('toHtml', () => {
+    it('escapes every user-provided text', () => {
+      const html = ReportWriter.render(evaluationResult(), 'html', GENERATED_AT);
+
+      expect(html).not.toMatch(/<script/i);
+      expect(html).toContain('Remove &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp;');
+      expect(html).toContain('<pre class="analysis">Analysis &lt;/pre&gt; breaks out</pre>');
+      expect(html).toContain('<pre>new &lt;/div&gt;</pre>');
+      expect(html).toContain('<td>Clarity &amp; focus</td><td>40%</td><td>-</td><td>4.0</td>');
+    });
+  });
+
+  describe('toMarkdown', () => {
+    it('lists decision, criteria and notes', () => {
+      const markdown = ReportWriter.render(evaluationResult(), 'markdown', GENERATED_AT);
+
+      expect(markdown).toContain('**Decision:** REJECT (error)');
+      expect(markdown).toContain('**Status:** fail (REJECT) | **Score:** 4.3');
+      expect(markdown).toContain('| Clarity & focus | 40% | - | 4.0 |');
+      expect(markdown).toContain('Duration: 1.5s');
+    });
+  });
+
+  describe('write', () => {
+    it('writes every format and rejects unknown ones before writing', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+      try {
+        await expect(ReportWriter.write(evaluationResult(), { outputDir: dir, formats: ['json', 'pdf'] }))
+          .rejects.toThrow('Unknown report format "pdf". Available formats: json, junit, markdown, html');
+        expect(fs.readdirSync(dir)).toEqual([]);
+
+        const files = await ReportWriter.write(evaluationResult(), { outputDir: path.join(dir, 'out'), baseName: 'run' });
+        expect(files.map(file => path.basename(file))).toEqual(['run.json', 'run.xml', 'run.md', 'run.html']);
+        expect(JSON.parse(fs.readFileSync(files[0], 'utf8'))).toMatchObject({ type: 'evaluation', decision: 'REJECT', result: { domain: 'programming' } });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { createResultStore, loadResultsConfig } = require('../../src/lib/results/ResultStoreFactory');
+const { EvaluationResultStore } = require('../../src/lib/results/EvaluationResultStore');
+const { FakeOctokit } = require('../fakes/FakeOctokit');
+const path = require('path');
+
+describe('createResultStore', () => {
+  const config = loadResultsConfig();
+  const workspace = path.join(path.sep, 'workspace');
+
+  afterEach(() => {
+    delete process.env.PROMPT_EXPERT_RESULTS;
+    delete process.env.PROMPT_EXPERT_RESULTS_PATH;
+    delete process.env.PROMPT_EXPERT_RESULTS_BRANCH;
+  });
+
+  it('defaults to the JSON-lines file of config/results.json, relative to the workspace', () => {
+    const store = createResultStore({ workspace });
+
+    expect(store).toBeInstanceOf(EvaluationResultStore);
+    expect(store.storage.name).toBe('file');
+    expect(store.storage.filePath).toBe(path.join(workspace, config.file.path));
+  });
+
+  it('takes options over environment variables over the config file', () => {
+    process.env.PROMPT_EXPERT_RESULTS_PATH = 'env/results.jsonl';
+
+    expect(createResultStore({ workspace }).storage.filePath).toBe(path.join(workspace, 'env/results.jsonl'));
+    expect(createResultStore({ workspace, filePath: 'option.jsonl' }).storage.filePath).toBe(path.join(workspace, 'option.jsonl'));
+
+    process.env.PROMPT_EXPERT_RESULTS = 'none';
+    expect(createResultStore({ workspace })).toBeNull();
+    expect(createResultStore({ workspace, storage: 'file' }).storage.name).toBe('file');
+  });
+
+  it('stores results on a branch with github storage', () => {
+    const octokit = new FakeOctokit();
+    process.env.PROMPT_EXPERT_RESULTS_BRANCH = 'results-env';
+
+    const store = createResultStore({ storage: 'github', octokit, repoOwner: 'octo', repoName: 'prompts' });
+    const branched = createResultStore({ storage: 'github', branch: 'results', octokit, repoOwner: 'octo', repoName: 'prompts' });
+
+    expect(store.storage).toMatchObject({ name: 'github', octokit, branch: 'results-env', filePath: config.github.path });
+    expect(branched.describe()).toBe(`github (octo/prompts:${config.github.path}@results)`);
+  });
+
+  it('returns a ready-made store unchanged and rejects unknown storage', () => {
+    const store = createResultStore({ workspace });
+
+    expect(createResultStore({ resultStore: store, storage: 'none' })).toBe(store);
+    expect(() => createResultStore({ storage: 's3' })).toThrow('Unknown result storage "s3". Available storage: file, github, none');
+  });
+
+  it('falls back to a local file when the config file cannot be read', () => {
+    expect(loadResultsConfig(path.join(__dirname, 'missing.json'))).toMatchObject({ storage: 'file', file: { path: '.prompt-expert/results.jsonl' } });
+  });
+});
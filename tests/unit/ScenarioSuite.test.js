@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { ScenarioSuite, DEFAULT_SCENARIO, MAX_SCENARIOS } = require('../../src/lib/evaluation/ScenarioSuite');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Octokit stand-in serving `files[ref][path]` through `repos.getContent`
+ */
+function createOctokit(files) {
+  return {
+    repos: {
+      getContent: jest.fn(async ({ path: filePath, ref }) => {
+        const content = (files[ref] || {})[filePath];
+        if (content === undefined) throw Object.assign(new Error('Not Found'), { status: 404 });
+        return { data: { content: Buffer.from(content).toString('base64') } };
+      })
+    }
+  };
+}
+
+function suite(scenarios, extra = {}) {
+  return JSON.stringify({ domain: 'security', scenarios, ...extra });
+}
+
+describe('ScenarioSuite', () => {
+  describe('parse', () => {
+    it('accepts every bundled suite', () => {
+      const dir = path.join(ROOT, 'test-scenarios');
+      for (const file of fs.readdirSync(dir).filter(name => name.endsWith('-tests.json'))) {
+        const parsed = ScenarioSuite.parse(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+        expect(parsed.scenarios.length).toBeGreaterThan(0);
+      }
+    });
+
+    it('upgrades legacy scenario entries', () => {
+      const parsed = ScenarioSuite.parse(JSON.stringify({
+        scenarios: [
+          { scenario: 'Explain rm -rf', input: 'rm -rf /', expectedBehavior: 'refuse' },
+          { scenario: 'Only a scenario' }
+        ]
+      }), 'legacy.json', 'security');
+
+      expect(parsed).toEqual({
+        domain: 'security',
+        description: undefined,
+        scenarios: [
+          { id: 'scenario-1', input: 'rm -rf /', description: 'Explain rm -rf' },
+          { id: 'scenario-2', input: 'Only a scenario' }
+        ]
+      });
+    });
+
+    it('rejects malformed suites with INVALID_SCENARIO_SUITE and every problem found', () => {
+      const cases = [
+        ['{', /^Invalid scenario suite bad\.json: /],
+        [suite([]), /\$\.scenarios/],
+        [suite([{ id: 'a' }]), /\$\.scenarios\[0\]\.input/],
+        [suite([{ id: 'a', input: 'x', weight: 2 }]), /\$\.scenarios\[0\]\.weight/],
+        [suite([{ id: 'a', input: 'x' }, { id: 'a', input: 'y' }]), /duplicate scenario id\(s\) a/],
+        [suite(Array.from({ length: MAX_SCENARIOS + 1 }, (_, i) => ({ id: `s${i}`, input: 'x' }))), /\$\.scenarios/]
+      ];
+
+      for (const [text, message] of cases) {
+        let error;
+        try {
+          ScenarioSuite.parse(text, 'bad.json');
+        } catch (caught) {
+          error = caught;
+        }
+        expect(error).toMatchObject({ code: 'INVALID_SCENARIO_SUITE', validationErrors: expect.any(Array) });
+        expect(error.message).toMatch(message);
+      }
+    });
+  });
+
+  describe('load', () => {
+    const loader = (files, options) => new ScenarioSuite({ octokit: createOctokit(files), repoOwner: 'octo', repoName: 'prompts', baseDir: ROOT, ...options });
+
+    it('prefers the repository suite, then the legacy file, then the bundled suite, then the default', async () => {
+      const files = {
+        main: {
+          'test-scenarios/security-tests.json': suite([{ id: 'repo', input: 'From the repository' }]),
+          'test-scenarios/domain-tests.json': JSON.stringify({ financial: { scenario: 'Legacy financial scenario' } })
+        }
+      };
+
+      expect(await loader(files).load('security')).toMatchObject({ source: 'github', scenarios: [{ id: 'repo' }] });
+      expect(await loader(files).load('financial')).toEqual({
+        domain: 'financial',
+        source: 'github-legacy',
+        scenarios: [{ id: 'financial-1', input: 'Legacy financial scenario' }]
+      });
+      expect(await loader(files).load('programming')).toMatchObject({ domain: 'programming', source: 'bundled' });
+      expect(await loader(files).load('astronomy')).toEqual({
+        domain: 'astronomy',
+        source: 'default',
+        scenarios: [{ id: 'default', input: DEFAULT_SCENARIO }]
+      });
+    });
+
+    it('reads the configured ref and uses an explicit scenario instead of any suite', async () => {
+      const files = { review: { 'test-scenarios/security-tests.json': suite([{ id: 'branch', input: 'x' }]) } };
+
+      expect(await loader(files, { ref: 'review' }).load('security')).toMatchObject({ source: 'github', scenarios: [{ id: 'branch' }] });
+      expect(await loader(files).load('security', { scenario: 'Check this' }))
+        .toEqual({ domain: 'security', source: 'custom', scenarios: [{ id: 'custom', input: 'Check this' }] });
+    });
+
+    it('fails on a malformed repository suite instead of falling back', async () => {
+      const files = { main: { 'test-scenarios/security-tests.json': suite([{ input: 'no id' }]) } };
+
+      await expect(loader(files).load('security')).rejects.toMatchObject({ code: 'INVALID_SCENARIO_SUITE' });
+    });
+  });
+
+  describe('summarize', () => {
+    it('takes the most severe decision, the mean score and distinct improvements', () => {
+      expect(ScenarioSuite.summarize([
+        { decision: 'MERGE', score: 9, improvements: ['Add examples'] },
+        { decision: 'SUGGEST', score: 7, improvements: ['Add examples', 'Cite lines'] },
+        { decision: 'MERGE' }
+      ])).toEqual({ decision: 'SUGGEST', score: 8, improvements: ['Add examples', 'Cite lines'] });
+      expect(ScenarioSuite.summarize([])).toEqual({ decision: 'MERGE', score: null, improvements: [] });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { Statistics } = require('../../src/lib/abtest/Statistics');
+
+describe('Statistics', () => {
+  it('describes a sample with the n - 1 variance', () => {
+    expect(Statistics.describe([2, 4, 4, 4, 5, 5, 7, 9])).toEqual({
+      n: 8,
+      mean: 5,
+      variance: 32 / 7,
+      standardDeviation: Math.sqrt(32 / 7),
+      min: 2,
+      max: 9
+    });
+    expect(Statistics.describe([])).toEqual({ n: 0, mean: 0, variance: 0, standardDeviation: 0, min: 0, max: 0 });
+    expect(Statistics.variance([6])).toBe(0);
+  });
+
+  it('interpolates percentiles linearly', () => {
+    expect(Statistics.percentile([1, 2, 3, 4, 5], 0.5)).toBe(3);
+    expect(Statistics.percentile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(Statistics.percentile([10, 20], 0.975)).toBeCloseTo(19.75, 10);
+  });
+
+  it('draws the same sequence for the same seed', () => {
+    const first = Statistics.createRandom(7);
+    const second = Statistics.createRandom(7);
+    const values = Array.from({ length: 5 }, () => first());
+
+    expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+    expect(values.every(v => v >= 0 && v < 1)).toBe(true);
+    expect(Statistics.createRandom(8)()).not.toBe(values[0]);
+  });
+
+  describe('compareSamples', () => {
+    const A = [6, 6.5, 7, 6, 6.5];
+    const B = [8, 8.5, 8, 9, 8.5];
+
+    it('is reproducible and seeds the resampling with 42 by default', () => {
+      const result = Statistics.compareSamples(A, B);
+
+      expect(Statistics.compareSamples(A, B)).toEqual(result);
+      expect(Statistics.compareSamples(A, B, { seed: 42 })).toEqual(result);
+    });
+
+    it('finds a clear difference significant with an interval around it', () => {
+      const result = Statistics.compareSamples(A, B);
+
+      expect(result).toMatchObject({ method: 'bootstrap', iterations: 5000, sufficientSamples: true });
+      expect(result.meanDifference).toBeCloseTo(2, 10);
+      expect(result.confidenceInterval.level).toBe(0.95);
+      expect(result.confidenceInterval.lower).toBeGreaterThan(0);
+      expect(result.confidenceInterval.lower).toBeLessThan(2);
+      expect(result.confidenceInterval.upper).toBeGreaterThan(2);
+      // No null resample is as extreme as the observed difference: p is the (0 + 1) / (n + 1) floor
+      expect(result.pValue).toBe(1 / 5001);
+    });
+
+    it('gives p = 1 for identical samples', () => {
+      const result = Statistics.compareSamples([7, 8, 7.5], [7, 8, 7.5], { iterations: 200 });
+
+      expect(result.meanDifference).toBe(0);
+      expect(result.pValue).toBe(1);
+    });
+
+    it('skips the test with fewer than two samples per prompt', () => {
+      const result = Statistics.compareSamples([6], [8, 9]);
+
+      expect(result).toMatchObject({
+        sufficientSamples: false,
+        pValue: null,
+        meanDifference: 2.5,
+        confidenceInterval: { level: 0.95, lower: 2.5, upper: 2.5 }
+      });
+    });
+
+    it('honours the iteration count and confidence level', () => {
+      const wide = Statistics.compareSamples(A, B, { iterations: 1000, confidenceLevel: 0.99 });
+      const narrow = Statistics.compareSamples(A, B, { iterations: 1000, confidenceLevel: 0.8 });
+
+      expect(wide.iterations).toBe(1000);
+      expect(wide.confidenceInterval.upper - wide.confidenceInterval.lower)
+        .toBeGreaterThan(narrow.confidenceInterval.upper - narrow.confidenceInterval.lower);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { StructuredJudge } = require('../../src/lib/evaluation/StructuredJudge');
+const { FakeAnthropic } = require('../fakes/FakeAnthropic');
+
+const PAYLOAD = {
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 1000,
+  messages: [{ role: 'user', content: 'Which prompt is better?' }]
+};
+
+const COMPARISON = { analysis: 'B is clearer', keyDifferences: ['rules'], tradeoffs: [], preferred: 'SECOND' };
+
+function createJudge(anthropic, options = {}) {
+  return new StructuredJudge({ callModel: payload => anthropic.messages.create(payload), ...options });
+}
+
+describe('StructuredJudge', () => {
+  it('forces the submit tool and returns its validated input', async () => {
+    const anthropic = new FakeAnthropic({ responses: [[FakeAnthropic.toolUse('submit_comparison', COMPARISON)]] });
+
+    const result = await createJudge(anthropic).run('comparison', PAYLOAD);
+
+    expect(result).toMatchObject({ data: COMPARISON, attempts: 1 });
+    expect(anthropic.calls[0].tool_choice).toEqual({ type: 'tool', name: 'submit_comparison' });
+  });
+
+  it('answers invalid output with an error tool_result and asks again', async () => {
+    const anthropic = new FakeAnthropic({
+      responses: [
+        [FakeAnthropic.toolUse('submit_comparison', { ...COMPARISON, preferred: 'B' }, 'toolu_1')],
+        [FakeAnthropic.toolUse('submit_comparison', COMPARISON, 'toolu_2')]
+      ]
+    });
+
+    const result = await createJudge(anthropic).run('comparison', PAYLOAD);
+
+    expect(result.attempts).toBe(2);
+    const [, reply] = anthropic.calls[1].messages.slice(1);
+    expect(reply.content).toEqual([expect.objectContaining({ type: 'tool_result', tool_use_id: 'toolu_1', is_error: true })]);
+    expect(reply.content[0].content).toContain('$.preferred');
+  });
+
+  it('answers every tool call of a turn that called the wrong tool', async () => {
+    const anthropic = new FakeAnthropic({
+      responses: [
+        [
+          FakeAnthropic.text('Let me look something up.'),
+          FakeAnthropic.toolUse('search', { query: 'prompt' }, 'toolu_search'),
+          FakeAnthropic.toolUse('submit_verdict', { reasoning: 'x' }, 'toolu_verdict')
+        ],
+        [FakeAnthropic.toolUse('submit_comparison', COMPARISON, 'toolu_3')]
+      ]
+    });
+
+    const result = await createJudge(anthropic).run('comparison', PAYLOAD);
+
+    expect(result.attempts).toBe(2);
+    const reply = anthropic.calls[1].messages[2];
+    expect(reply.content.map(block => [block.type, block.tool_use_id, block.is_error])).toEqual([
+      ['tool_result', 'toolu_search', true],
+      ['tool_result', 'toolu_verdict', true]
+    ]);
+    expect(reply.content[0].content).toContain('response did not call submit_comparison');
+  });
+
+  it('re-asks with plain text when the model answered without a tool call', async () => {
+    const anthropic = new FakeAnthropic({
+      responses: [FakeAnthropic.text('The second one.'), [FakeAnthropic.toolUse('submit_comparison', COMPARISON)]]
+    });
+
+    await createJudge(anthropic).run('comparison', PAYLOAD);
+
+    expect(anthropic.calls[1].messages[2]).toEqual({
+      role: 'user',
+      content: expect.stringContaining('Call submit_comparison again')
+    });
+  });
+
+  it('requires a score for every requested criterion', async () => {
+    const evaluation = criteria => [FakeAnthropic.toolUse('submit_evaluation', {
+      score: 8, criteria, strengths: [], weaknesses: [], redFlags: [], summary: 'ok'
+    })];
+    const anthropic = new FakeAnthropic({
+      responses: [
+        evaluation([{ name: 'Clarity', score: 8 }]),
+        evaluation([{ name: 'Clarity', score: 8 }, { name: 'Safety', score: 7 }])
+      ]
+    });
+
+    const result = await createJudge(anthropic).run('evaluation', PAYLOAD, { criteria: ['Clarity', 'Safety'] });
+
+    expect(result.attempts).toBe(2);
+    expect(anthropic.calls[1].messages[2].content[0].content).toContain('$.criteria');
+  });
+
+  it('fails with JUDGE_OUTPUT_INVALID after the last re-ask', async () => {
+    const anthropic = new FakeAnthropic({ responses: [FakeAnthropic.text('No.')] });
+
+    await expect(createJudge(anthropic, { maxReasks: 1 }).run('comparison', PAYLOAD)).rejects.toMatchObject({
+      code: 'JUDGE_OUTPUT_INVALID',
+      validationErrors: ['response did not call submit_comparison']
+    });
+    expect(anthropic.calls).toHaveLength(2);
+  });
+});
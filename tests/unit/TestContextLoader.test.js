@@ -0,0 +1,170 @@
+const { TestContextLoader } = require('../../src/lib/abtest/TestContextLoader');
+const LIMITS = require('../../config/abtest-limits.json');
+
+const MB = 1024 * 1024;
+
+/**
+ * Limits configuration with aggregate overrides
+ */
+function config(aggregate = {}) {
+  return { ...LIMITS, limits: { ...LIMITS.limits, aggregate: { ...LIMITS.limits.aggregate, ...aggregate } } };
+}
+
+/**
+ * Loader over an in-memory tree. `files` maps paths to content; `sizes` overrides the
+ * reported size of a file; paths listed in `broken` fail to read.
+ */
+function createLoader(files, options = {}) {
+  const { sizes = {}, broken = [], ...loaderOptions } = options;
+  const listing = dir => {
+    const names = new Map();
+    for (const filePath of Object.keys(files)) {
+      if (!filePath.startsWith(`${dir}/`)) continue;
+      const [name, ...rest] = filePath.slice(dir.length + 1).split('/');
+      names.set(name, rest.length > 0 ? 'dir' : 'file');
+    }
+    return [...names].map(([name, type]) => ({ name, type, path: `${dir}/${name}` }));
+  };
+
+  return new TestContextLoader({
+    config: config(),
+    ...loaderOptions,
+    getEntry: async info => {
+      if (files[info.filePath] !== undefined) return { type: 'file' };
+      const entries = listing(info.filePath);
+      if (entries.length === 0) throw new Error('Not Found');
+      return { type: 'dir', entries };
+    },
+    fetchContent: async info => {
+      if (broken.includes(info.filePath)) throw new Error(`Failed to fetch ${info.filePath}:\n404`);
+      const content = files[info.filePath];
+      return { content, size: sizes[info.filePath] || content.length };
+    }
+  });
+}
+
+const pathInfo = filePath => ({ owner: 'octo', repo: 'prompts', filePath, fullPath: filePath, version: 'main' });
+const loaded = context => context.files.map(f => f.path);
+const reasons = context => Object.fromEntries(context.skipped.map(s => [s.path, s.reason]));
+
+describe('TestContextLoader', () => {
+  describe('walking directories', () => {
+    it('walks folders recursively up to maxFoldersDepth', async () => {
+      const loader = createLoader({
+        'ctx/app.js': 'a',
+        'ctx/lib/util.js': 'u',
+        'ctx/lib/deep/inner.js': 'i'
+      }, { config: config({ maxFoldersDepth: 1 }) });
+
+      const context = await loader.load([pathInfo('ctx')]);
+
+      expect(loaded(context)).toEqual(['ctx/app.js', 'ctx/lib/util.js']);
+      expect(context.directories.map(d => [d.path, d.depth, d.fileCount])).toEqual([['ctx', 0, 1], ['ctx/lib', 1, 1]]);
+      expect(reasons(context)).toEqual({ 'ctx/lib/deep/': 'deeper than maxFoldersDepth (1)' });
+      expect(context.limits).toMatchObject({ strategy: 'progressive', maxFoldersDepth: 1, maxFilesPerFolder: 20 });
+    });
+
+    it('samples large folders evenly, or takes the first files without sampleLargeFolders', async () => {
+      const files = Object.fromEntries(['a', 'b', 'c', 'd', 'e'].map(name => [`ctx/${name}.js`, name]));
+      files['ctx/readme.md'] = 'r';
+      const settings = { config: config({ maxFilesPerFolder: 3 }) };
+
+      const sampled = await createLoader(files, settings).load([pathInfo('ctx')]);
+      // Code ranks first: three of the five .js files, spread over the folder
+      expect(loaded(sampled)).toEqual(['ctx/a.js', 'ctx/b.js', 'ctx/d.js']);
+      expect(reasons(sampled)['ctx/readme.md']).toBe('folder has 6 files, limit 3 per folder');
+
+      const first = await createLoader(files, { ...settings, strategy: 'strict' }).load([pathInfo('ctx')]);
+      expect(loaded(first)).toEqual(['ctx/a.js', 'ctx/b.js', 'ctx/c.js']);
+    });
+  });
+
+  describe('priority', () => {
+    it('loads named files first, then by prioritizeByType, until maxTotalFiles', async () => {
+      const loader = createLoader({
+        'ctx/config.json': '{}',
+        'ctx/notes.txt': 'n',
+        'ctx/Makefile': 'm',
+        'ctx/data.bin': 'd',
+        'ctx/main.py': 'p',
+        'extra/schema.yaml': 'y'
+      }, { config: config({ maxTotalFiles: 4 }) });
+
+      const context = await loader.load([pathInfo('ctx'), pathInfo('extra/schema.yaml')]);
+
+      expect(context.files.map(f => [f.path, f.type])).toEqual([
+        ['extra/schema.yaml', 'config'],
+        ['ctx/Makefile', 'code'],
+        ['ctx/main.py', 'code'],
+        ['ctx/notes.txt', 'text']
+      ]);
+      expect(reasons(context)).toEqual({
+        'ctx/config.json': 'maxTotalFiles (4) reached',
+        'ctx/data.bin': 'maxTotalFiles (4) reached'
+      });
+    });
+
+    it('loads a file named twice only once', async () => {
+      const loader = createLoader({ 'ctx/a.md': 'a' });
+
+      expect(loaded(await loader.load([pathInfo('ctx'), pathInfo('ctx/a.md')]))).toEqual(['ctx/a.md']);
+    });
+  });
+
+  describe('size limits', () => {
+    const files = { 'ctx/big.md': 'x'.repeat(64), 'ctx/warn.md': 'w', 'ctx/photo.png': 'p', 'ctx/ok.md': 'o' };
+    const sizes = { 'ctx/big.md': 2 * MB, 'ctx/warn.md': 0.75 * MB, 'ctx/photo.png': 6 * MB };
+
+    it('skips files over their type limit and warns about large ones', async () => {
+      const context = await createLoader(files, { sizes }).load([pathInfo('ctx')]);
+
+      expect(loaded(context)).toEqual(['ctx/warn.md', 'ctx/ok.md']);
+      expect(reasons(context)).toEqual({
+        'ctx/big.md': '2.0 MB exceeds the text limit of 1 MB',
+        'ctx/photo.png': '6.0 MB exceeds the image limit of 5 MB'
+      });
+      expect(context.warnings).toEqual(['ctx/warn.md is large for a text file (768.0 KB)']);
+    });
+
+    it('truncates instead when the strategy keeps large files, but never binary files', async () => {
+      const context = await createLoader(files, { sizes, strategy: 'lenient' }).load([pathInfo('ctx')]);
+
+      expect(context.files.find(f => f.path === 'ctx/big.md')).toMatchObject({ truncated: true, size: MB });
+      expect(reasons(context)).toEqual({ 'ctx/photo.png': '6.0 MB exceeds the image limit of 5 MB' });
+    });
+
+    it('skips files over the warning size with the strict strategy', async () => {
+      const context = await createLoader(files, { sizes, strategy: 'strict' }).load([pathInfo('ctx')]);
+
+      expect(reasons(context)['ctx/warn.md']).toBe('768.0 KB exceeds the text warning size of 0.5 MB (strict strategy)');
+    });
+
+    it('stops at the critical total size and reports files that could not be read', async () => {
+      const loader = createLoader(
+        { 'ctx/a.md': 'a', 'ctx/b.md': 'b', 'ctx/c.md': 'c', 'ctx/d.md': 'd' },
+        { sizes: { 'ctx/b.md': 0.95 * MB }, broken: ['ctx/a.md'], config: config({ maxTotalSizeMB: 2, warnTotalSizeMB: 0.5, criticalTotalSizeMB: 0.9 }) }
+      );
+
+      const context = await loader.load([pathInfo('ctx')]);
+
+      expect(loaded(context)).toEqual(['ctx/b.md']);
+      expect(reasons(context)).toEqual({
+        'ctx/a.md': 'Failed to fetch ctx/a.md: 404',
+        'ctx/c.md': 'critical total size (0.9 MB) reached, progressive strategy stops',
+        'ctx/d.md': 'critical total size (0.9 MB) reached, progressive strategy stops'
+      });
+      expect(context.summary[context.summary.length - 1]).toBe('Test context: 1 file(s), 972.8 KB loaded; 3 skipped (preset none, progressive strategy)');
+    });
+  });
+
+  describe('resolveSettings', () => {
+    it('scales the total thresholds with the preset and rejects unknown names', () => {
+      const settings = TestContextLoader.resolveSettings({ config: LIMITS, preset: 'small' });
+
+      expect(settings).toMatchObject({ maxTotalSize: 10 * MB, maxTotalFiles: 20, warnTotalSize: 6 * MB, criticalTotalSize: 9 * MB });
+      expect(() => TestContextLoader.resolveSettings({ config: LIMITS, preset: 'huge' })).toThrow('Unknown context preset "huge"');
+      expect(() => TestContextLoader.resolveSettings({ config: LIMITS, strategy: 'yolo' }))
+        .toThrow('Unknown context strategy "yolo". Configured strategies: progressive, strict, lenient');
+    });
+  });
+});
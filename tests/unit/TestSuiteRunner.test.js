@@ -0,0 +1,164 @@
+const { TestSuiteRunner, MAX_CASES } = require('../../src/lib/abtest/TestSuiteRunner');
+
+const SUITE_YAML = `
+name: Reviewer suite
+maxTokens: 200
+cases:
+  - id: sql
+    input: Review this query
+    expected:
+      mustContain: SQL injection
+      regex: ["/parameteri[sz]ed/i"]
+  - id: tone
+    input: Review this loop
+    maxTokens: 50
+    expected:
+      mustNotContain: [looks good]
+      rubric: Points out the off-by-one error
+`;
+
+function textResponse(text) {
+  return { content: [{ type: 'text', text }] };
+}
+
+function invalidError(text, filePath) {
+  try {
+    TestSuiteRunner.parse(text, filePath);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('TestSuiteRunner', () => {
+  describe('parse', () => {
+    it('reads YAML, and JSON by file extension', () => {
+      const suite = TestSuiteRunner.parse(SUITE_YAML, 'reviewer.yaml');
+
+      expect(suite.name).toBe('Reviewer suite');
+      expect(suite.cases.map(c => c.id)).toEqual(['sql', 'tone']);
+      expect(TestSuiteRunner.parse(JSON.stringify({ cases: suite.cases }), 'reviewer.json').name).toBe('reviewer.json');
+    });
+
+    it('collects every problem into one INVALID_TEST_SUITE error', () => {
+      const error = invalidError(JSON.stringify({
+        cases: [
+          { id: 'a', input: 'x', expected: { regex: '/(unclosed/', colour: 'red' } },
+          { id: 'a', input: 'y', expected: {} }
+        ]
+      }), 'bad.json');
+
+      expect(error).toMatchObject({ code: 'INVALID_TEST_SUITE' });
+      expect(error.validationErrors).toEqual([expect.stringMatching(/^\$\.cases\[0\]\.expected\.colour/)]);
+
+      const semantic = invalidError(JSON.stringify({
+        cases: [
+          { id: 'a', input: 'x', expected: { notRegex: '/(unclosed/' } },
+          { id: 'a', input: 'y', expected: {} }
+        ]
+      }), 'bad.json');
+      expect(semantic.validationErrors).toEqual([
+        '$.cases: duplicate case id(s) a',
+        expect.stringMatching(/^\$\.cases\[0\]\.expected\.notRegex: Invalid regular expression/)
+      ]);
+    });
+
+    it('rejects unparsable files, empty suites and too many cases', () => {
+      expect(invalidError('cases: [', 'bad.yaml')).toMatchObject({ code: 'INVALID_TEST_SUITE' });
+      expect(invalidError('{"cases": []}', 'empty.json').message).toMatch(/\$\.cases/);
+
+      const cases = Array.from({ length: MAX_CASES + 1 }, (_, i) => ({ id: `c${i}`, input: 'x', expected: {} }));
+      expect(invalidError(JSON.stringify({ cases }), 'big.json')).toMatchObject({ code: 'INVALID_TEST_SUITE' });
+    });
+  });
+
+  describe('checkAssertions', () => {
+    it('reports one check per assertion, case-insensitive unless asked', () => {
+      const checks = TestSuiteRunner.checkAssertions('Use a Parameterized query.', {
+        mustContain: ['parameterized', 'prepared'],
+        mustNotContain: 'LOOKS GOOD',
+        regex: '/query\\.$/',
+        notRegex: ['/select/i'],
+        minLength: 5,
+        maxLength: 10
+      });
+
+      expect(checks.map(c => [c.type, c.passed])).toEqual([
+        ['mustContain', true],
+        ['mustContain', false],
+        ['mustNotContain', true],
+        ['regex', true],
+        ['notRegex', true],
+        ['minLength', true],
+        ['maxLength', false]
+      ]);
+      expect(checks[1].detail).toBe('missing "prepared"');
+      expect(checks[6].detail).toBe('26 chars (max 10)');
+
+      expect(TestSuiteRunner.checkAssertions('Parameterized', { mustContain: 'parameterized', caseSensitive: true })[0].passed).toBe(false);
+    });
+
+    it('compiles slash-delimited patterns with flags and bare patterns as-is', () => {
+      expect(TestSuiteRunner.toRegExp('/a.c/is')).toEqual(/a.c/is);
+      expect(TestSuiteRunner.toRegExp('a/b')).toEqual(/a\/b/);
+    });
+  });
+
+  describe('run', () => {
+    it('sends each input with the prompt as system prompt and grades rubrics with the judge', async () => {
+      const callModel = jest.fn(async payload => textResponse(payload.messages[0].content === 'Review this query'
+        ? 'This is an SQL injection; use a parameterised query.'
+        : 'Looks good to me.'));
+      const judge = { run: jest.fn(async () => ({ data: { pass: false, score: 3, reasoning: 'Misses the bug' } })) };
+      const runner = new TestSuiteRunner({ callModel, judge });
+
+      const results = await runner.run(TestSuiteRunner.parse(SUITE_YAML, 'reviewer.yaml'), 'You review code.');
+
+      expect(callModel.mock.calls.map(([payload, scope]) => [payload.system, payload.max_tokens, scope]))
+        .toEqual([['You review code.', 200, 'test-suite'], ['You review code.', 50, 'test-suite']]);
+      expect(judge.run).toHaveBeenCalledTimes(1);
+      expect(judge.run.mock.calls[0][0]).toBe('rubric');
+      expect(judge.run.mock.calls[0][1].messages[0].content).toContain('Points out the off-by-one error');
+      expect(results).toMatchObject({ suite: 'Reviewer suite', total: 2, passed: 1, failed: 1, passRate: 0.5 });
+      expect(results.cases[1].checks.map(c => [c.type, c.passed])).toEqual([['mustNotContain', false], ['rubric', false]]);
+      expect(results.cases[1].checks[1]).toMatchObject({ score: 3, detail: 'Misses the bug' });
+    });
+
+    it('fails a case on model errors or a missing judge but stops on BUDGET_EXCEEDED', async () => {
+      const suite = TestSuiteRunner.parse(SUITE_YAML, 'reviewer.yaml');
+      const failing = new TestSuiteRunner({
+        callModel: async payload => {
+          if (payload.max_tokens === 200) throw new Error('overloaded');
+          return textResponse('Off by one.');
+        }
+      });
+
+      const results = await failing.run(suite, 'Prompt');
+      expect(results.cases[0]).toMatchObject({ id: 'sql', passed: false, error: 'overloaded', output: '' });
+      expect(results.cases[1].checks[1]).toEqual({ type: 'rubric', passed: false, detail: 'No judge available for rubric checks' });
+
+      const budget = Object.assign(new Error('Budget exceeded'), { code: 'BUDGET_EXCEEDED' });
+      const stopped = new TestSuiteRunner({ callModel: async () => { throw budget; } });
+      await expect(stopped.run(suite, 'Prompt')).rejects.toBe(budget);
+      expect(() => new TestSuiteRunner()).toThrow('TestSuiteRunner requires a callModel function');
+    });
+  });
+
+  describe('compareResults', () => {
+    it('lists cases that newly pass or newly fail', () => {
+      const results = passes => ({
+        passed: passes.filter(Boolean).length,
+        total: passes.length,
+        passRate: passes.filter(Boolean).length / passes.length,
+        cases: passes.map((passed, i) => ({ id: `c${i}`, passed }))
+      });
+
+      expect(TestSuiteRunner.compareResults(results([true, false, true]), results([false, true, true]))).toEqual({
+        promptA: { passed: 2, total: 3, passRate: 2 / 3 },
+        promptB: { passed: 2, total: 3, passRate: 2 / 3 },
+        newlyPassing: ['c1'],
+        newlyFailing: ['c0']
+      });
+    });
+  });
+});
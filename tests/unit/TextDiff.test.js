@@ -0,0 +1,111 @@
+const { TextDiff } = require('../../src/lib/evaluation/TextDiff');
+const { Statistics } = require('../../src/lib/abtest/Statistics');
+
+/**
+ * Length of the longest common subsequence, by dynamic programming
+ */
+function lcsLength(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = a[i - 1] === b[j - 1] ? rows[i - 1][j - 1] + 1 : Math.max(rows[i - 1][j], rows[i][j - 1]);
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+const apply = ops => ops.filter(op => op.type !== 'delete').map(op => op.text);
+const revert = ops => ops.filter(op => op.type !== 'insert').map(op => op.text);
+const edits = ops => ops.filter(op => op.type !== 'equal').length;
+
+describe('TextDiff', () => {
+  describe('diff', () => {
+    it('finds the shortest edit script of the Myers paper example', () => {
+      const a = [...'ABCABBA'];
+      const b = [...'CBABAC'];
+      const ops = TextDiff.diff(a, b);
+
+      expect(edits(ops)).toBe(5);
+      expect(apply(ops)).toEqual(b);
+      expect(revert(ops)).toEqual(a);
+    });
+
+    it('numbers operations by their position in each input', () => {
+      expect(TextDiff.diff(['a', 'b', 'c'], ['a', 'x', 'c'])).toEqual([
+        { type: 'equal', text: 'a', oldIndex: 0, newIndex: 0 },
+        { type: 'delete', text: 'b', oldIndex: 1 },
+        { type: 'insert', text: 'x', newIndex: 1 },
+        { type: 'equal', text: 'c', oldIndex: 2, newIndex: 2 }
+      ]);
+    });
+
+    it('produces minimal scripts that rebuild both inputs', () => {
+      const random = Statistics.createRandom(3);
+      const tokens = length => Array.from({ length }, () => 'abcd'[Math.floor(random() * 4)]);
+
+      for (let run = 0; run < 50; run++) {
+        const a = tokens(Math.floor(random() * 12));
+        const b = tokens(Math.floor(random() * 12));
+        const ops = TextDiff.diff(a, b);
+
+        expect(apply(ops)).toEqual(b);
+        expect(revert(ops)).toEqual(a);
+        expect(edits(ops)).toBe(a.length + b.length - 2 * lcsLength(a, b));
+      }
+    });
+  });
+
+  describe('compare', () => {
+    const OLD = 'You are a reviewer.\nCheck style.\nBe brief.\n';
+    const NEW = 'You are a senior reviewer.\nBe brief.\nCite lines.\n';
+
+    it('pairs replaced lines as modifications with a word diff', () => {
+      const result = TextDiff.compare(OLD, NEW);
+
+      expect(result.modified).toEqual([{
+        oldLine: 1,
+        newLine: 1,
+        old: 'You are a reviewer.',
+        new: 'You are a senior reviewer.',
+        words: [
+          { type: 'equal', text: 'You are a ' },
+          { type: 'insert', text: 'senior ' },
+          { type: 'equal', text: 'reviewer.' }
+        ]
+      }]);
+      expect(result.removed).toEqual([{ line: 2, text: 'Check style.' }]);
+      expect(result.added).toEqual([{ line: 3, text: 'Cite lines.' }]);
+      expect(result.stats).toEqual({ linesAdded: 1, linesRemoved: 1, linesModified: 1, linesUnchanged: 1, wordsAdded: 3, wordsRemoved: 2 });
+      expect(TextDiff.formatStats(result.stats)).toBe('+1 -1 ~1 lines (+3/-2 words)');
+    });
+
+    it('treats CRLF and a trailing newline like LF text', () => {
+      const result = TextDiff.compare('a\r\nb\r\n', 'a\nb');
+
+      expect(result.hunks).toEqual([]);
+      expect(result.stats.linesUnchanged).toBe(2);
+    });
+
+    it('formats unified hunks with context', () => {
+      const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+      const newText = ['1', '2', '3', '4', 'five', '6', '7', '8', '9', '10', '11'].join('\n');
+
+      expect(TextDiff.toUnified(TextDiff.compare(oldText, newText, { context: 1 }).hunks, { oldLabel: 'v1', newLabel: 'v2' }))
+        .toBe(['--- v1', '+++ v2', '@@ -4,3 +4,3 @@', ' 4', '-5', '+five', ' 6', '@@ -10,1 +10,2 @@', ' 10', '+11'].join('\n'));
+    });
+
+    it('starts an empty side at the line before the change', () => {
+      expect(TextDiff.compare('', 'a\nb\n').hunks).toEqual([{ oldStart: 0, oldLines: 0, newStart: 1, newLines: 2, lines: ['+a', '+b'] }]);
+      expect(TextDiff.toUnified([])).toBe('');
+    });
+  });
+
+  describe('diffWords', () => {
+    it('keeps whitespace so the runs rebuild both lines', () => {
+      const runs = TextDiff.diffWords('Review  the code carefully', 'Review the new code');
+
+      expect(runs.filter(r => r.type !== 'delete').map(r => r.text).join('')).toBe('Review the new code');
+      expect(runs.filter(r => r.type !== 'insert').map(r => r.text).join('')).toBe('Review  the code carefully');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const path = require('path');
+const { UsageTracker, loadPricingConfig } = require('../../src/lib/usage/UsageTracker');
+
+const PRICING = {
+  currency: 'USD',
+  tokensPerUnit: 1000000,
+  models: {
+    'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-sonnet-4-5': { input: 4, output: 20 }
+  }
+};
+
+function response(usage, model = 'claude-sonnet-4-20250514') {
+  return { model, usage };
+}
+
+describe('UsageTracker', () => {
+  it('prices input, output and prompt-cache tokens separately', () => {
+    const tracker = new UsageTracker({ pricing: PRICING });
+
+    const entry = tracker.record(response({
+      input_tokens: 1000,
+      output_tokens: 200,
+      cache_creation_input_tokens: 400,
+      cache_read_input_tokens: 2000
+    }), 'threadA');
+
+    expect(entry).toMatchObject({ requests: 1, inputTokens: 1000, outputTokens: 200 });
+    expect(entry.cost).toBeCloseTo((1000 * 3 + 200 * 15 + 400 * 3.75 + 2000 * 0.3) / 1e6, 10);
+  });
+
+  it('uses the longest matching price key and input prices for missing cache prices', () => {
+    const tracker = new UsageTracker({ pricing: PRICING });
+
+    const entry = tracker.record(response({ input_tokens: 100, cache_read_input_tokens: 100 }, 'claude-sonnet-4-5-20250929'));
+
+    expect(entry.cost).toBeCloseTo((100 * 4 + 100 * 4) / 1e6, 10);
+  });
+
+  it('groups usage by scope and lists unpriced models', () => {
+    const tracker = new UsageTracker({ pricing: PRICING, model: 'claude-sonnet-4' });
+    tracker.record({ usage: { input_tokens: 10, output_tokens: 5 } }, 'threadA');
+    tracker.record(response({ input_tokens: 20, output_tokens: 5 }, 'llama-3'), 'verdict');
+
+    const other = new UsageTracker({ pricing: PRICING });
+    other.record(response({ input_tokens: 1 }), 'judge');
+    tracker.merge(other.summary(), 'tool');
+
+    const summary = tracker.summary();
+    expect(summary).toMatchObject({ requests: 3, inputTokens: 31, outputTokens: 10, currency: 'USD', unpricedModels: ['llama-3'] });
+    expect(Object.keys(summary.byScope)).toEqual(['threadA', 'verdict', 'tool']);
+    expect(summary.byScope.verdict.cost).toBeNull();
+  });
+
+  it('reads config/pricing.json and warns once when a price table is missing', () => {
+    expect(loadPricingConfig().models['claude-sonnet-4']).toMatchObject({ input: 3, output: 15 });
+
+    const missing = path.join(__dirname, 'missing-pricing.json');
+    expect(loadPricingConfig(missing)).toEqual({ currency: 'USD', tokensPerUnit: 1000000, models: {} });
+    loadPricingConfig(missing);
+
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn.mock.calls[0][0]).toContain('costs will not be estimated');
+  });
+});